@@ -3,7 +3,10 @@ import { AppBar, Box, Button, Container, CssBaseline, Toolbar, Typography } from
 import { Link as RouterLink, Route, Routes, useLocation, Navigate } from 'react-router-dom'
 import ExamplePage from './pages/ExamplePage'
 import CurvedBeamPage from './pages/CurvedBeamPage'
+import RingPage from './pages/RingPage'
 import HomePage from './pages/HomePage'
+import SectionPropertiesPage from './pages/SectionPropertiesPage'
+import CaseLibraryPage from './pages/CaseLibraryPage'
 
 function NavBar() {
   const location = useLocation()
@@ -15,6 +18,9 @@ function NavBar() {
         <Button component={RouterLink} to="/" color={isActive('/') ? 'primary' : 'inherit'}>Home</Button>
         <Button component={RouterLink} to="/example" color={isActive('/example') ? 'primary' : 'inherit'}>Example</Button>
         <Button component={RouterLink} to="/curved" color={isActive('/curved') ? 'primary' : 'inherit'}>Curved Beam</Button>
+        <Button component={RouterLink} to="/ring" color={isActive('/ring') ? 'primary' : 'inherit'}>Ring / Link</Button>
+        <Button component={RouterLink} to="/section" color={isActive('/section') ? 'primary' : 'inherit'}>Section Properties</Button>
+        <Button component={RouterLink} to="/cases" color={isActive('/cases') ? 'primary' : 'inherit'}>Cases</Button>
       </Toolbar>
     </AppBar>
   )
@@ -30,6 +36,9 @@ export default function App() {
           <Route path="/" element={<HomePage />} />
           <Route path="/example" element={<ExamplePage />} />
           <Route path="/curved" element={<CurvedBeamPage />} />
+          <Route path="/ring" element={<RingPage />} />
+          <Route path="/section" element={<SectionPropertiesPage />} />
+          <Route path="/cases" element={<CaseLibraryPage />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </Container>
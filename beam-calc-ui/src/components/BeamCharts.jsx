@@ -10,106 +10,122 @@ import {
   Legend,
 } from 'chart.js'
 import { Line } from 'react-chartjs-2'
+import { sampleBeam, peakAbs } from '../lib/beamCalc'
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
 
-function linspace(a, b, n) {
-  if (n <= 1) return [a]
-  const step = (b - a) / (n - 1)
-  return Array.from({ length: n }, (_, i) => a + i * step)
-}
-
-export default function BeamCharts({ L, w, P }) {
-  const N = 101
-
-  const { x, V_udl, M_udl, V_point, M_point } = useMemo(() => {
-    const x = linspace(0, L, N)
+const palette = [
+  '54, 162, 235',
+  '255, 99, 132',
+  '75, 192, 192',
+  '255, 159, 64',
+  '153, 102, 255',
+  '201, 203, 207',
+]
 
-    // Simply supported beam
-    // UDL: reactions Ra = Rb = wL/2
-    // Shear V(x): Ra - w x
-    // Moment M(x): Ra x - (w x^2)/2
-    const Ra = (w * L) / 2
-    const V_udl = x.map((xi) => Ra - w * xi)
-    const M_udl = x.map((xi) => Ra * xi - (w * xi * xi) / 2)
+function toPoints(x, y) {
+  return x.map((xi, i) => ({ x: xi, y: y[i] }))
+}
 
-    // Point load at midspan: reactions Ra = Rb = P/2, V is piecewise
-    const V_point = x.map((xi) => (xi < L / 2 ? P / 2 : -P / 2))
-    const M_point = x.map((xi) => (xi < L / 2 ? (P / 2) * xi : (P / 2) * (L - xi)))
+/**
+ * Shear, moment, slope and deflection diagrams for one or more solved load cases.
+ * The maximum deflection of every case is marked on the deflection diagram.
+ * Moving load envelopes, when given, follow as shear and moment envelope charts.
+ * @param {{
+ *   cases: { label: string, beam: ReturnType<import('../lib/beamCalc').solveBeam> }[],
+ *   envelope?: { x: number[], Vmax: number[], Vmin: number[], Mmax: number[], Mmin: number[] } | null,
+ * }} props
+ */
+export default function BeamCharts({ cases, envelope }) {
+  const N = 201
 
-    return { x, V_udl, M_udl, V_point, M_point }
-  }, [L, w, P])
+  const series = useMemo(
+    () => cases.map(({ label, beam }, i) => {
+      const s = sampleBeam(beam, N)
+      return { label, color: palette[i % palette.length], ...s, vPeak: peakAbs(s.x, s.v) }
+    }),
+    [cases],
+  )
 
-  const labels = x.map((xi) => xi.toFixed(2))
+  const lineSet = (label, color, data, extra = {}) => ({
+    label,
+    data,
+    borderColor: `rgba(${color}, 1)`,
+    backgroundColor: `rgba(${color}, 0.2)`,
+    tension: 0,
+    pointRadius: 0,
+    ...extra,
+  })
 
-  const shearData = {
-    labels,
+  const shearData = { datasets: series.map((s) => lineSet(`V(x) ${s.label} (N)`, s.color, toPoints(s.x, s.V))) }
+  const momentData = { datasets: series.map((s) => lineSet(`M(x) ${s.label} (N·m)`, s.color, toPoints(s.x, s.M))) }
+  const slopeData = { datasets: series.map((s) => lineSet(`θ(x) ${s.label} (rad)`, s.color, toPoints(s.x, s.theta))) }
+  const deflectionData = {
     datasets: [
-      {
-        label: 'Shear V(x) UDL (N)',
-        data: V_udl,
-        borderColor: 'rgba(255, 99, 132, 1)',
-        backgroundColor: 'rgba(255, 99, 132, 0.2)',
-        tension: 0.1,
-        pointRadius: 0,
-      },
-      {
-        label: 'Shear V(x) Point@mid (N)',
-        data: V_point,
-        borderColor: 'rgba(54, 162, 235, 1)',
-        backgroundColor: 'rgba(54, 162, 235, 0.2)',
-        tension: 0,
-        stepped: true,
-        pointRadius: 0,
-      },
+      ...series.map((s) => lineSet(`v(x) ${s.label} (m)`, s.color, toPoints(s.x, s.v))),
+      ...series.map((s) => lineSet(
+        `max |v| ${s.label} = ${s.vPeak.value.toPrecision(4)} m @ x = ${s.vPeak.x.toPrecision(4)} m`,
+        s.color,
+        [{ x: s.vPeak.x, y: s.vPeak.value }],
+        { showLine: false, pointRadius: 5, pointStyle: 'triangle' },
+      )),
     ],
   }
 
-  const momentData = {
-    labels,
+  const shearEnvelope = envelope && {
+    datasets: [
+      lineSet('max V (N)', palette[1], toPoints(envelope.x, envelope.Vmax)),
+      lineSet('min V (N)', palette[0], toPoints(envelope.x, envelope.Vmin)),
+    ],
+  }
+  const momentEnvelope = envelope && {
     datasets: [
-      {
-        label: 'Moment M(x) UDL (N·m)',
-        data: M_udl,
-        borderColor: 'rgba(75, 192, 192, 1)',
-        backgroundColor: 'rgba(75, 192, 192, 0.2)',
-        tension: 0.1,
-        pointRadius: 0,
-      },
-      {
-        label: 'Moment M(x) Point@mid (N·m)',
-        data: M_point,
-        borderColor: 'rgba(255, 205, 86, 1)',
-        backgroundColor: 'rgba(255, 205, 86, 0.2)',
-        tension: 0,
-        pointRadius: 0,
-      },
+      lineSet('max M (N·m)', palette[1], toPoints(envelope.x, envelope.Mmax)),
+      lineSet('min M (N·m)', palette[0], toPoints(envelope.x, envelope.Mmin)),
     ],
   }
 
+  const L = cases[0]?.beam.L
   const options = {
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
       legend: { position: 'top' },
       title: { display: false },
-      tooltip: { mode: 'index', intersect: false },
+      tooltip: { mode: 'nearest', axis: 'x', intersect: false },
     },
-    interaction: { mode: 'index', intersect: false },
+    interaction: { mode: 'nearest', axis: 'x', intersect: false },
     scales: {
-      x: { title: { display: true, text: 'x (m)' } },
+      x: { type: 'linear', min: 0, max: L, title: { display: true, text: 'x (m)' } },
       y: { title: { display: true, text: 'Value' } },
     },
   }
+  const withTitle = (text) => ({ ...options, plugins: { ...options.plugins, title: { display: true, text } } })
 
   return (
     <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: 24 }}>
       <div style={{ height: 300 }}>
-        <Line options={{ ...options, plugins: { ...options.plugins, title: { display: true, text: 'Shear Force Diagram' } } }} data={shearData} />
+        <Line options={withTitle('Shear Force Diagram')} data={shearData} />
+      </div>
+      <div style={{ height: 300 }}>
+        <Line options={withTitle('Bending Moment Diagram (sagging +)')} data={momentData} />
+      </div>
+      <div style={{ height: 300 }}>
+        <Line options={withTitle('Slope θ(x)')} data={slopeData} />
       </div>
       <div style={{ height: 300 }}>
-        <Line options={{ ...options, plugins: { ...options.plugins, title: { display: true, text: 'Bending Moment Diagram' } } }} data={momentData} />
+        <Line options={withTitle('Deflection v(x) (up +)')} data={deflectionData} />
       </div>
+      {envelope && (
+        <>
+          <div style={{ height: 300 }}>
+            <Line options={withTitle('Shear Force Envelope (moving load)')} data={shearEnvelope} />
+          </div>
+          <div style={{ height: 300 }}>
+            <Line options={withTitle('Bending Moment Envelope (moving load, sagging +)')} data={momentEnvelope} />
+          </div>
+        </>
+      )}
     </div>
   )
 }
@@ -0,0 +1,64 @@
+import { Box, Button, IconButton, MenuItem, TextField, Typography } from '@mui/material'
+import AddIcon from '@mui/icons-material/Add'
+import DeleteIcon from '@mui/icons-material/Delete'
+import { LoadSpecs, LoadType, SupportSpecs, SupportType } from '../lib/beamCalc'
+import { newRowId } from '../lib/rows'
+
+/**
+ * Editable lists of supports and loads for the straight-beam solver.
+ * Rows keep raw strings so partially typed numbers are not lost; the page converts them.
+ * Loads sharing a `case` name form one load case.
+ * @param {{ supports: object[], loads: object[], onSupportsChange: (rows: object[]) => void, onLoadsChange: (rows: object[]) => void }} props
+ */
+export default function BeamModelEditor({ supports, loads, onSupportsChange, onLoadsChange }) {
+  const updateRow = (rows, onChange, id, patch) => onChange(rows.map((row) => (row.id === id ? { ...row, ...patch } : row)))
+  const removeRow = (rows, onChange, id) => onChange(rows.filter((row) => row.id !== id))
+
+  return (
+    <Box sx={{ display: 'grid', gap: 2 }}>
+      <Typography variant="subtitle2">Supports</Typography>
+      {supports.map((s) => (
+        <Box key={s.id} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField select label="Type" value={s.type} onChange={(e) => updateRow(supports, onSupportsChange, s.id, { type: e.target.value })} size="small" sx={{ minWidth: 120 }}>
+            {Object.entries(SupportSpecs).map(([type, spec]) => (
+              <MenuItem key={type} value={type}>{spec.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField label="Position x (m)" value={s.x} onChange={(e) => updateRow(supports, onSupportsChange, s.id, { x: e.target.value })} size="small" />
+          {SupportSpecs[s.type]?.restrains && (
+            <TextField label="Settlement δ (m, down +)" value={s.settlement ?? ''} onChange={(e) => updateRow(supports, onSupportsChange, s.id, { settlement: e.target.value })} size="small" />
+          )}
+          <IconButton aria-label="Remove support" onClick={() => removeRow(supports, onSupportsChange, s.id)} size="small">
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+      <Button startIcon={<AddIcon />} onClick={() => onSupportsChange([...supports, { id: newRowId(), type: SupportType.Roller, x: '0' }])} size="small" sx={{ justifySelf: 'start' }}>
+        Add support
+      </Button>
+
+      <Typography variant="subtitle2">Loads</Typography>
+      {loads.map((load) => (
+        <Box key={load.id} sx={{ display: 'grid', gap: 1, p: 1, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <TextField select label="Load type" value={load.type} onChange={(e) => updateRow(loads, onLoadsChange, load.id, { type: e.target.value })} size="small" sx={{ flexGrow: 1 }}>
+              {Object.entries(LoadSpecs).map(([type, spec]) => (
+                <MenuItem key={type} value={type}>{spec.label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField label="Load case" value={load.case ?? ''} onChange={(e) => updateRow(loads, onLoadsChange, load.id, { case: e.target.value })} size="small" sx={{ width: 110 }} />
+            <IconButton aria-label="Remove load" onClick={() => removeRow(loads, onLoadsChange, load.id)} size="small">
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+          {LoadSpecs[load.type]?.params.map((def) => (
+            <TextField key={def.key} label={def.label} value={load[def.key] ?? ''} onChange={(e) => updateRow(loads, onLoadsChange, load.id, { [def.key]: e.target.value })} size="small" />
+          ))}
+        </Box>
+      ))}
+      <Button startIcon={<AddIcon />} onClick={() => onLoadsChange([...loads, { id: newRowId(), type: LoadType.Point, case: loads.at(-1)?.case ?? 'Default', x: '0', P: '0' }])} size="small" sx={{ justifySelf: 'start' }}>
+        Add load
+      </Button>
+    </Box>
+  )
+}
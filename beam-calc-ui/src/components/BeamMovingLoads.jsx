@@ -0,0 +1,127 @@
+import { Box, Checkbox, FormControlLabel, MenuItem, TextField, Typography } from '@mui/material'
+import { Line } from 'react-chartjs-2'
+import { SupportSpecs } from '../lib/beamCalc'
+import { InfluenceQuantity, InfluenceQuantityLabels } from '../lib/movingLoads'
+import RowsEditor from './RowsEditor'
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(5) : '-'
+}
+
+const axleColumns = [
+  { key: 'P', label: 'Axle load P (N, down +)' },
+  { key: 'spacing', label: 'Distance from previous axle (m)' },
+]
+
+const influenceUnits = {
+  [InfluenceQuantity.Reaction]: 'N/N',
+  [InfluenceQuantity.Shear]: 'N/N',
+  [InfluenceQuantity.Moment]: 'N·m/N',
+}
+
+/** Value, section and axle positions of a governing train position. */
+function PeakPosition({ peak, unit }) {
+  return <><strong>{fmt(peak.value)}</strong> {unit} at x = {fmt(peak.x)} m, with axles at x = {peak.axles.map(fmt).join(', ')} m</>
+}
+
+/**
+ * Influence line of a reaction, or of V or M at a section, and a moving train of axle loads with its
+ * absolute maximum moment and shear and the largest reactions. The envelopes are drawn in BeamCharts.
+ * @param {{
+ *   value: { quantity: string, support: string, at: string, axles: object[], withStatic: boolean },
+ *   onChange: (value: object) => void,
+ *   supports: { index: number, type: string, x: number }[],
+ *   influence: ReturnType<import('../lib/movingLoads').influenceLine> | null,
+ *   train: ReturnType<import('../lib/movingLoads').movingLoadTrain> | null,
+ * }} props
+ *   supports: the supports that carry a reaction; influence, train: null without a valid beam
+ */
+export default function BeamMovingLoads({ value, onChange, supports, influence, train }) {
+  const set = (patch) => onChange({ ...value, ...patch })
+  const unit = influenceUnits[value.quantity]
+
+  const influenceData = {
+    datasets: influence?.ok
+      ? [{
+          label: `${InfluenceQuantityLabels[value.quantity]} (${unit})`,
+          data: influence.x.map((xi, i) => ({ x: xi, y: influence.value[i] })),
+          borderColor: 'rgba(153, 102, 255, 1)',
+          backgroundColor: 'rgba(153, 102, 255, 0.2)',
+          tension: 0,
+          pointRadius: 0,
+        }]
+      : [],
+  }
+  const influenceOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'top' }, title: { display: true, text: 'Influence line (unit load down)' } },
+    interaction: { mode: 'nearest', axis: 'x', intersect: false },
+    scales: {
+      x: { type: 'linear', min: 0, max: influence?.ok ? influence.x.at(-1) : undefined, title: { display: true, text: 'Unit load position x (m)' } },
+      y: { title: { display: true, text: unit } },
+    },
+  }
+
+  return (
+    <Box sx={{ display: 'grid', gap: 2 }}>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+        <TextField select label="Influence line of" value={value.quantity} onChange={(e) => set({ quantity: e.target.value })} size="small">
+          {Object.entries(InfluenceQuantityLabels).map(([id, label]) => <MenuItem key={id} value={id}>{label}</MenuItem>)}
+        </TextField>
+        {value.quantity === InfluenceQuantity.Reaction ? (
+          <TextField select label="Support" value={supports.some((s) => String(s.index) === value.support) ? value.support : ''} onChange={(e) => set({ support: e.target.value })} size="small">
+            {supports.map((s) => (
+              <MenuItem key={s.index} value={String(s.index)}>{SupportSpecs[s.type].label} @ x = {fmt(s.x)} m</MenuItem>
+            ))}
+          </TextField>
+        ) : (
+          <TextField label="Section x (m)" value={value.at} onChange={(e) => set({ at: e.target.value })} size="small" />
+        )}
+      </Box>
+      {influence && !influence.ok && <Typography color="error">{influence.message}</Typography>}
+      {influence?.ok && (
+        <>
+          <Box sx={{ height: 240 }}><Line options={influenceOptions} data={influenceData} /></Box>
+          <Typography variant="body2">
+            Largest ordinate {fmt(influence.max.value)} {unit} with the load at x = {fmt(influence.max.x)} m; smallest {fmt(influence.min.value)} {unit} at
+            x = {fmt(influence.min.x)} m.
+          </Typography>
+        </>
+      )}
+
+      <RowsEditor
+        title="Load train (axles in order)"
+        columns={axleColumns}
+        rows={value.axles}
+        onChange={(axles) => set({ axles })}
+        newRow={() => ({ P: '', spacing: '' })}
+        addLabel="Add axle"
+      />
+      <FormControlLabel
+        control={<Checkbox size="small" checked={value.withStatic} onChange={(e) => set({ withStatic: e.target.checked })} />}
+        label="Add the combined static load cases"
+      />
+      {train && !train.ok && <Typography color="error">{train.message}</Typography>}
+      {train?.ok && (
+        <ul>
+          <li>Max M (sagging +): <PeakPosition peak={train.moment.max} unit="N·m" /></li>
+          <li>Min M: <PeakPosition peak={train.moment.min} unit="N·m" /></li>
+          <li>Max V: <PeakPosition peak={train.shear.max} unit="N" /></li>
+          <li>Min V: <PeakPosition peak={train.shear.min} unit="N" /></li>
+          {train.reactions.map((r) => (
+            <li key={r.index}>
+              {SupportSpecs[r.type].label} @ x = {fmt(r.x)} m: R from {fmt(r.min.value)} to <strong>{fmt(r.max.value)}</strong> N
+              (max with axles at x = {r.max.axles.map(fmt).join(', ')} m)
+            </li>
+          ))}
+        </ul>
+      )}
+      <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block' }}>
+        The train rolls across in both directions, and axles off the beam carry nothing. Axle positions are listed in the order
+        entered, and may lie off the beam. Settlements belong to the static cases. The moment position is refined between stations,
+        and the V and M envelopes are plotted with the diagrams.
+      </Typography>
+    </Box>
+  )
+}
@@ -0,0 +1,133 @@
+import { Box, Table, TableBody, TableCell, TableHead, TableRow, TextField, Typography } from '@mui/material'
+import { Line } from 'react-chartjs-2'
+import { toNumber } from '../lib/beamCalc'
+import SectionInputs from './SectionInputs'
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(5) : '-'
+}
+
+/**
+ * Shear stress through the depth of a straight beam: the cross-section and position x, τ(y) = VQ/(Ib)
+ * with its maximum, and the shear flow at each step in width for weld or bolt spacing.
+ * `I` is the second moment used by the beam analysis; a note is shown when the section's own differs.
+ * @param {{
+ *   value: { shape: string, dims: object, vertices: object[], strips: object[], x: string, connector: string },
+ *   onChange: (value: object) => void,
+ *   params: object,
+ *   result: (ReturnType<import('../lib/sectionProperties').shearStressProfile> & { x?: number }) | null,
+ *   I: number,
+ * }} props
+ */
+export default function BeamShearStress({ value, onChange, params, result, I }) {
+  const set = (patch) => onChange({ ...value, ...patch })
+  const connector = value.connector.trim() === '' ? NaN : toNumber(value.connector, NaN)
+  const showSpacing = connector > 0
+  const mismatch = result?.ok && Number.isFinite(I) && Math.abs(result.I - I) > 0.01 * result.I
+
+  const tauData = {
+    datasets: result?.ok
+      ? [{
+          label: 'τ(y) [Pa]',
+          data: result.points.map((p) => ({ x: p.tau, y: p.y })),
+          borderColor: 'rgba(75, 192, 192, 1)',
+          backgroundColor: 'rgba(75, 192, 192, 0.2)',
+          tension: 0,
+          pointRadius: 0,
+        }]
+      : [],
+  }
+  const tauOptions = {
+    indexAxis: 'y',
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { display: false }, title: { display: true, text: 'Shear stress through the depth' } },
+    scales: {
+      x: { type: 'linear', title: { display: true, text: 'τ (Pa)' } },
+      y: { type: 'linear', reverse: true, min: 0, max: result?.ok ? result.points.at(-1).y : undefined, title: { display: true, text: 'y from the top (m)' } },
+    },
+  }
+
+  return (
+    <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 2fr' }, gap: 2 }}>
+      <Box sx={{ display: 'grid', gap: 2, alignContent: 'start' }}>
+        <TextField
+          label="Section at x (m)"
+          value={value.x}
+          onChange={(e) => set({ x: e.target.value })}
+          size="small"
+          helperText="Blank: where |V| is largest"
+        />
+        <SectionInputs
+          shape={value.shape}
+          onShapeChange={(shape) => set({ shape })}
+          dims={value.dims}
+          onDimChange={(key, v) => set({ dims: { ...value.dims, [key]: v } })}
+          vertices={value.vertices}
+          onVerticesChange={(vertices) => set({ vertices })}
+          strips={value.strips}
+          onStripsChange={(strips) => set({ strips })}
+          params={params}
+        />
+        <TextField
+          label="Connector capacity (N, optional)"
+          value={value.connector}
+          onChange={(e) => set({ connector: e.target.value })}
+          size="small"
+          helperText="Per bolt, rivet or weld run; gives the largest spacing at each joint"
+        />
+      </Box>
+
+      <Box sx={{ display: 'grid', gap: 2, alignContent: 'start' }}>
+        {!result && <Typography variant="body2">Enter a valid span, supports and loads to show shear stresses.</Typography>}
+        {result && !result.ok && <Typography color="error">{result.message}</Typography>}
+        {result?.ok && (
+          <>
+            <ul>
+              <li>V at x = {fmt(result.x)} m: <strong>{fmt(result.V)}</strong> N</li>
+              <li>
+                Max τ = VQ/(Ib) = <strong>{fmt(result.max.value)}</strong> Pa at y = {fmt(result.max.y)} m from the top
+                (centroid at {fmt(result.ybar)} m)
+              </li>
+              <li>Average τ = V/A = {fmt(result.tauAvg)} Pa; section I = {fmt(result.I)} m⁴</li>
+            </ul>
+            {mismatch && (
+              <Typography variant="body2" color="warning.main">
+                The beam analysis uses I = {fmt(I)} m⁴; the stresses here use this section&apos;s own I.
+              </Typography>
+            )}
+            <Box sx={{ height: 260 }}><Line options={tauOptions} data={tauData} /></Box>
+            {result.joints.length > 0 && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Joint depth y (m)</TableCell>
+                    <TableCell align="right">Q (m³)</TableCell>
+                    <TableCell align="right">Shear flow q = VQ/I (N/m)</TableCell>
+                    <TableCell align="right">τ above / below (Pa)</TableCell>
+                    {showSpacing && <TableCell align="right">Max spacing (m)</TableCell>}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.joints.map((j) => (
+                    <TableRow key={j.y}>
+                      <TableCell>{fmt(j.y)}</TableCell>
+                      <TableCell align="right">{fmt(j.Q)}</TableCell>
+                      <TableCell align="right"><strong>{fmt(j.q)}</strong></TableCell>
+                      <TableCell align="right">{fmt(j.tauAbove)} / {fmt(j.tauBelow)}</TableCell>
+                      {showSpacing && <TableCell align="right">{fmt(connector / Math.abs(j.q))}</TableCell>}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          y runs down from the top face; the inner face of the curved-beam shapes is the top here. Joints are the depths where the
+          width steps, e.g. flange to web, and carry the shear flow between the parts.
+        </Typography>
+      </Box>
+    </Box>
+  )
+}
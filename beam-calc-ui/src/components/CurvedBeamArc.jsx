@@ -0,0 +1,116 @@
+import { Box, MenuItem, TextField, Typography } from '@mui/material'
+import { Line } from 'react-chartjs-2'
+import { EndSupportLabels } from '../lib/curvedArc'
+import RowsEditor from './RowsEditor'
+import CurvedBeamElevation from './CurvedBeamElevation'
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(5) : '-'
+}
+
+function lineSet(label, color, data) {
+  return { label, data, borderColor: `rgba(${color}, 1)`, backgroundColor: `rgba(${color}, 0.2)`, tension: 0, pointRadius: 0 }
+}
+
+const loadColumns = [
+  { key: 'at', label: 'ψ (deg)' },
+  { key: 'Fx', label: 'F_x (N)' },
+  { key: 'Fy', label: 'F_y (N)' },
+  { key: 'M', label: 'M (N·m)' },
+]
+
+/** Reaction components as "H, V, M" text. */
+function reactionText(r) {
+  return `H = ${fmt(r.H)} N, V = ${fmt(r.V)} N, M = ${fmt(r.M)} N·m`
+}
+
+/**
+ * Arc model: supports, subtended angle and point loads, with the reactions, the critical section
+ * and N(ψ), V(ψ) along the arc. M(ψ) is drawn in the page's moment diagram.
+ * @param {{
+ *   value: { alpha: string, left: string, right: string, loads: object[] },
+ *   onChange: (value: object) => void,
+ *   result: ReturnType<import('../lib/curvedArc').computeArc>,
+ * }} props
+ */
+export default function CurvedBeamArc({ value, onChange, result }) {
+  const set = (patch) => onChange({ ...value, ...patch })
+  const critical = result.ok ? result.critical : null
+
+  const forceData = {
+    datasets: result.ok
+      ? [
+          lineSet('N [N] (tension +)', '54, 162, 235', result.points.map((p) => ({ x: p.psi, y: p.N }))),
+          lineSet('V [N]', '75, 192, 192', result.points.map((p) => ({ x: p.psi, y: p.V }))),
+        ]
+      : [],
+  }
+  const forceOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'top' }, tooltip: { mode: 'index', intersect: false }, title: { display: true, text: 'Normal and shear force along the arc' } },
+    interaction: { mode: 'index', intersect: false },
+    scales: {
+      x: { type: 'linear', min: 0, max: result.ok ? result.alpha : undefined, title: { display: true, text: 'ψ from the left end (deg)' } },
+      y: { title: { display: true, text: 'Force (N)' } },
+    },
+  }
+
+  return (
+    <Box sx={{ display: 'grid', gap: 2 }}>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 1 }}>
+        <TextField label="Subtended angle α (deg)" value={value.alpha} onChange={(e) => set({ alpha: e.target.value })} size="small" />
+        <TextField select label="Left end" value={value.left} onChange={(e) => set({ left: e.target.value })} size="small">
+          {Object.entries(EndSupportLabels).map(([id, label]) => <MenuItem key={id} value={id}>{label}</MenuItem>)}
+        </TextField>
+        <TextField select label="Right end" value={value.right} onChange={(e) => set({ right: e.target.value })} size="small">
+          {Object.entries(EndSupportLabels).map(([id, label]) => <MenuItem key={id} value={id}>{label}</MenuItem>)}
+        </TextField>
+      </Box>
+      <RowsEditor
+        title="Point loads"
+        columns={loadColumns}
+        rows={value.loads}
+        onChange={(loads) => set({ loads })}
+        newRow={() => ({ at: '', Fx: '0', Fy: '0', M: '0' })}
+        addLabel="Add load"
+      />
+
+      {value.loads.length === 0 ? (
+        <Typography variant="body2">
+          Add a point load to find the reactions and N, V and M along the arc.
+        </Typography>
+      ) : result.ok ? (
+        <>
+          <ul>
+            <li>
+              R = R_c = {fmt(result.R)} m; {result.redundants === 0 ? 'statically determinate' : `${result.redundants} redundant reaction${result.redundants > 1 ? 's' : ''}, found by least work`}
+            </li>
+            <li>Left reaction: {reactionText(result.reactions.left)}</li>
+            <li>Right reaction: {reactionText(result.reactions.right)}</li>
+            <li>
+              Critical section at ψ = <strong>{fmt(critical.psi)}°</strong>: M = {fmt(critical.M)} N·m, N = {fmt(critical.N)} N, V = {fmt(critical.V)} N
+            </li>
+            {critical.result.ok && (
+              <li>
+                σ_inner = <strong>{fmt(critical.result.sigmaInner)}</strong> Pa, σ_outer = <strong>{fmt(critical.result.sigmaOuter)}</strong> Pa
+              </li>
+            )}
+          </ul>
+          <Box sx={{ height: 220 }}><Line options={forceOptions} data={forceData} /></Box>
+          {critical.result.ok && (
+            <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+              <CurvedBeamElevation result={critical.result} />
+            </Box>
+          )}
+        </>
+      ) : (
+        <Typography color="error">{result.message}</Typography>
+      )}
+      <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block' }}>
+        The arc has the section&apos;s centroidal radius, with its chord horizontal and the crown up; ψ runs from the left end over the crown.
+        Loads are along x (right) and y (up), moments counterclockwise; reactions act on the arc. The roller slides horizontally.
+      </Typography>
+    </Box>
+  )
+}
@@ -0,0 +1,51 @@
+import { Box, Table, TableBody, TableCell, TableHead, TableRow, Typography } from '@mui/material'
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(5) : '-'
+}
+
+function pct(v) {
+  return Number.isFinite(v) ? `${v >= 0 ? '+' : ''}${v.toFixed(3)}%` : '-'
+}
+
+/**
+ * Exact elasticity (Golovin) stresses of a rectangular curved bar beside the Winkler–Bach and
+ * straight-beam values, with their percentage differences from the exact ones.
+ * @param {{ benchmark: ReturnType<import('../lib/curvedElasticity').rectangularBenchmark> }} props
+ */
+export default function CurvedBeamBenchmark({ benchmark }) {
+  if (!benchmark.ok) return <Typography color="error">{benchmark.message}</Typography>
+  return (
+    <Box sx={{ display: 'grid', gap: 1 }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Bending stress (Pa)</TableCell>
+            <TableCell align="right">Exact</TableCell>
+            <TableCell align="right">Winkler–Bach</TableCell>
+            <TableCell align="right">Difference</TableCell>
+            <TableCell align="right">Straight beam</TableCell>
+            <TableCell align="right">Difference</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {benchmark.rows.map((row) => (
+            <TableRow key={row.label}>
+              <TableCell>{row.label}</TableCell>
+              <TableCell align="right" sx={{ fontWeight: 600 }}>{fmt(row.exact)}</TableCell>
+              <TableCell align="right">{fmt(row.winkler)}</TableCell>
+              <TableCell align="right">{pct(row.winklerDiff)}</TableCell>
+              <TableCell align="right">{fmt(row.straight)}</TableCell>
+              <TableCell align="right">{pct(row.straightDiff)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+        Plane-stress solution for pure bending of a curved bar (Golovin; Timoshenko &amp; Goodier). The bending parts are
+        compared, as N/A is the same in all three; the straight-beam σ_r is 3M/(2 R_c b h) and the Winkler–Bach σ_r comes
+        from equilibrium of σ(r). Differences are relative to the exact value.
+      </Typography>
+    </Box>
+  )
+}
@@ -0,0 +1,124 @@
+import { useMemo } from 'react'
+import { Box, MenuItem, Table, TableBody, TableCell, TableHead, TableRow, TextField, Typography } from '@mui/material'
+import { ArcSupport, ArcSupportLabels, curvedMemberDeflection } from '../lib/curvedDeflection'
+
+function numberOrNaN(x) {
+  if (x === '' || x === null || x === undefined) return NaN
+  const n = Number(x)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(4) : '-'
+}
+
+const parts = [
+  { key: 'bending', label: 'Bending' },
+  { key: 'axial', label: 'Axial' },
+  { key: 'coupling', label: 'Coupling' },
+  { key: 'shear', label: 'Shear' },
+  { key: 'total', label: 'Total' },
+]
+
+/**
+ * Energy-method deflection of the loaded end of a curved cantilever or simply supported arc built
+ * from the page's section, with the bending, axial, bending–axial coupling and shear parts.
+ * @param {{
+ *   value: { support: string, alpha: string, Fx: string, Fy: string, M: string, E: string, nu: string },
+ *   onChange: (value: object) => void,
+ *   input: object,
+ *   material?: { E: number } | null,
+ * }} props
+ *   input: the page's computeCurvedBeam input (section and ri); material: the selected material, whose E is used when the E field is blank
+ */
+export default function CurvedBeamDeflection({ value, onChange, input, material }) {
+  const { support, alpha, Fx, Fy, M, E, nu } = value
+  const set = (patch) => onChange({ ...value, ...patch })
+
+  // Blank E falls back to the selected material, then to steel
+  const Eused = E !== '' ? numberOrNaN(E) : material ? material.E : 2e11
+  const result = useMemo(
+    () => curvedMemberDeflection({
+      shape: input.shape,
+      params: input.params,
+      ri: input.ri,
+      support,
+      alpha: numberOrNaN(alpha),
+      Fx: numberOrNaN(Fx),
+      Fy: numberOrNaN(Fy),
+      M: numberOrNaN(M),
+      E: Eused,
+      nu: numberOrNaN(nu),
+    }),
+    [input, support, alpha, Fx, Fy, M, Eused, nu],
+  )
+  const simplySupported = support === ArcSupport.SimplySupported
+
+  const rows = [
+    { key: 'x', label: 'Horizontal δx', unit: 'm' },
+    { key: 'y', label: simplySupported ? 'Vertical δy (roller)' : 'Vertical δy', unit: 'm' },
+    { key: 'rotation', label: 'Rotation (counterclockwise)', unit: 'rad' },
+  ]
+
+  return (
+    <Box sx={{ display: 'grid', gap: 2 }}>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: 1 }}>
+        <TextField select label="Support" value={support} onChange={(e) => set({ support: e.target.value })} size="small">
+          {Object.entries(ArcSupportLabels).map(([id, label]) => <MenuItem key={id} value={id}>{label}</MenuItem>)}
+        </TextField>
+        <TextField label="Subtended angle α (deg)" value={alpha} onChange={(e) => set({ alpha: e.target.value })} size="small" helperText="90 quarter, 180 semicircle" />
+      </Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 1 }}>
+        <TextField label="End force F_x (N)" value={Fx} onChange={(e) => set({ Fx: e.target.value })} size="small" />
+        <TextField label="End force F_y (N)" value={Fy} onChange={(e) => set({ Fy: e.target.value })} size="small" disabled={simplySupported} helperText={simplySupported ? 'Taken by the roller' : undefined} />
+        <TextField label="End moment M (N·m, ccw +)" value={M} onChange={(e) => set({ M: e.target.value })} size="small" />
+      </Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+        <TextField
+          label="Young's modulus E (Pa)"
+          value={E}
+          onChange={(e) => set({ E: e.target.value })}
+          size="small"
+          placeholder={material ? String(material.E) : '2e11'}
+          helperText={E === '' ? (material ? 'From the selected material' : 'Blank uses 2e11 (steel)') : undefined}
+        />
+        <TextField label="Poisson's ratio ν (G = E / 2(1 + ν))" value={nu} onChange={(e) => set({ nu: e.target.value })} size="small" />
+      </Box>
+
+      {result.ok ? (
+        <>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Loaded end</TableCell>
+                {parts.map((p) => <TableCell key={p.key} align="right">{p.label}</TableCell>)}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={row.key}>
+                  <TableCell>{row.label} ({row.unit})</TableCell>
+                  {parts.map((p) => (
+                    <TableCell key={p.key} align="right" sx={p.key === 'total' ? { fontWeight: 600 } : undefined}>{fmt(result[row.key][p.key])}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Typography variant="body2">
+            R = {fmt(result.R)} m, G = {fmt(result.G)} Pa, shear form factor {fmt(result.shearFactor)}
+            {simplySupported && `, roller reaction ${fmt(result.reaction)} N`}
+          </Typography>
+        </>
+      ) : (
+        <Typography color="error">{result.message}</Typography>
+      )}
+      <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+        {simplySupported
+          ? 'Pinned at one end, roller at the loaded end sliding along the horizontal chord, arc above the chord.'
+          : 'Fixed at the far end; x runs from the centre of curvature through the free end and y is tangent to the arc there, the arc turning counterclockwise.'}
+        {' '}Castigliano on the Winkler–Bach strain energy with the section&apos;s A, e and R_c; coupling is the −MN/(AE) term.
+      </Typography>
+    </Box>
+  )
+}
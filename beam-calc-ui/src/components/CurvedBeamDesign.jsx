@@ -0,0 +1,129 @@
+import { useMemo } from 'react'
+import { Box, Button, MenuItem, TextField, Typography } from '@mui/material'
+import { designCurvedBeam, designVariables } from '../lib/curvedBeamDesign'
+import { parameterValue } from '../lib/curvedBeamSweep'
+
+function numberOrNaN(x) {
+  if (x === '' || x === null || x === undefined) return NaN
+  const n = Number(x)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(4) : '-'
+}
+
+/** Round up to four significant figures so the applied size does not fall below the minimum. */
+function roundUp(v) {
+  const scale = 10 ** (Math.floor(Math.log10(v)) - 3)
+  return String(Number((Math.ceil(v / scale - 1e-9) * scale).toPrecision(4)))
+}
+
+/** Starting bounds for a free dimension: a quarter to four times its current value. */
+function defaultBounds(input, id) {
+  const v = parameterValue(input, id)
+  if (!(v > 0)) return { lower: '0.001', upper: '1' }
+  return { lower: String(Number((v / 4).toPrecision(3))), upper: String(Number((v * 4).toPrecision(3))) }
+}
+
+function stressText(x) {
+  return x === null || x === undefined ? '' : String(Number(x.toPrecision(4)))
+}
+
+/**
+ * Design inputs in effect: the chosen dimension and its bounds while it can still be sized, otherwise
+ * the first that can with its default bounds. Allowables come from the material until the panel is edited.
+ */
+function effectiveDesign(value, options, input, allowables) {
+  const id = options.some((o) => o.id === value.id) ? value.id : options[0]?.id ?? ''
+  return {
+    id,
+    ...(id === value.id ? { lower: value.lower, upper: value.upper } : defaultBounds(input, id)),
+    ...(value.id !== ''
+      ? { allowTension: value.allowTension, allowCompression: value.allowCompression }
+      : {
+          allowTension: stressText(allowables?.ok ? allowables.tension : null),
+          allowCompression: stressText(allowables?.ok ? allowables.compression : null),
+        }),
+  }
+}
+
+/**
+ * Inverse design: size one dimension of the current curved section (t, b, d or ri) so the fibre
+ * stresses under the page's loads stay within allowable tension and compression.
+ * @param {{
+ *   value: { id: string, lower: string, upper: string, allowTension: string, allowCompression: string },
+ *   onChange: (value: object) => void,
+ *   input: object, allowables?: { ok: boolean, tension?: number, compression?: number } | null,
+ *   onApply: (id: string, value: string) => void,
+ * }} props
+ *   input: the page's computeCurvedBeam input; allowables: from the selected material, offered as defaults;
+ *   onApply: writes the sized dimension back into the page inputs
+ */
+export default function CurvedBeamDesign({ value, onChange, input, allowables, onApply }) {
+  const options = useMemo(() => designVariables(input), [input])
+  const current = effectiveDesign(value, options, input, allowables)
+  const set = (patch) => onChange({ ...current, ...patch })
+  const { id: free, lower, upper, allowTension, allowCompression } = current
+  const label = options.find((o) => o.id === free)?.label ?? ''
+
+  const design = useMemo(
+    () => (free
+      ? designCurvedBeam(input, {
+          id: free,
+          lower: numberOrNaN(lower),
+          upper: numberOrNaN(upper),
+          allowTension: numberOrNaN(allowTension),
+          allowCompression: numberOrNaN(allowCompression),
+        })
+      : null),
+    [input, free, lower, upper, allowTension, allowCompression],
+  )
+
+  if (!free) return <Typography variant="body2">This section has no thickness, width, diameter or inner radius to size.</Typography>
+
+  const chooseFree = (next) => set({ id: next, ...defaultBounds(input, next) })
+  const fillFromMaterial = () => set({ allowTension: stressText(allowables.tension), allowCompression: stressText(allowables.compression) })
+
+  return (
+    <Box sx={{ display: 'grid', gap: 2 }}>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: 1 }}>
+        <TextField select label="Size for" value={free} onChange={(e) => chooseFree(e.target.value)} size="small">
+          {options.map((o) => <MenuItem key={o.id} value={o.id}>{o.label}</MenuItem>)}
+        </TextField>
+        <TextField label="Lower bound" value={lower} onChange={(e) => set({ lower: e.target.value })} size="small" />
+        <TextField label="Upper bound" value={upper} onChange={(e) => set({ upper: e.target.value })} size="small" />
+      </Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: 1, alignItems: 'center' }}>
+        <TextField label="Allowable tension (Pa)" value={allowTension} onChange={(e) => set({ allowTension: e.target.value })} size="small" />
+        <TextField label="Allowable compression (Pa)" value={allowCompression} onChange={(e) => set({ allowCompression: e.target.value })} size="small" />
+        <Button onClick={fillFromMaterial} disabled={!allowables?.ok} size="small">From material</Button>
+      </Box>
+
+      {design.ok && design.feasible && (
+        <Box>
+          <ul>
+            <li>
+              Minimum {label.charAt(0).toLowerCase()}{label.slice(1)} = <strong>{fmt(design.value)}</strong>
+              {design.atLowerBound && ' (already within the allowables at the lower bound; lower it to look for a smaller size)'}
+            </li>
+            <li>
+              Governing: {design.governing.stress} at the {design.governing.fibre} fibre, σ = {fmt(design.governing.sigma)} Pa against
+              {' '}{fmt(design.governing.allowable)} Pa
+            </li>
+            <li>Utilisation: tension {fmt(design.tension * 100)}%, compression {fmt(design.compression * 100)}%</li>
+            <li>With this size: e = {fmt(design.result.e)} m, σ_inner = {fmt(design.result.sigmaInner)} Pa, σ_outer = {fmt(design.result.sigmaOuter)} Pa</li>
+          </ul>
+          <Button variant="outlined" size="small" onClick={() => onApply(free, roundUp(design.value))}>
+            Use {roundUp(design.value)} in the inputs
+          </Button>
+        </Box>
+      )}
+      {!(design.ok && design.feasible) && <Typography color="error">{design.message}</Typography>}
+      <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+        All other inputs, including the loads, are held at their current values. The bounds are scanned and the first size
+        that meets both allowables is refined, so a smaller feasible size outside the bounds is not found.
+      </Typography>
+    </Box>
+  )
+}
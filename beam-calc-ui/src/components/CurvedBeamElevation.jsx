@@ -0,0 +1,171 @@
+import { useId } from 'react'
+import { Typography } from '@mui/material'
+
+const labelStyle = { paintOrder: 'stroke', stroke: '#fff', strokeWidth: 3 }
+
+const TENSION = [211, 47, 47]
+const COMPRESSION = [25, 118, 210]
+
+/** Fill for a stress as a fraction f of the peak |σ|: white at zero, red in tension, blue in compression. */
+function colour(f) {
+  const c = f >= 0 ? TENSION : COMPRESSION
+  const a = Math.min(Math.abs(f), 1)
+  const [r, g, b] = c.map((k) => Math.round(255 + (k - 255) * a))
+  return `rgb(${r}, ${g}, ${b})`
+}
+
+function g(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(4) : '-'
+}
+
+const deg = Math.PI / 180
+
+/** Filled arrowhead with its tip at (x2, y2), pointing along the line from (x1, y1). */
+function arrowHead(x1, y1, x2, y2) {
+  const len = Math.hypot(x2 - x1, y2 - y1) || 1
+  const ux = (x2 - x1) / len
+  const uy = (y2 - y1) / len
+  const bx = x2 - 6 * ux
+  const by = y2 - 6 * uy
+  return `${x2},${y2} ${bx - 2.5 * uy},${by + 2.5 * ux} ${bx + 2.5 * uy},${by - 2.5 * ux}`
+}
+
+/**
+ * To-scale elevation of the curved member in its plane of curvature: an arc of the beam about the
+ * centre of curvature O, shaded through the depth by σ(r) (red tension, blue compression), with
+ * the centroidal (R_c) and neutral (R_n) axes as dashed arcs and the radii dimensioned.
+ * Hover a band for the stress at that radius. Slender members are shown over a shorter arc so the
+ * depth stays visible; O is drawn when it is close enough to fit.
+ * @param {{ result: { rInner: number, rOuter: number, Rc: number, Rn: number, r: number[], sigma: number[] } }} props
+ *   result: a successful computeCurvedBeam result
+ */
+export default function CurvedBeamElevation({ result }) {
+  const id = useId()
+  const { rInner: ri, rOuter: ro, Rc, Rn, r, sigma } = result
+  const t = ro - ri
+  if (!(ri > 0) || !(t > 0)) return <Typography variant="body2">Invalid geometry</Typography>
+
+  const W = 560
+  const H = 340
+  const left = 130
+  const right = 110
+  const top = 28
+  const bottom = 56
+  const plotW = W - left - right
+  const plotH = H - top - bottom
+
+  // Half the arc shown: 60°, shortened (to 8° at least) until the depth is about 30 px wide
+  const phi = Math.asin(Math.min(Math.sin(60 * deg), Math.max(Math.sin(8 * deg), (t * plotW) / (60 * ro))))
+  const showCentre = ri * Math.cos(phi) <= 1.5 * (ro - ri * Math.cos(phi))
+  const yMin = showCentre ? 0 : ri * Math.cos(phi)
+  const halfW = ro * Math.sin(phi)
+  const s = Math.min(plotW / (2 * halfW), plotH / (ro - yMin))
+  const cx = left + plotW / 2
+  const cy = top + plotH / 2 + ((ro + yMin) / 2) * s
+
+  const at = (rr, th) => [cx + rr * Math.cos(th) * s, cy - rr * Math.sin(th) * s]
+  const pt = (rr, th) => at(rr, th).join(',')
+  const thA = Math.PI / 2 - phi // right end
+  const thB = Math.PI / 2 + phi // left end
+  const arc = (rr, a, b) => `M ${pt(rr, a)} A ${rr * s} ${rr * s} 0 0 0 ${pt(rr, b)}`
+  const band = (r1, r2) => `M ${pt(r2, thA)} A ${r2 * s} ${r2 * s} 0 0 0 ${pt(r2, thB)} L ${pt(r1, thB)} A ${r1 * s} ${r1 * s} 0 0 1 ${pt(r1, thA)} Z`
+
+  const maxAbs = Math.max(...sigma.map(Math.abs))
+  const peak = maxAbs || 1
+  const bands = r.slice(1).map((r2, i) => {
+    const mid = (r[i] + r2) / 2
+    const sMid = (sigma[i] + sigma[i + 1]) / 2
+    return { key: i, d: band(r[i], r2), fill: colour(sMid / peak), title: `r = ${g(mid)} m (y = ${g(mid - ri)} m)\nσ = ${g(sMid)} Pa` }
+  })
+
+  // Dimension of the depth, set off beyond the right end face
+  const off = 16 / s
+  const outward = [Math.sin(thA), -Math.cos(thA)]
+  const dimAt = (rr) => {
+    const [x, y] = at(rr, thA)
+    return [x + outward[0] * off * s, y - outward[1] * off * s]
+  }
+  const [tx1, ty1] = dimAt(ri)
+  const [tx2, ty2] = dimAt(ro)
+  const [ex1, ey1] = at(ri, thA)
+  const [ex2, ey2] = at(ro, thA)
+
+  // Axes run 8 px past the end faces, their labels start 12 px beyond the left one
+  const past = (rr, px) => px / (rr * s)
+  const axis = (rr) => arc(rr, thA - past(rr, 8), thB + past(rr, 8))
+  const labelAt = (rr) => at(rr, thB + past(rr, 12))
+  const [rcX, rcY] = labelAt(Rc)
+  const [rnX, rnY] = labelAt(Rn)
+  const [topX, outerY] = at(ro, Math.PI / 2)
+  const [, innerY] = at(ri, Math.PI / 2)
+
+  const legendW = 200
+  const legendX = W / 2 - legendW / 2
+  const legendY = H - 30
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`} style={{ maxWidth: W }}>
+      <defs>
+        <linearGradient id={`${id}-legend`}>
+          <stop offset="0" stopColor={colour(-1)} />
+          <stop offset="0.5" stopColor={colour(0)} />
+          <stop offset="1" stopColor={colour(1)} />
+        </linearGradient>
+      </defs>
+
+      {/* Stress through the depth */}
+      {bands.map((b) => (
+        <path key={b.key} d={b.d} fill={b.fill} stroke={b.fill} strokeWidth="0.5">
+          <title>{b.title}</title>
+        </path>
+      ))}
+      <path d={band(ri, ro)} fill="none" stroke="#1a73e8" strokeWidth="1" />
+
+      {/* Centroidal and neutral axes */}
+      <path d={axis(Rc)} fill="none" stroke="#2e7d32" strokeDasharray="4 3" />
+      <path d={axis(Rn)} fill="none" stroke="#b71c1c" strokeDasharray="2 2" />
+      <text x={rcX} y={rcY - 2} fontSize="10" textAnchor="end" fill="#2e7d32" style={labelStyle}>R_c = {g(Rc)} m</text>
+      <text x={rnX} y={rnY + 10} fontSize="10" textAnchor="end" fill="#b71c1c" style={labelStyle}>R_n = {g(Rn)} m</text>
+
+      {/* Radii */}
+      <text x={topX} y={outerY - 6} fontSize="10" textAnchor="middle" fill="#333" style={labelStyle}>r_o = {g(ro)} m</text>
+      {showCentre && (
+        <>
+          <line x1={cx} y1={cy} x2={topX} y2={innerY} stroke="#333" strokeWidth="0.8" />
+          <polygon points={arrowHead(cx, cy, topX, innerY)} fill="#333" />
+          <circle cx={cx} cy={cy} r="2.5" fill="#333" />
+          <text x={cx - 6} y={cy + 4} fontSize="10" textAnchor="end" fill="#333" style={labelStyle}>O</text>
+        </>
+      )}
+      <text
+        x={topX + 4}
+        y={showCentre ? (cy + innerY) / 2 : innerY + 14}
+        fontSize="10"
+        textAnchor={showCentre ? 'start' : 'middle'}
+        fill="#333"
+        style={labelStyle}
+      >
+        r_i = {g(ri)} m
+      </text>
+      {!showCentre && (
+        <text x={cx} y={H - bottom + 14} fontSize="10" textAnchor="middle" fill="#333" style={labelStyle}>
+          centre of curvature O is {g(ri)} m below the inner surface
+        </text>
+      )}
+
+      {/* Depth */}
+      <line x1={ex1} y1={ey1} x2={tx1} y2={ty1} stroke="#999" strokeWidth="0.5" />
+      <line x1={ex2} y1={ey2} x2={tx2} y2={ty2} stroke="#999" strokeWidth="0.5" />
+      <line x1={tx1} y1={ty1} x2={tx2} y2={ty2} stroke="#333" strokeWidth="0.8" />
+      <polygon points={arrowHead(tx2, ty2, tx1, ty1)} fill="#333" />
+      <polygon points={arrowHead(tx1, ty1, tx2, ty2)} fill="#333" />
+      <text x={(tx1 + tx2) / 2 + 6} y={(ty1 + ty2) / 2 + 3} fontSize="10" fill="#333" style={labelStyle}>t = {g(t)} m</text>
+
+      {/* Colour legend */}
+      <rect x={legendX} y={legendY} width={legendW} height="8" fill={`url(#${id}-legend)`} stroke="#555" strokeWidth="0.5" />
+      <text x={legendX - 4} y={legendY + 8} fontSize="10" textAnchor="end" fill="#333">{g(-maxAbs)} Pa</text>
+      <text x={legendX + legendW + 4} y={legendY + 8} fontSize="10" fill="#333">{g(maxAbs)} Pa</text>
+      <text x={W / 2} y={legendY + 20} fontSize="10" textAnchor="middle" fill="#333">compression ← σ → tension</text>
+    </svg>
+  )
+}
@@ -0,0 +1,147 @@
+import { Box, Typography } from '@mui/material'
+import { IntegrationMethodLabels, LeverArmRef, SectionSpecs, SectionType } from '../lib/curvedBeam'
+import SectionDiagram from './SectionDiagram'
+import CurvedBeamBenchmark from './CurvedBeamBenchmark'
+import { CalcTable, InputTable, ReportSection } from './ReportParts'
+
+function g(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(5) : '-'
+}
+
+/** Number in an expression, bracketed when negative. */
+function n(v) {
+  return Number.isFinite(v) && v < 0 ? `(${g(v)})` : g(v)
+}
+
+/** Section inputs: the SectionSpecs fields, or the vertex/strip tables. */
+function sectionRows(shape, params) {
+  const rows = [{ label: 'Cross-section', value: SectionSpecs[shape]?.label ?? shape }]
+  for (const def of SectionSpecs[shape]?.params || []) {
+    const [label, unit] = def.label.split(/ \((.*)\)$/)
+    rows.push({ label, value: g(params[def.key]), unit })
+  }
+  if (shape === SectionType.Polygon) {
+    params.vertices.forEach((v, i) => rows.push({ label: `Vertex ${i + 1} (y, z)`, value: `${g(v.y)}, ${g(v.z)}`, unit: 'm' }))
+  }
+  if (shape === SectionType.Composite) {
+    params.strips.forEach((st, i) => rows.push({
+      label: `Strip ${i + 1} (R, t, b_inner, b_outer)`,
+      value: [st.R, st.t, st.bInner, st.bOuter].map(g).join(', '),
+      unit: 'm',
+    }))
+  }
+  return rows
+}
+
+/**
+ * Calculation sheet body for a curved-beam run: inputs, Winkler–Bach steps with numbers
+ * substituted, key results, the exact-elasticity benchmark when given, the section sketch and the page's charts.
+ * @param {{
+ *   shape: string, params: object,
+ *   inputs: { ri: number, M: number, P: number, d: number, dRef: string, angle: number },
+ *   result: ReturnType<import('../lib/curvedBeam').computeCurvedBeam>,
+ *   material?: object | null, strength?: object | null, benchmark?: object | null, charts?: import('react').ReactNode,
+ * }} props
+ */
+export default function CurvedBeamReport({ shape, params, inputs, result, material, strength, benchmark, charts }) {
+  const eccentric = Number.isFinite(inputs.P) && Number.isFinite(inputs.d)
+  const loadRows = eccentric
+    ? [
+        { label: 'Force P (tension +)', value: g(inputs.P), unit: 'N' },
+        { label: `Lever arm d (from ${inputs.dRef === LeverArmRef.Center ? 'centre of curvature' : 'centroid'})`, value: g(inputs.d), unit: 'm' },
+        { label: 'Section angle θ', value: g(inputs.angle), unit: '°' },
+      ]
+    : [{ label: 'Bending moment M', value: g(inputs.M), unit: 'N·m' }]
+  const inputRows = [
+    ...sectionRows(shape, params),
+    { label: 'Inner radius r_i', value: g(result.ok ? result.rInner : inputs.ri), unit: 'm' },
+    ...loadRows,
+  ]
+  if (material) inputRows.push({ label: 'Material', value: material.name })
+
+  if (!result.ok) {
+    return (
+      <>
+        <ReportSection title="Inputs"><InputTable rows={inputRows} /></ReportSection>
+        <Typography color="error">{result.message}</Typography>
+      </>
+    )
+  }
+
+  const r = result
+  const dO = inputs.dRef === LeverArmRef.Center ? inputs.d : inputs.d - r.Rc
+  const steps = [
+    { quantity: 'Area', equation: 'A = ∫ b(y) dy', substituted: `∫₀^${g(r.t)} b(y) dy`, result: g(r.A), unit: 'm²' },
+    { quantity: 'Centroid (from inner face)', equation: 'ȳ = (1/A) ∫ y b(y) dy', substituted: `(1/${g(r.A)}) ∫₀^${g(r.t)} y b(y) dy`, result: g(r.ybar), unit: 'm' },
+    { quantity: 'Centroid radius', equation: 'R_c = r_i + ȳ', substituted: `${g(r.rInner)} + ${g(r.ybar)}`, result: g(r.Rc), unit: 'm' },
+    { quantity: 'Curvature integral', equation: 'S = ∫ b(y) / (r_i + y) dy', substituted: `∫₀^${g(r.t)} b(y) / (${g(r.rInner)} + y) dy`, result: g(r.S), unit: 'm' },
+    { quantity: 'Neutral-axis radius', equation: 'R_n = A / S', substituted: `${g(r.A)} / ${g(r.S)}`, result: g(r.Rn), unit: 'm' },
+    { quantity: 'Neutral axis (from inner face)', equation: 'y_n = R_n − r_i', substituted: `${g(r.Rn)} − ${g(r.rInner)}`, result: g(r.yn), unit: 'm' },
+    { quantity: 'Eccentricity', equation: 'e = ȳ − y_n', substituted: `${g(r.ybar)} − ${g(r.yn)}`, result: g(r.e), unit: 'm' },
+  ]
+  if (eccentric) {
+    steps.push(
+      { quantity: 'Axial force', equation: 'N = P cos θ', substituted: `${n(inputs.P)} × cos ${g(inputs.angle)}°`, result: g(r.N), unit: 'N' },
+      { quantity: 'Shear force', equation: 'V = P sin θ', substituted: `${n(inputs.P)} × sin ${g(inputs.angle)}°`, result: g(r.V), unit: 'N' },
+      {
+        quantity: 'Moment about centroid',
+        equation: 'M = P (d_O + R_c cos θ)',
+        substituted: `${n(inputs.P)} × (${n(dO)} + ${g(r.Rc)} × cos ${g(inputs.angle)}°)`,
+        result: g(r.M),
+        unit: 'N·m',
+      },
+    )
+  }
+  const sigmaAt = (label, rr, sigma) => ({
+    quantity: `Stress at ${label} fibre`,
+    equation: 'σ(r) = N/A + M (R_n − r) / (A e r)',
+    substituted: `${n(r.N)}/${g(r.A)} + ${n(r.M)} × (${g(r.Rn)} − ${g(rr)}) / (${g(r.A)} × ${g(r.e)} × ${g(rr)})`,
+    result: g(sigma),
+    unit: 'Pa',
+  })
+  steps.push(sigmaAt('inner', r.rInner, r.sigmaInner), sigmaAt('outer', r.rOuter, r.sigmaOuter))
+
+  const resultRows = [
+    { label: 'Axial stress N/A', value: g(r.sigmaAxial), unit: 'Pa' },
+    { label: 'Combined σ at inner fibre', value: g(r.sigmaInner), unit: 'Pa' },
+    { label: 'Combined σ at outer fibre', value: g(r.sigmaOuter), unit: 'Pa' },
+    { label: 'Straight-beam σ (Mc/I), inner / outer', value: `${g(r.sigmaStraightInner)} / ${g(r.sigmaStraightOuter)}`, unit: 'Pa' },
+    { label: 'Curvature factors K_i / K_o', value: `${g(r.Ki)} / ${g(r.Ko)}` },
+    { label: 'Shear τ_avg = V/A', value: g(r.tauAvg), unit: 'Pa' },
+    { label: `Peak radial σ_r (at r = ${g(r.radialPeak.atR)} m, ${g(r.radialRatio * 100)}% of peak σ)`, value: g(r.radialPeak.value), unit: 'Pa' },
+    { label: `Max tension (${r.maxTension.side})`, value: g(r.maxTension.value), unit: 'Pa' },
+    { label: `Max compression (${r.maxCompression.side})`, value: g(r.maxCompression.value), unit: 'Pa' },
+    { label: `Numerical error (${IntegrationMethodLabels[r.errors.method]}), e / σ_inner / σ_outer`, value: `±${g(r.errors.e)} m / ±${g(r.errors.sigmaInner)} Pa / ±${g(r.errors.sigmaOuter)} Pa` },
+  ]
+  if (strength?.ok) {
+    resultRows.push({
+      label: `Factor of safety (${strength.basis} strength, governed by ${strength.governing})`,
+      value: `${Number.isFinite(strength.fos) ? strength.fos.toPrecision(3) : '∞'} — ${strength.pass ? 'OK' : 'FAILS'}`,
+    })
+  }
+
+  return (
+    <>
+      <ReportSection title="Inputs"><InputTable rows={inputRows} /></ReportSection>
+      <ReportSection title="Calculation (Winkler–Bach)">
+        <CalcTable rows={steps} />
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          y is measured radially from the inner face, r = r_i + y from the centre of curvature; tension positive.
+        </Typography>
+      </ReportSection>
+      <ReportSection title="Results">
+        <InputTable rows={resultRows} />
+        {r.warnings.map((w) => (
+          <Typography key={w} variant="body2" color="warning.main">{w}</Typography>
+        ))}
+      </ReportSection>
+      {benchmark?.ok && <ReportSection title="Exact elasticity benchmark"><CurvedBeamBenchmark benchmark={benchmark} /></ReportSection>}
+      <ReportSection title="Section">
+        <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+          <SectionDiagram shape={shape} params={params} result={r} />
+        </Box>
+      </ReportSection>
+      {charts && <ReportSection title="Diagrams"><Box sx={{ display: 'grid', gap: 2 }}>{charts}</Box></ReportSection>}
+    </>
+  )
+}
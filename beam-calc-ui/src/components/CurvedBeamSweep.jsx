@@ -0,0 +1,203 @@
+import { useMemo, useState } from 'react'
+import { Box, Button, MenuItem, TextField, Typography } from '@mui/material'
+import { Line } from 'react-chartjs-2'
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js'
+import { computeCurvedBeam } from '../lib/curvedBeam'
+import {
+  MAX_STEPS,
+  SweepMode,
+  parameterValue,
+  sweepCurvedBeam,
+  sweepCurvedBeamGrid,
+  sweepParameters,
+  sweepRange,
+} from '../lib/curvedBeamSweep'
+import SweepHeatmap from './SweepHeatmap'
+
+ChartJS.register(LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
+
+function numberOrNaN(x) {
+  if (x === '' || x === null || x === undefined) return NaN
+  const n = Number(x)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(4) : '-'
+}
+
+/** Starting range for a swept input: half to twice its current value (0–90° for the angle). */
+function defaultAxis(input, id, steps) {
+  if (id === 'angle') return { id, from: '0', to: '90', steps }
+  const v = parameterValue(input, id)
+  if (!Number.isFinite(v) || v === 0) return { id, from: '0', to: '1', steps }
+  return { id, from: String(Number((v / 2).toPrecision(3))), to: String(Number((v * 2).toPrecision(3))), steps }
+}
+
+/**
+ * Axis settings in effect: the chosen input if it can still be swept, otherwise (or when none is
+ * chosen yet) the first that can, over its default range.
+ */
+function effectiveAxis(axis, options, input) {
+  if (options.some((o) => o.id === axis.id)) return axis
+  return options.length ? defaultAxis(input, options[0].id, axis.steps) : axis
+}
+
+function lineSet(label, color, data, extra = {}) {
+  return { label, data, borderColor: `rgba(${color}, 1)`, backgroundColor: `rgba(${color}, 0.2)`, tension: 0, pointRadius: 0, ...extra }
+}
+
+/**
+ * Parametric sweep of the curved-beam analysis. One input stepped over a range plots σ at the
+ * inner and outer fibres, e and y_n against it; two inputs give a heatmap of the peak |σ|.
+ * @param {{
+ *   value: { mode: string, x: { id: string, from: string, to: string, steps: string }, y: object },
+ *   onChange: (value: object) => void,
+ *   input: object,
+ * }} props input: the page's computeCurvedBeam input, held stable between renders
+ */
+export default function CurvedBeamSweep({ value, onChange, input }) {
+  const options = useMemo(() => sweepParameters(input), [input])
+  const set = (patch) => onChange({ ...value, ...patch })
+
+  const x = effectiveAxis(value.x, options, input)
+  const yOptions = options.filter((o) => o.id !== x.id)
+  const y = effectiveAxis(value.y, yOptions, input)
+  const labelOf = (id) => options.find((o) => o.id === id)?.label ?? id
+
+  const gridMode = value.mode === SweepMode.Grid && yOptions.length > 0
+  const max = gridMode ? MAX_STEPS.grid : MAX_STEPS.single
+  const xRange = sweepRange(numberOrNaN(x.from), numberOrNaN(x.to), Number(x.steps), max)
+  const yRange = sweepRange(numberOrNaN(y.from), numberOrNaN(y.to), Number(y.steps), MAX_STEPS.grid)
+  const xValues = xRange.ok ? xRange.values.join() : ''
+  const yValues = yRange.ok ? yRange.values.join() : ''
+
+  // Keyed on the value lists as strings so unchanged ranges are not re-run
+  const single = useMemo(
+    () => (!gridMode && xValues ? sweepCurvedBeam(input, x.id, xValues.split(',').map(Number)) : null),
+    [gridMode, input, x.id, xValues],
+  )
+  // A grid can take seconds for polygon sections, so it runs on request rather than on every edit
+  const [gridRun, setGridRun] = useState(null)
+  const gridKey = `${x.id};${xValues};${y.id};${yValues}`
+  const runGrid = () => setGridRun({
+    input,
+    key: gridKey,
+    x: { id: x.id, label: labelOf(x.id), values: xRange.values },
+    y: { id: y.id, label: labelOf(y.id), values: yRange.values },
+    ...sweepCurvedBeamGrid(input, { id: x.id, values: xRange.values }, { id: y.id, values: yRange.values }),
+  })
+  const grid = gridMode ? gridRun : null
+  const gridStale = grid && (grid.input !== input || grid.key !== gridKey)
+  const current = useMemo(() => computeCurvedBeam({ ...input, samples: 2 }), [input])
+
+  const axisFields = (axis, setAxis, list, caption) => (
+    <Box sx={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr', gap: 1 }}>
+      <TextField
+        select
+        label={caption}
+        value={axis.id}
+        onChange={(e) => setAxis(defaultAxis(input, e.target.value, axis.steps))}
+        size="small"
+      >
+        {list.map((o) => <MenuItem key={o.id} value={o.id}>{o.label}</MenuItem>)}
+      </TextField>
+      <TextField label="From" value={axis.from} onChange={(e) => setAxis({ ...axis, from: e.target.value })} size="small" />
+      <TextField label="To" value={axis.to} onChange={(e) => setAxis({ ...axis, to: e.target.value })} size="small" />
+      <TextField label="Steps" value={axis.steps} onChange={(e) => setAxis({ ...axis, steps: e.target.value })} size="small" />
+    </Box>
+  )
+
+  const failureNote = (sweep, total) => sweep?.failed > 0 && (
+    <Typography variant="body2" color="warning.main">
+      {sweep.failed} of {total} points could not be analysed and are left blank (first: {sweep.message})
+    </Typography>
+  )
+
+  const chartOptions = (title, yTitle) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'top' }, tooltip: { mode: 'index', intersect: false }, title: { display: true, text: title } },
+    interaction: { mode: 'index', intersect: false },
+    scales: { x: { type: 'linear', title: { display: true, text: labelOf(x.id) } }, y: { title: { display: true, text: yTitle } } },
+  })
+
+  const currentValue = parameterValue(input, x.id)
+  const marker = current.ok && Number.isFinite(currentValue)
+    ? [lineSet('Current design', '0, 0, 0', [{ x: currentValue, y: current.sigmaInner }, { x: currentValue, y: current.sigmaOuter }], { showLine: false, pointRadius: 4 })]
+    : []
+
+  let body = null
+  if (single) {
+    const pts = single.points
+    const lowest = pts.reduce((best, p) => (Number.isFinite(p.peak) && !(p.peak >= best.peak) ? p : best), { peak: NaN })
+    const stressData = {
+      datasets: [
+        lineSet('σ inner [Pa]', '255, 99, 132', pts.map((p) => ({ x: p.value, y: p.sigmaInner }))),
+        lineSet('σ outer [Pa]', '54, 162, 235', pts.map((p) => ({ x: p.value, y: p.sigmaOuter }))),
+        ...marker,
+      ],
+    }
+    const axisData = {
+      datasets: [
+        lineSet('e [m]', '75, 192, 192', pts.map((p) => ({ x: p.value, y: p.e }))),
+        lineSet('y_n (from inner) [m]', '153, 102, 255', pts.map((p) => ({ x: p.value, y: p.yn }))),
+      ],
+    }
+    body = (
+      <>
+        {failureNote(single, pts.length)}
+        <Box sx={{ height: 240 }}><Line options={chartOptions('Combined stress at the extreme fibres', 'σ (Pa)')} data={stressData} /></Box>
+        <Box sx={{ height: 200 }}><Line options={chartOptions('Neutral-axis position', 'Length (m)')} data={axisData} /></Box>
+        {Number.isFinite(lowest.peak) && (
+          <Typography variant="body2">
+            Lowest peak |σ| in the range: <strong>{fmt(lowest.peak)}</strong> Pa at {labelOf(x.id)} = {fmt(lowest.value)}
+          </Typography>
+        )}
+      </>
+    )
+  }
+  if (grid) {
+    body = (
+      <>
+        {gridStale && <Typography variant="body2" color="warning.main">Inputs have changed since this heatmap was drawn.</Typography>}
+        {failureNote(grid, grid.x.values.length * grid.y.values.length)}
+        <SweepHeatmap
+          x={grid.x}
+          y={grid.y}
+          z={grid.peak}
+          zLabel="Peak |σ| (Pa)"
+          marker={{ x: parameterValue(grid.input, grid.x.id), y: parameterValue(grid.input, grid.y.id) }}
+        />
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          Larger of |σ| at the inner and outer fibres; hover a cell for its values. The ring marks the current design.
+        </Typography>
+      </>
+    )
+  }
+
+  if (options.length === 0) return <Typography variant="body2">This section has no inputs that can be swept.</Typography>
+
+  return (
+    <Box sx={{ display: 'grid', gap: 2 }}>
+      <TextField select label="Sweep" value={value.mode} onChange={(e) => set({ mode: e.target.value })} size="small" sx={{ maxWidth: 280 }}>
+        <MenuItem value={SweepMode.Single}>One input (line plots)</MenuItem>
+        <MenuItem value={SweepMode.Grid} disabled={options.length < 2}>Two inputs (heatmap of peak |σ|)</MenuItem>
+      </TextField>
+      {axisFields(x, (axis) => set({ x: axis }), options, gridMode ? 'Horizontal axis' : 'Swept input')}
+      {!xRange.ok && <Typography variant="body2" color="error">{xRange.message}</Typography>}
+      {gridMode && (
+        <>
+          {axisFields(y, (axis) => set({ y: axis }), yOptions, 'Vertical axis')}
+          {!yRange.ok && <Typography variant="body2" color="error">{yRange.message}</Typography>}
+          <Box>
+            <Button onClick={runGrid} disabled={!xRange.ok || !yRange.ok} variant={!grid || gridStale ? 'contained' : 'outlined'} size="small">
+              Draw heatmap
+            </Button>
+          </Box>
+        </>
+      )}
+      {body}
+    </Box>
+  )
+}
@@ -0,0 +1,38 @@
+import { useState } from 'react'
+import { Button, ListItemText, Menu, MenuItem } from '@mui/material'
+import DownloadIcon from '@mui/icons-material/Download'
+import { downloadFile, toCsv, toJson } from '../lib/dataExport'
+
+/**
+ * "Export" button offering the current results as CSV or JSON.
+ * The data is built only when a format is picked.
+ * @param {{ filename: string, build: () => import('../lib/dataExport').ExportData | null }} props
+ *   filename: base name without extension; build returns null when there is nothing to export
+ */
+export default function ExportMenu({ filename, build }) {
+  const [anchor, setAnchor] = useState(null)
+
+  const save = (format) => {
+    setAnchor(null)
+    const data = build()
+    if (!data) return
+    if (format === 'csv') downloadFile(`${filename}.csv`, toCsv(data), 'text/csv;charset=utf-8')
+    else downloadFile(`${filename}.json`, toJson(data), 'application/json')
+  }
+
+  return (
+    <>
+      <Button startIcon={<DownloadIcon />} onClick={(e) => setAnchor(e.currentTarget)} size="small" sx={{ mt: 1 }}>
+        Export
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+        <MenuItem onClick={() => save('csv')}>
+          <ListItemText primary="CSV" secondary="Spreadsheets; units in the headers" />
+        </MenuItem>
+        <MenuItem onClick={() => save('json')}>
+          <ListItemText primary="JSON" secondary="Scripts and correlation tools" />
+        </MenuItem>
+      </Menu>
+    </>
+  )
+}
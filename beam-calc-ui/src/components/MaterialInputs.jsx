@@ -0,0 +1,122 @@
+import { useState } from 'react'
+import { Box, Button, Checkbox, FormControlLabel, IconButton, ListSubheader, MenuItem, TextField, Typography } from '@mui/material'
+import AddIcon from '@mui/icons-material/Add'
+import DeleteIcon from '@mui/icons-material/Delete'
+import {
+  Criterion,
+  MaterialClass,
+  MaterialClassLabels,
+  findMaterial,
+  formatStress,
+  loadCustomMaterials,
+  materialLibrary,
+  saveCustomMaterials,
+  validateMaterial,
+} from '../lib/materials'
+
+const emptyDraft = { name: '', E: '', fy: '', fu: '', fuc: '', brittle: false }
+
+/**
+ * Material picker with strength criterion, shared by both calculator pages.
+ * The selection is stored by id; user-defined materials are kept in local storage.
+ * @param {{
+ *   value: { materialId: string, criterion: string, requiredFos: string },
+ *   onChange: (value: object) => void,
+ *   onSelectMaterial?: (material: object) => void,
+ * }} props
+ */
+export default function MaterialInputs({ value, onChange, onSelectMaterial }) {
+  const [custom, setCustom] = useState(loadCustomMaterials)
+  const [draft, setDraft] = useState(null)
+  const [draftError, setDraftError] = useState('')
+
+  const material = findMaterial(value.materialId, custom)
+  const groups = Object.entries(MaterialClassLabels)
+    .map(([cls, label]) => [label, [...materialLibrary, ...custom].filter((m) => m.cls === cls)])
+    .filter(([, list]) => list.length > 0)
+
+  const select = (id) => {
+    onChange({ ...value, materialId: id })
+    const m = findMaterial(id, custom)
+    if (m) onSelectMaterial?.(m)
+  }
+
+  const addMaterial = () => {
+    const num = (s) => (String(s).trim() === '' ? NaN : Number(s))
+    const m = { name: draft.name.trim(), E: num(draft.E), fy: num(draft.fy), fu: num(draft.fu), fuc: num(draft.fuc), brittle: draft.brittle }
+    const check = validateMaterial(m)
+    if (!check.ok) return setDraftError(check.message)
+    const entry = { ...m, id: `custom-${Date.now().toString(36)}`, cls: MaterialClass.Custom }
+    const list = [...custom, entry]
+    setCustom(list)
+    saveCustomMaterials(list)
+    setDraft(null)
+    setDraftError('')
+    onChange({ ...value, materialId: entry.id })
+    onSelectMaterial?.(entry)
+  }
+
+  const removeMaterial = (id) => {
+    const list = custom.filter((m) => m.id !== id)
+    setCustom(list)
+    saveCustomMaterials(list)
+    onChange({ ...value, materialId: '' })
+  }
+
+  return (
+    <Box sx={{ display: 'grid', gap: 2 }}>
+      <Typography variant="subtitle2">Material</Typography>
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+        <TextField select label="Material" value={material ? material.id : ''} onChange={(e) => select(e.target.value)} size="small" sx={{ flexGrow: 1 }}>
+          <MenuItem value="">None (no strength check)</MenuItem>
+          {groups.flatMap(([label, list]) => [
+            <ListSubheader key={label}>{label}</ListSubheader>,
+            ...list.map((m) => <MenuItem key={m.id} value={m.id}>{m.name}</MenuItem>),
+          ])}
+        </TextField>
+        {material?.cls === MaterialClass.Custom && (
+          <IconButton aria-label="Delete material" onClick={() => removeMaterial(material.id)} size="small">
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        )}
+      </Box>
+      {material && (
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          E = {(material.E / 1e9).toPrecision(4)} GPa
+          {material.brittle
+            ? `, brittle: f_u = ${formatStress(material.fu)} (tension), f_uc = ${formatStress(material.fuc)} (compression)`
+            : `, f_y = ${formatStress(material.fy)}, f_u = ${formatStress(material.fu)}`}
+        </Typography>
+      )}
+      {draft ? (
+        <Box sx={{ display: 'grid', gap: 1, p: 1, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+          <TextField label="Name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} size="small" />
+          <TextField label="Young's modulus E (Pa)" value={draft.E} onChange={(e) => setDraft({ ...draft, E: e.target.value })} size="small" />
+          <FormControlLabel
+            control={<Checkbox size="small" checked={draft.brittle} onChange={(e) => setDraft({ ...draft, brittle: e.target.checked })} />}
+            label="Brittle (separate tension/compression limits)"
+          />
+          {!draft.brittle && <TextField label="Yield strength f_y (Pa)" value={draft.fy} onChange={(e) => setDraft({ ...draft, fy: e.target.value })} size="small" />}
+          <TextField label="Ultimate tensile strength f_u (Pa)" value={draft.fu} onChange={(e) => setDraft({ ...draft, fu: e.target.value })} size="small" />
+          {draft.brittle && <TextField label="Ultimate compressive strength f_uc (Pa)" value={draft.fuc} onChange={(e) => setDraft({ ...draft, fuc: e.target.value })} size="small" />}
+          {draftError && <Typography color="error" variant="body2">{draftError}</Typography>}
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button onClick={addMaterial} size="small" variant="contained">Save material</Button>
+            <Button onClick={() => { setDraft(null); setDraftError('') }} size="small">Cancel</Button>
+          </Box>
+        </Box>
+      ) : (
+        <Button startIcon={<AddIcon />} onClick={() => setDraft(emptyDraft)} size="small" sx={{ justifySelf: 'start' }}>
+          Add custom material
+        </Button>
+      )}
+      <TextField select label="Strength criterion" value={value.criterion} onChange={(e) => onChange({ ...value, criterion: e.target.value })} size="small">
+        <MenuItem value={Criterion.Yield}>Strength limit (FoS ≥ 1)</MenuItem>
+        <MenuItem value={Criterion.Allowable}>Allowable stress (limit / required FoS)</MenuItem>
+      </TextField>
+      {value.criterion === Criterion.Allowable && (
+        <TextField label="Required factor of safety" value={value.requiredFos} onChange={(e) => onChange({ ...value, requiredFos: e.target.value })} size="small" />
+      )}
+    </Box>
+  )
+}
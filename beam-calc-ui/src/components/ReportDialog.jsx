@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { Box, Button, Dialog, Divider, TextField, Typography } from '@mui/material'
+import PrintIcon from '@mui/icons-material/Print'
+
+const HEADER_KEY = 'report.header'
+
+function loadHeader() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HEADER_KEY) || '{}')
+    return {
+      project: typeof saved.project === 'string' ? saved.project : '',
+      engineer: typeof saved.engineer === 'string' ? saved.engineer : '',
+    }
+  } catch {
+    return { project: '', engineer: '' }
+  }
+}
+function saveHeader(header) {
+  try {
+    localStorage.setItem(HEADER_KEY, JSON.stringify(header))
+  } catch {
+    // Storage unavailable; the header is typed again next time
+  }
+}
+
+/**
+ * Full-screen calculation sheet with a project/engineer/date header, printable from the browser
+ * (print to PDF for a file). Only the sheet is printed: the page behind it and the toolbar are
+ * hidden by the print styles in index.css.
+ * @param {{ open: boolean, onClose: () => void, title: string, children: import('react').ReactNode }} props
+ */
+export default function ReportDialog({ open, onClose, title, children }) {
+  const [header, setHeader] = useState(loadHeader)
+  const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10))
+
+  const setField = (key, value) => {
+    const next = { ...header, [key]: value }
+    setHeader(next)
+    saveHeader(next)
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} fullScreen className="report-dialog">
+      <Box className="no-print" sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center', p: 2, borderBottom: 1, borderColor: 'divider' }}>
+        <TextField label="Project" value={header.project} onChange={(e) => setField('project', e.target.value)} size="small" />
+        <TextField label="Engineer" value={header.engineer} onChange={(e) => setField('engineer', e.target.value)} size="small" />
+        <TextField label="Date" type="date" value={date} onChange={(e) => setDate(e.target.value)} size="small" slotProps={{ inputLabel: { shrink: true } }} />
+        <Box sx={{ flexGrow: 1 }} />
+        <Button startIcon={<PrintIcon />} onClick={() => window.print()} variant="contained" size="small">Print / save PDF</Button>
+        <Button onClick={onClose} size="small">Close</Button>
+      </Box>
+      <Box className="report-sheet" sx={{ maxWidth: 900, width: '100%', mx: 'auto', p: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', gap: 2 }}>
+          <Typography variant="h5">{title}</Typography>
+          <Box sx={{ textAlign: 'right' }}>
+            <Typography variant="body2">Project: <strong>{header.project || '—'}</strong></Typography>
+            <Typography variant="body2">Engineer: <strong>{header.engineer || '—'}</strong></Typography>
+            <Typography variant="body2">Date: <strong>{date || '—'}</strong></Typography>
+          </Box>
+        </Box>
+        <Divider sx={{ my: 2 }} />
+        {children}
+      </Box>
+    </Dialog>
+  )
+}
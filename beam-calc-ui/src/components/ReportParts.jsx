@@ -0,0 +1,65 @@
+import { Box, Table, TableBody, TableCell, TableHead, TableRow, Typography } from '@mui/material'
+
+const mono = { fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace', fontSize: '0.8rem' }
+
+/**
+ * Titled block of a calculation report; kept on one printed page where possible.
+ * @param {{ title: string, children: import('react').ReactNode }} props
+ */
+export function ReportSection({ title, children }) {
+  return (
+    <Box component="section" sx={{ mb: 3, breakInside: 'avoid' }}>
+      <Typography variant="h6" sx={{ mb: 1 }}>{title}</Typography>
+      {children}
+    </Box>
+  )
+}
+
+/**
+ * Input listing: quantity, value and unit.
+ * @param {{ rows: { label: string, value: string, unit?: string }[] }} props
+ */
+export function InputTable({ rows }) {
+  return (
+    <Table size="small">
+      <TableBody>
+        {rows.map((row, i) => (
+          <TableRow key={i}>
+            <TableCell sx={{ width: '50%' }}>{row.label}</TableCell>
+            <TableCell sx={mono}>{row.value}</TableCell>
+            <TableCell>{row.unit ?? ''}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  )
+}
+
+/**
+ * Calculation steps: each equation, the same with numbers substituted, and the result.
+ * @param {{ rows: { quantity: string, equation: string, substituted: string, result: string, unit?: string }[] }} props
+ */
+export function CalcTable({ rows }) {
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Quantity</TableCell>
+          <TableCell>Equation</TableCell>
+          <TableCell>Substituted</TableCell>
+          <TableCell>Result</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rows.map((row, i) => (
+          <TableRow key={i}>
+            <TableCell>{row.quantity}</TableCell>
+            <TableCell sx={mono}>{row.equation}</TableCell>
+            <TableCell sx={mono}>{row.substituted}</TableCell>
+            <TableCell sx={{ ...mono, whiteSpace: 'nowrap' }}>{row.result}{row.unit ? ` ${row.unit}` : ''}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  )
+}
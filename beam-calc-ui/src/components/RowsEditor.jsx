@@ -0,0 +1,37 @@
+import { Box, Button, IconButton, TextField, Typography } from '@mui/material'
+import AddIcon from '@mui/icons-material/Add'
+import DeleteIcon from '@mui/icons-material/Delete'
+import { newRowId } from '../lib/rows'
+
+/**
+ * Numbered table of text fields with add/remove, e.g. polygon vertices or built-up strips.
+ * Rows keep raw strings ({ id, ...columns }); the page converts them to numbers.
+ * @param {{ title: string, columns: {key: string, label: string}[], rows: object[], onChange: (rows: object[]) => void, newRow: () => object, addLabel: string, error?: string, warnings?: string[] }} props
+ */
+export default function RowsEditor({ title, columns, rows, onChange, newRow, addLabel, error, warnings = [] }) {
+  const update = (id, patch) => onChange(rows.map((row) => (row.id === id ? { ...row, ...patch } : row)))
+
+  return (
+    <Box sx={{ display: 'grid', gap: 1 }}>
+      <Typography variant="subtitle2">{title}</Typography>
+      {rows.map((row, i) => (
+        <Box key={row.id} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <Typography variant="body2" sx={{ width: 20, color: 'text.secondary' }}>{i + 1}</Typography>
+          {columns.map((col) => (
+            <TextField key={col.key} label={col.label} value={row[col.key] ?? ''} onChange={(e) => update(row.id, { [col.key]: e.target.value })} size="small" sx={{ flex: 1, minWidth: 0 }} />
+          ))}
+          <IconButton aria-label="Remove row" onClick={() => onChange(rows.filter((r) => r.id !== row.id))} size="small">
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+      <Button startIcon={<AddIcon />} onClick={() => onChange([...rows, { ...newRow(), id: newRowId() }])} size="small" sx={{ justifySelf: 'start' }}>
+        {addLabel}
+      </Button>
+      {error && <Typography variant="body2" color="error">{error}</Typography>}
+      {warnings.map((w) => (
+        <Typography key={w} variant="body2" color="warning.main">{w}</Typography>
+      ))}
+    </Box>
+  )
+}
@@ -0,0 +1,50 @@
+import { useState } from 'react'
+import { Link as RouterLink } from 'react-router-dom'
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, Link, TextField, Typography } from '@mui/material'
+import SaveIcon from '@mui/icons-material/Save'
+import { addCase, loadCases, saveCases } from '../lib/caseLibrary'
+
+/**
+ * Saves the current inputs of a page as a named case in the case library.
+ * @param {{ page: string, version: number, inputs: object }} props
+ *   page: a `CasePage`; version and inputs: the page's shareable state, as encoded in links
+ */
+export default function SaveCaseButton({ page, version, inputs }) {
+  const [open, setOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [status, setStatus] = useState(null)
+
+  const save = () => {
+    const list = addCase(loadCases(), { name, page, version, inputs })
+    const result = saveCases(list)
+    setStatus(result.ok ? { ok: true, message: `Saved as “${list.at(-1).name}”` } : result)
+  }
+
+  const close = () => {
+    setOpen(false)
+    setStatus(null)
+  }
+
+  return (
+    <>
+      <Button startIcon={<SaveIcon />} onClick={() => { setName(''); setOpen(true) }} size="small" sx={{ mt: 1 }}>
+        Save case
+      </Button>
+      <Dialog open={open} onClose={close} fullWidth maxWidth="xs">
+        <DialogTitle>Save case</DialogTitle>
+        <DialogContent sx={{ display: 'grid', gap: 1 }}>
+          {status ? (
+            <Typography color={status.ok ? 'success.main' : 'error'}>{status.message}</Typography>
+          ) : (
+            <TextField autoFocus label="Case name" value={name} onChange={(e) => setName(e.target.value)} size="small" sx={{ mt: 1 }} />
+          )}
+          <Link component={RouterLink} to="/cases" variant="body2">Open the case library</Link>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close}>{status ? 'Close' : 'Cancel'}</Button>
+          {!status && <Button onClick={save} variant="contained">Save</Button>}
+        </DialogActions>
+      </Dialog>
+    </>
+  )
+}
@@ -0,0 +1,68 @@
+import { Typography } from '@mui/material'
+import { sectionOutline } from '../lib/curvedBeam'
+
+const labelStyle = { paintOrder: 'stroke', stroke: '#fff', strokeWidth: 3 }
+
+/**
+ * Render a cross-section outline as an SVG, inner surface at the top (y = 0) and outer at the bottom (y = t).
+ * Hollow sections show their holes; centroid (ȳ) and neutral axis (y_n) are marked when available.
+ * Note: This is a schematic for learning/inspection; width and depth are scaled independently.
+ * @param {{ shape: string, params: object, result?: { yn: number, ybar: number } }} props
+ */
+export default function SectionDiagram({ shape, params, result }) {
+  const outline = sectionOutline(shape, params)
+  if (!outline || !(outline.t > 0)) return <Typography variant="body2">Invalid geometry</Typography>
+  const { t, solids, holes } = outline
+
+  const zs = solids.flat().map(([, z]) => z)
+  const zMin = Math.min(...zs)
+  const zMax = Math.max(...zs)
+
+  // SVG dims
+  const W = 320
+  const H = 180
+  const padX = 24
+  const padY = 16
+  const innerW = W - 2 * padX
+  const innerH = H - 2 * padY
+
+  const scaleX = innerW / Math.max(1e-9, zMax - zMin)
+  const scaleY = innerH / t
+
+  const yToSvg = (y) => padY + y * scaleY
+  const zToSvg = (z) => W / 2 + (z - (zMin + zMax) / 2) * scaleX
+  const points = (loop) => loop.map(([y, z]) => `${zToSvg(z)},${yToSvg(y)}`).join(' ')
+
+  const yn = Number(result?.yn) // from inner surface
+  const ybar = Number(result?.ybar)
+
+  return (
+    <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`}>
+      {/* Outline */}
+      {solids.map((loop, i) => (
+        <polygon key={`s${i}`} points={points(loop)} fill="#e8f0fe" stroke="#1a73e8" strokeWidth="1" />
+      ))}
+      {holes.map((loop, i) => (
+        <polygon key={`h${i}`} points={points(loop)} fill="#fff" stroke="#1a73e8" strokeWidth="1" />
+      ))}
+
+      {/* Inner/Outer lines */}
+      <text x={padX} y={Math.max(12, yToSvg(0) - 6)} fontSize="10" fill="#333" textAnchor="start" style={labelStyle}>inner (y=0)</text>
+      <text x={padX} y={Math.min(H - 6, yToSvg(t) + 12)} fontSize="10" fill="#333" textAnchor="start" style={labelStyle}>outer (y=t)</text>
+
+      {/* Centroid and neutral axis */}
+      {Number.isFinite(ybar) && (
+        <>
+          <line x1={padX} x2={W - padX} y1={yToSvg(ybar)} y2={yToSvg(ybar)} stroke="#2e7d32" strokeDasharray="4 3" />
+          <text x={padX + 2} y={yToSvg(ybar) - 4} fontSize="10" textAnchor="start" fill="#2e7d32" style={labelStyle}>centroid ȳ</text>
+        </>
+      )}
+      {Number.isFinite(yn) && (
+        <>
+          <line x1={padX} x2={W - padX} y1={yToSvg(yn)} y2={yToSvg(yn)} stroke="#b71c1c" strokeDasharray="2 2" />
+          <text x={W - padX - 2} y={yToSvg(yn) + 12} fontSize="10" textAnchor="end" fill="#b71c1c" style={labelStyle}>neutral axis y_n</text>
+        </>
+      )}
+    </svg>
+  )
+}
@@ -0,0 +1,67 @@
+import { MenuItem, TextField } from '@mui/material'
+import { SectionSpecs, SectionType, checkStrips, validatePolygon } from '../lib/curvedBeam'
+import RowsEditor from './RowsEditor'
+
+const vertexColumns = [
+  { key: 'y', label: 'y radial (m)' },
+  { key: 'z', label: 'z width (m)' },
+]
+const stripColumns = [
+  { key: 'R', label: 'Inner radius R (m)' },
+  { key: 't', label: 'Thickness t (m)' },
+  { key: 'bInner', label: 'b inner (m)' },
+  { key: 'bOuter', label: 'b outer (m)' },
+]
+
+/**
+ * Cross-section shape select and its dimension fields, generated from `SectionSpecs`,
+ * with the vertex and strip editors for polygon and built-up sections.
+ * `children` are rendered between the shape select and the dimensions.
+ * @param {{
+ *   shape: string, onShapeChange: (shape: string) => void,
+ *   dims: object, onDimChange: (key: string, value: string) => void,
+ *   vertices: object[], onVerticesChange: (rows: object[]) => void,
+ *   strips: object[], onStripsChange: (rows: object[]) => void,
+ *   params: object, children?: import('react').ReactNode,
+ * }} props
+ */
+export default function SectionInputs({ shape, onShapeChange, dims, onDimChange, vertices, onVerticesChange, strips, onStripsChange, params, children }) {
+  return (
+    <>
+      <TextField select label="Cross-section" value={shape} onChange={(e) => onShapeChange(e.target.value)} size="small" helperText={SectionSpecs[shape]?.note}>
+        {Object.entries(SectionSpecs).map(([type, spec]) => (
+          <MenuItem key={type} value={type}>{spec.label}</MenuItem>
+        ))}
+      </TextField>
+      {children}
+
+      {SectionSpecs[shape]?.params.map((def) => (
+        <TextField key={def.key} label={def.label} value={dims[def.key] ?? ''} onChange={(e) => onDimChange(def.key, e.target.value)} size="small" />
+      ))}
+
+      {shape === SectionType.Polygon && (
+        <RowsEditor
+          title="Outline vertices (in order around the section)"
+          columns={vertexColumns}
+          rows={vertices}
+          onChange={onVerticesChange}
+          newRow={() => ({ y: '0', z: '0' })}
+          addLabel="Add vertex"
+          error={validatePolygon(params.vertices).message}
+        />
+      )}
+
+      {shape === SectionType.Composite && (
+        <RowsEditor
+          title="Strips (inner to outer)"
+          columns={stripColumns}
+          rows={strips}
+          onChange={onStripsChange}
+          newRow={() => ({ R: '', t: '', bInner: '', bOuter: '' })}
+          addLabel="Add strip"
+          warnings={params.strips?.length ? checkStrips(params.strips).messages : []}
+        />
+      )}
+    </>
+  )
+}
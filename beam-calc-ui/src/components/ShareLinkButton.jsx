@@ -0,0 +1,26 @@
+import { useState } from 'react'
+import { Button } from '@mui/material'
+import LinkIcon from '@mui/icons-material/Link'
+
+/**
+ * Copies the current page URL (which carries the analysis state) to the clipboard.
+ */
+export default function ShareLinkButton() {
+  const [label, setLabel] = useState('Copy link')
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setLabel('Link copied')
+    } catch {
+      setLabel('Copy the address bar')
+    }
+    setTimeout(() => setLabel('Copy link'), 2000)
+  }
+
+  return (
+    <Button startIcon={<LinkIcon />} onClick={copy} size="small" sx={{ mt: 1, mr: 1 }}>
+      {label}
+    </Button>
+  )
+}
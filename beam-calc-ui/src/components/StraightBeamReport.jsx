@@ -0,0 +1,148 @@
+import { Typography } from '@mui/material'
+import { LoadSpecs, LoadType, SupportSpecs, SupportType } from '../lib/beamCalc'
+import BeamCharts from './BeamCharts'
+import { CalcTable, InputTable, ReportSection } from './ReportParts'
+
+function g(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(5) : '-'
+}
+
+/** Number in an expression, bracketed when negative. */
+function n(v) {
+  return Number.isFinite(v) && v < 0 ? `(${g(v)})` : g(v)
+}
+
+/** Resultant of a load (down +); couples have none. */
+function loadResultant(load) {
+  if (load.type === LoadType.Point) return load.P
+  if (load.type === LoadType.UDL) return load.w * (load.x2 - load.x1)
+  if (load.type === LoadType.Linear) return ((load.w1 + load.w2) / 2) * (load.x2 - load.x1)
+  return 0
+}
+
+/**
+ * Calculation sheet body for a straight-beam run: inputs, equilibrium, stress and deflection
+ * checks with numbers substituted, reactions and peaks, and the diagrams.
+ * @param {{
+ *   inputs: { L: number, E: number, I: number, supports: object[], loads: object[], ratio: number, cTop: number, cBottom: number },
+ *   cases: string[], beam: object, peaks: object | null, serviceability: object | null,
+ *   fibreStress: object | null, strength: object | null, material: object | null,
+ *   chartCases: { label: string, beam: object }[],
+ * }} props
+ *   cases: names of the load cases combined into `beam`
+ */
+export default function StraightBeamReport({ inputs, cases, beam, peaks, serviceability, fibreStress, strength, material, chartCases }) {
+  const { L, E, I, supports, loads, ratio, cTop, cBottom } = inputs
+  const inputRows = [
+    { label: 'Span L', value: g(L), unit: 'm' },
+    { label: "Young's modulus E", value: g(E), unit: 'Pa' },
+    { label: 'Second moment I', value: g(I), unit: 'm⁴' },
+    { label: 'Extreme fibres c_top / c_bottom', value: `${g(cTop)} / ${g(cBottom)}`, unit: 'm' },
+    { label: 'Deflection limit', value: `span / ${g(ratio)}` },
+  ]
+  if (material) inputRows.push({ label: 'Material', value: material.name })
+  const supportRows = supports.map((s) => ({
+    label: `${SupportSpecs[s.type]?.label ?? s.type} at x = ${g(s.x)} m`,
+    value: SupportSpecs[s.type]?.restrains && s.settlement ? `settles ${g(s.settlement)}` : '',
+    unit: SupportSpecs[s.type]?.restrains && s.settlement ? 'm' : '',
+  }))
+  const loadRows = loads.map((load) => ({
+    label: `${LoadSpecs[load.type]?.label ?? load.type} [${load.case}]`,
+    value: (LoadSpecs[load.type]?.params || []).map((def) => `${def.label.replace(/ \(.*\)$/, '')} = ${g(load[def.key])}`).join(', '),
+  }))
+
+  if (!beam.ok) {
+    return (
+      <>
+        <ReportSection title="Inputs"><InputTable rows={[...inputRows, ...supportRows, ...loadRows]} /></ReportSection>
+        <Typography color="error">{beam.message}</Typography>
+      </>
+    )
+  }
+
+  const combined = loads.filter((load) => cases.includes(load.case))
+  const totalLoad = combined.reduce((sum, load) => sum + loadResultant(load), 0)
+  const restraints = beam.reactions.filter((r) => SupportSpecs[r.type].restrains)
+  const reactionSum = restraints.reduce((sum, r) => sum + r.V, 0)
+
+  const steps = [
+    { quantity: 'Flexural rigidity', equation: 'EI = E × I', substituted: `${g(E)} × ${g(I)}`, result: g(beam.EI), unit: 'N·m²' },
+    {
+      quantity: 'Vertical equilibrium',
+      equation: 'Σ R = Σ F',
+      substituted: `${restraints.map((r) => n(r.V)).join(' + ') || '0'} = ${g(totalLoad)}`,
+      result: g(reactionSum),
+      unit: 'N',
+    },
+    {
+      quantity: 'Bending moment',
+      equation: 'M(x) = Σ R_i ⟨x − a_i⟩ − Σ P_j ⟨x − b_j⟩ − …',
+      substituted: `|M|max at x = ${g(peaks.M.x)} m`,
+      result: g(peaks.M.value),
+      unit: 'N·m',
+    },
+    {
+      quantity: 'Deflection',
+      equation: 'EI v″(x) = M(x)',
+      substituted: `|v|max at x = ${g(peaks.v.x)} m`,
+      result: g(peaks.v.value),
+      unit: 'm',
+    },
+  ]
+  if (fibreStress?.ok) {
+    steps.push(
+      {
+        quantity: 'Peak tension',
+        equation: 'σ_t = max(M⁺ c_bottom, M⁻ c_top) / I',
+        substituted: `max(${g(peaks.sagging)} × ${g(cBottom)}, ${g(peaks.hogging)} × ${g(cTop)}) / ${g(I)}`,
+        result: g(fibreStress.tension),
+        unit: 'Pa',
+      },
+      {
+        quantity: 'Peak compression',
+        equation: 'σ_c = max(M⁺ c_top, M⁻ c_bottom) / I',
+        substituted: `max(${g(peaks.sagging)} × ${g(cTop)}, ${g(peaks.hogging)} × ${g(cBottom)}) / ${g(I)}`,
+        result: g(fibreStress.compression),
+        unit: 'Pa',
+      },
+    )
+  }
+  if (serviceability?.ok) {
+    serviceability.spans.forEach((sp) => steps.push({
+      quantity: `Deflection, span ${g(sp.from)}–${g(sp.to)} m`,
+      equation: '|v| ≤ L_ref / n',
+      substituted: `${g(Math.abs(sp.peak.value))} ≤ ${g(sp.reference)} / ${g(ratio)} = ${g(sp.limit)}`,
+      result: `${g(sp.utilisation)} ${sp.pass ? 'OK' : 'FAILS'}`,
+    }))
+  }
+
+  const resultRows = [
+    { label: 'Determinacy', value: beam.indeterminacy > 0 ? `indeterminate to degree ${beam.indeterminacy}` : 'determinate' },
+    { label: 'Load cases combined', value: cases.join(' + ') },
+    ...restraints.map((r) => ({
+      label: `${SupportSpecs[r.type].label} at x = ${g(r.x)} m`,
+      value: r.type === SupportType.Fixed ? `R = ${g(r.V)} N, M = ${g(r.M)} N·m` : `R = ${g(r.V)} N`,
+    })),
+    { label: 'Max |shear|', value: `${g(peaks.V.value)} N at x = ${g(peaks.V.x)} m` },
+  ]
+  if (strength?.ok) {
+    resultRows.push({
+      label: `Factor of safety (${strength.basis} strength, governed by ${strength.governing})`,
+      value: `${Number.isFinite(strength.fos) ? strength.fos.toPrecision(3) : '∞'} — ${strength.pass ? 'OK' : 'FAILS'}`,
+    })
+  }
+
+  return (
+    <>
+      <ReportSection title="Inputs"><InputTable rows={[...inputRows, ...supportRows, ...loadRows]} /></ReportSection>
+      <ReportSection title="Calculation">
+        <CalcTable rows={steps} />
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          Loads down +, reactions up +, M sagging +, deflection up +; ⟨x − a⟩ is the Macaulay bracket. Overhangs use twice their length as L_ref.
+        </Typography>
+      </ReportSection>
+      <ReportSection title="Results"><InputTable rows={resultRows} /></ReportSection>
+      <ReportSection title="Diagrams"><BeamCharts cases={chartCases} /></ReportSection>
+    </>
+  )
+}
@@ -0,0 +1,34 @@
+import { Typography } from '@mui/material'
+import { formatStress } from '../lib/materials'
+
+function formatFos(v) {
+  return Number.isFinite(v) ? v.toPrecision(3) : '∞'
+}
+
+/**
+ * Key Results list items for a `checkStrength` result: one line per side (tension/compression)
+ * and an overall factor of safety with pass/fail.
+ * @param {{ check: ReturnType<import('../lib/materials').checkStrength>, material: object }} props
+ */
+export default function StrengthCheckItems({ check, material }) {
+  if (!check) return null
+  if (!check.ok) return <li><Typography component="span" color="error">{check.message}</Typography></li>
+
+  const basis = check.basis === 'ultimate' ? 'ultimate strength' : 'yield strength'
+  return (
+    <>
+      {['tension', 'compression'].map((side) => (
+        <li key={side}>
+          Peak {side}: {formatStress(check[side].stress)} vs allowable {formatStress(check[side].allowable)}
+          {' '}(FoS {formatFos(check[side].fos)})
+        </li>
+      ))}
+      <li>
+        {material.name} ({basis}): FoS = <strong>{formatFos(check.fos)}</strong>, governed by {check.governing}{' '}
+        <Typography component="span" color={check.pass ? 'success.main' : 'error'} sx={{ fontWeight: 600 }}>
+          {check.pass ? 'OK' : 'FAILS'}
+        </Typography>
+      </li>
+    </>
+  )
+}
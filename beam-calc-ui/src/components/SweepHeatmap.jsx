@@ -0,0 +1,125 @@
+import { Typography } from '@mui/material'
+
+// Viridis stops, low to high
+const stops = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37],
+]
+
+function colour(f) {
+  const s = Math.min(Math.max(f, 0), 1) * (stops.length - 1)
+  const i = Math.min(Math.floor(s), stops.length - 2)
+  const [r, g, b] = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * (s - i)))
+  return `rgb(${r}, ${g}, ${b})`
+}
+
+function g(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(3) : '-'
+}
+
+/** About five evenly spread indices, always including both ends. */
+function tickIndices(n) {
+  const step = Math.max(1, Math.round((n - 1) / 4))
+  const list = []
+  for (let i = 0; i < n - 1; i += step) list.push(i)
+  if (n - 1 - list[list.length - 1] < step / 2 && list.length > 1) list.pop()
+  list.push(n - 1)
+  return list
+}
+
+/**
+ * Heatmap of a value over a grid of two swept inputs, with a colour bar and a tooltip per cell.
+ * Cells where the value is missing (NaN) are drawn grey.
+ * @param {{
+ *   x: { label: string, values: number[] }, y: { label: string, values: number[] },
+ *   z: number[][], zLabel: string, marker?: { x: number, y: number },
+ * }} props
+ *   z[j][i] belongs to (x.values[i], y.values[j]); marker is the current design, shown when inside the grid
+ */
+export default function SweepHeatmap({ x, y, z, zLabel, marker }) {
+  const finite = z.flat().filter(Number.isFinite)
+  if (finite.length === 0) return <Typography variant="body2" color="error">No valid points in the swept range</Typography>
+  const zMin = Math.min(...finite)
+  const zMax = Math.max(...finite)
+  const span = zMax - zMin || 1
+
+  const W = 640
+  const H = 380
+  const left = 70
+  const right = 110
+  const top = 10
+  const bottom = 50
+  const plotW = W - left - right
+  const plotH = H - top - bottom
+  const nx = x.values.length
+  const ny = y.values.length
+  const cw = plotW / nx
+  const ch = plotH / ny
+
+  // Cell centres: x left to right, y bottom to top
+  const cx = (i) => left + (i + 0.5) * cw
+  const cy = (j) => top + plotH - (j + 0.5) * ch
+  const toSvg = (values, v, centre) => {
+    const f = (v - values[0]) / (values[values.length - 1] - values[0])
+    return centre(0) + f * (centre(values.length - 1) - centre(0))
+  }
+  const inside = (values, v) => (v - values[0]) * (v - values[values.length - 1]) <= 0
+  const showMarker = marker && Number.isFinite(marker.x) && Number.isFinite(marker.y) && inside(x.values, marker.x) && inside(y.values, marker.y)
+
+  const barX = W - right + 20
+  const barW = 14
+  const barSteps = 40
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`} style={{ maxWidth: W }}>
+      {z.map((row, j) => row.map((v, i) => (
+        <rect
+          key={`${i}-${j}`}
+          x={left + i * cw}
+          y={top + plotH - (j + 1) * ch}
+          width={cw + 0.5}
+          height={ch + 0.5}
+          fill={Number.isFinite(v) ? colour((v - zMin) / span) : '#ddd'}
+        >
+          <title>{`${x.label} = ${g(x.values[i])}\n${y.label} = ${g(y.values[j])}\n${zLabel} = ${g(v)}`}</title>
+        </rect>
+      )))}
+      <rect x={left} y={top} width={plotW} height={plotH} fill="none" stroke="#555" />
+
+      {tickIndices(nx).map((i) => (
+        <g key={`x${i}`}>
+          <line x1={cx(i)} x2={cx(i)} y1={top + plotH} y2={top + plotH + 4} stroke="#555" />
+          <text x={cx(i)} y={top + plotH + 16} fontSize="10" textAnchor="middle" fill="#333">{g(x.values[i])}</text>
+        </g>
+      ))}
+      {tickIndices(ny).map((j) => (
+        <g key={`y${j}`}>
+          <line x1={left - 4} x2={left} y1={cy(j)} y2={cy(j)} stroke="#555" />
+          <text x={left - 6} y={cy(j) + 3} fontSize="10" textAnchor="end" fill="#333">{g(y.values[j])}</text>
+        </g>
+      ))}
+      <text x={left + plotW / 2} y={H - 10} fontSize="11" textAnchor="middle" fill="#333">{x.label}</text>
+      <text x={14} y={top + plotH / 2} fontSize="11" textAnchor="middle" fill="#333" transform={`rotate(-90 14 ${top + plotH / 2})`}>{y.label}</text>
+
+      {showMarker && (
+        <g>
+          <circle cx={toSvg(x.values, marker.x, cx)} cy={toSvg(y.values, marker.y, cy)} r="5" fill="none" stroke="#fff" strokeWidth="3" />
+          <circle cx={toSvg(x.values, marker.x, cx)} cy={toSvg(y.values, marker.y, cy)} r="5" fill="none" stroke="#000" strokeWidth="1.5" />
+          <title>Current design</title>
+        </g>
+      )}
+
+      {/* Colour bar */}
+      {Array.from({ length: barSteps }, (_, k) => (
+        <rect key={`c${k}`} x={barX} y={top + plotH - ((k + 1) * plotH) / barSteps} width={barW} height={plotH / barSteps + 0.5} fill={colour(k / (barSteps - 1))} />
+      ))}
+      <rect x={barX} y={top} width={barW} height={plotH} fill="none" stroke="#555" />
+      <text x={barX + barW + 4} y={top + 8} fontSize="10" fill="#333">{g(zMax)}</text>
+      <text x={barX + barW + 4} y={top + plotH} fontSize="10" fill="#333">{g(zMin)}</text>
+      <text x={barX + barW / 2} y={top + plotH + 16} fontSize="10" textAnchor="middle" fill="#333">{zLabel}</text>
+    </svg>
+  )
+}
@@ -30,6 +30,450 @@ export function maxMomentPointMid(P, L) {
   return (P * L) / 4;
 }
 
+/**
+ * General straight-beam model.
+ *
+ * Coordinates and conventions
+ * - x: position along the span measured from the left end, 0 <= x <= L
+ * - loads: forces positive downward, applied couples positive clockwise
+ * - reactions: forces positive upward, moments positive counterclockwise
+ * - M(x): internal bending moment, sagging positive
+ * - V(x) = dM/dx: sum of upward forces to the left of the section
+ * - v(x): deflection positive upward, θ(x) = dv/dx
+ * - settlement δ: prescribed support displacement, positive downward
+ *
+ * Every load and reaction is written as Macaulay terms c<x-a>^n of M(x), so
+ * V, EIθ and EIv follow by differentiating or integrating each term:
+ *   EI θ(x) = ∫ M dx + C1
+ *   EI v(x) = ∬ M dx dx + C1 x + C2
+ */
+
+export const SupportType = {
+  Pin: 'pin',
+  Roller: 'roller',
+  Fixed: 'fixed',
+  Free: 'free',
+  Hinge: 'hinge', // internal moment release, 0 < x < L
+};
+
+export const SupportSpecs = {
+  [SupportType.Pin]: { label: 'Pin', restrains: true },
+  [SupportType.Roller]: { label: 'Roller', restrains: true },
+  [SupportType.Fixed]: { label: 'Fixed', restrains: true },
+  [SupportType.Free]: { label: 'Free end' },
+  [SupportType.Hinge]: { label: 'Internal hinge' },
+};
+
+export const LoadType = {
+  Point: 'point', // { x, P } concentrated force
+  UDL: 'udl', // { x1, x2, w } partial uniform load
+  Linear: 'linear', // { x1, x2, w1, w2 } linearly varying load
+  Moment: 'moment', // { x, C } applied couple
+};
+
+export const LoadSpecs = {
+  [LoadType.Point]: {
+    label: 'Point load',
+    params: [
+      { key: 'x', label: 'Position x (m)' },
+      { key: 'P', label: 'Force P (N, down +)' },
+    ],
+  },
+  [LoadType.UDL]: {
+    label: 'Uniform load (partial)',
+    params: [
+      { key: 'x1', label: 'Start x1 (m)' },
+      { key: 'x2', label: 'End x2 (m)' },
+      { key: 'w', label: 'Intensity w (N/m, down +)' },
+    ],
+  },
+  [LoadType.Linear]: {
+    label: 'Linearly varying load',
+    params: [
+      { key: 'x1', label: 'Start x1 (m)' },
+      { key: 'x2', label: 'End x2 (m)' },
+      { key: 'w1', label: 'Start intensity w1 (N/m)' },
+      { key: 'w2', label: 'End intensity w2 (N/m)' },
+    ],
+  },
+  [LoadType.Moment]: {
+    label: 'Applied couple',
+    params: [
+      { key: 'x', label: 'Position x (m)' },
+      { key: 'C', label: 'Couple C (N·m, clockwise +)' },
+    ],
+  },
+};
+
+/**
+ * Macaulay bracket <x-a>^n (zero to the left of a, unit step for n = 0).
+ */
+function bracket(x, a, n) {
+  const d = x - a;
+  if (d < 0) return 0;
+  return n === 0 ? 1 : Math.pow(d, n);
+}
+
+function termMoment(term, x) {
+  return term.c * bracket(x, term.a, term.n);
+}
+
+function termShear(term, x) {
+  return term.n === 0 ? 0 : term.c * term.n * bracket(x, term.a, term.n - 1);
+}
+
+function termSlope(term, x) {
+  return (term.c * bracket(x, term.a, term.n + 1)) / (term.n + 1);
+}
+
+function termDeflection(term, x) {
+  return (term.c * bracket(x, term.a, term.n + 2)) / ((term.n + 1) * (term.n + 2));
+}
+
+function sumTerms(terms, fn, x) {
+  let s = 0;
+  for (const term of terms) s += fn(term, x);
+  return s;
+}
+
+/**
+ * Moment terms of a linearly varying load w1 -> w2 acting on [x1, x2].
+ */
+function distributedTerms(x1, x2, w1, w2) {
+  const k = (w2 - w1) / (x2 - x1);
+  return [
+    { c: -w1 / 2, a: x1, n: 2 },
+    { c: -k / 6, a: x1, n: 3 },
+    { c: w2 / 2, a: x2, n: 2 },
+    { c: k / 6, a: x2, n: 3 },
+  ];
+}
+
+function loadTerms(load) {
+  switch (load.type) {
+    case LoadType.Point:
+      return [{ c: -load.P, a: load.x, n: 1 }];
+    case LoadType.Moment:
+      return [{ c: load.C, a: load.x, n: 0 }];
+    case LoadType.UDL:
+      return distributedTerms(load.x1, load.x2, load.w, load.w);
+    case LoadType.Linear:
+      return distributedTerms(load.x1, load.x2, load.w1, load.w2);
+    default:
+      return [];
+  }
+}
+
+function validateBeam(L, supports, loads) {
+  if (!(Number.isFinite(L) && L > 0)) return { ok: false, message: 'Span L must be > 0' };
+  const inSpan = (x) => Number.isFinite(x) && x >= 0 && x <= L;
+  for (const s of supports) {
+    if (!SupportSpecs[s.type]) return { ok: false, message: `Unsupported support type: ${s.type}` };
+    if (!inSpan(s.x)) return { ok: false, message: `${SupportSpecs[s.type].label} support must lie within 0 ≤ x ≤ L` };
+    if (s.type === SupportType.Hinge && !(s.x > 0 && s.x < L)) return { ok: false, message: 'Internal hinge must lie strictly inside the span' };
+    if (s.settlement !== undefined && !Number.isFinite(s.settlement)) return { ok: false, message: 'Support settlement must be a number' };
+  }
+  for (const load of loads) {
+    const spec = LoadSpecs[load.type];
+    if (!spec) return { ok: false, message: `Unsupported load type: ${load.type}` };
+    for (const def of spec.params) {
+      if (!Number.isFinite(load[def.key])) return { ok: false, message: `${spec.label}: ${def.label} must be a number` };
+    }
+    if (load.type === LoadType.Point || load.type === LoadType.Moment) {
+      if (!inSpan(load.x)) return { ok: false, message: `${spec.label} must lie within 0 ≤ x ≤ L` };
+    } else if (!(inSpan(load.x1) && inSpan(load.x2) && load.x1 < load.x2)) {
+      return { ok: false, message: `${spec.label} needs 0 ≤ x1 < x2 ≤ L` };
+    }
+  }
+  return { ok: true };
+}
+
+/**
+ * Solve a small dense linear system by Gaussian elimination with partial pivoting.
+ * Also used by the curved-arc model for its least-work equations.
+ * @param {number[][]} A
+ * @param {number[]} b
+ * @returns {number[] | null} null when the matrix is singular
+ */
+export function solveLinear(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  const scale = Math.max(1, ...m.flat().map(Math.abs).filter(Number.isFinite));
+  for (let col = 0; col < n; col++) {
+    let piv = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[piv][col])) piv = row;
+    }
+    if (!(Math.abs(m[piv][col]) > 1e-12 * scale)) return null;
+    [m[col], m[piv]] = [m[piv], m[col]];
+    for (let row = col + 1; row < n; row++) {
+      const f = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= f * m[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let s = m[row][n];
+    for (let k = row + 1; k < n; k++) s -= m[row][k] * x[k];
+    x[row] = s / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Unit contribution of each unknown to V, M, EIθ and EIv.
+ * Reactions are Macaulay terms of M(x); a hinge is a jump in slope; C1 and C2 are the integration constants.
+ */
+function reactionUnknown(term) {
+  return {
+    shear: (x) => termShear(term, x),
+    moment: (x) => termMoment(term, x),
+    slope: (x) => termSlope(term, x),
+    deflection: (x) => termDeflection(term, x),
+  };
+}
+
+function hingeUnknown(a) {
+  return {
+    shear: () => 0,
+    moment: () => 0,
+    slope: (x) => bracket(x, a, 0),
+    deflection: (x) => bracket(x, a, 1),
+  };
+}
+
+const constantUnknowns = [
+  { shear: () => 0, moment: () => 0, slope: () => 1, deflection: (x) => x },
+  { shear: () => 0, moment: () => 0, slope: () => 0, deflection: () => 1 },
+];
+
+/**
+ * Solve a straight beam with any combination of supports, including redundant
+ * supports (propped cantilevers, fixed-fixed and continuous beams), interior
+ * hinges and prescribed support settlements.
+ *
+ * Unknowns are the reaction components, the slope jump at each hinge and the two
+ * integration constants. They are found together from one linear system:
+ * - equilibrium: V and M just beyond the right end vanish
+ * - compatibility: EI v(a) = -EI δ at every vertical support (settlement δ down +), θ(a) = 0 at fixed supports
+ * - hinges: M(h) = 0
+ * A singular system means the supports form a mechanism.
+ * @param {{ L: number, E: number, I: number, supports: {type: string, x: number, settlement?: number}[], loads: object[] }} input
+ * @returns {{ ok: boolean, message?: string, L?: number, EI?: number, indeterminacy?: number, reactions?: {type: string, x: number, V: number, M: number}[], shear?: (x: number) => number, moment?: (x: number) => number, slope?: (x: number) => number, deflection?: (x: number) => number, events?: number[] }}
+ */
+export function solveBeam(input) {
+  const { L, E, I, supports = [], loads = [] } = input || {};
+
+  const v = validateBeam(L, supports, loads);
+  if (!v.ok) return v;
+
+  const EI = E * I;
+  if (!(Number.isFinite(EI) && EI > 0)) return { ok: false, message: 'E and I must be > 0' };
+
+  const unknowns = [];
+  const equations = [];
+  let reactionCount = 0;
+  let hingeCount = 0;
+  supports.forEach((s, index) => {
+    if (s.type === SupportType.Free) return;
+    if (s.type === SupportType.Hinge) {
+      unknowns.push(hingeUnknown(s.x));
+      equations.push({ fn: 'moment', x: s.x, value: 0 });
+      hingeCount += 1;
+      return;
+    }
+    const settlement = Number.isFinite(s.settlement) ? s.settlement : 0;
+    unknowns.push({ index, kind: 'V', ...reactionUnknown({ c: 1, a: s.x, n: 1 }) });
+    equations.push({ fn: 'deflection', x: s.x, value: -EI * settlement });
+    reactionCount += 1;
+    if (s.type === SupportType.Fixed) {
+      unknowns.push({ index, kind: 'M', ...reactionUnknown({ c: -1, a: s.x, n: 0 }) });
+      equations.push({ fn: 'slope', x: s.x, value: 0 });
+      reactionCount += 1;
+    }
+  });
+  if (reactionCount < 2 + hingeCount) {
+    const message = hingeCount === 0
+      ? 'Beam is unstable: too few reactions (at least two vertical supports, or one fixed support, are needed)'
+      : 'Beam is unstable: too few reactions for the number of hinges';
+    return { ok: false, message };
+  }
+  unknowns.push(...constantUnknowns);
+  equations.push({ fn: 'shear', x: L, value: 0 }, { fn: 'moment', x: L, value: 0 });
+
+  const applied = loads.flatMap(loadTerms);
+  const appliedFns = {
+    shear: (x) => sumTerms(applied, termShear, x),
+    moment: (x) => sumTerms(applied, termMoment, x),
+    slope: (x) => sumTerms(applied, termSlope, x),
+    deflection: (x) => sumTerms(applied, termDeflection, x),
+  };
+
+  const A = equations.map((eq) => unknowns.map((u) => u[eq.fn](eq.x)));
+  const b = equations.map((eq) => eq.value - appliedFns[eq.fn](eq.x));
+  const X = solveLinear(A, b);
+  if (!X) return { ok: false, message: 'Support arrangement is unstable (mechanism)' };
+
+  const reactions = supports.map((s) => ({ type: s.type, x: s.x, V: 0, M: 0 }));
+  unknowns.forEach((u, j) => {
+    if (u.kind) reactions[u.index][u.kind] = X[j];
+  });
+
+  const total = (fn) => (x) => {
+    let s = appliedFns[fn](x);
+    unknowns.forEach((u, j) => {
+      s += X[j] * u[fn](x);
+    });
+    return s;
+  };
+  const V = total('shear');
+  const Mx = total('moment');
+  const EItheta = total('slope');
+  const EIv = total('deflection');
+
+  // Right-continuous evaluation, except at the right end where the left limit is used
+  const at = (x) => (x >= L ? L * (1 - 1e-12) : x);
+
+  const events = [...new Set([
+    ...supports.map((s) => s.x),
+    ...loads.flatMap((load) => (Number.isFinite(load.x) ? [load.x] : [load.x1, load.x2])),
+  ])].filter((x) => x > 0 && x < L).sort((p, q) => p - q);
+
+  return {
+    ok: true,
+    L,
+    EI,
+    indeterminacy: reactionCount - 2 - hingeCount,
+    reactions,
+    events,
+    shear: (x) => V(at(x)),
+    moment: (x) => Mx(at(x)),
+    slope: (x) => EItheta(at(x)) / EI,
+    deflection: (x) => EIv(x) / EI,
+  };
+}
+
+/**
+ * Sum several solutions of the same beam (same span, supports and EI).
+ * Valid because the beam is linear elastic; used to combine load cases.
+ * @param {ReturnType<typeof solveBeam>[]} beams
+ * @returns {ReturnType<typeof solveBeam>}
+ */
+export function superpose(beams) {
+  const [first] = beams;
+  const sum = (fn) => (x) => beams.reduce((s, b) => s + b[fn](x), 0);
+  return {
+    ok: true,
+    L: first.L,
+    EI: first.EI,
+    indeterminacy: first.indeterminacy,
+    reactions: first.reactions.map((r, i) => ({
+      ...r,
+      V: beams.reduce((s, b) => s + b.reactions[i].V, 0),
+      M: beams.reduce((s, b) => s + b.reactions[i].M, 0),
+    })),
+    events: [...new Set(beams.flatMap((b) => b.events))].sort((p, q) => p - q),
+    shear: sum('shear'),
+    moment: sum('moment'),
+    slope: sum('slope'),
+    deflection: sum('deflection'),
+  };
+}
+
+/**
+ * Solve each load case separately. Loads are grouped by their `case` name;
+ * non-zero support settlements form their own case so that the cases add up to the full model.
+ * @param {Parameters<typeof solveBeam>[0]} input loads may carry a `case` name
+ * @returns {{ ok: boolean, message?: string, cases?: { name: string, beam: ReturnType<typeof solveBeam> }[] }}
+ */
+export function solveLoadCases(input) {
+  const { supports = [], loads = [] } = input || {};
+
+  // Solving the full model first validates supports even when there are no loads
+  const all = solveBeam(input);
+  if (!all.ok) return all;
+
+  const caseOf = (load) => load.case || 'Default';
+  const unsettled = supports.map((s) => ({ ...s, settlement: 0 }));
+  const cases = [...new Set(loads.map(caseOf))].map((name) => ({
+    name,
+    beam: solveBeam({ ...input, supports: unsettled, loads: loads.filter((load) => caseOf(load) === name) }),
+  }));
+  if (supports.some((s) => Number.isFinite(s.settlement) && s.settlement !== 0)) {
+    cases.push({ name: 'Settlement', beam: solveBeam({ ...input, loads: [] }) });
+  }
+  return { ok: true, cases };
+}
+
+/**
+ * Serviceability check of deflection against span / ratio (e.g. ratio = 360 for L/360).
+ * Each span between vertical supports is checked on its own length; overhangs and
+ * cantilevers use twice their length as the reference span.
+ * @param {ReturnType<typeof solveBeam>} beam
+ * @param {number} ratio
+ * @param {number} [n] samples per span
+ * @returns {{ ok: boolean, message?: string, pass?: boolean, spans?: { from: number, to: number, reference: number, limit: number, peak: { value: number, x: number }, utilisation: number, pass: boolean }[], governing?: object }}
+ */
+export function checkDeflection(beam, ratio, n = 201) {
+  if (!(Number.isFinite(ratio) && ratio > 0)) return { ok: false, message: 'Deflection limit ratio must be > 0' };
+  const { L } = beam;
+  const supported = beam.reactions.filter((r) => SupportSpecs[r.type].restrains).map((r) => r.x);
+  const first = Math.min(...supported);
+  const last = Math.max(...supported);
+  const bounds = [...new Set([0, ...supported, L])].sort((p, q) => p - q);
+
+  const spans = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const from = bounds[i];
+    const to = bounds[i + 1];
+    if (!(to - from > L * 1e-9)) continue;
+    const overhang = to <= first || from >= last;
+    const reference = overhang ? 2 * (to - from) : to - from;
+    const xs = Array.from({ length: n }, (_, k) => from + (k / (n - 1)) * (to - from));
+    const peak = peakAbs(xs, xs.map(beam.deflection));
+    const limit = reference / ratio;
+    const utilisation = Math.abs(peak.value) / limit;
+    spans.push({ from, to, reference, limit, peak, utilisation, pass: utilisation <= 1 });
+  }
+  const governing = spans.reduce((g, sp) => (!g || sp.utilisation > g.utilisation ? sp : g), null);
+  return { ok: true, pass: spans.every((sp) => sp.pass), spans, governing };
+}
+
+/**
+ * Sample a solved beam along its span for plotting.
+ * A point is inserted just left of every load/support position so jumps in V and M stay sharp.
+ * @param {ReturnType<typeof solveBeam>} beam
+ * @param {number} [n]
+ * @returns {{ x: number[], V: number[], M: number[], theta: number[], v: number[] }}
+ */
+export function sampleBeam(beam, n = 201) {
+  const { L } = beam;
+  const eps = L * 1e-6;
+  const base = Array.from({ length: n }, (_, i) => (i / (n - 1)) * L);
+  const x = [...new Set([...base, ...beam.events, ...beam.events.map((a) => a - eps)])].sort((p, q) => p - q);
+  return {
+    x,
+    V: x.map(beam.shear),
+    M: x.map(beam.moment),
+    theta: x.map(beam.slope),
+    v: x.map(beam.deflection),
+  };
+}
+
+/**
+ * Largest absolute value of a sampled series and where it occurs.
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {{ value: number, x: number }}
+ */
+export function peakAbs(x, y) {
+  let best = { value: NaN, x: NaN };
+  y.forEach((yi, i) => {
+    if (Number.isFinite(yi) && !(Math.abs(yi) <= Math.abs(best.value))) best = { value: yi, x: x[i] };
+  });
+  return best;
+}
+
 /**
  * Utility to coerce any input to a finite number, with optional default value.
  */
@@ -42,5 +486,12 @@ export default {
   maxMomentUDL,
   maxDeflectionUDL,
   maxMomentPointMid,
+  solveBeam,
+  sampleBeam,
+  peakAbs,
+  superpose,
+  solveLoadCases,
+  checkDeflection,
+  solveLinear,
   toNumber,
 };
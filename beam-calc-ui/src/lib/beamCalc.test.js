@@ -0,0 +1,165 @@
+import { describe, expect, it } from 'vitest';
+import { expectClose } from '../test/utils';
+import { LoadType, SupportType, checkDeflection, maxDeflectionUDL, maxMomentUDL, solveBeam, solveLinear, solveLoadCases } from './beamCalc';
+
+const E = 200e9;
+const I = 8e-5;
+const w = 10000;
+const L = 6;
+
+const fullUDL = (to) => [{ type: LoadType.UDL, x1: 0, x2: to, w }];
+const simplySupported = [{ type: SupportType.Pin, x: 0 }, { type: SupportType.Roller, x: L }];
+
+describe('solveBeam', () => {
+  it('simply supported under a UDL: M = wL²/8, δ = 5wL⁴/384EI', () => {
+    const beam = solveBeam({ L, E, I, supports: simplySupported, loads: fullUDL(L) });
+    expect(beam.ok).toBe(true);
+    beam.reactions.forEach((r) => expectClose(r.V, (w * L) / 2));
+    expectClose(beam.moment(L / 2), (w * L * L) / 8);
+    expectClose(beam.moment(L / 2), maxMomentUDL(w, L));
+    expectClose(-beam.deflection(L / 2), maxDeflectionUDL(w, L, E, I));
+    expectClose(beam.shear(0), (w * L) / 2);
+  });
+
+  it('simply supported with a point load at midspan: M = PL/4', () => {
+    const P = 5000;
+    const beam = solveBeam({ L, E, I, supports: simplySupported, loads: [{ type: LoadType.Point, x: L / 2, P }] });
+    expectClose(beam.moment(L / 2), (P * L) / 4);
+  });
+
+  it('cantilever with an end load: M = −PL at the wall, δ = PL³/3EI at the tip', () => {
+    const P = 5000;
+    const beam = solveBeam({
+      L, E, I,
+      supports: [{ type: SupportType.Fixed, x: 0 }, { type: SupportType.Free, x: L }],
+      loads: [{ type: LoadType.Point, x: L, P }],
+    });
+    expectClose(beam.reactions[0].V, P);
+    expectClose(beam.moment(0), -P * L);
+    expectClose(-beam.deflection(L), (P * L ** 3) / (3 * E * I));
+  });
+
+  it('propped cantilever under a UDL: R = 3wL/8 at the prop, wL²/8 at the wall', () => {
+    const beam = solveBeam({
+      L, E, I,
+      supports: [{ type: SupportType.Fixed, x: 0 }, { type: SupportType.Roller, x: L }],
+      loads: fullUDL(L),
+    });
+    expect(beam.indeterminacy).toBe(1);
+    const [wall, prop] = beam.reactions;
+    expectClose(prop.V, (3 * w * L) / 8);
+    expectClose(wall.V, (5 * w * L) / 8);
+    expectClose(Math.abs(wall.M), (w * L * L) / 8);
+    expectClose(beam.moment(0), (-w * L * L) / 8);
+  });
+
+  it('two equal spans under a UDL: 3wL/8 at the ends, 10wL/8 in the middle', () => {
+    const beam = solveBeam({
+      L: 2 * L, E, I,
+      supports: [{ type: SupportType.Pin, x: 0 }, { type: SupportType.Roller, x: L }, { type: SupportType.Roller, x: 2 * L }],
+      loads: fullUDL(2 * L),
+    });
+    const [left, middle, right] = beam.reactions;
+    expectClose(left.V, (3 * w * L) / 8);
+    expectClose(middle.V, (10 * w * L) / 8);
+    expectClose(right.V, (3 * w * L) / 8);
+    expectClose(beam.moment(L), (-w * L * L) / 8);
+    expect(Math.abs(beam.deflection(L))).toBeLessThan(1e-12);
+  });
+
+  it('internal hinge: no moment at the hinge', () => {
+    const beam = solveBeam({
+      L, E, I,
+      supports: [{ type: SupportType.Fixed, x: 0 }, { type: SupportType.Hinge, x: L / 2 }, { type: SupportType.Roller, x: L }],
+      loads: fullUDL(L),
+    });
+    expect(beam.indeterminacy).toBe(0);
+    expect(Math.abs(beam.moment(L / 2))).toBeLessThan(1e-9 * w * L * L);
+    // The part beyond the hinge is simply supported: the roller carries half its load
+    expectClose(beam.reactions[2].V, (w * L) / 4);
+  });
+
+  it('propped cantilever whose prop settles δ: the prop loses 3EIδ/L³', () => {
+    const delta = 0.002;
+    const beam = solveBeam({
+      L, E, I,
+      supports: [{ type: SupportType.Fixed, x: 0 }, { type: SupportType.Roller, x: L, settlement: delta }],
+      loads: [],
+    });
+    expectClose(beam.reactions[1].V, (-3 * E * I * delta) / L ** 3);
+    expectClose(beam.deflection(L), -delta);
+  });
+
+  it('rejects a beam held by a single pin', () => {
+    const beam = solveBeam({ L, E, I, supports: [{ type: SupportType.Pin, x: 0 }], loads: fullUDL(L) });
+    expect(beam.ok).toBe(false);
+    expect(beam.message).not.toMatch(/hinge/);
+  });
+
+  it('blames the hinges when they leave too few reactions', () => {
+    const beam = solveBeam({
+      L, E, I,
+      supports: [{ type: SupportType.Pin, x: 0 }, { type: SupportType.Hinge, x: L / 2 }, { type: SupportType.Roller, x: L }],
+      loads: fullUDL(L),
+    });
+    expect(beam.ok).toBe(false);
+    expect(beam.message).toMatch(/hinges/);
+  });
+});
+
+describe('solveLoadCases', () => {
+  it('splits the loads by case so that the cases add up', () => {
+    const result = solveLoadCases({
+      L, E, I,
+      supports: simplySupported,
+      loads: [{ type: LoadType.UDL, x1: 0, x2: L, w, case: 'Dead' }, { type: LoadType.Point, x: L / 2, P: 5000, case: 'Live' }],
+    });
+    expect(result.cases.map((c) => c.name)).toEqual(['Dead', 'Live']);
+    const total = result.cases.reduce((s, c) => s + c.beam.moment(L / 2), 0);
+    expectClose(total, (w * L * L) / 8 + (5000 * L) / 4);
+  });
+
+  it('puts support settlements in a case of their own', () => {
+    const result = solveLoadCases({
+      L, E, I,
+      supports: [{ type: SupportType.Fixed, x: 0 }, { type: SupportType.Roller, x: L, settlement: 0.001 }],
+      loads: fullUDL(L),
+    });
+    expect(result.cases.map((c) => c.name)).toEqual(['Default', 'Settlement']);
+  });
+});
+
+describe('checkDeflection', () => {
+  it('compares the midspan deflection of a simple span with L / ratio', () => {
+    const beam = solveBeam({ L, E, I, supports: simplySupported, loads: fullUDL(L) });
+    const check = checkDeflection(beam, 360);
+    const [span] = check.spans;
+    expectClose(span.limit, L / 360);
+    expectClose(span.utilisation, maxDeflectionUDL(w, L, E, I) / (L / 360), 1e-6);
+    expect(check.pass).toBe(span.utilisation <= 1);
+  });
+
+  it('checks a cantilever against twice its length', () => {
+    const beam = solveBeam({
+      L, E, I,
+      supports: [{ type: SupportType.Fixed, x: 0 }, { type: SupportType.Free, x: L }],
+      loads: fullUDL(L),
+    });
+    expect(checkDeflection(beam, 180).spans[0].reference).toBe(2 * L);
+  });
+});
+
+describe('solveLinear', () => {
+  it('solves a small system with pivoting', () => {
+    const x = solveLinear([[0, 1], [2, 1]], [1, 3]);
+    expectClose(x[0], 1);
+    expectClose(x[1], 1);
+    const y = solveLinear([[2, 1], [1, 3]], [3, 5]);
+    expectClose(y[0], 0.8);
+    expectClose(y[1], 1.4);
+  });
+
+  it('returns null for a singular matrix', () => {
+    expect(solveLinear([[1, 2], [2, 4]], [1, 2])).toBeNull();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Library of named analyses (curved and straight beam), kept in local storage and exchanged as
+ * versioned JSON files.
+ *
+ * A case stores the page it belongs to and that page's shareable state (`inputs`) with the state
+ * version (`version`, as in `urlState`), so opening a case goes through the same hydration and
+ * migrations as a shared link. The file envelope has its own version, upgraded by `fileMigrations`.
+ */
+import { savedDims } from './sectionInputs'
+
+export const CasePage = {
+  Curved: 'curved',
+  Straight: 'straight',
+}
+
+export const CasePageSpecs = {
+  [CasePage.Curved]: { label: 'Curved beam', path: '/curved' },
+  [CasePage.Straight]: { label: 'Straight beam', path: '/example' },
+}
+
+export const FILE_FORMAT = 'beam-calc-cases'
+export const FILE_VERSION = 1
+
+const STORAGE_KEY = 'cases.library'
+
+let nextId = 1
+function newCaseId() {
+  return `case-${Date.now().toString(36)}-${nextId++}`
+}
+
+/**
+ * Upgrades for exported files; fileMigrations[n] turns a version-n file into version n + 1.
+ * Version 0 is the single unnamed snapshot the curved-beam page kept in `curved.inputs`.
+ */
+const fileMigrations = {
+  0: (snapshot) => ({
+    format: FILE_FORMAT,
+    version: 1,
+    cases: [{
+      name: 'Imported curved-beam case',
+      page: CasePage.Curved,
+      version: 1,
+      inputs: { ...snapshot, dims: savedDims(snapshot) },
+    }],
+  }),
+}
+
+/**
+ * Saved cases, newest last.
+ * @returns {{ id: string, name: string, page: string, version: number, savedAt: string, inputs: object }[]}
+ */
+export function loadCases() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(list) ? list.filter(isCase) : []
+  } catch {
+    return []
+  }
+}
+
+export function saveCases(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list))
+    return { ok: true }
+  } catch {
+    return { ok: false, message: 'Could not write to browser storage; export the cases to keep them' }
+  }
+}
+
+function isCase(c) {
+  return Boolean(c) && typeof c === 'object' && typeof c.name === 'string' && Boolean(CasePageSpecs[c.page])
+    && Boolean(c.inputs) && typeof c.inputs === 'object' && !Array.isArray(c.inputs)
+}
+
+/** Name not yet used in the list: "Hook", "Hook (2)", "Hook (3)", ... */
+function uniqueName(list, name) {
+  const base = name.trim() || 'Untitled case'
+  const taken = new Set(list.map((c) => c.name))
+  if (!taken.has(base)) return base
+  let n = 2
+  while (taken.has(`${base} (${n})`)) n++
+  return `${base} (${n})`
+}
+
+/**
+ * Append a case.
+ * @param {object[]} list
+ * @param {{ name: string, page: string, version: number, inputs: object }} entry
+ * @returns {object[]} new list
+ */
+export function addCase(list, { name, page, version, inputs }) {
+  return [...list, { id: newCaseId(), name: uniqueName(list, name), page, version, savedAt: new Date().toISOString(), inputs }]
+}
+
+export function renameCase(list, id, name) {
+  const others = list.filter((c) => c.id !== id)
+  return list.map((c) => (c.id === id ? { ...c, name: uniqueName(others, name) } : c))
+}
+
+export function duplicateCase(list, id) {
+  const source = list.find((c) => c.id === id)
+  if (!source) return list
+  const copy = { ...source, id: newCaseId(), name: uniqueName(list, `${source.name} copy`), savedAt: new Date().toISOString() }
+  const at = list.indexOf(source) + 1
+  return [...list.slice(0, at), copy, ...list.slice(at)]
+}
+
+export function deleteCase(list, id) {
+  return list.filter((c) => c.id !== id)
+}
+
+/**
+ * JSON file contents for a set of cases. Ids are local and left out.
+ * @param {object[]} cases
+ * @returns {string}
+ */
+export function exportCases(cases) {
+  const file = {
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    cases: cases.map(({ name, page, version, savedAt, inputs }) => ({ name, page, version, savedAt, inputs })),
+  }
+  return `${JSON.stringify(file, null, 2)}\n`
+}
+
+/**
+ * Read an exported file (any known version) and merge its cases into the list.
+ * Invalid entries are skipped and counted; imported names that clash get a numeric suffix.
+ * @param {object[]} list
+ * @param {string} text file contents
+ * @returns {{ ok: boolean, message: string, cases?: object[], imported?: number, skipped?: number }}
+ */
+export function importCases(list, text) {
+  let file
+  try {
+    file = JSON.parse(text)
+  } catch {
+    return { ok: false, message: 'The file is not valid JSON' }
+  }
+  if (!file || typeof file !== 'object' || Array.isArray(file)) return { ok: false, message: 'The file does not contain beam cases' }
+
+  let version = file.format === FILE_FORMAT ? Number(file.version) : 0
+  if (version === 0 && typeof file.shape !== 'string') return { ok: false, message: 'The file does not contain beam cases' }
+  if (!Number.isInteger(version) || version < 0) return { ok: false, message: 'The file has an unknown version' }
+  if (version > FILE_VERSION) return { ok: false, message: `The file was written by a newer version (v${version}) of this app` }
+  for (; version < FILE_VERSION; version++) file = fileMigrations[version](file)
+
+  const entries = Array.isArray(file.cases) ? file.cases : []
+  let cases = list
+  let imported = 0
+  for (const entry of entries) {
+    if (!isCase(entry)) continue
+    cases = addCase(cases, { name: entry.name, page: entry.page, version: Number.isInteger(entry.version) ? entry.version : 1, inputs: entry.inputs })
+    if (typeof entry.savedAt === 'string') cases[cases.length - 1].savedAt = entry.savedAt
+    imported++
+  }
+  const skipped = entries.length - imported
+  const message = `Imported ${imported} case${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} invalid` : ''}`
+  return { ok: imported > 0, message, cases, imported, skipped }
+}
+
+export default {
+  CasePage,
+  CasePageSpecs,
+  loadCases,
+  saveCases,
+  addCase,
+  renameCase,
+  duplicateCase,
+  deleteCase,
+  exportCases,
+  importCases,
+}
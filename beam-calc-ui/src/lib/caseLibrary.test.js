@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+import { CasePage, FILE_FORMAT, FILE_VERSION, addCase, exportCases, importCases } from './caseLibrary'
+
+const curved = { name: 'Crane hook', page: CasePage.Curved, version: 1, inputs: { shape: 'circular', dims: { d: '0.04' } } }
+
+describe('importCases', () => {
+  it('round-trips exported cases and suffixes clashing names', () => {
+    const list = addCase([], curved)
+    const result = importCases(list, exportCases(list))
+    expect(result).toMatchObject({ ok: true, imported: 1, skipped: 0 })
+    expect(result.cases.map((c) => c.name)).toEqual(['Crane hook', 'Crane hook (2)'])
+    expect(result.cases[1].inputs).toEqual(curved.inputs)
+  })
+
+  it('upgrades a v0 file: the old curved.inputs snapshot with dimensions at the top level', () => {
+    const snapshot = { shape: 'circular', ri: '0.05', M: '1000', b: '0.02', t: '0.03', diam: '0.04' }
+    const result = importCases([], JSON.stringify(snapshot))
+    expect(result).toMatchObject({ ok: true, imported: 1 })
+    const [imported] = result.cases
+    expect(imported).toMatchObject({ name: 'Imported curved-beam case', page: CasePage.Curved, version: 1 })
+    expect(imported.inputs).toMatchObject({ shape: 'circular', ri: '0.05', M: '1000' })
+    expect(imported.inputs.dims).toEqual({ b: '0.02', t: '0.03', d: '0.04' })
+  })
+
+  it('skips invalid entries and counts them', () => {
+    const file = { format: FILE_FORMAT, version: FILE_VERSION, cases: [curved, { name: 'No page', inputs: {} }, { ...curved, inputs: [] }] }
+    const result = importCases([], JSON.stringify(file))
+    expect(result).toMatchObject({ ok: true, imported: 1, skipped: 2 })
+    expect(result.message).toBe('Imported 1 case, skipped 2 invalid')
+  })
+
+  it.each([
+    ['truncated JSON', '{"format": "beam-calc-cases", "cases": [', /not valid JSON/],
+    ['a JSON array', '[1, 2]', /does not contain beam cases/],
+    ['an unrelated object', '{"hello": "world"}', /does not contain beam cases/],
+    ['a newer file version', JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION + 1, cases: [] }), /newer version/],
+    ['a nonsense version', JSON.stringify({ format: FILE_FORMAT, version: 'x', cases: [] }), /unknown version/],
+  ])('rejects a corrupt file: %s', (_, text, message) => {
+    const result = importCases([curved], text)
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(message)
+    expect(result.cases).toBeUndefined()
+  })
+
+  it('reports a file with no usable cases as a failure', () => {
+    const result = importCases([], JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, cases: [{ name: 'x' }] }))
+    expect(result).toMatchObject({ ok: false, imported: 0, skipped: 1 })
+  })
+})
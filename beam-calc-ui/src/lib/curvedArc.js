@@ -0,0 +1,229 @@
+/**
+ * Internal forces along a circular arc of centroidal radius R (the section's R_c) subtending α,
+ * with a support at each end and point loads and moments at angular positions.
+ *
+ * Geometry: the chord is horizontal with the arc above it; x runs to the right, y up. The angular
+ * position ψ runs from 0 at the left end over the crown to α at the right end, so the point at ψ
+ * lies at angle θ = 90° + α/2 − ψ about the centre of curvature.
+ *
+ * Supports: fixed (H, V, M), pinned (H, V), roller sliding horizontally (V only) or free. The right
+ * end's reactions X are the unknowns; a released reaction at the left end is a linear constraint
+ * C X = d on them, and any X left over is redundant and found by least work (Menabrea), so
+ *   [K Cᵀ; C 0] [X; λ] = [−f; d],  K_ij = ∂²U/∂X_i∂X_j, f_i = ∂U/∂X_i at X = 0
+ * with the Winkler–Bach strain energy per unit angle M²/(2AeE) + N²R/(2AE) − MN/(AE) + C V²R/(2AG).
+ * E cancels; G = E / (2(1 + ν)). The integrals are taken by Simpson's rule between the loads.
+ *
+ * Resultants at ψ from the part of the arc beyond it (ψ' > ψ), with n the outward normal and t the
+ * tangent towards the right end:
+ *   M = Σ (r_j − r) × F_j + Σ M_j (tension at the inner fibre +),  N = Σ F_j · t,  V = −Σ F_j · n
+ */
+import { solveLinear } from './beamCalc'
+import { computeCurvedBeam } from './curvedBeam'
+import { shearFormFactor } from './curvedRing'
+
+export const EndSupport = {
+  Fixed: 'fixed',
+  Pinned: 'pinned',
+  Roller: 'roller',
+  Free: 'free',
+}
+
+export const EndSupportLabels = {
+  [EndSupport.Fixed]: 'Fixed',
+  [EndSupport.Pinned]: 'Pinned',
+  [EndSupport.Roller]: 'Roller (slides horizontally)',
+  [EndSupport.Free]: 'Free',
+}
+
+/** Reaction components an end support provides: force along x, along y, and moment. */
+const restraints = {
+  [EndSupport.Fixed]: ['H', 'V', 'M'],
+  [EndSupport.Pinned]: ['H', 'V'],
+  [EndSupport.Roller]: ['V'],
+  [EndSupport.Free]: [],
+}
+
+/**
+ * Editor state for the arc model: strings as typed, one row per point load. It starts unloaded, so
+ * the page's moment diagram follows the M or P·d input until a load is added.
+ */
+export const defaultArcInputs = {
+  alpha: '180',
+  left: EndSupport.Pinned,
+  right: EndSupport.Roller,
+  loads: [],
+}
+
+/**
+ * Numeric loads from the editor rows; blank force and moment fields count as zero.
+ * @param {{ at: string, Fx: string, Fy: string, M: string }[]} rows
+ * @returns {{ at: number, Fx: number, Fy: number, M: number }[]}
+ */
+export function parseArcLoads(rows) {
+  const num = (x, blank) => (x === '' || x === undefined ? blank : Number.isFinite(Number(x)) ? Number(x) : NaN)
+  return rows.map((row) => ({ at: num(row.at, NaN), Fx: num(row.Fx, 0), Fy: num(row.Fy, 0), M: num(row.M, 0) }))
+}
+
+const deg = Math.PI / 180
+const SIMPSON_INTERVALS = 32
+
+/** Point action in the plane: force (Fx, Fy) and moment M at (x, y). */
+function action(x, y, Fx, Fy, M) {
+  return { x, y, Fx, Fy, M }
+}
+
+/** M, N and V at the point of the arc at angle θ from a set of actions beyond it. */
+function resultantsAt(R, th, actions) {
+  const px = R * Math.cos(th)
+  const py = R * Math.sin(th)
+  let M = 0
+  let Fx = 0
+  let Fy = 0
+  for (const a of actions) {
+    M += (a.x - px) * a.Fy - (a.y - py) * a.Fx + a.M
+    Fx += a.Fx
+    Fy += a.Fy
+  }
+  return { M, N: Fx * Math.sin(th) - Fy * Math.cos(th), V: -(Fx * Math.cos(th) + Fy * Math.sin(th)) }
+}
+
+/**
+ * Analyse an arc under point loads.
+ * @param {{
+ *   shape: string, params: object, ri?: number, alpha: number, left: string, right: string,
+ *   loads: { at: number, Fx?: number, Fy?: number, M?: number }[], nu?: number, samples?: number,
+ * }} input
+ *   alpha: subtended angle in degrees; left, right: EndSupport ids; loads: at is ψ in degrees from
+ *   the left end, Fx and Fy along x and y, M counterclockwise; samples: points along the arc
+ * @returns {{
+ *   ok: boolean, message?: string, R?: number, alpha?: number, redundants?: number,
+ *   points?: { psi: number, M: number, N: number, V: number }[],
+ *   reactions?: { left: { H: number, V: number, M: number }, right: { H: number, V: number, M: number } },
+ *   critical?: { psi: number, M: number, N: number, V: number, result: object }, section?: object,
+ * }}
+ *   points: resultants along the arc, ψ in degrees, with both sides of each load; reactions: on the
+ *   arc from each support, along x and y and counterclockwise; redundants: degree of static
+ *   indeterminacy; critical: the point with the largest extreme-fibre |σ| and its computeCurvedBeam result
+ */
+export function computeArc(input) {
+  const { shape, params, ri, alpha, left, right, loads = [], nu = 0.3, samples = 181 } = input || {}
+  if (!restraints[left] || !restraints[right]) return { ok: false, message: 'Unknown end support' }
+  if (!(alpha > 0) || !(alpha < 360)) return { ok: false, message: 'Subtended angle α must be between 0 and 360°' }
+  if (!(nu > -1 && nu <= 0.5)) return { ok: false, message: "Poisson's ratio must be between -1 and 0.5" }
+  for (const [i, load] of loads.entries()) {
+    const { at, Fx = 0, Fy = 0, M = 0 } = load
+    if (!(at >= 0 && at <= alpha)) return { ok: false, message: `Load ${i + 1}: position must be between 0 and α` }
+    if (![Fx, Fy, M].every(Number.isFinite)) return { ok: false, message: `Load ${i + 1}: forces and moment must be numbers` }
+  }
+  const redundants = restraints[left].length + restraints[right].length - 3
+  if (redundants < 0) return { ok: false, message: 'The supports cannot hold the arc in place (mechanism)' }
+
+  const section = computeCurvedBeam({ shape, params, ri, M: 0, samples: 2 })
+  if (!section.ok) return section
+  const { A, e, Rn, rInner, rOuter } = section
+  const R = section.Rc
+  const C = shearFormFactor(shape, params, A)
+  const E = 1
+  const G = E / (2 * (1 + nu))
+
+  const a = alpha * deg
+  const thetaAt = (psi) => Math.PI / 2 + a / 2 - psi
+  const pointAt = (psi) => [R * Math.cos(thetaAt(psi)), R * Math.sin(thetaAt(psi))]
+  const applied = loads.map((load) => {
+    const psi = load.at * deg
+    return { psi, ...action(...pointAt(psi), load.Fx || 0, load.Fy || 0, load.M || 0) }
+  })
+
+  // Unit reactions at the right end, one per unknown X
+  const end = pointAt(a)
+  const unit = { H: action(...end, 1, 0, 0), V: action(...end, 0, 1, 0), M: action(...end, 0, 0, 1) }
+  const unknowns = restraints[right].map((k) => unit[k])
+  const n = unknowns.length
+
+  // Left reactions balance everything else: H_L = −ΣF_x, V_L = −ΣF_y, M_L = −Σ moments about the left end
+  const [lx, ly] = pointAt(0)
+  const leftOf = (acts) => {
+    const r = { H: 0, V: 0, M: 0 }
+    for (const s of acts) {
+      r.H -= s.Fx
+      r.V -= s.Fy
+      r.M -= (s.x - lx) * s.Fy - (s.y - ly) * s.Fx + s.M
+    }
+    return r
+  }
+  const released = ['H', 'V', 'M'].filter((k) => !restraints[left].includes(k))
+  const leftLoads = leftOf(applied)
+  const leftUnits = unknowns.map((u) => leftOf([u]))
+  const Cmat = released.map((k) => leftUnits.map((u) => u[k]))
+  const dvec = released.map((k) => -leftLoads[k])
+
+  // Least work: bilinear form of the strain energy and Simpson's rule between the loads
+  const energy = (p, q) => (p.M * q.M) / (A * e * E) + (R * p.N * q.N) / (A * E) - (p.M * q.N + p.N * q.M) / (A * E) + (C * R * p.V * q.V) / (A * G)
+  const cuts = [...new Set([0, ...applied.map((l) => l.psi).filter((p) => p > 0 && p < a), a])].sort((p, q) => p - q)
+  const K = unknowns.map(() => new Array(n).fill(0))
+  const f = new Array(n).fill(0)
+  for (let s = 1; s < cuts.length; s++) {
+    const [p0, p1] = [cuts[s - 1], cuts[s]]
+    const beyond = applied.filter((l) => l.psi >= p1)
+    const h = (p1 - p0) / SIMPSON_INTERVALS
+    for (let i = 0; i <= SIMPSON_INTERVALS; i++) {
+      const w = ((i === 0 || i === SIMPSON_INTERVALS ? 1 : i % 2 ? 4 : 2) * h) / 3
+      const th = thetaAt(p0 + i * h)
+      const load = resultantsAt(R, th, beyond)
+      const fields = unknowns.map((u) => resultantsAt(R, th, [u]))
+      for (let r = 0; r < n; r++) {
+        f[r] += w * energy(load, fields[r])
+        for (let c = 0; c < n; c++) K[r][c] += w * energy(fields[r], fields[c])
+      }
+    }
+  }
+
+  // K is scaled to order one so its pivots compare with those of the constraints (λ absorbs the scale)
+  const kScale = Math.max(...K.flat().map(Math.abs)) || 1
+  const size = n + released.length
+  const kkt = Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => {
+    if (r < n && c < n) return K[r][c] / kScale
+    if (r < n) return Cmat[c - n][r]
+    if (c < n) return Cmat[r - n][c]
+    return 0
+  }))
+  const X = size ? solveLinear(kkt, [...f.map((v) => -v / kScale), ...dvec]) : []
+  if (!X) return { ok: false, message: 'The supports cannot hold the arc in place (unstable arrangement)' }
+  const reactionsRight = unknowns.map((u, i) => action(u.x, u.y, u.Fx * X[i], u.Fy * X[i], u.M * X[i]))
+
+  // Resultants along the arc, both sides of each load
+  const at = (psi, includeAt) => ({
+    psi: psi / deg,
+    ...resultantsAt(R, thetaAt(psi), [...applied.filter((l) => l.psi > psi || (includeAt && l.psi === psi)), ...reactionsRight]),
+  })
+  const grid = Array.from({ length: samples }, (_, i) => (i / (samples - 1)) * a)
+  const points = [...new Set([...grid, ...applied.map((l) => l.psi)])]
+    .sort((p, q) => p - q)
+    .flatMap((psi) => (applied.some((l) => l.psi === psi) && psi > 0 && psi < a ? [at(psi, true), at(psi, false)] : [at(psi, psi === a)]))
+
+  const rightReaction = { H: 0, V: 0, M: 0 }
+  for (const r of reactionsRight) {
+    rightReaction.H += r.Fx
+    rightReaction.V += r.Fy
+    rightReaction.M += r.M
+  }
+  const leftReaction = leftOf([...applied, ...reactionsRight])
+
+  // Extreme-fibre stresses are linear in M and N, so the sampled points locate the critical section
+  const fibre = (p, rr) => Math.abs(p.N / A + (p.M / (A * e)) * (Rn / rr - 1))
+  const worst = points.reduce((w, p) => (Math.max(fibre(p, rInner), fibre(p, rOuter)) > Math.max(fibre(w, rInner), fibre(w, rOuter)) ? p : w))
+  const critical = { ...worst, result: computeCurvedBeam({ shape, params, ri, M: worst.M, N: worst.N, V: worst.V, samples: 201 }) }
+
+  return {
+    ok: true,
+    R,
+    alpha,
+    redundants,
+    points,
+    reactions: { left: leftReaction, right: rightReaction },
+    critical,
+    section,
+  }
+}
+
+export default { EndSupport, EndSupportLabels, defaultArcInputs, parseArcLoads, computeArc }
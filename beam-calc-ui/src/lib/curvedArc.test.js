@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { SectionType } from './curvedBeam'
+import { EndSupport, computeArc, defaultArcInputs, parseArcLoads } from './curvedArc'
+
+// A thin section, so the arc behaves as in the bending-only textbook results
+const thin = { shape: SectionType.Rectangular, params: { b: 0.01, t: 0.01 }, ri: 1 }
+const P = 1000
+const crownLoad = [{ at: 90, Fy: -P }]
+
+const crown = (arc) => arc.points.find((p) => p.psi === 90)
+
+describe('computeArc', () => {
+  it('two-hinged semicircle under a crown load: H = P/π', () => {
+    const arc = computeArc({ ...thin, alpha: 180, left: EndSupport.Pinned, right: EndSupport.Pinned, loads: crownLoad })
+    expect(arc.ok).toBe(true)
+    expect(arc.redundants).toBe(1)
+    expectClose(arc.reactions.left.H, P / Math.PI, 1e-4)
+    expectClose(arc.reactions.right.H, -P / Math.PI, 1e-4)
+    expectClose(arc.reactions.left.V, P / 2)
+    expectClose(crown(arc).M, arc.R * (P / 2 - arc.reactions.left.H))
+  })
+
+  it('simply supported semicircle under a crown load: M = PR/2 with no thrust', () => {
+    const arc = computeArc({ ...thin, alpha: 180, left: EndSupport.Pinned, right: EndSupport.Roller, loads: crownLoad })
+    expect(arc.redundants).toBe(0)
+    expect(arc.reactions.left.H).toBe(0)
+    expectClose(crown(arc).M, (P * arc.R) / 2)
+  })
+
+  it('quarter-circle cantilever with an end load: wall moment P R √2', () => {
+    const arc = computeArc({ ...thin, alpha: 90, left: EndSupport.Fixed, right: EndSupport.Free, loads: [{ at: 90, Fy: -P }] })
+    expectClose(arc.reactions.left.V, P)
+    expectClose(arc.reactions.left.M, P * arc.R * Math.SQRT2)
+  })
+
+  it('counts three redundants for a fixed-ended arc and rejects a mechanism', () => {
+    expect(computeArc({ ...thin, alpha: 180, left: EndSupport.Fixed, right: EndSupport.Fixed, loads: crownLoad }).redundants).toBe(3)
+    expect(computeArc({ ...thin, alpha: 180, left: EndSupport.Roller, right: EndSupport.Roller, loads: crownLoad }).ok).toBe(false)
+  })
+
+  it('rejects a load outside the arc', () => {
+    expect(computeArc({ ...thin, alpha: 90, left: EndSupport.Fixed, right: EndSupport.Free, loads: [{ at: 120, Fy: -P }] }).ok).toBe(false)
+  })
+})
+
+describe('parseArcLoads', () => {
+  it('reads the editor rows and treats blank forces as zero', () => {
+    expect(parseArcLoads([{ id: 'l1', at: '90', Fx: '0', Fy: '-1000', M: '' }])).toEqual([{ at: 90, Fx: 0, Fy: -1000, M: 0 }])
+    const [load] = parseArcLoads([{ at: '', Fx: '', Fy: 'x', M: '' }])
+    expect(load.at).toBeNaN()
+    expect(load.Fx).toBe(0)
+    expect(load.Fy).toBeNaN()
+  })
+})
+
+describe('defaultArcInputs', () => {
+  it('starts unloaded, so the page keeps its own moment diagram until a load is added', () => {
+    expect(defaultArcInputs.loads).toEqual([])
+    const arc = computeArc({ ...thin, alpha: Number(defaultArcInputs.alpha), left: defaultArcInputs.left, right: defaultArcInputs.right, loads: parseArcLoads(defaultArcInputs.loads) })
+    expect(arc.ok).toBe(true)
+    expect(arc.points.every((p) => p.M === 0)).toBe(true)
+  })
+})
@@ -1,53 +1,335 @@
 /**
- * Curved beam stress analysis using Winkler-Bach theory (pure bending).
- * Supports multiple cross-sections: rectangular, trapezoidal, triangular, circular (solid).
+ * Curved beam stress analysis using Winkler-Bach theory, with the direct
+ * axial stress of an eccentric load P superposed on the bending stress.
+ * Cross-sections: rectangular, trapezoidal, triangular, solid and hollow circular, hollow
+ * rectangular (box), I, T, inverted-T, channel, arbitrary polygon outlines and sections built up
+ * from rectangular or trapezoidal strips (see SectionType).
  *
  * Coordinates and conventions
  * - ri: inner radius to the inner surface from the center of curvature [m]
  * - y: radial coordinate measured from inner surface, 0 <= y <= t [m]
  * - r = ri + y: absolute radius of a material fiber [m]
- * - M: applied bending moment (positive sign convention yields tension at inner fiber when e < 0)
+ * - M: bending moment about the centroidal axis (positive yields tension at the inner fiber since e > 0)
+ * - P: load (tension positive) whose line of action lies at lever arm d from the centroid or from
+ *   the center of curvature; θ is the angle of the section from the one normal to P
  * - b(y): section width (out-of-plane thickness) as function of y [m]
  *
  * Core relations (Winkler–Bach):
  *   A = ∫ b(y) dy
  *   y_bar = (1/A) ∫ y b(y) dy (centroid from inner surface)
  *   S = ∫ b(y)/(ri + y) dy
- *   y_n = A / S (neutral axis distance from inner surface)
- *   e = y_bar - y_n (eccentricity; may be negative)
- *   σ(r) = (M / (A e)) * (1 - y_n / r)
+ *   R_n = A / S (neutral axis radius from the center of curvature)
+ *   y_n = R_n - ri (neutral axis distance from inner surface)
+ *   e = y_bar - y_n = R_c - R_n (eccentricity; > 0, neutral axis shifts toward the center)
+ *     evaluated as e = R_c D / (A/R_c + D), D = (1/R_c²) ∫ b (r - R_c)² / r dr, since R_c - R_n
+ *     cancels when R_c/h is large
+ *   σ(r) = N / A + (M / (A e)) * (R_n / r - 1)
+ *   σ_r(r) = (1 / (r b)) ∫_{r_i}^{r} σ_b b dρ (radial stress from equilibrium of the bending stress σ_b)
+ *
+ * Eccentric load P on a section at angle θ (load line at distance d_O from the center of curvature):
+ *   N = P cos θ, V = P sin θ, M = P (d_O + R_c cos θ)
+ *   τ_c ≈ V Q / (I b) at the centroid (straight-beam approximation)
+ *
+ * Section integrals: closed forms for rectangular, trapezoidal, triangular and circular (solid or
+ * hollow) sections; adaptive Gauss–Kronrod quadrature, split at the width's corners, for the rest.
+ * Every result carries estimated numerical errors in `errors`.
  */
 
+export const LeverArmRef = {
+  Centroid: 'centroid', // d measured from the centroid of the section at θ = 0
+  Center: 'center', // d measured from the center of curvature, away from the section
+}
+
 export const SectionType = {
   Rectangular: 'rectangular',
   Trapezoidal: 'trapezoidal',
   Triangular: 'triangular',
   Circular: 'circular', // solid circle of diameter d
   TSection: 'tsection', // composite of two rectangles at radii R1 and R2
+  Polygon: 'polygon', // arbitrary outline from (y, z) vertices
+  HollowCircular: 'hollowCircular', // tube, outer diameter d and inner diameter di
+  HollowRectangular: 'hollowRectangular', // box with side walls tw and inner/outer walls tf
+  ISection: 'isection', // inner and outer flanges joined by a radial web
+  InvertedT: 'invertedT', // flange on the inner (concave) side, stem outward
+  Channel: 'channel', // base on the inner side, two legs outward
+  Composite: 'composite', // built-up from any number of rectangular/trapezoidal strips
 }
 
+// Gauss–Kronrod 7/15-point rule on [-1, 1] (QUADPACK qk15): Kronrod nodes from the end inwards,
+// the odd-indexed ones shared with the 7-point Gauss rule; the last node is the centre.
+const GK_NODES = [
+  0.9914553711208126, 0.9491079123427585, 0.8648644233597691,
+  0.7415311855993945, 0.5860872354676911, 0.4058451513773972,
+  0.20778495500789848, 0,
+]
+const KRONROD_WEIGHTS = [
+  0.022935322010529224, 0.06309209262997856, 0.10479001032225019,
+  0.14065325971552592, 0.1690047266392679, 0.19035057806478542,
+  0.20443294007529889, 0.20948214108472782,
+]
+const GAUSS_WEIGHTS = [0.1294849661688697, 0.27970539148927664, 0.3818300505051189, 0.4179591836734694]
+
 /**
- * Numeric integrate helper over y in [0, t].
+ * One Gauss–Kronrod 15-point panel on [a, b] with the QUADPACK error estimate, which scales the
+ * Gauss/Kronrod difference by the integrand's variation so smooth panels are not over-refined.
  */
-function integrate(t, f, N = 800) {
-  if (!(t > 0)) return 0
-  const dy = t / N
-  let sum = 0
-  for (let i = 0; i <= N; i++) {
-    const y = Math.min(i * dy, t)
-    const w = i === 0 || i === N ? 0.5 : 1 // trapezoidal rule
-    sum += w * f(y)
+function gaussKronrod15(f, a, b) {
+  const centre = (a + b) / 2
+  const half = (b - a) / 2
+  const fc = f(centre)
+  let gauss = fc * GAUSS_WEIGHTS[3]
+  let kronrod = fc * KRONROD_WEIGHTS[7]
+  const values = [[fc, fc]]
+  for (let j = 0; j < 7; j++) {
+    const dx = half * GK_NODES[j]
+    const f1 = f(centre - dx)
+    const f2 = f(centre + dx)
+    values.push([f1, f2, j])
+    kronrod += KRONROD_WEIGHTS[j] * (f1 + f2)
+    if (j % 2 === 1) gauss += GAUSS_WEIGHTS[(j - 1) / 2] * (f1 + f2)
+  }
+  const mean = kronrod / 2
+  let resAbs = KRONROD_WEIGHTS[7] * Math.abs(fc)
+  let resAsc = KRONROD_WEIGHTS[7] * Math.abs(fc - mean)
+  for (const [f1, f2, j] of values.slice(1)) {
+    resAbs += KRONROD_WEIGHTS[j] * (Math.abs(f1) + Math.abs(f2))
+    resAsc += KRONROD_WEIGHTS[j] * (Math.abs(f1 - mean) + Math.abs(f2 - mean))
+  }
+  const scale = Math.abs(half)
+  resAbs *= scale
+  resAsc *= scale
+  let error = Math.abs((kronrod - gauss) * half)
+  if (resAsc !== 0 && error !== 0) error = resAsc * Math.min(1, Math.pow((200 * error) / resAsc, 1.5))
+  error = Math.max(50 * Number.EPSILON * resAbs, error)
+  return { a, b, value: kronrod * half, error }
+}
+
+/**
+ * Adaptive Gauss–Kronrod quadrature of f over [a, b]: the panel with the largest error estimate
+ * is bisected until the total estimate meets the relative tolerance. Breaks (points where f jumps
+ * or kinks, such as flange edges) start panels of their own so they never fall inside one.
+ * @param {(x: number) => number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {{ breaks?: number[], relTol?: number, maxPanels?: number }} [options]
+ * @returns {{ value: number, error: number, panels: number }} error: estimated absolute error
+ */
+function integrateAdaptive(f, a, b, { breaks = [], relTol = 1e-12, maxPanels = 400 } = {}) {
+  if (!(b > a)) return { value: 0, error: 0, panels: 0 }
+  const cuts = [a, ...breaks.filter((x) => x > a && x < b).sort((p, q) => p - q), b].filter((x, i, list) => i === 0 || x > list[i - 1])
+  const panels = cuts.slice(1).map((x, i) => gaussKronrod15(f, cuts[i], x))
+  const total = (key) => panels.reduce((sum, panel) => sum + panel[key], 0)
+  let value = total('value')
+  let error = total('error')
+  while (error > relTol * Math.abs(value) && panels.length < maxPanels) {
+    let worst = 0
+    for (let i = 1; i < panels.length; i++) if (panels[i].error > panels[worst].error) worst = i
+    const { a: pa, b: pb } = panels[worst]
+    const mid = (pa + pb) / 2
+    if (!(mid > pa && mid < pb)) break // panel too narrow to split in floating point
+    panels.splice(worst, 1, gaussKronrod15(f, pa, mid), gaussKronrod15(f, mid, pb))
+    value = total('value')
+    error = total('error')
   }
-  return sum * dy
+  return { value, error, panels: panels.length }
 }
 
 /**
- * Width functions b(y) for different section types.
+ * ∫ vⁿ / (1 + v) dv over [v1, v2] for n = 2 or 3. Near v = 0 the antiderivative's terms nearly
+ * cancel, so small intervals are summed as the series Σ (−1)^m v^(n+m+1) / (n+m+1) instead.
+ */
+function powerOverOnePlus(n, v1, v2) {
+  if (Math.max(Math.abs(v1), Math.abs(v2)) < 0.1) {
+    let sum = 0
+    let p1 = v1 ** (n + 1)
+    let p2 = v2 ** (n + 1)
+    for (let m = 0; m < 40; m++) {
+      sum += ((m % 2 === 0 ? 1 : -1) * (p2 - p1)) / (n + m + 1)
+      // Stop on the size of the powers: for a symmetric interval every other term is exactly zero
+      if (Math.max(Math.abs(p1), Math.abs(p2)) <= 1e-17 * Math.abs(sum)) break
+      p1 *= v1
+      p2 *= v2
+    }
+    return sum
+  }
+  const F = n === 2
+    ? (v) => (v * v) / 2 - v + Math.log1p(v)
+    : (v) => (v * v * v) / 3 - (v * v) / 2 + v - Math.log1p(v)
+  return F(v2) - F(v1)
+}
+
+/**
+ * Normalize a vertex list to [[y, z], ...] and drop a repeated closing vertex.
+ * Accepts {y, z} objects or [y, z] pairs.
+ */
+function polygonPoints(vertices) {
+  const pts = (Array.isArray(vertices) ? vertices : []).map((v) => (Array.isArray(v) ? [Number(v[0]), Number(v[1])] : [Number(v?.y), Number(v?.z)]))
+  if (pts.length > 1) {
+    const [y0, z0] = pts[0]
+    const [yl, zl] = pts[pts.length - 1]
+    if (y0 === yl && z0 === zl) pts.pop()
+  }
+  return pts
+}
+
+function orientation(p, q, r) {
+  const v = (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0])
+  return v > 0 ? 1 : v < 0 ? -1 : 0
+}
+
+function onSegment(p, q, r) {
+  return Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) && Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1])
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const o1 = orientation(p1, p2, p3)
+  const o2 = orientation(p1, p2, p4)
+  const o3 = orientation(p3, p4, p1)
+  const o4 = orientation(p3, p4, p2)
+  if (o1 !== o2 && o3 !== o4) return true
+  return (o1 === 0 && onSegment(p1, p3, p2)) || (o2 === 0 && onSegment(p1, p4, p2))
+    || (o3 === 0 && onSegment(p3, p1, p4)) || (o4 === 0 && onSegment(p3, p2, p4))
+}
+
+/**
+ * Validate a polygon outline given as (y, z) vertices: y radial from ri, z across the width.
+ * The outline is closed implicitly (the last vertex joins the first) and must not cross itself.
+ * @param {Array<{y: number, z: number}|number[]>} vertices
+ * @returns {{ ok: boolean, message?: string }}
+ */
+export function validatePolygon(vertices) {
+  const pts = polygonPoints(vertices)
+  if (pts.length < 3) return { ok: false, message: 'Polygon needs at least 3 vertices' }
+  const bad = pts.findIndex(([y, z]) => !Number.isFinite(y) || !Number.isFinite(z))
+  if (bad >= 0) return { ok: false, message: `Vertex ${bad + 1} must have numeric y and z` }
+  if (pts.some(([y]) => y < 0)) return { ok: false, message: 'Vertex y must be ≥ 0 (measured outward from ri)' }
+  const n = pts.length
+  for (let i = 0; i < n; i++) {
+    const [y1, z1] = pts[i]
+    const [y2, z2] = pts[(i + 1) % n]
+    if (y1 === y2 && z1 === z2) return { ok: false, message: `Vertices ${i + 1} and ${((i + 1) % n) + 1} coincide` }
+  }
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      // Adjacent edges share a vertex by construction
+      if (j === i + 1 || (i === 0 && j === n - 1)) continue
+      if (segmentsIntersect(pts[i], pts[(i + 1) % n], pts[j], pts[(j + 1) % n])) {
+        return { ok: false, message: `Polygon is self-intersecting (edges ${i + 1} and ${j + 1} cross)` }
+      }
+    }
+  }
+  let area2 = 0
+  for (let i = 0; i < n; i++) {
+    const [y1, z1] = pts[i]
+    const [y2, z2] = pts[(i + 1) % n]
+    area2 += y1 * z2 - y2 * z1
+  }
+  if (!(Math.abs(area2) > 0)) return { ok: false, message: 'Polygon has zero area' }
+  return { ok: true }
+}
+
+/**
+ * Width b(y) of a polygon slice: total length of the chords cut by the line at radial position y.
+ * Edges are treated as half-open in y so shared vertices are not counted twice.
+ */
+function polygonWidthAt(pts, y) {
+  const zs = []
+  for (let i = 0; i < pts.length; i++) {
+    const [y1, z1] = pts[i]
+    const [y2, z2] = pts[(i + 1) % pts.length]
+    if ((y1 <= y && y < y2) || (y2 <= y && y < y1)) zs.push(z1 + ((y - y1) / (y2 - y1)) * (z2 - z1))
+  }
+  zs.sort((a, b) => a - b)
+  let w = 0
+  for (let k = 0; k + 1 < zs.length; k += 2) w += zs[k + 1] - zs[k]
+  return w
+}
+
+/**
+ * Normalize built-up strips to { R, t, bInner, bOuter }; a missing outer width means a rectangular strip.
+ */
+function compositeStrips(strips) {
+  return (Array.isArray(strips) ? strips : []).map((s) => {
+    const bInner = Number(s?.bInner)
+    const bOuter = s?.bOuter === undefined || s?.bOuter === '' || Number.isNaN(Number(s?.bOuter)) ? bInner : Number(s.bOuter)
+    return { R: Number(s?.R), t: Number(s?.t), bInner, bOuter }
+  })
+}
+
+/**
+ * Detect gaps and overlaps between built-up strips along the radius.
+ * Overlapping strips are treated as side-by-side plates (their widths add);
+ * a gap leaves the parts unconnected, which Winkler–Bach theory does not cover.
+ * @param {Array<{R: number, t: number, bInner: number, bOuter?: number}>} strips
+ * @returns {{ overlaps: {i: number, j: number, amount: number}[], gaps: {i: number, j: number, amount: number}[], messages: string[] }}
+ */
+export function checkStrips(strips) {
+  const list = compositeStrips(strips)
+  const scale = Math.max(...list.map((s) => s.R + s.t))
+  const tol = 1e-9 * scale
+  const overlaps = []
+  const gaps = []
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const amount = Math.min(list[i].R + list[i].t, list[j].R + list[j].t) - Math.max(list[i].R, list[j].R)
+      if (amount > tol) overlaps.push({ i, j, amount })
+    }
+  }
+  const order = list.map((s, i) => i).sort((a, b) => list[a].R - list[b].R)
+  let reach = -Infinity
+  let last = -1
+  for (const k of order) {
+    if (last >= 0 && list[k].R - reach > tol) gaps.push({ i: last, j: k, amount: list[k].R - reach })
+    if (list[k].R + list[k].t > reach) {
+      reach = list[k].R + list[k].t
+      last = k
+    }
+  }
+  const messages = [
+    ...overlaps.map((o) => `Strips ${o.i + 1} and ${o.j + 1} overlap radially by ${o.amount.toPrecision(3)} m; widths are added as side-by-side plates`),
+    ...gaps.map((g) => `Gap of ${g.amount.toPrecision(3)} m between strips ${g.i + 1} and ${g.j + 1}; the parts are not connected`),
+  ]
+  return { overlaps, gaps, messages }
+}
+
+/**
+ * Width function of a stack of strips with absolute inner radii.
+ * Each strip covers [R, R + t), so where two strips meet only the outer one counts; the outer face of
+ * the stack is included (within rounding of ri + y).
+ */
+function stripsWidthFn(strips) {
+  const riOverride = Math.min(...strips.map((s) => s.R))
+  const roOverride = Math.max(...strips.map((s) => s.R + s.t))
+  const tol = 1e-12 * roOverride
+  const bfn = (y) => {
+    const r = riOverride + y
+    let w = 0
+    for (const s of strips) {
+      const top = s.R + s.t
+      const inStrip = r < top || (top === roOverride && r <= top + tol)
+      if (r >= s.R && inStrip) w += s.bInner + ((s.bOuter - s.bInner) * (Math.min(r, top) - s.R)) / s.t
+    }
+    return w
+  }
+  const breaks = strips.flatMap((s) => [s.R - riOverride, s.R + s.t - riOverride])
+  return { bfn, t: roOverride - riOverride, riOverride, roOverride, breaks }
+}
+
+/**
+ * Width functions b(y) for different section types, with the y positions where b jumps or kinks
+ * (`breaks`) for the quadrature.
  * params per type:
  * - Rectangular: { b, t }
  * - Trapezoidal: { bInner, bOuter, t }
  * - Triangular:  { bInner, bOuter, t } with one of bInner/bOuter = 0
  * - Circular:    { d } (solid circle of diameter d => t = d)
+ * - Polygon:     { vertices: [{ y, z }] } y radial from ri, z across the width; the inner surface is the lowest vertex
+ * - HollowCircular:    { d, di }
+ * - HollowRectangular: { b, t, tw, tf }
+ * - ISection:          { bfi, tfi, bfo, tfo, tw, t }
+ * - InvertedT:         { bf, tf, tw, t }
+ * - Channel:           { b, tb, tl, t }
+ * - Composite:         { strips: [{ R, t, bInner, bOuter }] } absolute inner radius R per strip (ri is ignored)
  */
 function makeWidthFn(shape, params) {
   switch (shape) {
@@ -73,19 +355,46 @@ function makeWidthFn(shape, params) {
       // y in [0, d], width b(y) = 2 * sqrt(a^2 - (y - a)^2)
       return { bfn: (y) => 2 * Math.sqrt(Math.max(0, a * a - (y - a) * (y - a))), t }
     }
+    case SectionType.HollowCircular: {
+      const { d = NaN, di = NaN } = params || {}
+      const a = d / 2
+      const ai = di / 2
+      const chord = (rad, u) => 2 * Math.sqrt(Math.max(0, rad * rad - u * u))
+      return { bfn: (y) => chord(a, y - a) - chord(ai, y - a), t: d, breaks: [a - ai, a + ai] }
+    }
+    case SectionType.HollowRectangular: {
+      const { b = NaN, t = NaN, tw = NaN, tf = NaN } = params || {}
+      return { bfn: (y) => (y < tf || y > t - tf ? b : 2 * tw), t, breaks: [tf, t - tf] }
+    }
+    case SectionType.ISection: {
+      const { bfi = NaN, tfi = NaN, bfo = NaN, tfo = NaN, tw = NaN, t = NaN } = params || {}
+      return { bfn: (y) => (y < tfi ? bfi : y > t - tfo ? bfo : tw), t, breaks: [tfi, t - tfo] }
+    }
+    case SectionType.InvertedT: {
+      const { bf = NaN, tf = NaN, tw = NaN, t = NaN } = params || {}
+      return { bfn: (y) => (y < tf ? bf : tw), t, breaks: [tf] }
+    }
+    case SectionType.Channel: {
+      const { b = NaN, tb = NaN, tl = NaN, t = NaN } = params || {}
+      return { bfn: (y) => (y < tb ? b : 2 * tl), t, breaks: [tb] }
+    }
     case SectionType.TSection: {
       const { R1 = NaN, t1 = NaN, b1 = NaN, R2 = NaN, t2 = NaN, b2 = NaN } = params || {}
-      const riOverride = Math.min(R1, R2)
-      const roOverride = Math.max(R1 + t1, R2 + t2)
-      const t = roOverride - riOverride
-      const bfn = (y) => {
-        const r = riOverride + y
-        let w = 0
-        if (r >= R1 && r <= R1 + t1) w += b1
-        if (r >= R2 && r <= R2 + t2) w += b2
-        return w
-      }
-      return { bfn, t, riOverride, roOverride }
+      return stripsWidthFn([
+        { R: R1, t: t1, bInner: b1, bOuter: b1 },
+        { R: R2, t: t2, bInner: b2, bOuter: b2 },
+      ])
+    }
+    case SectionType.Composite:
+      return stripsWidthFn(compositeStrips(params?.strips))
+    case SectionType.Polygon: {
+      const pts = polygonPoints(params?.vertices)
+      const ys = pts.map(([y]) => y)
+      const yMin = Math.min(...ys)
+      const t = Math.max(...ys) - yMin
+      // Shift so y = 0 is the innermost vertex; ri is offset by the same amount.
+      // The outermost slice is taken just inside the outline so a flat outer edge keeps its width.
+      return { bfn: (y) => polygonWidthAt(pts, Math.min(y, t * (1 - 1e-9)) + yMin), t, riOffset: yMin, breaks: ys.map((y) => y - yMin) }
     }
     default:
       return { bfn: () => NaN, t: NaN }
@@ -134,9 +443,71 @@ export const SectionSpecs = {
       { key: 'b2', label: 'Rect 2 width b2 (m)', positive: true },
     ],
   },
+  [SectionType.Polygon]: {
+    label: 'Polygon (custom outline)',
+    params: [],
+    note: 'Vertices (y, z): y radial outward from ri, z across the width; the outline closes automatically',
+  },
+  [SectionType.Composite]: {
+    label: 'Built-up (N strips)',
+    params: [],
+    note: 'Each strip has its own inner radius R, thickness t and inner/outer width; leave b_outer blank for a rectangle',
+  },
+  [SectionType.HollowCircular]: {
+    label: 'Hollow circular (tube)',
+    params: [
+      { key: 'd', label: 'Outer diameter d (m)', positive: true },
+      { key: 'di', label: 'Inner diameter d_i (m)', positive: true },
+    ],
+  },
+  [SectionType.HollowRectangular]: {
+    label: 'Hollow rectangular (box)',
+    params: [
+      { key: 'b', label: 'Outer width b (m)', positive: true },
+      { key: 't', label: 'Outer depth t (m)', positive: true },
+      { key: 'tw', label: 'Side wall thickness t_w (m)', positive: true },
+      { key: 'tf', label: 'Inner/outer wall thickness t_f (m)', positive: true },
+    ],
+  },
+  [SectionType.ISection]: {
+    label: 'I-section',
+    params: [
+      { key: 'bfi', label: 'Inner flange width b_fi (m)', positive: true },
+      { key: 'tfi', label: 'Inner flange thickness t_fi (m)', positive: true },
+      { key: 'bfo', label: 'Outer flange width b_fo (m)', positive: true },
+      { key: 'tfo', label: 'Outer flange thickness t_fo (m)', positive: true },
+      { key: 'tw', label: 'Web thickness t_w (m)', positive: true },
+      { key: 't', label: 'Overall depth t (m)', positive: true },
+    ],
+    note: 'Flanges may differ; a wider inner flange suits hooks',
+  },
+  [SectionType.InvertedT]: {
+    label: 'Inverted T (flange inside)',
+    params: [
+      { key: 'bf', label: 'Flange width b_f (m)', positive: true },
+      { key: 'tf', label: 'Flange thickness t_f (m)', positive: true },
+      { key: 'tw', label: 'Stem thickness t_w (m)', positive: true },
+      { key: 't', label: 'Overall depth t (m)', positive: true },
+    ],
+  },
+  [SectionType.Channel]: {
+    label: 'Channel (base inside)',
+    params: [
+      { key: 'b', label: 'Overall width b (m)', positive: true },
+      { key: 'tb', label: 'Base thickness t_b (m)', positive: true },
+      { key: 'tl', label: 'Leg thickness t_l (m)', positive: true },
+      { key: 't', label: 'Overall depth t (m)', positive: true },
+    ],
+  },
 }
 
-function validateParams(shape, params) {
+/**
+ * Check section parameters, including the cross-parameter rules of each shape.
+ * @param {string} shape
+ * @param {object} params
+ * @returns {{ ok: boolean, message?: string }}
+ */
+export function validateParams(shape, params) {
   const spec = SectionSpecs[shape]
   if (!spec) return { ok: false, message: 'Unsupported shape' }
   const p = params || {}
@@ -154,60 +525,401 @@ function validateParams(shape, params) {
     const bo = Number(p.bOuter) || 0
     if (bi <= 0 && bo <= 0) return { ok: false, message: 'At least one of b_inner or b_outer must be > 0' }
   }
+  if (shape === SectionType.Polygon) return validatePolygon(p.vertices)
+  if (shape === SectionType.Composite) {
+    const strips = compositeStrips(p.strips)
+    if (strips.length === 0) return { ok: false, message: 'Add at least one strip' }
+    for (let i = 0; i < strips.length; i++) {
+      const { R, t, bInner, bOuter } = strips[i]
+      if (!(R > 0)) return { ok: false, message: `Strip ${i + 1}: inner radius R must be > 0` }
+      if (!(t > 0)) return { ok: false, message: `Strip ${i + 1}: thickness t must be > 0` }
+      if (!(bInner >= 0 && bOuter >= 0 && bInner + bOuter > 0)) return { ok: false, message: `Strip ${i + 1}: widths must be ≥ 0 and not both 0` }
+    }
+  }
+  if (shape === SectionType.HollowCircular && !(p.di < p.d)) {
+    return { ok: false, message: 'Inner diameter d_i must be smaller than outer diameter d' }
+  }
+  if (shape === SectionType.HollowRectangular) {
+    if (!(2 * p.tw < p.b)) return { ok: false, message: 'Side walls 2·t_w must be thinner than the outer width b' }
+    if (!(2 * p.tf < p.t)) return { ok: false, message: 'Inner/outer walls 2·t_f must be thinner than the outer depth t' }
+  }
+  if (shape === SectionType.ISection) {
+    if (!(p.tfi + p.tfo < p.t)) return { ok: false, message: 'Flange thicknesses t_fi + t_fo must be less than the depth t' }
+    if (!(p.tw <= Math.min(p.bfi, p.bfo))) return { ok: false, message: 'Web thickness t_w must not exceed either flange width' }
+  }
+  if (shape === SectionType.InvertedT) {
+    if (!(p.tf < p.t)) return { ok: false, message: 'Flange thickness t_f must be less than the depth t' }
+    if (!(p.tw <= p.bf)) return { ok: false, message: 'Stem thickness t_w must not exceed the flange width b_f' }
+  }
+  if (shape === SectionType.Channel) {
+    if (!(p.tb < p.t)) return { ok: false, message: 'Base thickness t_b must be less than the depth t' }
+    if (!(2 * p.tl <= p.b)) return { ok: false, message: 'Legs 2·t_l must fit within the width b' }
+  }
   return { ok: true }
 }
 
+/**
+ * Outline of a section for drawing, in the same coordinates as b(y):
+ * y radial from the inner surface, z across the width (centered on z = 0 unless the
+ * polygon says otherwise). Solid regions are closed loops of [y, z] points; holes are
+ * listed separately so they can be painted over.
+ * @param {string} shape
+ * @param {object} params
+ * @param {number} [n] points used for circles
+ * @returns {{ t: number, solids: number[][][], holes: number[][][] } | null} null when parameters are invalid
+ */
+export function sectionOutline(shape, params, n = 48) {
+  if (!validateParams(shape, params).ok) return null
+  const p = params
+  const rect = (y0, y1, w) => [[y0, -w / 2], [y0, w / 2], [y1, w / 2], [y1, -w / 2]]
+  const circle = (a) => Array.from({ length: n }, (_, i) => {
+    const th = (2 * Math.PI * i) / n
+    return [p.d / 2 - a * Math.cos(th), a * Math.sin(th)]
+  })
+  switch (shape) {
+    case SectionType.Rectangular:
+      return { t: p.t, solids: [rect(0, p.t, p.b)], holes: [] }
+    case SectionType.Trapezoidal:
+    case SectionType.Triangular:
+      return { t: p.t, solids: [[[0, -p.bInner / 2], [0, p.bInner / 2], [p.t, p.bOuter / 2], [p.t, -p.bOuter / 2]]], holes: [] }
+    case SectionType.Circular:
+      return { t: p.d, solids: [circle(p.d / 2)], holes: [] }
+    case SectionType.HollowCircular:
+      return { t: p.d, solids: [circle(p.d / 2)], holes: [circle(p.di / 2)] }
+    case SectionType.HollowRectangular:
+      return { t: p.t, solids: [rect(0, p.t, p.b)], holes: [rect(p.tf, p.t - p.tf, p.b - 2 * p.tw)] }
+    case SectionType.ISection: {
+      const { bfi, tfi, bfo, tfo, tw, t } = p
+      return {
+        t,
+        solids: [[
+          [0, -bfi / 2], [0, bfi / 2], [tfi, bfi / 2], [tfi, tw / 2], [t - tfo, tw / 2], [t - tfo, bfo / 2],
+          [t, bfo / 2], [t, -bfo / 2], [t - tfo, -bfo / 2], [t - tfo, -tw / 2], [tfi, -tw / 2], [tfi, -bfi / 2],
+        ]],
+        holes: [],
+      }
+    }
+    case SectionType.InvertedT: {
+      const { bf, tf, tw, t } = p
+      return { t, solids: [[[0, -bf / 2], [0, bf / 2], [tf, bf / 2], [tf, tw / 2], [t, tw / 2], [t, -tw / 2], [tf, -tw / 2], [tf, -bf / 2]]], holes: [] }
+    }
+    case SectionType.Channel: {
+      const { b, tb, tl, t } = p
+      return {
+        t,
+        solids: [[[0, -b / 2], [0, b / 2], [t, b / 2], [t, b / 2 - tl], [tb, b / 2 - tl], [tb, -b / 2 + tl], [t, -b / 2 + tl], [t, -b / 2]]],
+        holes: [],
+      }
+    }
+    case SectionType.TSection: {
+      const r0 = Math.min(p.R1, p.R2)
+      const t = Math.max(p.R1 + p.t1, p.R2 + p.t2) - r0
+      return { t, solids: [rect(p.R1 - r0, p.R1 - r0 + p.t1, p.b1), rect(p.R2 - r0, p.R2 - r0 + p.t2, p.b2)], holes: [] }
+    }
+    case SectionType.Composite: {
+      const strips = compositeStrips(p.strips)
+      const r0 = Math.min(...strips.map((st) => st.R))
+      const t = Math.max(...strips.map((st) => st.R + st.t)) - r0
+      const solids = strips.map((st) => [
+        [st.R - r0, -st.bInner / 2], [st.R - r0, st.bInner / 2], [st.R - r0 + st.t, st.bOuter / 2], [st.R - r0 + st.t, -st.bOuter / 2],
+      ])
+      return { t, solids, holes: [] }
+    }
+    case SectionType.Polygon: {
+      const pts = polygonPoints(p.vertices)
+      const yMin = Math.min(...pts.map(([y]) => y))
+      return { t: Math.max(...pts.map(([y]) => y)) - yMin, solids: [pts.map(([y, z]) => [y - yMin, z])], holes: [] }
+    }
+    default:
+      return null
+  }
+}
+
+/** σ_r above this fraction of the peak circumferential stress is reported as a warning. */
+export const RADIAL_WARNING_RATIO = 0.1
+
+/**
+ * Where σ_r is worth checking in sections with thin parts, named in the warning. Solid sections and
+ * polygons get no pointer: there the peak is inside the bulk of the section.
+ */
+const RADIAL_CHECK_PARTS = {
+  [SectionType.TSection]: 'the narrower rectangle',
+  [SectionType.Composite]: 'thin strips such as webs',
+  [SectionType.HollowCircular]: 'the tube wall',
+  [SectionType.HollowRectangular]: 'the side walls',
+  [SectionType.ISection]: 'the web',
+  [SectionType.InvertedT]: 'the stem',
+  [SectionType.Channel]: 'the legs',
+}
+
+export const IntegrationMethod = {
+  ClosedForm: 'closedForm',
+  GaussKronrod: 'gaussKronrod',
+}
+
+export const IntegrationMethodLabels = {
+  [IntegrationMethod.ClosedForm]: 'closed form',
+  [IntegrationMethod.GaussKronrod]: 'adaptive Gauss–Kronrod',
+}
+
+/**
+ * Exact integrals of a section whose width varies linearly from bi at the inner face to bo at the
+ * outer face (rectangle, trapezoid, triangle). With u = r − R_c = R_c v and b = b_c + k u about
+ * the centroid, D = (1/R_c²) ∫ b u²/r dr = b_c F₂ + k R_c F₃ where F_n = ∫ vⁿ/(1 + v) dv.
+ */
+function linearWidthIntegrals(bi, bo, t, ri) {
+  const A = (t * (bi + bo)) / 2
+  const ybar = (t * (bi + 2 * bo)) / (3 * (bi + bo))
+  const Ic = (t ** 3 * (bi * bi + 4 * bi * bo + bo * bo)) / (36 * (bi + bo))
+  const Rc = ri + ybar
+  const k = (bo - bi) / t
+  const bc = bi + k * ybar
+  const v1 = -ybar / Rc
+  const v2 = (t - ybar) / Rc
+  const D = bc * powerOverOnePlus(2, v1, v2) + k * Rc * powerOverOnePlus(3, v1, v2)
+  return { A, ybar, Ic, D }
+}
+
+/**
+ * Exact integrals of a solid or hollow circle (outer radius a, inner ai, ai = 0 when solid)
+ * centred at R_c = r_i + a. For one circle of radius c, with w = √(R_c² − c²),
+ *   S = 2π c² / (R_c + w),  D = S − A/R_c = π c⁴ / (R_c (R_c + w)²)
+ */
+function circleIntegrals(a, ai, ri) {
+  const Rc = ri + a
+  const disc = (c) => (Math.PI * c ** 4) / (Rc * (Rc + Math.sqrt((Rc - c) * (Rc + c))) ** 2)
+  return {
+    A: Math.PI * (a * a - ai * ai),
+    ybar: a,
+    Ic: (Math.PI * (a ** 4 - ai ** 4)) / 4,
+    D: disc(a) - (ai > 0 ? disc(ai) : 0),
+  }
+}
+
+/**
+ * Section integrals by adaptive Gauss–Kronrod quadrature: A, the first moment (for ȳ), Ic and
+ * D = (1/R_c²) ∫ b u²/r dr about the centroid found, with their estimated errors.
+ */
+function quadratureIntegrals(bfn, t, ri, breaks) {
+  const opts = { breaks }
+  const A = integrateAdaptive(bfn, 0, t, opts)
+  const Q = integrateAdaptive((y) => y * bfn(y), 0, t, opts)
+  const ybar = Q.value / A.value
+  const Rc = ri + ybar
+  const I = integrateAdaptive((y) => (y - ybar) * (y - ybar) * bfn(y), 0, t, opts)
+  const D = integrateAdaptive((y) => ((y - ybar) * (y - ybar) * bfn(y)) / (ri + y), 0, t, opts)
+  const errYbar = (Q.error + ybar * A.error) / A.value
+  return {
+    A: A.value,
+    ybar,
+    Ic: I.value,
+    D: D.value / (Rc * Rc),
+    panels: A.panels + Q.panels + I.panels + D.panels,
+    // An error in ȳ leaves a first moment A·δȳ about the assumed centroid, which shifts D by A·δȳ/R_c²
+    errors: { A: A.error, ybar: errYbar, I: I.error, D: (D.error + A.value * errYbar) / (Rc * Rc) },
+  }
+}
+
+/**
+ * Section integrals with the inner surface at radius ri: closed forms for the rectangular,
+ * trapezoidal, triangular and circular (solid or hollow) sections, adaptive quadrature otherwise.
+ *
+ * S = ∫ b/r dr is not formed directly. Both routes give D = S − A/R_c = (1/R_c²) ∫ b u²/r dr,
+ * u = r − R_c, then S = A/R_c + D and e = R_c − R_n = R_c D / S; e therefore never comes from
+ * subtracting the nearly equal R_c and R_n of a gently curved member.
+ * Ic is the centroidal second moment used by straight-beam flexure; errors holds estimated
+ * absolute errors of A, ȳ, I, S and e (rounding only, for the closed forms).
+ */
+function sectionIntegrals(shape, params, width, ri) {
+  const p = params || {}
+  let parts = null
+  if (shape === SectionType.Rectangular) parts = linearWidthIntegrals(p.b, p.b, p.t, ri)
+  if (shape === SectionType.Trapezoidal || shape === SectionType.Triangular) parts = linearWidthIntegrals(p.bInner || 0, p.bOuter || 0, p.t, ri)
+  if (shape === SectionType.Circular) parts = circleIntegrals(p.d / 2, 0, ri)
+  if (shape === SectionType.HollowCircular) parts = circleIntegrals(p.d / 2, p.di / 2, ri)
+  const method = parts ? IntegrationMethod.ClosedForm : IntegrationMethod.GaussKronrod
+  if (!parts) parts = quadratureIntegrals(width.bfn, width.t, ri, width.breaks || [])
+
+  const { A, ybar, Ic, D } = parts
+  const Rc = ri + ybar
+  const S = A / Rc + D
+  const e = (Rc * D) / S
+  const eps = 16 * Number.EPSILON
+  const err = parts.errors || { A: eps * A, ybar: eps * ybar, I: eps * Ic, D: eps * D }
+  const errS = err.A / Rc + err.D
+  return {
+    A,
+    ybar,
+    Ic,
+    S,
+    e,
+    method,
+    panels: parts.panels || 0,
+    errors: { A: err.A, ybar: err.ybar, I: err.I, S: errS, e: e * (err.D / D + errS / S + err.ybar / Rc) + eps * e },
+  }
+}
+
+/**
+ * Curvature correction factors K = σ_Winkler–Bach / σ_straight (M c / I) at the inner and outer
+ * fibres, for the given section moved to different radii. Each ratio R_c/h places the centroid at
+ * R_c = ratio · h, where h is the radial depth; ratios that would need ri ≤ 0 are skipped.
+ * @param {string} shape
+ * @param {object} params
+ * @param {number[]} ratios
+ * @returns {{ ok: boolean, message?: string, points?: { ratio: number, Ki: number, Ko: number }[], thresholdRatio?: number }}
+ *   thresholdRatio: smallest sampled R_c/h beyond which ignoring curvature errs by less than 5%
+ */
+export function curvatureCorrection(shape, params, ratios) {
+  const v = validateParams(shape, params)
+  if (!v.ok) return v
+  const width = makeWidthFn(shape, params)
+  const { t } = width
+  const ybar = sectionIntegrals(shape, params, width, 1).ybar
+
+  const points = []
+  for (const ratio of ratios) {
+    const ri = ratio * t - ybar
+    if (!(ri > 0)) continue
+    const { A, Ic, e } = sectionIntegrals(shape, params, width, ri)
+    const Rn = ri + ybar - e
+    const Ki = ((Rn / ri - 1) / (A * e)) / (ybar / Ic)
+    const Ko = ((Rn / (ri + t) - 1) / (A * e)) / (-(t - ybar) / Ic)
+    points.push({ ratio, Ki, Ko })
+  }
+
+  let thresholdRatio = NaN
+  for (let i = points.length - 1; i >= 0; i--) {
+    const { Ki, Ko } = points[i]
+    if (Math.max(Math.abs(1 / Ki - 1), Math.abs(1 / Ko - 1)) >= 0.05) break
+    thresholdRatio = points[i].ratio
+  }
+  return { ok: true, points, thresholdRatio }
+}
+
+/**
+ * Radial stress σ_r through the depth from equilibrium of the part of the section inside radius r:
+ *   σ_r(r) = (1 / (r b(r))) ∫_{r_i}^{r} σ_b(ρ) b(ρ) dρ,  σ_b = (M / (A e)) (R_n / ρ − 1)
+ * Only the bending stress enters; the direct stress N/A is balanced along the arc by the change in
+ * shear. The integral is zero at both faces and is summed by Gauss–Kronrod over the pieces between
+ * the samples and the width's corners. At a corner the narrower side is taken, since σ_r jumps
+ * there to the larger value in the thinner part (a web next to its flange).
+ * @returns {{ sigmaRadial: number[], peak: { value: number, atR: number } }}
+ *   sigmaRadial: σ_r at the sample radii ri + ys; peak: largest |σ_r| over the samples and corners
+ */
+function radialStress(bfn, t, ri, breaks, ys, Mlocal, A, e, Rn) {
+  const inside = breaks.filter((y) => y > 0 && y < t)
+  const grid = [...new Set([...ys, ...inside])].sort((p, q) => p - q)
+  const integrand = (y) => bfn(y) * (Rn / (ri + y) - 1)
+  const force = new Map([[grid[0], 0]])
+  let sum = 0
+  for (let i = 1; i < grid.length; i++) {
+    sum += gaussKronrod15(integrand, grid[i - 1], grid[i]).value
+    force.set(grid[i], sum)
+  }
+  const k = Mlocal / (A * e)
+  const at = (y, b) => (y <= 0 || y >= t || !(b > 0) ? 0 : (k * force.get(y)) / ((ri + y) * b))
+
+  const sigmaRadial = ys.map((y) => at(y, bfn(y)))
+  const candidates = ys.map((y, i) => ({ value: sigmaRadial[i], atR: ri + y }))
+  const delta = 1e-9 * t
+  for (const y of inside) {
+    const sides = [bfn(y - delta), bfn(y + delta)].filter((b) => b > 0)
+    if (sides.length) candidates.push({ value: at(y, Math.min(...sides)), atR: ri + y })
+  }
+  const peak = candidates.reduce((worst, c) => (Math.abs(c.value) > Math.abs(worst.value) ? c : worst))
+  return { sigmaRadial, peak }
+}
+
 /**
  * Compute curved beam stress distribution and key results.
- * @param {{shape: string, ri?: number, M?: number, P?: number, d?: number, params: object, samples?: number}} input
- * @returns {{ ok: boolean, message?: string, A?: number, ybar?: number, yn?: number, e?: number, Rc?: number, R?: number, rInner?: number, rOuter?: number, sigmaInner?: number, sigmaOuter?: number, maxTension?: any, maxCompression?: any, r?: number[], sigma?: number[], Rn?: number }}
+ * If P and d are both given they define N, V and M (the M input is then ignored); otherwise M acts
+ * with the optional axial force N (tension +) and shear V, e.g. resultants from a ring analysis.
+ * errors holds estimated absolute numerical errors of the section integrals, e, R_n and the fibre stresses.
+ * @param {{shape: string, ri?: number, M?: number, N?: number, V?: number, P?: number, d?: number, dRef?: string, angle?: number, params: object, samples?: number}} input angle in degrees
+ * @returns {{ ok: boolean, message?: string, warnings?: string[], errors?: { method: string, panels: number, A: number, ybar: number, S: number, I: number, e: number, Rn: number, sigmaInner: number, sigmaOuter: number }, t?: number, A?: number, S?: number, ybar?: number, yn?: number, e?: number, Rc?: number, R?: number, rInner?: number, rOuter?: number, N?: number, V?: number, M?: number, sigmaAxial?: number, sigmaBendingInner?: number, sigmaBendingOuter?: number, sigmaInner?: number, sigmaOuter?: number, tauAvg?: number, tauCentroid?: number, I?: number, sigmaStraightInner?: number, sigmaStraightOuter?: number, Ki?: number, Ko?: number, straightErrorInner?: number, straightErrorOuter?: number, RcOverH?: number, maxTension?: any, maxCompression?: any, r?: number[], sigma?: number[], sigmaBending?: number[], sigmaRadial?: number[], radialPeak?: { value: number, atR: number }, radialRatio?: number, Rn?: number }}
+ *   sigmaRadial: radial stress σ_r at the radii r (tension +); radialPeak: largest |σ_r| over the samples
+ *   and the width's corners; radialRatio: |radialPeak| over the larger extreme-fibre |σ|
  */
 export function computeCurvedBeam(input) {
-  const { shape, ri, M, P, d, params, samples = 201 } = input || {}
+  const { shape, ri, M, P, d, dRef = LeverArmRef.Centroid, angle = 0, N: Ngiven, V: Vgiven, params, samples = 201 } = input || {}
 
   const v = validateParams(shape, params)
   if (!v.ok) return v
 
-  const { bfn, t, riOverride, roOverride } = makeWidthFn(shape, params)
+  const width = makeWidthFn(shape, params)
+  const { bfn, t, riOverride, roOverride, riOffset = 0, breaks = [] } = width
   if (!(t > 0)) return { ok: false, message: 'Section thickness t must be > 0' }
 
-  const riLocal = Number.isFinite(riOverride) ? riOverride : ri
+  const riLocal = Number.isFinite(riOverride) ? riOverride : ri + riOffset
   if (!Number.isFinite(riLocal) || riLocal <= 0) return { ok: false, message: 'ri must be a positive number' }
   const ro = Number.isFinite(roOverride) ? roOverride : riLocal + t
 
-  const Mlocal = (Number.isFinite(P) && Number.isFinite(d)) ? P * d : (Number.isFinite(M) ? M : NaN)
-  if (!Number.isFinite(Mlocal)) return { ok: false, message: 'Provide bending moment M or both P and d' }
+  const eccentric = Number.isFinite(P) && Number.isFinite(d)
+  if (!eccentric && !Number.isFinite(M)) return { ok: false, message: 'Provide bending moment M or both P and d' }
+  if (eccentric && !Number.isFinite(angle)) return { ok: false, message: 'Section angle θ must be a number' }
 
-  // Integrals
-  const A = integrate(t, (y) => bfn(y))
-  const Qy = integrate(t, (y) => y * bfn(y))
-  const S = integrate(t, (y) => bfn(y) / (riLocal + y))
+  const integrals = sectionIntegrals(shape, params, width, riLocal)
+  const { A, S, ybar, Ic, e } = integrals
 
   if (!(A > 0) || !(S > 0)) {
     return { ok: false, message: 'Invalid geometry leading to zero/negative area or integral' }
   }
 
-  const ybar = Qy / A // centroid from inner surface
-  const yn = A / S // neutral axis from inner surface (Winkler–Bach)
-  const e = ybar - yn // eccentricity (can be negative)
-  const Rn = riLocal + yn // neutral axis radius from center of curvature
+  const Rc = riLocal + ybar // centroid radius from center of curvature
+  const Rn = Rc - e // neutral axis radius from center of curvature, A/S (Winkler–Bach)
+  const yn = ybar - e // neutral axis from inner surface
+
+  if (!Number.isFinite(e) || !(e > 0) || integrals.errors.e > 1e-3 * e) {
+    return { ok: false, message: 'Eccentricity too small to resolve; check geometry (ri, t) and section parameters.' }
+  }
 
-  if (!Number.isFinite(e) || Math.abs(e) < 1e-12) {
-    return { ok: false, message: 'Eccentricity too small; check geometry (ri, t) and section parameters.' }
+  // Stress resultants on the section
+  let N = Number.isFinite(Ngiven) ? Ngiven : 0
+  let V = Number.isFinite(Vgiven) ? Vgiven : 0
+  let Mlocal = M
+  if (eccentric) {
+    const th = (angle * Math.PI) / 180
+    const dO = dRef === LeverArmRef.Center ? d : d - Rc
+    N = P * Math.cos(th)
+    V = P * Math.sin(th)
+    Mlocal = P * (dO + Rc * Math.cos(th))
   }
 
+  const sigmaAxial = N / A
+  const bending = (rr) => (Mlocal / (A * e)) * (Rn / rr - 1)
+
   const r = []
   const sigma = []
+  const sigmaBending = []
+  const ys = []
   for (let i = 0; i < samples; i++) {
     const y = (i / (samples - 1)) * t
     const rr = riLocal + y
-    const s = (Mlocal / (A * e)) * (Rn / rr - 1)
+    ys.push(y)
+    const sb = bending(rr)
     r.push(rr)
-    sigma.push(s)
+    sigmaBending.push(sb)
+    sigma.push(sigmaAxial + sb)
   }
 
-  const sigmaInner = (Mlocal / (A * e)) * (Rn / riLocal - 1)
-  const sigmaOuter = (Mlocal / (A * e)) * (Rn / ro - 1)
+  const sigmaBendingInner = bending(riLocal)
+  const sigmaBendingOuter = bending(ro)
+  const sigmaInner = sigmaAxial + sigmaBendingInner
+  const sigmaOuter = sigmaAxial + sigmaBendingOuter
+
+  // Straight-beam flexure M c / I for comparison, and the curvature correction factors
+  const sigmaStraightInner = (Mlocal * ybar) / Ic
+  const sigmaStraightOuter = (-Mlocal * (t - ybar)) / Ic
+  const Ki = sigmaBendingInner / sigmaStraightInner
+  const Ko = sigmaBendingOuter / sigmaStraightOuter
+  const straightErrorInner = ((sigmaStraightInner - sigmaBendingInner) / sigmaBendingInner) * 100
+  const straightErrorOuter = ((sigmaStraightOuter - sigmaBendingOuter) / sigmaBendingOuter) * 100
+
+  // Transverse shear: average and straight-beam estimate at the centroid
+  const Qc = integrateAdaptive((y) => (ybar - y) * bfn(y), 0, ybar, { breaks }).value
+  const bc = bfn(ybar)
+  const tauAvg = V / A
+  const tauCentroid = V !== 0 && bc > 0 ? (V * Qc) / (Ic * bc) : 0
 
   const maxTensionVal = Math.max(sigmaInner, sigmaOuter)
   const maxCompressionVal = Math.min(sigmaInner, sigmaOuter)
@@ -218,24 +930,78 @@ export function computeCurvedBeam(input) {
     ? { value: maxCompressionVal, atR: riLocal, side: 'inner' }
     : { value: maxCompressionVal, atR: ro, side: 'outer' }
 
+  // Radial stress from equilibrium through the depth, flagged when it rivals the circumferential stress
+  const { sigmaRadial, peak: radialPeak } = radialStress(bfn, t, riLocal, breaks, ys, Mlocal, A, e, Rn)
+  const sigmaPeak = Math.max(Math.abs(sigmaInner), Math.abs(sigmaOuter))
+  const radialRatio = sigmaPeak > 0 ? Math.abs(radialPeak.value) / sigmaPeak : 0
+
+  const warnings = shape === SectionType.Composite ? checkStrips(params.strips).messages : []
+  if (radialRatio >= RADIAL_WARNING_RATIO) {
+    const part = RADIAL_CHECK_PARTS[shape]
+    warnings.push(
+      `Radial stress σ_r reaches ${(radialRatio * 100).toFixed(0)}% of the peak circumferential stress (at r = ${radialPeak.atR.toPrecision(4)} m)${part ? `; check it in ${part}` : ''}.`,
+    )
+  }
+
+  // Estimated numerical error, carried from the section integrals into R_n and the fibre stresses
+  const err = integrals.errors
+  const errRn = err.ybar + err.e
+  const sigmaError = (rr, sb) => Math.abs(sb) * (err.A / A + err.e / e + errRn / Math.abs(Rn - rr)) + Math.abs(sigmaAxial) * (err.A / A)
+  const errors = {
+    method: integrals.method,
+    panels: integrals.panels,
+    A: err.A,
+    ybar: err.ybar,
+    S: err.S,
+    I: err.I,
+    e: err.e,
+    Rn: errRn,
+    sigmaInner: sigmaError(riLocal, sigmaBendingInner),
+    sigmaOuter: sigmaError(ro, sigmaBendingOuter),
+  }
+
   return {
     ok: true,
+    warnings,
+    errors,
+    t,
     A,
+    S,
     ybar,
     yn,
     e,
     rInner: riLocal,
     rOuter: ro,
+    N,
+    V,
+    M: Mlocal,
+    sigmaAxial,
+    sigmaBendingInner,
+    sigmaBendingOuter,
     sigmaInner,
     sigmaOuter,
+    tauAvg,
+    tauCentroid,
+    I: Ic,
+    sigmaStraightInner,
+    sigmaStraightOuter,
+    Ki,
+    Ko,
+    straightErrorInner,
+    straightErrorOuter,
+    RcOverH: Rc / t,
     maxTension,
     maxCompression,
     r,
     sigma,
+    sigmaBending,
+    sigmaRadial,
+    radialPeak,
+    radialRatio,
     Rn,
-    Rc: riLocal + ybar,
+    Rc,
     R: Rn,
   }
 }
 
-export default { SectionType, SectionSpecs, computeCurvedBeam }
+export default { SectionType, SectionSpecs, LeverArmRef, IntegrationMethod, IntegrationMethodLabels, RADIAL_WARNING_RATIO, computeCurvedBeam, curvatureCorrection, validateParams, validatePolygon, checkStrips, sectionOutline }
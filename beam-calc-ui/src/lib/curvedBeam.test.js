@@ -0,0 +1,226 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { IntegrationMethod, LeverArmRef, SectionType, checkStrips, computeCurvedBeam, validatePolygon } from './curvedBeam'
+
+const ri = 0.1
+const t = 0.05
+const b = 0.02
+const M = 1000
+
+describe('computeCurvedBeam', () => {
+  it('eccentric load at θ = 0: N = P and M = P d about the centroid', () => {
+    const P = 5000
+    const d = 0.2
+    const result = computeCurvedBeam({ shape: SectionType.Rectangular, ri, P, d, dRef: LeverArmRef.Centroid, params: { b, t } })
+    const pure = computeCurvedBeam({ shape: SectionType.Rectangular, ri, M: P * d, params: { b, t } })
+    expectClose(result.N, P)
+    expectClose(result.M, P * d)
+    expectClose(result.sigmaInner, P / (b * t) + pure.sigmaInner)
+    expectClose(result.sigmaOuter, P / (b * t) + pure.sigmaOuter)
+  })
+
+  it('eccentric load: a lever arm from the centre of curvature adds R_c', () => {
+    const P = 5000
+    const d = 0.2
+    const fromCenter = computeCurvedBeam({ shape: SectionType.Rectangular, ri, P, d, dRef: LeverArmRef.Center, params: { b, t } })
+    expectClose(fromCenter.M, P * (d + ri + t / 2))
+  })
+
+  it('eccentric load on a section at θ = 90°: all shear, no direct stress', () => {
+    const P = 5000
+    const d = 0.2
+    const result = computeCurvedBeam({ shape: SectionType.Rectangular, ri, P, d, angle: 90, params: { b, t } })
+    expect(Math.abs(result.N)).toBeLessThan(1e-9 * P)
+    expectClose(result.V, P)
+    expectClose(result.M, P * (d - (ri + t / 2)), 1e-9)
+  })
+
+  it('rejects missing loads and invalid geometry', () => {
+    expect(computeCurvedBeam({ shape: SectionType.Rectangular, ri, params: { b, t } }).ok).toBe(false)
+    expect(computeCurvedBeam({ shape: SectionType.Rectangular, ri: -1, M, params: { b, t } }).ok).toBe(false)
+    expect(computeCurvedBeam({ shape: SectionType.Rectangular, ri, M, params: { b: 0, t } }).ok).toBe(false)
+  })
+})
+
+describe('validatePolygon', () => {
+  const square = [{ y: 0, z: 0 }, { y: t, z: 0 }, { y: t, z: b }, { y: 0, z: b }]
+
+  it('accepts a simple outline and matches the rectangle it traces', () => {
+    expect(validatePolygon(square)).toEqual({ ok: true })
+    const poly = computeCurvedBeam({ shape: SectionType.Polygon, ri, M, params: { vertices: square } })
+    const rect = computeCurvedBeam({ shape: SectionType.Rectangular, ri, M, params: { b, t } })
+    expectClose(poly.sigmaInner, rect.sigmaInner, 1e-4)
+    expectClose(poly.sigmaOuter, rect.sigmaOuter, 1e-4)
+  })
+
+  it('rejects fewer than 3 vertices', () => {
+    const result = validatePolygon(square.slice(0, 2))
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(/at least 3 vertices/)
+  })
+
+  it('rejects a self-intersecting (bow-tie) outline', () => {
+    const bowTie = [{ y: 0, z: 0 }, { y: t, z: b }, { y: t, z: 0 }, { y: 0, z: b }]
+    const result = validatePolygon(bowTie)
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(/self-intersecting/)
+  })
+
+  it('rejects an outline reaching inside ri, past the centre of curvature', () => {
+    const crossing = [{ y: -0.15, z: 0 }, { y: t, z: 0 }, { y: t, z: b }]
+    expect(validatePolygon(crossing).ok).toBe(false)
+    const result = computeCurvedBeam({ shape: SectionType.Polygon, ri, M, params: { vertices: crossing } })
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(/y must be ≥ 0/)
+  })
+})
+
+describe('built-up section parameters', () => {
+  const valid = {
+    [SectionType.HollowCircular]: { d: 0.05, di: 0.04 },
+    [SectionType.HollowRectangular]: { b: 0.04, t: 0.05, tw: 0.005, tf: 0.005 },
+    [SectionType.ISection]: { bfi: 0.04, tfi: 0.01, bfo: 0.02, tfo: 0.01, tw: 0.005, t: 0.05 },
+    [SectionType.InvertedT]: { bf: 0.04, tf: 0.01, tw: 0.005, t: 0.05 },
+    [SectionType.Channel]: { b: 0.04, tb: 0.01, tl: 0.005, t: 0.05 },
+  }
+
+  it.each(Object.entries(valid))('accepts a consistent %s', (shape, params) => {
+    expect(computeCurvedBeam({ shape, ri, M, params }).ok).toBe(true)
+  })
+
+  it.each([
+    [SectionType.HollowCircular, { di: 0.05 }, /d_i must be smaller/],
+    [SectionType.HollowRectangular, { tw: 0.02 }, /2·t_w must be thinner/],
+    [SectionType.HollowRectangular, { tf: 0.025 }, /2·t_f must be thinner/],
+    [SectionType.ISection, { tfi: 0.03, tfo: 0.02 }, /t_fi \+ t_fo must be less/],
+    [SectionType.ISection, { tw: 0.03 }, /must not exceed either flange width/],
+    [SectionType.InvertedT, { tf: 0.05 }, /t_f must be less/],
+    [SectionType.InvertedT, { tw: 0.05 }, /must not exceed the flange width/],
+    [SectionType.Channel, { tb: 0.05 }, /t_b must be less/],
+    [SectionType.Channel, { tl: 0.025 }, /2·t_l must fit/],
+    [SectionType.Channel, { tl: 0 }, /t_l \(m\) must be > 0/],
+  ])('rejects %s with %o', (shape, change, message) => {
+    const result = computeCurvedBeam({ shape, ri, M, params: { ...valid[shape], ...change } })
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(message)
+  })
+})
+
+describe('checkStrips', () => {
+  it('reports nothing for strips that touch end to end', () => {
+    const result = checkStrips([{ R: ri, t: 0.01, bInner: 0.04 }, { R: ri + 0.01, t: 0.04, bInner: b }])
+    expect(result.overlaps).toEqual([])
+    expect(result.gaps).toEqual([])
+    expect(result.messages).toEqual([])
+  })
+
+  it('reports a radial gap between strips, whatever order they are listed in', () => {
+    const result = checkStrips([{ R: ri + 0.02, t: 0.03, bInner: b }, { R: ri, t: 0.01, bInner: 0.04 }])
+    expect(result.gaps).toHaveLength(1)
+    expect(result.gaps[0]).toMatchObject({ i: 1, j: 0 })
+    expectClose(result.gaps[0].amount, 0.01, 1e-9)
+    expect(result.messages[0]).toMatch(/Gap of 0.0100 m between strips 2 and 1/)
+  })
+
+  it('reports overlapping strips and passes the message on as a warning', () => {
+    const strips = [{ R: ri, t: 0.03, bInner: b }, { R: ri + 0.02, t: 0.03, bInner: b }]
+    const result = checkStrips(strips)
+    expect(result.overlaps).toHaveLength(1)
+    expectClose(result.overlaps[0].amount, 0.01, 1e-9)
+    expect(result.gaps).toEqual([])
+    const beam = computeCurvedBeam({ shape: SectionType.Composite, ri, M, params: { strips } })
+    expect(beam.warnings).toEqual(result.messages)
+  })
+})
+
+describe('closed-form section integrals', () => {
+  it('rectangle: R_n = t / ln(r_o/r_i) and σ = M (R_n − r) / (A e r)', () => {
+    const ro = ri + t
+    const A = b * t
+    const Rn = t / Math.log(ro / ri)
+    const e = ri + t / 2 - Rn
+    const result = computeCurvedBeam({ shape: SectionType.Rectangular, ri, M, params: { b, t } })
+    expect(result.errors.method).toBe(IntegrationMethod.ClosedForm)
+    expectClose(result.Rn, Rn, 1e-12)
+    expectClose(result.e, e, 1e-9)
+    expectClose(result.sigmaInner, (M * (Rn - ri)) / (A * e * ri), 1e-9)
+    expectClose(result.sigmaOuter, (M * (Rn - ro)) / (A * e * ro), 1e-9)
+  })
+
+  it('trapezoid: R_n = A / [(b_i − k r_i) ln(r_o/r_i) + k t] with k = (b_o − b_i)/t', () => {
+    const bInner = 0.03
+    const bOuter = 0.01
+    const k = (bOuter - bInner) / t
+    const A = ((bInner + bOuter) * t) / 2
+    const Rn = A / ((bInner - k * ri) * Math.log((ri + t) / ri) + k * t)
+    const result = computeCurvedBeam({ shape: SectionType.Trapezoidal, ri, M, params: { bInner, bOuter, t } })
+    expectClose(result.Rn, Rn, 1e-12)
+  })
+
+  it('solid circle: R_n = (R_c + √(R_c² − c²)) / 2', () => {
+    const dia = 0.04
+    const c = dia / 2
+    const Rc = ri + c
+    const result = computeCurvedBeam({ shape: SectionType.Circular, ri, M, params: { d: dia } })
+    expect(result.errors.method).toBe(IntegrationMethod.ClosedForm)
+    expectClose(result.Rn, (Rc + Math.sqrt(Rc * Rc - c * c)) / 2, 1e-12)
+    expectClose(result.A, Math.PI * c * c, 1e-12)
+  })
+
+  it('quadrature of a rectangular polygon agrees with the closed form within its error estimate', () => {
+    const square = [{ y: 0, z: 0 }, { y: t, z: 0 }, { y: t, z: b }, { y: 0, z: b }]
+    const poly = computeCurvedBeam({ shape: SectionType.Polygon, ri, M, params: { vertices: square } })
+    const rect = computeCurvedBeam({ shape: SectionType.Rectangular, ri, M, params: { b, t } })
+    expect(poly.errors.method).toBe(IntegrationMethod.GaussKronrod)
+    expect(Math.abs(poly.e - rect.e)).toBeLessThanOrEqual(Math.max(poly.errors.e, 1e-12 * rect.e))
+    expectClose(poly.sigmaInner, rect.sigmaInner, 1e-8)
+  })
+})
+
+describe('radial stress', () => {
+  it('rectangle: σ_r = M (R_n ln(r/r_i) − (r − r_i)) / (A e r), zero at both faces', () => {
+    const result = computeCurvedBeam({ shape: SectionType.Rectangular, ri, M, params: { b, t } })
+    const { A, e, Rn, r, sigmaRadial } = result
+    const exact = (rr) => (M * (Rn * Math.log(rr / ri) - (rr - ri))) / (A * e * rr)
+    for (const i of [25, 100, 175]) expectClose(sigmaRadial[i], exact(r[i]), 1e-9)
+    expect(sigmaRadial[0]).toBe(0)
+    expect(sigmaRadial[r.length - 1]).toBe(0)
+  })
+
+  it('slender rectangle: the peak approaches 3M / (2 R_c b h)', () => {
+    const h = 0.01
+    const result = computeCurvedBeam({ shape: SectionType.Rectangular, ri: 0.2, M, params: { b, t: h } })
+    expectClose(Math.abs(result.radialPeak.value), (3 * M) / (2 * result.Rc * b * h), 2e-2)
+    expect(result.radialRatio).toBeLessThan(0.1)
+    expect(result.warnings).toEqual([])
+  })
+
+  it('warns when the web of a deep I-section carries a large radial stress', () => {
+    const params = { bfi: 0.06, tfi: 0.01, bfo: 0.06, tfo: 0.01, tw: 0.002, t: 0.1 }
+    const result = computeCurvedBeam({ shape: SectionType.ISection, ri: 0.05, M, params })
+    expect(result.radialRatio).toBeGreaterThan(0.1)
+    // the peak sits in the web, just inside a flange
+    expect(result.radialPeak.atR).toBeGreaterThan(0.05 + 0.01 - 1e-9)
+    expect(result.radialPeak.atR).toBeLessThan(0.15 - 0.01 + 1e-9)
+    expect(result.warnings.some((w) => /Radial stress σ_r reaches .*; check it in the web\.$/.test(w))).toBe(true)
+  })
+
+  it('does not point at a web in a solid section', () => {
+    const result = computeCurvedBeam({ shape: SectionType.Rectangular, ri: 0.01, M, params: { b, t: 0.1 } })
+    expect(result.radialRatio).toBeGreaterThan(0.1)
+    expect(result.warnings).toHaveLength(1)
+    expect(result.warnings[0]).toMatch(/circumferential stress \(at r = [\d.]+ m\)\.$/)
+  })
+})
+
+describe('built-up strips', () => {
+  it('two strips meeting at mid-depth behave as one rectangle, also at the joint', () => {
+    const strips = [{ R: ri, t: t / 2, bInner: b }, { R: ri + t / 2, t: t / 2, bInner: b }]
+    expect(checkStrips(strips).messages).toEqual([])
+    const built = computeCurvedBeam({ shape: SectionType.Composite, M, params: { strips } })
+    const rect = computeCurvedBeam({ shape: SectionType.Rectangular, ri, M, params: { b, t } })
+    expectClose(built.e, rect.e, 1e-7)
+    expectClose(built.sigmaInner, rect.sigmaInner, 1e-7)
+    expectClose(built.sigmaRadial[100], rect.sigmaRadial[100], 1e-6)
+  })
+})
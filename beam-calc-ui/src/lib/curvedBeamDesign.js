@@ -0,0 +1,119 @@
+/**
+ * Inverse design of curved beams: the smallest value of one free dimension (thickness t, width b,
+ * diameter d or inner radius ri) for which the Winkler–Bach fibre stresses stay within allowable
+ * tension and compression, all other inputs held.
+ *
+ * The stresses need not fall steadily as the dimension grows (an eccentric load measured from the
+ * centre of curvature gains moment as ri grows, for example), so the bounds are scanned first and
+ * the first feasible step is then refined by bisection.
+ */
+import { computeCurvedBeam } from './curvedBeam'
+import { sweepParameters, withParameter } from './curvedBeamSweep'
+
+/** Swept-input ids the solver may size (see curvedBeamSweep), in the order offered. */
+const FREE_IDS = ['section.t', 'section.b', 'section.d', 'ri']
+
+const SCAN_STEPS = 120
+const TOLERANCE = 1e-6 // of the bound span
+
+/**
+ * Starting inputs of the design panel. A blank id means the panel has not been edited: the first
+ * free dimension is offered with bounds around its current value, and the material's allowables.
+ */
+export const defaultDesignInputs = { id: '', lower: '', upper: '', allowTension: '', allowCompression: '' }
+
+/**
+ * Dimensions of the current section that the solver can size.
+ * @param {object} input as passed to computeCurvedBeam
+ * @returns {{ id: string, label: string }[]}
+ */
+export function designVariables(input) {
+  const options = sweepParameters(input)
+  return FREE_IDS.map((id) => options.find((o) => o.id === id)).filter(Boolean)
+}
+
+/** Fibre stresses at one value of the free dimension, as fractions of the allowables. */
+function evaluate(input, id, value, allowTension, allowCompression) {
+  const result = computeCurvedBeam({ ...withParameter(input, id, value), samples: 2 })
+  if (!result.ok) return { value, ok: false, message: result.message, utilisation: Infinity }
+  const tension = Math.max(0, result.maxTension.value) / allowTension
+  const compression = Math.max(0, -result.maxCompression.value) / allowCompression
+  return { value, ok: true, result, tension, compression, utilisation: Math.max(tension, compression) }
+}
+
+function g(v) {
+  return Number(v).toPrecision(4)
+}
+
+/**
+ * Smallest value of the free dimension within [lower, upper] for which σ_tension ≤ allowTension
+ * and |σ_compression| ≤ allowCompression at both fibres.
+ * @param {object} input as passed to computeCurvedBeam; the free dimension's own value is ignored
+ * @param {{ id: string, lower: number, upper: number, allowTension: number, allowCompression: number }} design
+ * @returns {{
+ *   ok: boolean, message?: string, feasible?: boolean, value?: number, atLowerBound?: boolean,
+ *   utilisation?: number, tension?: number, compression?: number,
+ *   governing?: { stress: string, fibre: string, sigma: number, allowable: number },
+ *   result?: object, best?: { value: number, utilisation: number },
+ * }}
+ *   tension, compression, utilisation: demand / allowable at the solution;
+ *   best: lowest utilisation found when there is no feasible value
+ */
+export function designCurvedBeam(input, design) {
+  const { id, lower, upper, allowTension, allowCompression } = design
+  const variable = designVariables(input).find((o) => o.id === id)
+  if (!variable) return { ok: false, message: 'Choose a dimension of this section to size' }
+  if (!(allowTension > 0) || !(allowCompression > 0)) return { ok: false, message: 'Allowable stresses must be > 0' }
+  if (!(lower > 0) || !Number.isFinite(upper)) return { ok: false, message: 'Bounds must be positive numbers' }
+  if (!(upper > lower)) return { ok: false, message: 'Upper bound must exceed the lower bound' }
+
+  const at = (value) => evaluate(input, id, value, allowTension, allowCompression)
+  const scan = Array.from({ length: SCAN_STEPS + 1 }, (_, i) => at(lower + ((upper - lower) * i) / SCAN_STEPS))
+  const first = scan.findIndex((s) => s.utilisation <= 1)
+
+  if (first < 0) {
+    const valid = scan.filter((s) => s.ok)
+    if (valid.length === 0) return { ok: false, message: `The analysis fails across the bounds: ${scan[0].message}` }
+    const best = valid.reduce((a, b) => (b.utilisation < a.utilisation ? b : a))
+    return {
+      ok: true,
+      feasible: false,
+      best: { value: best.value, utilisation: best.utilisation },
+      message: `No value of ${variable.label.charAt(0).toLowerCase()}${variable.label.slice(1)} between ${g(lower)} and ${g(upper)} keeps both fibres within the allowables; `
+        + `the best is ${g(best.value)} at ${(best.utilisation * 100).toFixed(0)}% of allowable.`,
+    }
+  }
+
+  let solution = scan[first]
+  if (first > 0) {
+    let lo = scan[first - 1].value
+    let hi = solution.value
+    while (hi - lo > TOLERANCE * (upper - lower)) {
+      const mid = at((lo + hi) / 2)
+      if (mid.utilisation <= 1) {
+        hi = mid.value
+        solution = mid
+      } else {
+        lo = mid.value
+      }
+    }
+  }
+
+  const { result, tension, compression } = solution
+  const governing = tension >= compression
+    ? { stress: 'tension', fibre: result.maxTension.side, sigma: result.maxTension.value, allowable: allowTension }
+    : { stress: 'compression', fibre: result.maxCompression.side, sigma: result.maxCompression.value, allowable: allowCompression }
+  return {
+    ok: true,
+    feasible: true,
+    value: solution.value,
+    atLowerBound: first === 0,
+    utilisation: solution.utilisation,
+    tension,
+    compression,
+    governing,
+    result,
+  }
+}
+
+export default { defaultDesignInputs, designVariables, designCurvedBeam }
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { SectionType } from './curvedBeam'
+import { designCurvedBeam, designVariables } from './curvedBeamDesign'
+
+const ri = 0.1
+const t = 0.05
+const M = 1000
+const input = { shape: SectionType.Rectangular, ri, M, params: { b: 0.02, t } }
+
+describe('designCurvedBeam', () => {
+  it('offers the section dimensions and ri that it can size', () => {
+    expect(designVariables(input).map((v) => v.id)).toEqual(['section.t', 'section.b', 'ri'])
+  })
+
+  it('sizes the width of a rectangular section to the Winkler–Bach inner-fibre stress', () => {
+    // σ_i = M (R_n − r_i) / (b t e r_i), so the width that just reaches the allowable is
+    // b = M (R_n − r_i) / (t e r_i σ_allow); the outer fibre is less stressed
+    const allow = 50e6
+    const Rn = t / Math.log((ri + t) / ri)
+    const e = ri + t / 2 - Rn
+    const bMin = (M * (Rn - ri)) / (t * e * ri * allow)
+
+    const design = designCurvedBeam(input, { id: 'section.b', lower: 0.001, upper: 0.1, allowTension: allow, allowCompression: allow })
+    expect(design).toMatchObject({ ok: true, feasible: true, atLowerBound: false })
+    expectClose(design.value, bMin, 1e-4)
+    expect(design.utilisation).toBeLessThanOrEqual(1)
+    expectClose(design.utilisation, 1, 1e-4)
+    expect(design.governing).toMatchObject({ stress: 'tension', fibre: 'inner', allowable: allow })
+  })
+
+  it('reports the lower bound when it already satisfies the allowables', () => {
+    const design = designCurvedBeam(input, { id: 'section.t', lower: 0.04, upper: 0.2, allowTension: 1e9, allowCompression: 1e9 })
+    expect(design).toMatchObject({ ok: true, feasible: true, atLowerBound: true, value: 0.04 })
+  })
+
+  it('returns the best value found when no size within the bounds works', () => {
+    const design = designCurvedBeam(input, { id: 'section.b', lower: 0.01, upper: 0.05, allowTension: 1e6, allowCompression: 1e6 })
+    expect(design.ok).toBe(true)
+    expect(design.feasible).toBe(false)
+    expect(design.best.value).toBeCloseTo(0.05, 12)
+    expect(design.best.utilisation).toBeGreaterThan(1)
+    expect(design.message).toMatch(/^No value of width b \(m\) between 0\.01000 and 0\.05000/)
+  })
+
+  it('reports an analysis that fails across the bounds', () => {
+    const broken = { ...input, params: { b: NaN, t } }
+    const design = designCurvedBeam(broken, { id: 'section.t', lower: 0.01, upper: 0.1, allowTension: 1e8, allowCompression: 1e8 })
+    expect(design.ok).toBe(false)
+    expect(design.message).toBe('The analysis fails across the bounds: Width b (m) must be > 0')
+  })
+
+  it.each([
+    [{ id: 'section.d' }, /Choose a dimension/],
+    [{ allowTension: 0 }, /Allowable stresses must be > 0/],
+    [{ lower: 0 }, /Bounds must be positive/],
+    [{ upper: 0.005 }, /Upper bound must exceed/],
+  ])('rejects %o', (change, message) => {
+    const design = designCurvedBeam(input, { id: 'section.b', lower: 0.01, upper: 0.05, allowTension: 1e8, allowCompression: 1e8, ...change })
+    expect(design.ok).toBe(false)
+    expect(design.message).toMatch(message)
+  })
+})
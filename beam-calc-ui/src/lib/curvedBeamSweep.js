@@ -0,0 +1,154 @@
+/**
+ * Parametric sweeps of the curved-beam analysis: run computeCurvedBeam while one input (or a pair
+ * of inputs) steps across a range, keeping everything else fixed.
+ *
+ * Swept inputs are named by id: the load inputs of computeCurvedBeam ('ri', 'M', 'P', 'd', 'angle')
+ * or 'section.<key>' for a SectionSpecs parameter (e.g. 'section.t', 'section.bInner').
+ */
+import { SectionSpecs, SectionType, computeCurvedBeam } from './curvedBeam'
+
+/** Upper limit on the points along one axis, so a typo cannot lock up the page. */
+export const MAX_STEPS = { single: 400, grid: 60 }
+
+/** One swept input with line plots, or two with a heatmap. */
+export const SweepMode = {
+  Single: 'single',
+  Grid: 'grid',
+}
+
+/**
+ * Starting inputs of the sweep panel. A blank axis id means the first input that can be swept,
+ * over a range around its current value.
+ */
+export const defaultSweepInputs = {
+  mode: SweepMode.Single,
+  x: { id: '', from: '', to: '', steps: '41' },
+  y: { id: '', from: '', to: '', steps: '21' },
+}
+
+const SECTION_PREFIX = 'section.'
+
+const LoadParams = {
+  ri: 'Inner radius ri (m)',
+  M: 'Bending moment M (N·m)',
+  P: 'Force P (N)',
+  d: 'Lever arm d (m)',
+  angle: 'Section angle θ (deg)',
+}
+
+/**
+ * Inputs that can be swept for the given analysis input. ri is left out when the section carries
+ * its own radii, and M or P/d/θ depending on whether an eccentric load is defined.
+ * @param {{ shape: string, P?: number, d?: number }} input as passed to computeCurvedBeam
+ * @returns {{ id: string, label: string }[]}
+ */
+export function sweepParameters(input) {
+  const ids = []
+  if (input.shape !== SectionType.TSection && input.shape !== SectionType.Composite) ids.push('ri')
+  if (Number.isFinite(input.P) && Number.isFinite(input.d)) ids.push('P', 'd', 'angle')
+  else ids.push('M')
+  const list = ids.map((id) => ({ id, label: LoadParams[id] }))
+  for (const def of SectionSpecs[input.shape]?.params || []) list.push({ id: `${SECTION_PREFIX}${def.key}`, label: def.label })
+  return list
+}
+
+/**
+ * SectionSpecs key of a swept input, or null for the load inputs and ri.
+ * @param {string} id
+ * @returns {string | null}
+ */
+export function sectionKey(id) {
+  return id.startsWith(SECTION_PREFIX) ? id.slice(SECTION_PREFIX.length) : null
+}
+
+/**
+ * Current value of a swept input.
+ * @param {object} input as passed to computeCurvedBeam
+ * @param {string} id
+ * @returns {number}
+ */
+export function parameterValue(input, id) {
+  const key = sectionKey(id)
+  return key ? input.params?.[key] : input[id]
+}
+
+/**
+ * Copy of the analysis input with one swept input replaced.
+ * @param {object} input as passed to computeCurvedBeam
+ * @param {string} id
+ * @param {number} value
+ * @returns {object}
+ */
+export function withParameter(input, id, value) {
+  const key = sectionKey(id)
+  if (key) return { ...input, params: { ...input.params, [key]: value } }
+  return { ...input, [id]: value }
+}
+
+/**
+ * Evenly spaced values from `from` to `to` inclusive.
+ * @param {number} from
+ * @param {number} to
+ * @param {number} steps number of values, ≥ 2
+ * @param {number} [max] largest allowed step count
+ * @returns {{ ok: boolean, message?: string, values?: number[] }}
+ */
+export function sweepRange(from, to, steps, max = MAX_STEPS.single) {
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return { ok: false, message: 'Range start and end must be numbers' }
+  if (from === to) return { ok: false, message: 'Range start and end must differ' }
+  if (!Number.isInteger(steps) || steps < 2 || steps > max) return { ok: false, message: `Steps must be a whole number from 2 to ${max}` }
+  return { ok: true, values: Array.from({ length: steps }, (_, i) => from + ((to - from) * i) / (steps - 1)) }
+}
+
+/** Largest stress magnitude at the extreme fibres (σ(r) is monotonic, so they govern). */
+function peakStress(result) {
+  return Math.max(Math.abs(result.sigmaInner), Math.abs(result.sigmaOuter))
+}
+
+/** First failure message and how many points failed, for a summary line. */
+function failures(messages) {
+  const failed = messages.filter(Boolean)
+  return failed.length ? { failed: failed.length, message: failed[0] } : { failed: 0 }
+}
+
+/**
+ * Sweep one input: σ at the inner and outer fibres, e, y_n and the peak |σ| at every value.
+ * Values where the analysis fails (e.g. ri ≤ 0) give NaN results so charts show a gap.
+ * @param {object} input as passed to computeCurvedBeam
+ * @param {string} id swept input
+ * @param {number[]} values
+ * @returns {{ points: { value: number, sigmaInner: number, sigmaOuter: number, e: number, yn: number, peak: number }[], failed: number, message?: string }}
+ *   message: the first failure, when any point failed
+ */
+export function sweepCurvedBeam(input, id, values) {
+  const messages = []
+  const points = values.map((value) => {
+    const result = computeCurvedBeam({ ...withParameter(input, id, value), samples: 2 })
+    messages.push(result.ok ? null : result.message)
+    if (!result.ok) return { value, sigmaInner: NaN, sigmaOuter: NaN, e: NaN, yn: NaN, peak: NaN }
+    return { value, sigmaInner: result.sigmaInner, sigmaOuter: result.sigmaOuter, e: result.e, yn: result.yn, peak: peakStress(result) }
+  })
+  return { points, ...failures(messages) }
+}
+
+/**
+ * Sweep two inputs over a grid and collect the peak |σ| at each pair.
+ * @param {object} input as passed to computeCurvedBeam
+ * @param {{ id: string, values: number[] }} x
+ * @param {{ id: string, values: number[] }} y
+ * @returns {{ peak: number[][], failed: number, message?: string }} peak[j][i] at (x.values[i], y.values[j]); NaN where the analysis fails
+ */
+export function sweepCurvedBeamGrid(input, x, y) {
+  const messages = []
+  const peak = y.values.map((yv) => {
+    const row = withParameter(input, y.id, yv)
+    return x.values.map((xv) => {
+      const result = computeCurvedBeam({ ...withParameter(row, x.id, xv), samples: 2 })
+      messages.push(result.ok ? null : result.message)
+      return result.ok ? peakStress(result) : NaN
+    })
+  })
+  return { peak, ...failures(messages) }
+}
+
+export default { MAX_STEPS, SweepMode, defaultSweepInputs, sweepParameters, sectionKey, parameterValue, withParameter, sweepRange, sweepCurvedBeam, sweepCurvedBeamGrid }
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import { SectionType, computeCurvedBeam } from './curvedBeam'
+import { MAX_STEPS, parameterValue, sweepCurvedBeam, sweepCurvedBeamGrid, sweepParameters, sweepRange, withParameter } from './curvedBeamSweep'
+
+const input = { shape: SectionType.Rectangular, ri: 0.1, M: 1000, params: { b: 0.02, t: 0.05 } }
+
+describe('sweepRange', () => {
+  it('spaces the values evenly and includes both ends', () => {
+    expect(sweepRange(0, 1, 5)).toEqual({ ok: true, values: [0, 0.25, 0.5, 0.75, 1] })
+    expect(sweepRange(2, 1, 2).values).toEqual([2, 1])
+  })
+
+  it.each([
+    [NaN, 1, 5, /must be numbers/],
+    [0, Infinity, 5, /must be numbers/],
+    [1, 1, 5, /must differ/],
+    [0, 1, 1, /from 2 to/],
+    [0, 1, 2.5, /from 2 to/],
+    [0, 1, MAX_STEPS.single + 1, /from 2 to 400/],
+  ])('rejects from %s to %s in %s steps', (from, to, steps, message) => {
+    const result = sweepRange(from, to, steps)
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(message)
+  })
+
+  it('applies the grid limit when given', () => {
+    expect(sweepRange(0, 1, MAX_STEPS.grid + 1, MAX_STEPS.grid).message).toMatch(/from 2 to 60/)
+  })
+})
+
+describe('withParameter', () => {
+  it('replaces a load input without touching the original', () => {
+    const next = withParameter(input, 'M', 2000)
+    expect(next).toEqual({ ...input, M: 2000 })
+    expect(input.M).toBe(1000)
+    expect(parameterValue(next, 'M')).toBe(2000)
+  })
+
+  it('replaces a section parameter inside a copy of params', () => {
+    const next = withParameter(input, 'section.t', 0.08)
+    expect(next.params).toEqual({ b: 0.02, t: 0.08 })
+    expect(input.params.t).toBe(0.05)
+    expect(parameterValue(next, 'section.t')).toBe(0.08)
+  })
+
+  it('offers ri, the load inputs in use and the section parameters', () => {
+    expect(sweepParameters(input).map((p) => p.id)).toEqual(['ri', 'M', 'section.b', 'section.t'])
+    expect(sweepParameters({ ...input, P: 100, d: 0.2 }).map((p) => p.id)).toEqual(['ri', 'P', 'd', 'angle', 'section.b', 'section.t'])
+  })
+})
+
+describe('sweepCurvedBeam', () => {
+  it('matches single analyses at every value', () => {
+    const { points, failed } = sweepCurvedBeam(input, 'M', [500, 1000])
+    expect(failed).toBe(0)
+    const single = computeCurvedBeam(input)
+    expect(points[1].sigmaInner).toBeCloseTo(single.sigmaInner, 6)
+    expect(points[0].sigmaOuter).toBeCloseTo(single.sigmaOuter / 2, 6)
+    expect(points[1].peak).toBeCloseTo(Math.abs(single.sigmaInner), 6)
+  })
+
+  it('leaves NaN gaps where the analysis fails and reports the first failure', () => {
+    const { points, failed, message } = sweepCurvedBeam(input, 'ri', [-0.05, 0, 0.1])
+    expect(failed).toBe(2)
+    expect(message).toMatch(/ri must be a positive number/)
+    expect(Number.isNaN(points[0].sigmaInner) && Number.isNaN(points[1].peak)).toBe(true)
+    expect(Number.isFinite(points[2].peak)).toBe(true)
+  })
+})
+
+describe('sweepCurvedBeamGrid', () => {
+  it('fills peak[j][i] and counts the failed pairs', () => {
+    const x = { id: 'ri', values: [0, 0.1, 0.2] }
+    const y = { id: 'section.t', values: [0.05, -0.01] }
+    const { peak, failed, message } = sweepCurvedBeamGrid(input, x, y)
+    expect(peak).toHaveLength(2)
+    expect(peak[0]).toHaveLength(3)
+    // ri = 0 fails in the first row; t < 0 fails the whole second row
+    expect(failed).toBe(4)
+    expect(message).toMatch(/ri must be a positive number/)
+    expect(peak[0][1]).toBeCloseTo(Math.abs(computeCurvedBeam(input).sigmaInner), 6)
+    expect(peak[1].every(Number.isNaN)).toBe(true)
+  })
+})
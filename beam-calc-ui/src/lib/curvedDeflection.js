@@ -0,0 +1,152 @@
+/**
+ * Deflection of curved members by Castigliano's theorem: a circular arc of centroidal radius R
+ * (the section's R_c) subtending α, loaded at one end by a force and a moment.
+ *
+ * Supports
+ * - Cantilever: fixed at one end. x runs from the centre of curvature through the free end, y is
+ *   tangent to the arc at the free end, and the arc turns counterclockwise from the free end.
+ * - Simply supported: pinned at one end, roller at the loaded end moving along the chord. The chord
+ *   is horizontal (x) with the arc above it; a vertical force at the roller goes straight into the
+ *   support, and the roller reaction balances the end moment.
+ *
+ * At angle φ from the loaded end, with end forces F_x, F_y and moment M_0 (counterclockwise) in the
+ * arc's own frame, the free body gives (M positive with tension at the inner fibre):
+ *   M = M_0 + F_x R sin φ + F_y R (1 − cos φ),  N = F_x sin φ − F_y cos φ,  V = −F_x cos φ − F_y sin φ
+ * Strain energy per unit angle: M²/(2AeE) + N²R/(2AE) − MN/(AE) + C V²R/(2AG), so each displacement
+ * ∂U/∂F splits into bending, axial, bending–axial coupling and shear parts. Every resultant is of
+ * the form k₀ + k_s sin φ + k_c cos φ, which makes the integrals exact.
+ */
+import { computeCurvedBeam } from './curvedBeam'
+import { shearFormFactor } from './curvedRing'
+
+export const ArcSupport = {
+  Cantilever: 'cantilever',
+  SimplySupported: 'simplySupported',
+}
+
+export const ArcSupportLabels = {
+  [ArcSupport.Cantilever]: 'Cantilever (fixed at the far end)',
+  [ArcSupport.SimplySupported]: 'Simply supported (pin, roller at the loaded end)',
+}
+
+/** Editor state for the deflection card: strings as typed; a blank E uses the selected material. */
+export const defaultDeflectionInputs = {
+  support: ArcSupport.Cantilever,
+  alpha: '90',
+  Fx: '0',
+  Fy: '1000',
+  M: '0',
+  E: '',
+  nu: '0.3',
+}
+
+const deg = Math.PI / 180
+
+/** ∫₀^α of the products of 1, sin φ and cos φ. */
+function gramMatrix(alpha) {
+  const s = Math.sin(alpha)
+  const c = Math.cos(alpha)
+  return [
+    [alpha, 1 - c, s],
+    [1 - c, alpha / 2 - (s * c) / 2, (s * s) / 2],
+    [s, (s * s) / 2, alpha / 2 + (s * c) / 2],
+  ]
+}
+
+function inner(G, u, v) {
+  let sum = 0
+  for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) sum += u[i] * G[i][j] * v[j]
+  return sum
+}
+
+/** Coefficients of 1, sin φ, cos φ in M, N and V for end loads in the arc's frame. */
+function resultants(R, Fx, Fy, M0) {
+  return {
+    M: [M0 + Fy * R, Fx * R, -Fy * R],
+    N: [0, Fx, -Fy],
+    V: [0, -Fy, -Fx],
+  }
+}
+
+/**
+ * Deflection of the loaded end of a curved cantilever or simply supported arc.
+ * @param {{
+ *   shape: string, params: object, ri?: number, alpha: number, support?: string,
+ *   Fx?: number, Fy?: number, M?: number, E: number, G?: number, nu?: number,
+ * }} input
+ *   alpha: subtended angle in degrees (90 quarter circle, 180 semicircle, more for a hook);
+ *   Fx, Fy: end force along x and y of the support's frame (see above); M: end moment, counterclockwise;
+ *   G defaults to E / (2(1 + nu)) with nu = 0.3
+ * @returns {{
+ *   ok: boolean, message?: string, R?: number, A?: number, e?: number, E?: number, G?: number, shearFactor?: number,
+ *   x?: { bending: number, axial: number, coupling: number, shear: number, total: number },
+ *   y?: { bending: number, axial: number, coupling: number, shear: number, total: number },
+ *   rotation?: { bending: number, axial: number, coupling: number, shear: number, total: number },
+ *   reaction?: number, section?: object,
+ * }}
+ *   x, y: displacement of the loaded end (m); rotation: counterclockwise (rad); reaction: roller force
+ *   along y (simply supported only)
+ */
+export function curvedMemberDeflection(input) {
+  const { shape, params, ri, alpha, support = ArcSupport.Cantilever, Fx = 0, Fy = 0, M = 0, E, G: Ggiven, nu = 0.3 } = input || {}
+  if (!Object.values(ArcSupport).includes(support)) return { ok: false, message: 'Unknown support' }
+  if (!(alpha > 0) || !(alpha < 360)) return { ok: false, message: 'Subtended angle α must be between 0 and 360°' }
+  if (![Fx, Fy, M].every(Number.isFinite)) return { ok: false, message: 'End forces and moment must be numbers' }
+  if (!(E > 0)) return { ok: false, message: "Young's modulus E must be > 0" }
+  const G = Number.isFinite(Ggiven) ? Ggiven : E / (2 * (1 + nu))
+  if (!(G > 0)) return { ok: false, message: 'Shear modulus G must be > 0' }
+
+  const section = computeCurvedBeam({ shape, params, ri, M: 0, samples: 2 })
+  if (!section.ok) return section
+  const { A, e } = section
+  const R = section.Rc
+  const C = shearFormFactor(shape, params, A)
+  const a = alpha * deg
+  const gram = gramMatrix(a)
+
+  // End loads in the arc's frame, and the unit loads whose work gives each displacement
+  let frame
+  let reaction
+  if (support === ArcSupport.Cantilever) {
+    frame = { load: [Fx, Fy, M], x: [1, 0, 0], y: [0, 1, 0], rotation: [0, 0, 1] }
+  } else {
+    // Unit vectors along the chord (pin to roller) and normal to it, in the arc's frame (roller at φ = 0)
+    const chord = 2 * R * Math.sin(a / 2)
+    const ex = [(R * (1 - Math.cos(a))) / chord, (-R * Math.sin(a)) / chord]
+    const ey = [-ex[1], ex[0]]
+    const toArc = (h, v, m) => [h * ex[0] + v * ey[0], h * ex[1] + v * ey[1], m]
+    // Moments about the pin: the roller carries -M/chord across the chord whatever the applied Fy
+    reaction = -M / chord - Fy
+    frame = { load: toArc(Fx, -M / chord, M), x: toArc(1, 0, 0), y: null, rotation: toArc(0, -1 / chord, 1) }
+  }
+
+  const r = resultants(R, ...frame.load)
+  const displacement = (u) => {
+    if (!u) return { bending: 0, axial: 0, coupling: 0, shear: 0, total: 0 }
+    const d = resultants(R, ...u)
+    const parts = {
+      bending: inner(gram, r.M, d.M) / (A * e * E),
+      axial: (R * inner(gram, r.N, d.N)) / (A * E),
+      coupling: -(inner(gram, d.M, r.N) + inner(gram, r.M, d.N)) / (A * E),
+      shear: (C * R * inner(gram, r.V, d.V)) / (A * G),
+    }
+    return { ...parts, total: parts.bending + parts.axial + parts.coupling + parts.shear }
+  }
+
+  return {
+    ok: true,
+    R,
+    A,
+    e,
+    E,
+    G,
+    shearFactor: C,
+    x: displacement(frame.x),
+    y: displacement(frame.y),
+    rotation: displacement(frame.rotation),
+    reaction,
+    section,
+  }
+}
+
+export default { ArcSupport, ArcSupportLabels, defaultDeflectionInputs, curvedMemberDeflection }
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { SectionType } from './curvedBeam'
+import { ArcSupport, curvedMemberDeflection } from './curvedDeflection'
+
+// A thin section, so A e ≈ I / R and the results approach the textbook bending-only values
+const b = 0.01
+const thin = { shape: SectionType.Rectangular, params: { b, t: b }, ri: 1, E: 200e9 }
+const I = b ** 4 / 12
+const F = 1000
+
+describe('curvedMemberDeflection', () => {
+  it('quarter-circle cantilever with a tangential end force: (3π/4 − 2) FR³/EI along it, FR³/2EI radially', () => {
+    const result = curvedMemberDeflection({ ...thin, alpha: 90, Fy: F })
+    expect(result.ok).toBe(true)
+    const { R, A, e, E } = result
+    expectClose(result.y.bending, (F * R * R * (3 * Math.PI / 4 - 2)) / (A * e * E))
+    expectClose(result.y.total, ((3 * Math.PI / 4 - 2) * F * R ** 3) / (E * I), 1e-3)
+    expectClose(result.x.total, (F * R ** 3) / (2 * E * I), 1e-3)
+  })
+
+  it('quarter-circle cantilever with an end moment: rotation M R α / EI', () => {
+    const M = 100
+    const result = curvedMemberDeflection({ ...thin, alpha: 90, M })
+    expectClose(result.rotation.total, (M * result.R * (Math.PI / 2)) / (thin.E * I), 1e-3)
+  })
+
+  it('simply supported semicircle: spread π F R³ / 2EI, and a vertical force goes straight into the roller', () => {
+    const spread = curvedMemberDeflection({ ...thin, alpha: 180, support: ArcSupport.SimplySupported, Fx: F })
+    expectClose(spread.x.total, (Math.PI * F * spread.R ** 3) / (2 * thin.E * I), 1e-3)
+
+    const vertical = curvedMemberDeflection({ ...thin, alpha: 180, support: ArcSupport.SimplySupported, Fy: F })
+    expect(vertical.x.total).toBe(0)
+    expect(vertical.reaction).toBe(-F)
+  })
+
+  it('needs a positive E and a valid angle', () => {
+    expect(curvedMemberDeflection({ ...thin, alpha: 90, Fy: F, E: NaN }).ok).toBe(false)
+    expect(curvedMemberDeflection({ ...thin, alpha: 360, Fy: F }).ok).toBe(false)
+  })
+})
@@ -0,0 +1,136 @@
+/**
+ * Exact plane-stress elasticity solution (Golovin, as given by Timoshenko) for pure bending of a
+ * curved bar of rectangular section, as an independent check on Winkler–Bach.
+ *
+ * With a = r_i, c = r_o, b the width and β = ln(c/a), the Airy stress function gives
+ *   σ_r = −(4M / (b N)) [ (a²c²/r²) β + c² ln(r/c) + a² ln(a/r) ]
+ *   σ_θ = −(4M / (b N)) [ −(a²c²/r²) β + c² ln(r/c) + a² ln(a/r) + c² − a² ]
+ *   N = (c² − a²)² − 4a²c²β² = 4a²c² (sinh β − β)(sinh β + β)
+ * The second form of N avoids the cancellation of the first when the bar is slender. For the same
+ * reason the brackets are evaluated with u = ln(r/a), w = ln(c/r) (so β = u + w) as
+ *   σ_r: w c² (a²/r² − 1) + u a² (c²/r² − 1)
+ *   σ_θ: the σ_r bracket + (a²c²/r²) [f(2u) − f(−2w)],  f(x) = eˣ − 1 − x
+ * M is positive with tension at the inner fibre, as in computeCurvedBeam. Winkler–Bach assumes plane
+ * sections and no radial stress; the exact solution keeps plane sections but carries σ_r, so the two
+ * differ only through σ_r: by about 1% at R_c/h = 1.5 and much less for flatter bars.
+ */
+import { SectionType } from './curvedBeam'
+
+/** eˣ − 1 − x, summed as a series for small x where the difference cancels. */
+function expm1MinusX(x) {
+  if (Math.abs(x) > 0.1) return Math.expm1(x) - x
+  let term = (x * x) / 2
+  let sum = term
+  for (let k = 3; Math.abs(term) > 1e-17 * Math.abs(sum); k++) {
+    term *= x / k
+    sum += term
+  }
+  return sum
+}
+
+/** sinh β − β, summed as a series for small β where the difference cancels. */
+function sinhMinus(beta) {
+  if (Math.abs(beta) > 0.1) return Math.sinh(beta) - beta
+  const b2 = beta * beta
+  let term = (beta * b2) / 6
+  let sum = term
+  for (let k = 5; Math.abs(term) > 1e-17 * Math.abs(sum); k += 2) {
+    term *= b2 / ((k - 1) * k)
+    sum += term
+  }
+  return sum
+}
+
+/**
+ * Exact stresses in a rectangular curved bar under pure bending.
+ * @param {{ b: number, ri: number, ro: number, M: number, samples?: number }} input
+ *   b: width of the section; ri, ro: inner and outer radii; M: moment (tension at the inner fibre +)
+ * @returns {{
+ *   ok: boolean, message?: string, sigmaInner?: number, sigmaOuter?: number,
+ *   r?: number[], sigma?: number[], sigmaRadial?: number[], radialPeak?: { value: number, atR: number },
+ * }}
+ *   radialPeak: largest |σ_r| over the samples
+ */
+export function exactRectangularBending(input) {
+  const { b, ri: a, ro: c, M, samples = 201 } = input || {}
+  if (!(b > 0)) return { ok: false, message: 'Width b must be > 0' }
+  if (!(a > 0) || !(c > a)) return { ok: false, message: 'Radii must satisfy 0 < ri < ro' }
+  if (!Number.isFinite(M)) return { ok: false, message: 'Moment M must be a number' }
+
+  const beta = Math.log(c / a)
+  const N = 4 * a * a * c * c * sinhMinus(beta) * (Math.sinh(beta) + beta)
+  const k = (-4 * M) / (b * N)
+  const radialBracket = (u, w) => w * c * c * Math.expm1(-2 * u) + u * a * a * Math.expm1(2 * w)
+  const radial = (rr) => k * radialBracket(Math.log(rr / a), Math.log(c / rr))
+  const hoop = (rr) => {
+    const u = Math.log(rr / a)
+    const w = Math.log(c / rr)
+    return k * (radialBracket(u, w) + ((a * a * c * c) / (rr * rr)) * (expm1MinusX(2 * u) - expm1MinusX(-2 * w)))
+  }
+
+  const r = []
+  const sigma = []
+  const sigmaRadial = []
+  for (let i = 0; i < samples; i++) {
+    const rr = a + (i / (samples - 1)) * (c - a)
+    r.push(rr)
+    sigma.push(hoop(rr))
+    sigmaRadial.push(i === 0 || i === samples - 1 ? 0 : radial(rr))
+  }
+  const worst = sigmaRadial.reduce((w, s, i) => (Math.abs(s) > Math.abs(sigmaRadial[w]) ? i : w), 0)
+
+  return {
+    ok: true,
+    sigmaInner: hoop(a),
+    sigmaOuter: hoop(c),
+    r,
+    sigma,
+    sigmaRadial,
+    radialPeak: { value: sigmaRadial[worst], atR: r[worst] },
+  }
+}
+
+/** Percentage by which an approximation differs from the exact value. */
+function percentOff(approx, exact) {
+  return exact !== 0 ? ((approx - exact) / Math.abs(exact)) * 100 : NaN
+}
+
+/**
+ * Compare a Winkler–Bach result for a rectangular section with the exact solution. The bending
+ * parts are compared, since the direct stress N/A is the same in both.
+ * @param {object} result a successful computeCurvedBeam result
+ * @param {string} shape
+ * @param {{ b: number }} params
+ * @returns {{
+ *   ok: boolean, message?: string, exact?: object,
+ *   rows?: { label: string, exact: number, winkler: number, straight: number, winklerDiff: number, straightDiff: number }[],
+ * }}
+ *   rows: σ_inner, σ_outer and peak σ_r; the straight-beam σ_r is the thin-bar value 3M/(2 R_c b h)
+ */
+export function rectangularBenchmark(result, shape, params) {
+  if (shape !== SectionType.Rectangular) return { ok: false, message: 'The exact solution is for rectangular sections only' }
+  if (!result?.ok) return { ok: false, message: 'No Winkler–Bach result to compare' }
+  const exact = exactRectangularBending({ b: params.b, ri: result.rInner, ro: result.rOuter, M: result.M, samples: result.r.length })
+  if (!exact.ok) return exact
+
+  const straightRadial = (1.5 * result.M) / (result.Rc * params.b * result.t)
+  const row = (label, exactValue, winkler, straight) => ({
+    label,
+    exact: exactValue,
+    winkler,
+    straight,
+    winklerDiff: percentOff(winkler, exactValue),
+    straightDiff: percentOff(straight, exactValue),
+  })
+  return {
+    ok: true,
+    exact,
+    rows: [
+      row('σ inner', exact.sigmaInner, result.sigmaBendingInner, result.sigmaStraightInner),
+      row('σ outer', exact.sigmaOuter, result.sigmaBendingOuter, result.sigmaStraightOuter),
+      row('Peak σ_r', exact.radialPeak.value, result.radialPeak.value, straightRadial),
+    ],
+  }
+}
+
+export default { exactRectangularBending, rectangularBenchmark }
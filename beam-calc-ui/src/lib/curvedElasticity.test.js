@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { SectionType, computeCurvedBeam } from './curvedBeam'
+import { exactRectangularBending, rectangularBenchmark } from './curvedElasticity'
+
+/** Timoshenko's stresses in their direct form, fine for a thick bar where nothing cancels. */
+function timoshenko(b, a, c, M, r) {
+  const beta = Math.log(c / a)
+  const N = (c * c - a * a) ** 2 - 4 * a * a * c * c * beta * beta
+  const k = (-4 * M) / (b * N)
+  const common = c * c * Math.log(r / c) + a * a * Math.log(a / r)
+  return {
+    radial: k * ((a * a * c * c * beta) / (r * r) + common),
+    hoop: k * ((-a * a * c * c * beta) / (r * r) + common + c * c - a * a),
+  }
+}
+
+const b = 0.02
+const M = 1000
+
+describe('exactRectangularBending', () => {
+  it('matches the direct form of the Golovin solution for a thick bar', () => {
+    const a = 0.1
+    const c = 0.2
+    const exact = exactRectangularBending({ b, ri: a, ro: c, M, samples: 5 })
+    expectClose(exact.sigmaInner, timoshenko(b, a, c, M, a).hoop)
+    expectClose(exact.sigmaOuter, timoshenko(b, a, c, M, c).hoop)
+    expectClose(exact.sigmaRadial[2], timoshenko(b, a, c, M, exact.r[2]).radial)
+    expect(exact.sigmaInner).toBeGreaterThan(0)
+  })
+
+  it('tends to the straight-beam 6M/(bh²) for a slender bar', () => {
+    const h = 0.01
+    const exact = exactRectangularBending({ b, ri: 100, ro: 100 + h, M })
+    expectClose(exact.sigmaInner, (6 * M) / (b * h * h), 1e-3)
+    expectClose(exact.sigmaOuter, (-6 * M) / (b * h * h), 1e-3)
+  })
+
+  it('rejects radii out of order', () => {
+    expect(exactRectangularBending({ b, ri: 0.2, ro: 0.1, M }).ok).toBe(false)
+  })
+})
+
+describe('rectangularBenchmark', () => {
+  it('puts Winkler–Bach within about 1% of the exact fibre stresses at R_c/h = 1.5', () => {
+    const params = { b, t: 0.1 }
+    const result = computeCurvedBeam({ shape: SectionType.Rectangular, ri: 0.1, M, params })
+    const benchmark = rectangularBenchmark(result, SectionType.Rectangular, params)
+    expect(benchmark.ok).toBe(true)
+    const [inner, outer] = benchmark.rows
+    expect(Math.abs(inner.winklerDiff)).toBeLessThan(1.5)
+    expect(Math.abs(outer.winklerDiff)).toBeLessThan(1.5)
+    expect(Math.abs(inner.straightDiff)).toBeGreaterThan(Math.abs(inner.winklerDiff))
+  })
+
+  it('is for rectangular sections only', () => {
+    expect(rectangularBenchmark({ ok: true }, SectionType.Circular, { d: 0.1 }).ok).toBe(false)
+  })
+})
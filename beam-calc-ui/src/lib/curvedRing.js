@@ -0,0 +1,158 @@
+/**
+ * Closed rings and chain links under a diametral load, by Castigliano's theorem on the
+ * Winkler–Bach strain energy of the curved parts.
+ *
+ * Geometry: two semicircular ends of centroidal radius R (the section's R_c) joined by two straight
+ * sides of length L parallel to the load (L = 0 is a full ring). P pulls the crowns of the ends
+ * apart (tension +; negative P squeezes them together). By symmetry one quarter is analysed: half
+ * a straight side from the section across the load (x = R, on the horizontal line of symmetry), then
+ * the quarter arc with θ from 0 at the end of the straight side to 90° under the load.
+ *
+ * Resultants (M positive with tension at the inner fibre, as in computeCurvedBeam):
+ *   straight side: M = M_0, N = P/2, V = 0
+ *   arc:           M(θ) = M_0 − (P R/2)(1 − cos θ), N(θ) = (P/2) cos θ, V(θ) = (P/2) sin θ
+ * Strain energy per unit angle of the arc: M²/(2AeE) + N²R/(2AE) − MN/(AE) + C V²R/(2AG);
+ * of the straight side per unit length: M²/(2EI) + N²/(2AE) + C V²/(2AG).
+ * The section across the load does not rotate, so ∂U/∂M_0 = 0:
+ *   M_0 = [P R (π/2 − 1)/(2Ae) + P/(2A)] / [π/(2Ae) + L/(2I)]
+ * which gives PR(1/2 − 1/π) for a thin ring. The change in the diameter along the load is ∂U/∂P,
+ * and across it ∂U/∂Q for a fictitious pair Q pulling the sides apart (Q = 0).
+ */
+import { SectionType, computeCurvedBeam } from './curvedBeam'
+
+/**
+ * Shear form factor C of the section (shear strain energy = C V²/(2AG) per unit length): exact for
+ * rectangles and circles, thin-wall values for the tube, A / A_web for the flanged sections, and
+ * the rectangle's 6/5 for the rest.
+ * @param {string} shape
+ * @param {object} params
+ * @param {number} A section area
+ * @returns {number}
+ */
+export function shearFormFactor(shape, params, A) {
+  const p = params || {}
+  if (shape === SectionType.Circular) return 10 / 9
+  if (shape === SectionType.HollowCircular) return 2
+  if (shape === SectionType.HollowRectangular) return A / (2 * p.tw * p.t)
+  if (shape === SectionType.ISection || shape === SectionType.InvertedT) return A / (p.tw * p.t)
+  if (shape === SectionType.Channel) return A / (2 * p.tl * p.t)
+  return 6 / 5
+}
+
+/** Straight-beam fibre stresses N/A ± M c/I on the straight sides, from a curved-beam result for the section. */
+function straightStresses(section, M, N) {
+  const axial = N / section.A
+  return {
+    sigmaInner: axial + (M * section.ybar) / section.I,
+    sigmaOuter: axial - (M * (section.t - section.ybar)) / section.I,
+  }
+}
+
+function peak(s) {
+  return Math.max(Math.abs(s.sigmaInner), Math.abs(s.sigmaOuter))
+}
+
+/**
+ * Analyse a closed ring or chain link under a diametral load.
+ * @param {{
+ *   shape: string, params: object, ri?: number, L?: number, P: number,
+ *   E?: number, nu?: number, samples?: number,
+ * }} input
+ *   ri: inner radius of the curved ends (ignored by sections that carry their own radii);
+ *   L: length of each straight side, 0 for a ring; E, nu: for the diameter changes, which are
+ *   NaN without E; samples: points along the quarter arc
+ * @returns {{
+ *   ok: boolean, message?: string, R?: number, A?: number, e?: number, I?: number, L?: number, P?: number,
+ *   M0?: number, Mload?: number,
+ *   points?: { s: number, theta: number | null, M: number, N: number, V: number }[],
+ *   sections?: { label: string, theta: number | null, straight: boolean, M: number, N: number, V: number, sigmaInner: number, sigmaOuter: number, result: object }[],
+ *   critical?: object, deltaLoad?: number, deltaAcross?: number, shearFactor?: number, G?: number, section?: object,
+ * }}
+ *   M0: moment in the sides across the load; Mload: moment under the load; points: resultants along
+ *   the quarter from the section across the load (s = 0) to the load, theta null on the straight side;
+ *   sections: candidate critical sections with their fibre stresses (Winkler–Bach on the arc, Mc/I on
+ *   the straight side), critical the one with the largest |σ|; deltaLoad, deltaAcross: increase in
+ *   the inside length along the load and in the width across it
+ */
+export function computeRing(input) {
+  const { shape, params, ri, L = 0, P, E, nu = 0.3, samples = 91 } = input || {}
+  if (!Number.isFinite(L) || L < 0) return { ok: false, message: 'Straight length L must be ≥ 0' }
+  if (!Number.isFinite(P)) return { ok: false, message: 'Load P must be a number' }
+  if (Number.isFinite(E) && !(E > 0)) return { ok: false, message: "Young's modulus E must be > 0" }
+  if (!(nu > -1 && nu <= 0.5)) return { ok: false, message: "Poisson's ratio must be between -1 and 0.5" }
+
+  const section = computeCurvedBeam({ shape, params, ri, M: 0, samples: 2 })
+  if (!section.ok) return section
+  const { A, e, I } = section
+  const R = section.Rc
+
+  const M0 = ((P * R * (Math.PI / 2 - 1)) / (2 * A * e) + P / (2 * A)) / (Math.PI / (2 * A * e) + L / (2 * I))
+  const a = M0 - (P * R) / 2 // M(θ) = a + b cos θ
+  const b = (P * R) / 2
+  const arcAt = (th) => ({ M: a + b * Math.cos(th), N: (P / 2) * Math.cos(th), V: (P / 2) * Math.sin(th) })
+
+  const points = []
+  if (L > 0) {
+    for (let i = 0; i <= 10; i++) points.push({ s: (i / 10) * (L / 2), theta: null, M: M0, N: P / 2, V: 0 })
+  }
+  for (let i = 0; i < samples; i++) {
+    const th = (i / (samples - 1)) * (Math.PI / 2)
+    points.push({ s: L / 2 + R * th, theta: (th * 180) / Math.PI, ...arcAt(th) })
+  }
+
+  // Both fibre stresses are linear in cos θ along the arc, so the critical section is at one of its ends
+  const curved = (label, th) => {
+    const f = arcAt(th)
+    const result = computeCurvedBeam({ shape, params, ri, ...f, samples: 201 })
+    return { label, theta: (th * 180) / Math.PI, straight: false, ...f, sigmaInner: result.sigmaInner, sigmaOuter: result.sigmaOuter, result }
+  }
+  const sections = [
+    curved('Under the load (θ = 90°)', Math.PI / 2),
+    curved(L > 0 ? 'End of the straight side (θ = 0°)' : 'Across the load (θ = 0°)', 0),
+  ]
+  if (L > 0) {
+    sections.push({ label: 'Straight side', theta: null, straight: true, M: M0, N: P / 2, V: 0, ...straightStresses(section, M0, P / 2), result: section })
+  }
+  const critical = sections.reduce((worst, s) => (peak(s) > peak(worst) ? s : worst))
+
+  // Diameter changes: 4 × the quarter's ∂U/∂P and ∂U/∂Q (closed-form integrals over 0…π/2)
+  const G = E / (2 * (1 + nu))
+  const C = shearFormFactor(shape, params, A)
+  const AE = A * E
+  const deltaLoad = 4 * (
+    (R / (2 * A * e * E)) * (a * (1 - Math.PI / 2) + b * (Math.PI / 4 - 1))
+    + (P * R * Math.PI) / (16 * AE)
+    - ((P * R * (Math.PI / 4 - 1)) / 4 + a / 2 + (b * Math.PI) / 8) / AE
+    + (C * P * R * Math.PI) / (16 * A * G)
+    + (P * L) / (8 * AE)
+  )
+  const deltaAcross = 4 * (
+    (a * ((L * Math.PI) / 4 + R) + b * (L + R) / 2) / (2 * A * e * E)
+    + (P * R) / (8 * AE)
+    - ((P * (L + R)) / 8 + (a + b / 2) / 2) / AE
+    - (C * P * R) / (8 * A * G)
+    + (M0 * L * L) / (16 * E * I)
+  )
+
+  return {
+    ok: true,
+    R,
+    A,
+    e,
+    I,
+    L,
+    P,
+    M0,
+    Mload: a,
+    points,
+    sections,
+    critical,
+    deltaLoad,
+    deltaAcross,
+    shearFactor: C,
+    G,
+    section,
+  }
+}
+
+export default { shearFormFactor, computeRing }
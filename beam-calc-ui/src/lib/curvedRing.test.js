@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { SectionType } from './curvedBeam'
+import { computeRing, shearFormFactor } from './curvedRing'
+
+const P = 1000
+const E = 200e9
+
+describe('computeRing', () => {
+  it('thin ring: M0 = PR(1/2 − 1/π), M under the load = M0 − PR/2', () => {
+    const ring = computeRing({ shape: SectionType.Rectangular, params: { b: 0.01, t: 0.01 }, ri: 1, P, E })
+    expect(ring.ok).toBe(true)
+    expectClose(ring.M0, P * ring.R * (0.5 - 1 / Math.PI), 1e-3)
+    expectClose(ring.Mload, ring.M0 - (P * ring.R) / 2)
+  })
+
+  it('thin ring: diameter changes (π/4 − 2/π) PR³/EI along the load and −(2/π − 1/2) PR³/EI across it', () => {
+    const ring = computeRing({ shape: SectionType.Rectangular, params: { b: 0.01, t: 0.01 }, ri: 1, P, E })
+    const flexibility = (P * ring.R ** 3) / (E * ring.I)
+    expectClose(ring.deltaLoad, (Math.PI / 4 - 2 / Math.PI) * flexibility, 1e-3)
+    expectClose(ring.deltaAcross, -(2 / Math.PI - 0.5) * flexibility, 1e-3)
+  })
+
+  it('thick ring: M0 from the Winkler–Bach strain energy', () => {
+    const ring = computeRing({ shape: SectionType.Rectangular, params: { b: 0.02, t: 0.05 }, ri: 0.05, P })
+    const { R, A, e } = ring
+    expectClose(ring.M0, ((P * R * (Math.PI / 2 - 1)) / (2 * A * e) + P / (2 * A)) / (Math.PI / (2 * A * e)))
+    expect(Number.isNaN(ring.deltaLoad)).toBe(true)
+  })
+
+  it('chain link: the straight sides carry M0 and P/2', () => {
+    const link = computeRing({ shape: SectionType.Circular, params: { d: 0.01 }, ri: 0.02, L: 0.05, P, E })
+    const side = link.sections.find((s) => s.straight)
+    expectClose(side.M, link.M0)
+    expectClose(side.N, P / 2)
+    expect(link.M0).toBeLessThan(computeRing({ shape: SectionType.Circular, params: { d: 0.01 }, ri: 0.02, P, E }).M0)
+  })
+
+  it('rejects a negative straight length', () => {
+    expect(computeRing({ shape: SectionType.Rectangular, params: { b: 0.01, t: 0.01 }, ri: 1, L: -1, P }).ok).toBe(false)
+  })
+})
+
+describe('shearFormFactor', () => {
+  it('is 6/5 for a rectangle and 10/9 for a circle', () => {
+    expect(shearFormFactor(SectionType.Rectangular, { b: 1, t: 1 }, 1)).toBe(6 / 5)
+    expect(shearFormFactor(SectionType.Circular, { d: 1 }, 1)).toBe(10 / 9)
+  })
+})
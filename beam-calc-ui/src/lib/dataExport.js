@@ -0,0 +1,261 @@
+/**
+ * Export of computed results for spreadsheets and correlation reports.
+ *
+ * An export holds scalar results (name, value, unit) and tables of sampled distributions. CSV puts
+ * the scalars first, then each table after a blank line, with units in the column headers; JSON
+ * keeps the same content with each table stored column-wise.
+ */
+import { sampleBeam, SupportSpecs, SupportType } from './beamCalc'
+
+/**
+ * @typedef {{ name: string, value: number | string, unit?: string }} ExportScalar
+ * @typedef {{ key: string, label: string, unit?: string }} ExportColumn
+ * @typedef {{ name: string, columns: ExportColumn[], rows: object[] }} ExportTable
+ * @typedef {{ title: string, scalars: ExportScalar[], tables: ExportTable[] }} ExportData
+ */
+
+function csvField(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : ''
+  const text = String(value ?? '')
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function header(column) {
+  return column.unit ? `${column.label} (${column.unit})` : column.label
+}
+
+/**
+ * CSV text (UTF-8 with BOM so spreadsheets show σ, ² and friends correctly).
+ * @param {ExportData} data
+ * @returns {string}
+ */
+export function toCsv(data) {
+  const lines = [['Quantity', 'Value', 'Unit'].join(',')]
+  for (const s of data.scalars) lines.push([s.name, s.value, s.unit ?? ''].map(csvField).join(','))
+  for (const table of data.tables) {
+    lines.push('', csvField(table.name), table.columns.map((c) => csvField(header(c))).join(','))
+    for (const row of table.rows) lines.push(table.columns.map((c) => csvField(row[c.key])).join(','))
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * JSON text; non-finite numbers become null.
+ * @param {ExportData} data
+ * @returns {string}
+ */
+export function toJson(data) {
+  const file = {
+    title: data.title,
+    generated: new Date().toISOString(),
+    scalars: data.scalars,
+    tables: data.tables.map((table) => ({
+      name: table.name,
+      columns: table.columns,
+      data: Object.fromEntries(table.columns.map((c) => [c.key, table.rows.map((row) => row[c.key])])),
+    })),
+  }
+  return `${JSON.stringify(file, (_, v) => (typeof v === 'number' && !Number.isFinite(v) ? null : v), 2)}\n`
+}
+
+/**
+ * Offer text as a file download.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type MIME type
+ */
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Scalars for a strength check from checkStrength; none when the check did not run.
+ * An unloaded section has an infinite factor of safety, written as "inf" rather than the blank
+ * (CSV) or null (JSON) that other non-finite numbers get.
+ * @param {ReturnType<import('./materials').checkStrength> | null} strength
+ * @returns {ExportScalar[]}
+ */
+export function strengthScalars(strength) {
+  if (!strength?.ok) return []
+  return [
+    { name: `Allowable tension (${strength.basis})`, value: strength.tension.allowable, unit: 'Pa' },
+    { name: `Allowable compression (${strength.basis})`, value: strength.compression.allowable, unit: 'Pa' },
+    { name: 'Factor of safety', value: Number.isFinite(strength.fos) ? strength.fos : 'inf', unit: '' },
+    { name: 'Governed by', value: strength.governing },
+    { name: 'Strength check', value: strength.pass ? 'OK' : 'FAILS' },
+  ]
+}
+
+/**
+ * Scalars of the exact-elasticity benchmark of a rectangular section (empty when it does not apply).
+ * @param {ReturnType<import('./curvedElasticity').rectangularBenchmark> | null} benchmark
+ * @returns {ExportScalar[]}
+ */
+export function benchmarkScalars(benchmark) {
+  if (!benchmark?.ok) return []
+  return benchmark.rows.flatMap((row) => [
+    { name: `${row.label} (exact elasticity)`, value: row.exact, unit: 'Pa' },
+    { name: `${row.label}, Winkler–Bach difference`, value: row.winklerDiff, unit: '%' },
+    { name: `${row.label}, straight-beam difference`, value: row.straightDiff, unit: '%' },
+  ])
+}
+
+/**
+ * Export of a curved-beam result: section and stress scalars and σ(r) across the depth.
+ * @param {ReturnType<import('./curvedBeam').computeCurvedBeam>} result
+ * @param {ExportScalar[]} [extra] further scalars, e.g. strength checks
+ * @returns {ExportData}
+ */
+export function curvedBeamExport(result, extra = []) {
+  const scalars = [
+    ['Area A', result.A, 'm²'],
+    ['Centroid ȳ (from inner)', result.ybar, 'm'],
+    ['Curvature integral S', result.S, 'm'],
+    ['Neutral axis y_n (from inner)', result.yn, 'm'],
+    ['Eccentricity e', result.e, 'm'],
+    ['Inner radius R_i', result.rInner, 'm'],
+    ['Outer radius R_o', result.rOuter, 'm'],
+    ['Centroid radius R_c', result.Rc, 'm'],
+    ['Neutral-axis radius R_n', result.Rn, 'm'],
+    ['Second moment I (straight)', result.I, 'm⁴'],
+    ['Axial force N', result.N, 'N'],
+    ['Shear force V', result.V, 'N'],
+    ['Moment M', result.M, 'N·m'],
+    ['Axial stress N/A', result.sigmaAxial, 'Pa'],
+    ['σ inner (combined)', result.sigmaInner, 'Pa'],
+    ['σ outer (combined)', result.sigmaOuter, 'Pa'],
+    ['σ inner (bending)', result.sigmaBendingInner, 'Pa'],
+    ['σ outer (bending)', result.sigmaBendingOuter, 'Pa'],
+    ['σ inner (straight beam)', result.sigmaStraightInner, 'Pa'],
+    ['σ outer (straight beam)', result.sigmaStraightOuter, 'Pa'],
+    ['K_i', result.Ki, ''],
+    ['K_o', result.Ko, ''],
+    ['τ average', result.tauAvg, 'Pa'],
+    ['τ at centroid', result.tauCentroid, 'Pa'],
+    ['Peak radial σ_r', result.radialPeak.value, 'Pa'],
+    ['Radius of peak σ_r', result.radialPeak.atR, 'm'],
+    ['Estimated error in e', result.errors.e, 'm'],
+    ['Estimated error in σ inner', result.errors.sigmaInner, 'Pa'],
+    ['Estimated error in σ outer', result.errors.sigmaOuter, 'Pa'],
+  ].map(([name, value, unit]) => ({ name, value, unit }))
+  scalars.push(...extra)
+  const rows = result.r.map((r, i) => ({ r, y: r - result.rInner, sigma: result.sigma[i], sigmaBending: result.sigmaBending[i], sigmaRadial: result.sigmaRadial[i] }))
+  return {
+    title: 'Curved beam (Winkler–Bach)',
+    scalars,
+    tables: [{
+      name: 'Stress distribution',
+      columns: [
+        { key: 'r', label: 'r', unit: 'm' },
+        { key: 'y', label: 'y from inner', unit: 'm' },
+        { key: 'sigma', label: 'σ combined', unit: 'Pa' },
+        { key: 'sigmaBending', label: 'σ bending', unit: 'Pa' },
+        { key: 'sigmaRadial', label: 'σ_r radial', unit: 'Pa' },
+      ],
+      rows,
+    }],
+  }
+}
+
+/**
+ * Export of a ring or chain-link result: moments, diameter changes and the fibre stresses at each
+ * candidate critical section, with M, N and V along the analysed quarter.
+ * @param {ReturnType<import('./curvedRing').computeRing>} result
+ * @param {ExportScalar[]} [extra] further scalars, e.g. strength checks
+ * @returns {ExportData}
+ */
+export function ringExport(result, extra = []) {
+  const scalars = [
+    ['Centroidal radius R', result.R, 'm'],
+    ['Straight length L', result.L, 'm'],
+    ['Load P', result.P, 'N'],
+    ['Area A', result.A, 'm²'],
+    ['Eccentricity e', result.e, 'm'],
+    ['Second moment I', result.I, 'm⁴'],
+    ['Moment across the load M_0', result.M0, 'N·m'],
+    ['Moment under the load', result.Mload, 'N·m'],
+    ['Change in length along the load', result.deltaLoad, 'm'],
+    ['Change in width across the load', result.deltaAcross, 'm'],
+    ['Shear form factor', result.shearFactor, ''],
+  ].map(([name, value, unit]) => ({ name, value, unit }))
+  for (const s of result.sections) {
+    scalars.push({ name: `σ inner, ${s.label}`, value: s.sigmaInner, unit: 'Pa' }, { name: `σ outer, ${s.label}`, value: s.sigmaOuter, unit: 'Pa' })
+  }
+  scalars.push({ name: 'Critical section', value: result.critical.label }, ...extra)
+  return {
+    title: 'Ring / chain link (Castigliano)',
+    scalars,
+    tables: [{
+      name: 'Resultants along the quarter',
+      columns: [
+        { key: 's', label: 's from the section across the load', unit: 'm' },
+        { key: 'theta', label: 'θ', unit: '°' },
+        { key: 'M', label: 'M', unit: 'N·m' },
+        { key: 'N', label: 'N', unit: 'N' },
+        { key: 'V', label: 'V', unit: 'N' },
+      ],
+      rows: result.points.map((p) => ({ ...p, theta: p.theta ?? '' })),
+    }],
+  }
+}
+
+/**
+ * Export of straight-beam results: reactions and peaks of the combined beam, and V, M, θ, v along
+ * the span for every load case in long format (one row per case and station).
+ * @param {{ label: string, beam: ReturnType<import('./beamCalc').solveBeam> }[]} cases
+ * @param {ReturnType<import('./beamCalc').solveBeam>} combined
+ * @param {ExportScalar[]} [extra] further scalars, e.g. stress checks
+ * @param {{ x: number[], Vmax: number[], Vmin: number[], Mmax: number[], Mmin: number[] } | null} [envelope]
+ *   moving load envelopes, exported as a second table
+ * @returns {ExportData}
+ */
+export function straightBeamExport(cases, combined, extra = [], envelope = null) {
+  const scalars = [
+    { name: 'Flexural rigidity EI', value: combined.EI, unit: 'N·m²' },
+    { name: 'Degree of indeterminacy', value: combined.indeterminacy },
+  ]
+  for (const r of combined.reactions.filter((re) => SupportSpecs[re.type].restrains)) {
+    scalars.push({ name: `Reaction R, ${SupportSpecs[r.type].label} at x = ${r.x} m`, value: r.V, unit: 'N' })
+    if (r.type === SupportType.Fixed) scalars.push({ name: `Reaction M, ${SupportSpecs[r.type].label} at x = ${r.x} m`, value: r.M, unit: 'N·m' })
+  }
+  scalars.push(...extra)
+
+  const rows = []
+  for (const { label, beam } of cases) {
+    const s = sampleBeam(beam)
+    s.x.forEach((x, i) => rows.push({ case: label, x, V: s.V[i], M: s.M[i], theta: s.theta[i], v: s.v[i] }))
+  }
+  const tables = [{
+    name: 'Distributions',
+    columns: [
+      { key: 'case', label: 'Load case' },
+      { key: 'x', label: 'x', unit: 'm' },
+      { key: 'V', label: 'V', unit: 'N' },
+      { key: 'M', label: 'M', unit: 'N·m' },
+      { key: 'theta', label: 'θ', unit: 'rad' },
+      { key: 'v', label: 'v', unit: 'm' },
+    ],
+    rows,
+  }]
+  if (envelope) {
+    tables.push({
+      name: 'Moving load envelope',
+      columns: [
+        { key: 'x', label: 'x', unit: 'm' },
+        { key: 'Vmax', label: 'max V', unit: 'N' },
+        { key: 'Vmin', label: 'min V', unit: 'N' },
+        { key: 'Mmax', label: 'max M', unit: 'N·m' },
+        { key: 'Mmin', label: 'min M', unit: 'N·m' },
+      ],
+      rows: envelope.x.map((x, i) => ({ x, Vmax: envelope.Vmax[i], Vmin: envelope.Vmin[i], Mmax: envelope.Mmax[i], Mmin: envelope.Mmin[i] })),
+    })
+  }
+  return { title: 'Straight beam', scalars, tables }
+}
+
+export default { toCsv, toJson, downloadFile, strengthScalars, benchmarkScalars, curvedBeamExport, ringExport, straightBeamExport }
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import { strengthScalars, toCsv, toJson } from './dataExport'
+import { checkStrength, findMaterial } from './materials'
+
+const data = {
+  title: 'Test export',
+  scalars: [
+    { name: 'Moment M', value: 1250.5, unit: 'N·m' },
+    { name: 'Note, with comma', value: 'say "hi"\nthen stop' },
+    { name: 'Eccentricity e', value: NaN, unit: 'm' },
+  ],
+  tables: [{
+    name: 'Stress distribution',
+    columns: [{ key: 'r', label: 'r', unit: 'm' }, { key: 'sigma', label: 'σ', unit: 'Pa' }],
+    rows: [{ r: 0.1, sigma: -2e6 }, { r: 0.15, sigma: Infinity }],
+  }],
+}
+
+describe('toCsv', () => {
+  const csv = toCsv(data)
+  const lines = csv.slice(1).split('\r\n')
+
+  it('starts with a BOM and ends every line with CRLF', () => {
+    expect(csv.charCodeAt(0)).toBe(0xfeff)
+    expect(csv.endsWith('\r\n')).toBe(true)
+  })
+
+  it('quotes fields containing quotes, commas or newlines and doubles embedded quotes', () => {
+    expect(lines[0]).toBe('Quantity,Value,Unit')
+    expect(lines[1]).toBe('Moment M,1250.5,N·m')
+    expect(csv).toContain('"Note, with comma","say ""hi""\nthen stop",')
+  })
+
+  it('writes non-finite numbers as blank cells', () => {
+    expect(csv).toContain('\r\nEccentricity e,,m\r\n')
+    expect(csv).toContain('\r\n0.15,\r\n')
+  })
+
+  it('puts each table after a blank line with units in the headers', () => {
+    expect(csv).toContain('\r\n\r\nStress distribution\r\nr (m),σ (Pa)\r\n0.1,-2000000\r\n')
+  })
+})
+
+describe('toJson', () => {
+  const file = JSON.parse(toJson(data))
+
+  it('keeps the scalars and stores each table column-wise', () => {
+    expect(file.title).toBe('Test export')
+    expect(file.scalars[1].value).toBe('say "hi"\nthen stop')
+    expect(file.tables[0].data.r).toEqual([0.1, 0.15])
+  })
+
+  it('writes non-finite numbers as null', () => {
+    expect(file.scalars[2].value).toBeNull()
+    expect(file.tables[0].data.sigma).toEqual([-2e6, null])
+  })
+})
+
+describe('strengthScalars', () => {
+  const steel = findMaterial('s235', [])
+
+  it('exports the factor of safety of a loaded section as a number', () => {
+    const fos = strengthScalars(checkStrength(steel, { tension: 100e6, compression: 50e6 })).find((s) => s.name === 'Factor of safety')
+    expect(fos.value).toBeCloseTo(2.35, 12)
+  })
+
+  it('writes the infinite factor of safety of an unloaded section as inf', () => {
+    const scalars = strengthScalars(checkStrength(steel, { tension: 0, compression: 0 }))
+    const data = { title: 'Unloaded', scalars, tables: [] }
+    expect(toCsv(data)).toContain('\r\nFactor of safety,inf,\r\n')
+    expect(JSON.parse(toJson(data)).scalars.find((s) => s.name === 'Factor of safety').value).toBe('inf')
+  })
+
+  it('exports nothing when the check did not run', () => {
+    expect(strengthScalars(null)).toEqual([])
+    expect(strengthScalars(checkStrength(null, { tension: 1, compression: 1 }))).toEqual([])
+  })
+})
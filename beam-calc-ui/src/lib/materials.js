@@ -0,0 +1,170 @@
+/**
+ * Material library and strength checks.
+ * Units: Pa for moduli and strengths.
+ *
+ * Ductile materials are limited by the yield strength fy in both tension and compression.
+ * Brittle materials (cast iron, timber) have no yield point and are limited separately by
+ * their ultimate tensile strength fu and ultimate compressive strength fuc.
+ * Timber strengths are characteristic bending (tension side) and compression-parallel values.
+ */
+
+export const MaterialClass = {
+  Steel: 'steel',
+  Aluminium: 'aluminium',
+  CastIron: 'castIron',
+  Timber: 'timber',
+  Custom: 'custom',
+}
+
+export const MaterialClassLabels = {
+  [MaterialClass.Steel]: 'Steels',
+  [MaterialClass.Aluminium]: 'Aluminium alloys',
+  [MaterialClass.CastIron]: 'Cast irons',
+  [MaterialClass.Timber]: 'Timber grades',
+  [MaterialClass.Custom]: 'User-defined',
+}
+
+const MPa = 1e6
+const GPa = 1e9
+
+/** Typical handbook values; check the governing standard or supplier data before design use. */
+export const materialLibrary = [
+  { id: 's235', name: 'Structural steel S235', cls: MaterialClass.Steel, E: 210 * GPa, fy: 235 * MPa, fu: 360 * MPa, fuc: NaN, brittle: false },
+  { id: 's275', name: 'Structural steel S275', cls: MaterialClass.Steel, E: 210 * GPa, fy: 275 * MPa, fu: 430 * MPa, fuc: NaN, brittle: false },
+  { id: 's355', name: 'Structural steel S355', cls: MaterialClass.Steel, E: 210 * GPa, fy: 355 * MPa, fu: 490 * MPa, fuc: NaN, brittle: false },
+  { id: 'aisi1020', name: 'AISI 1020 hot-rolled', cls: MaterialClass.Steel, E: 207 * GPa, fy: 210 * MPa, fu: 380 * MPa, fuc: NaN, brittle: false },
+  { id: 'aisi4140', name: 'AISI 4140 quenched & tempered', cls: MaterialClass.Steel, E: 207 * GPa, fy: 655 * MPa, fu: 1020 * MPa, fuc: NaN, brittle: false },
+  { id: 'al6061t6', name: 'Aluminium 6061-T6', cls: MaterialClass.Aluminium, E: 68.9 * GPa, fy: 276 * MPa, fu: 310 * MPa, fuc: NaN, brittle: false },
+  { id: 'al6063t5', name: 'Aluminium 6063-T5', cls: MaterialClass.Aluminium, E: 68.9 * GPa, fy: 145 * MPa, fu: 186 * MPa, fuc: NaN, brittle: false },
+  { id: 'al7075t6', name: 'Aluminium 7075-T6', cls: MaterialClass.Aluminium, E: 71.7 * GPa, fy: 503 * MPa, fu: 572 * MPa, fuc: NaN, brittle: false },
+  { id: 'gi30', name: 'Grey cast iron ASTM A48 class 30', cls: MaterialClass.CastIron, E: 100 * GPa, fy: NaN, fu: 214 * MPa, fuc: 752 * MPa, brittle: true },
+  { id: 'gi40', name: 'Grey cast iron ASTM A48 class 40', cls: MaterialClass.CastIron, E: 124 * GPa, fy: NaN, fu: 293 * MPa, fuc: 965 * MPa, brittle: true },
+  { id: 'di654512', name: 'Ductile iron 65-45-12', cls: MaterialClass.CastIron, E: 169 * GPa, fy: 310 * MPa, fu: 448 * MPa, fuc: NaN, brittle: false },
+  { id: 'c16', name: 'Softwood C16', cls: MaterialClass.Timber, E: 8 * GPa, fy: NaN, fu: 16 * MPa, fuc: 17 * MPa, brittle: true },
+  { id: 'c24', name: 'Softwood C24', cls: MaterialClass.Timber, E: 11 * GPa, fy: NaN, fu: 24 * MPa, fuc: 21 * MPa, brittle: true },
+  { id: 'gl24h', name: 'Glulam GL24h', cls: MaterialClass.Timber, E: 11.5 * GPa, fy: NaN, fu: 24 * MPa, fuc: 24 * MPa, brittle: true },
+]
+
+export const Criterion = {
+  Yield: 'yield', // factor of safety against the strength limit, pass when FoS ≥ 1
+  Allowable: 'allowable', // allowable stress = strength / required FoS
+}
+
+const CUSTOM_KEY = 'materials.custom'
+
+/**
+ * User-defined materials persisted in local storage.
+ * @returns {object[]}
+ */
+export function loadCustomMaterials() {
+  try {
+    const list = JSON.parse(localStorage.getItem(CUSTOM_KEY) || '[]')
+    return Array.isArray(list) ? list.map((m) => ({ ...m, cls: MaterialClass.Custom })) : []
+  } catch {
+    return []
+  }
+}
+
+export function saveCustomMaterials(list) {
+  try {
+    localStorage.setItem(CUSTOM_KEY, JSON.stringify(list))
+  } catch {
+    // Storage unavailable; custom materials last for this session only
+  }
+}
+
+/**
+ * Look up a material by id in the library and the user-defined list.
+ * @param {string} id
+ * @param {object[]} [custom]
+ * @returns {object | null}
+ */
+export function findMaterial(id, custom = loadCustomMaterials()) {
+  if (!id) return null
+  return materialLibrary.find((m) => m.id === id) || custom.find((m) => m.id === id) || null
+}
+
+/**
+ * Validate a (user-defined) material. Ductile materials need fy; brittle ones need fu and fuc.
+ * @param {{ name: string, E: number, fy: number, fu: number, fuc: number, brittle: boolean }} m
+ * @returns {{ ok: boolean, message?: string }}
+ */
+export function validateMaterial(m) {
+  if (!m || !String(m.name || '').trim()) return { ok: false, message: 'Material name is required' }
+  if (!(m.E > 0)) return { ok: false, message: 'E must be > 0' }
+  if (m.brittle) {
+    if (!(m.fu > 0)) return { ok: false, message: 'Ultimate tensile strength must be > 0' }
+    if (!(m.fuc > 0)) return { ok: false, message: 'Ultimate compressive strength must be > 0' }
+  } else if (!(m.fy > 0)) {
+    return { ok: false, message: 'Yield strength must be > 0' }
+  }
+  if (Number.isFinite(m.fu) && Number.isFinite(m.fy) && m.fu < m.fy) return { ok: false, message: 'Ultimate strength must not be below yield' }
+  return { ok: true }
+}
+
+/**
+ * Strength limits in tension and compression used by the checks.
+ * @returns {{ tension: number, compression: number, basis: string }}
+ */
+export function strengthLimits(material) {
+  if (material.brittle) return { tension: material.fu, compression: material.fuc, basis: 'ultimate' }
+  return { tension: material.fy, compression: material.fy, basis: 'yield' }
+}
+
+/**
+ * Allowable stresses for a material under a criterion: the strength limits, divided by the
+ * required factor of safety when working to allowables.
+ * @param {object} material
+ * @param {{ criterion?: string, requiredFos?: number }} [options]
+ * @returns {{ ok: boolean, message?: string, tension?: number, compression?: number, basis?: string }}
+ */
+export function allowableStresses(material, options = {}) {
+  const { criterion = Criterion.Yield, requiredFos = 1 } = options
+  if (!material) return { ok: false, message: 'Select a material' }
+  if (criterion === Criterion.Allowable && !(requiredFos >= 1)) return { ok: false, message: 'Required factor of safety must be ≥ 1' }
+  const limits = strengthLimits(material)
+  const target = criterion === Criterion.Allowable ? requiredFos : 1
+  return { ok: true, tension: limits.tension / target, compression: limits.compression / target, basis: limits.basis }
+}
+
+/**
+ * Check peak stresses against a material.
+ * @param {object} material
+ * @param {{ tension: number, compression: number }} demand peak tensile and compressive stress magnitudes (≥ 0)
+ * @param {{ criterion?: string, requiredFos?: number }} [options]
+ * @returns {{ ok: boolean, message?: string, pass?: boolean, fos?: number, governing?: string, tension?: object, compression?: object, basis?: string }}
+ */
+export function checkStrength(material, demand, options = {}) {
+  const allowable = allowableStresses(material, options)
+  if (!allowable.ok) return allowable
+  const limits = strengthLimits(material)
+
+  const side = (stress, key) => {
+    const s = Math.max(0, stress)
+    const fos = s > 0 ? limits[key] / s : Infinity
+    return { stress: s, strength: limits[key], allowable: allowable[key], fos, pass: s <= allowable[key] }
+  }
+  const tension = side(demand.tension, 'tension')
+  const compression = side(demand.compression, 'compression')
+  const governing = tension.fos <= compression.fos ? 'tension' : 'compression'
+  return {
+    ok: true,
+    pass: tension.pass && compression.pass,
+    fos: Math.min(tension.fos, compression.fos),
+    governing,
+    tension,
+    compression,
+    basis: allowable.basis,
+  }
+}
+
+/**
+ * Stress for display in MPa, e.g. "235.0 MPa"; "-" when not a number.
+ * @param {number} v Pa
+ * @returns {string}
+ */
+export function formatStress(v) {
+  return Number.isFinite(v) ? `${(v / MPa).toPrecision(4)} MPa` : '-'
+}
+
+export default { MaterialClass, materialLibrary, Criterion, loadCustomMaterials, saveCustomMaterials, findMaterial, validateMaterial, strengthLimits, allowableStresses, checkStrength, formatStress }
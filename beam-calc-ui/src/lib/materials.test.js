@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest'
+import { Criterion, allowableStresses, checkStrength, findMaterial, formatStress, strengthLimits, validateMaterial } from './materials'
+
+const MPa = 1e6
+const steel = findMaterial('s235', [])
+const castIron = findMaterial('gi30', [])
+
+describe('validateMaterial', () => {
+  const custom = { name: 'Bar stock', E: 200e9, fy: 300 * MPa, fu: 450 * MPa, fuc: NaN, brittle: false }
+
+  it('accepts a complete ductile or brittle material', () => {
+    expect(validateMaterial(custom)).toEqual({ ok: true })
+    expect(validateMaterial({ ...custom, brittle: true, fy: NaN, fuc: 800 * MPa })).toEqual({ ok: true })
+  })
+
+  it.each([
+    [{ name: ' ' }, /name is required/],
+    [{ E: 0 }, /E must be > 0/],
+    [{ fy: NaN }, /Yield strength must be > 0/],
+    [{ fu: 250 * MPa }, /must not be below yield/],
+    [{ brittle: true, fy: NaN, fu: NaN, fuc: 800 * MPa }, /Ultimate tensile/],
+    [{ brittle: true, fy: NaN }, /Ultimate compressive/],
+  ])('rejects %o', (change, message) => {
+    const result = validateMaterial({ ...custom, ...change })
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(message)
+  })
+})
+
+describe('strengthLimits', () => {
+  it('limits a ductile material by fy on both sides', () => {
+    expect(strengthLimits(steel)).toEqual({ tension: 235 * MPa, compression: 235 * MPa, basis: 'yield' })
+  })
+
+  it('limits a brittle material by fu in tension and fuc in compression', () => {
+    expect(strengthLimits(castIron)).toEqual({ tension: 214 * MPa, compression: 752 * MPa, basis: 'ultimate' })
+  })
+})
+
+describe('checkStrength', () => {
+  it('reports the factor of safety and the governing side', () => {
+    const result = checkStrength(steel, { tension: 100 * MPa, compression: 50 * MPa })
+    expect(result.ok).toBe(true)
+    expect(result.fos).toBeCloseTo(2.35, 12)
+    expect(result.governing).toBe('tension')
+    expect(result.pass).toBe(true)
+  })
+
+  it('checks a brittle material separately in tension and compression', () => {
+    // 150 MPa on each side: well inside fuc but 0.7 of fu
+    const result = checkStrength(castIron, { tension: 150 * MPa, compression: 150 * MPa })
+    expect(result.tension.fos).toBeCloseTo(214 / 150, 12)
+    expect(result.compression.fos).toBeCloseTo(752 / 150, 12)
+    expect(result.governing).toBe('tension')
+    expect(result.basis).toBe('ultimate')
+
+    const compressive = checkStrength(castIron, { tension: 0, compression: 300 * MPa })
+    expect(compressive.governing).toBe('compression')
+    expect(compressive.tension.fos).toBe(Infinity)
+  })
+
+  it('applies the required factor of safety to the allowable stress', () => {
+    const options = { criterion: Criterion.Allowable, requiredFos: 2 }
+    const result = checkStrength(steel, { tension: 100 * MPa, compression: 0 }, options)
+    expect(result.tension.allowable).toBeCloseTo(117.5 * MPa, 6)
+    expect(result.pass).toBe(true)
+    expect(checkStrength(steel, { tension: 120 * MPa, compression: 0 }, options).pass).toBe(false)
+  })
+
+  it('rejects a missing material and a required factor below 1', () => {
+    expect(checkStrength(null, { tension: 1, compression: 1 })).toMatchObject({ ok: false, message: 'Select a material' })
+    const result = checkStrength(steel, { tension: 1, compression: 1 }, { criterion: Criterion.Allowable, requiredFos: 0.5 })
+    expect(result.ok).toBe(false)
+    expect(result.message).toMatch(/≥ 1/)
+  })
+})
+
+describe('allowableStresses', () => {
+  it('divides the strength limits by the required factor when working to allowables', () => {
+    expect(allowableStresses(castIron, { criterion: Criterion.Allowable, requiredFos: 4 })).toEqual({ ok: true, tension: 53.5 * MPa, compression: 188 * MPa, basis: 'ultimate' })
+    expect(allowableStresses(steel, { criterion: Criterion.Yield, requiredFos: 4 }).tension).toBe(235 * MPa)
+  })
+
+  it('gives the allowables that checkStrength checks against', () => {
+    const options = { criterion: Criterion.Allowable, requiredFos: 2.5 }
+    const allowable = allowableStresses(castIron, options)
+    const check = checkStrength(castIron, { tension: allowable.tension, compression: allowable.compression }, options)
+    expect(check.tension.allowable).toBe(allowable.tension)
+    expect(check.compression.allowable).toBe(allowable.compression)
+    expect(check.pass).toBe(true)
+  })
+})
+
+describe('formatStress', () => {
+  it('shows MPa to four significant figures and a dash for missing values', () => {
+    expect(formatStress(235e6)).toBe('235.0 MPa')
+    expect(formatStress(NaN)).toBe('-')
+  })
+})
@@ -0,0 +1,271 @@
+/**
+ * Influence lines and moving load trains for the straight-beam model of beamCalc.
+ *
+ * An influence line gives one support reaction, or V or M at one section, as a unit load (1 N, down +)
+ * moves across the span. Every point is a solveBeam solution, so hinges and redundant supports are
+ * handled as in the static analysis and the lines of continuous beams come out curved.
+ *
+ * A load train is a set of axle loads at fixed spacings, such as the wheels of a crane, rolled across
+ * the beam in both directions. Axles that are off the span carry nothing. The train is placed with
+ * each axle over each station in turn. Between loads M is linear and V constant, so these positions
+ * give the envelopes at the stations and the largest shear. The absolute maximum moment can fall
+ * between stations, so its position is then refined by golden-section search.
+ */
+import { LoadType, SupportSpecs, SupportType, solveBeam } from './beamCalc'
+
+export const InfluenceQuantity = {
+  Reaction: 'reaction',
+  Shear: 'shear',
+  Moment: 'moment',
+}
+
+export const InfluenceQuantityLabels = {
+  [InfluenceQuantity.Reaction]: 'Support reaction R',
+  [InfluenceQuantity.Shear]: 'Shear V at a section',
+  [InfluenceQuantity.Moment]: 'Moment M at a section',
+}
+
+/** Editor state for the moving load card: strings as typed, one row per axle. */
+export const defaultMovingInputs = {
+  quantity: InfluenceQuantity.Moment,
+  support: '0',
+  at: '2.5',
+  axles: [
+    { id: 'a1', P: '10000', spacing: '' },
+    { id: 'a2', P: '10000', spacing: '1.5' },
+  ],
+  withStatic: true,
+}
+
+/**
+ * Axle loads and their offsets from the first axle, from the editor rows. Each row gives the load
+ * and its distance from the previous axle; the first row's distance is ignored.
+ * @param {{ P: string, spacing: string }[]} rows
+ * @returns {{ ok: boolean, message?: string, axles?: { P: number, offset: number }[], length?: number }}
+ */
+export function parseAxles(rows) {
+  if (rows.length === 0) return { ok: false, message: 'Add at least one axle' }
+  const axles = []
+  let offset = 0
+  for (const [i, row] of rows.entries()) {
+    const P = Number(row.P)
+    if (row.P === '' || !Number.isFinite(P)) return { ok: false, message: `Axle ${i + 1}: load P must be a number` }
+    if (i > 0) {
+      const spacing = Number(row.spacing)
+      if (row.spacing === '' || !(spacing >= 0)) return { ok: false, message: `Axle ${i + 1}: spacing must be ≥ 0` }
+      offset += spacing
+    }
+    axles.push({ P, offset })
+  }
+  return { ok: true, axles, length: offset }
+}
+
+/** Supports that carry a reaction, with their index in the model's support list. */
+export function reactionSupports(supports) {
+  return supports.map((s, index) => ({ ...s, index })).filter((s) => SupportSpecs[s.type]?.restrains)
+}
+
+/** n evenly spaced stations over the span plus the given positions, sorted and without repeats. */
+function stations(L, extra, n) {
+  const base = Array.from({ length: n }, (_, i) => (i / (n - 1)) * L)
+  return [...new Set([...base, ...extra.filter((x) => x >= 0 && x <= L)])].sort((p, q) => p - q)
+}
+
+/** The model without loads or settlements; settlements belong to the static load cases. */
+function unloaded(model) {
+  return { ...model, supports: model.supports.map((s) => ({ ...s, settlement: 0 })), loads: [] }
+}
+
+/**
+ * Influence line of a reaction, or of V or M at a section.
+ * @param {{ L: number, E: number, I: number, supports: object[] }} model as for solveBeam, without loads
+ * @param {{ quantity: string, at: number }} target
+ *   quantity: InfluenceQuantity id; at: the support's index for a reaction, otherwise the section x
+ * @param {number} [n] evenly spaced load positions
+ * @returns {{
+ *   ok: boolean, message?: string, x?: number[], value?: number[],
+ *   max?: { value: number, x: number }, min?: { value: number, x: number },
+ * }}
+ *   value: the quantity for a unit load at each x (reactions up +, M sagging +); the shear line has a
+ *   point just right of the section so its unit jump stays sharp
+ */
+export function influenceLine(model, target, n = 201) {
+  const free = unloaded(model)
+  const check = solveBeam(free)
+  if (!check.ok) return check
+  const { L } = check
+  const { quantity, at } = target
+
+  let read
+  const extra = model.supports.filter((s) => s.type !== SupportType.Free).map((s) => s.x)
+  if (quantity === InfluenceQuantity.Reaction) {
+    if (!SupportSpecs[model.supports[at]?.type]?.restrains) return { ok: false, message: 'Choose a support that carries a reaction' }
+    read = (beam) => beam.reactions[at].V
+  } else if (quantity === InfluenceQuantity.Shear || quantity === InfluenceQuantity.Moment) {
+    if (!(Number.isFinite(at) && at >= 0 && at <= L)) return { ok: false, message: 'Section x must lie within 0 ≤ x ≤ L' }
+    read = quantity === InfluenceQuantity.Shear ? (beam) => beam.shear(at) : (beam) => beam.moment(at)
+    extra.push(at)
+    if (quantity === InfluenceQuantity.Shear && at < L) extra.push(Math.min(L, at + L * 1e-6))
+  } else {
+    return { ok: false, message: `Unsupported influence quantity: ${quantity}` }
+  }
+
+  const x = stations(L, extra, n)
+  const value = x.map((xi) => read(solveBeam({ ...free, loads: [{ type: LoadType.Point, x: xi, P: 1 }] })))
+  const pick = (better) => value.reduce((best, v, i) => (better(v, best.value) ? { value: v, x: x[i] } : best), { value: value[0], x: x[0] })
+  return { ok: true, x, value, max: pick((v, b) => v > b), min: pick((v, b) => v < b) }
+}
+
+/** Largest f on [a, b] by golden-section search, with the point where it occurs. */
+function goldenMax(f, a, b, iterations = 60) {
+  const g = (Math.sqrt(5) - 1) / 2
+  let x1 = b - g * (b - a)
+  let x2 = a + g * (b - a)
+  let f1 = f(x1)
+  let f2 = f(x2)
+  for (let k = 0; k < iterations; k++) {
+    if (f1 >= f2) {
+      b = x2
+      x2 = x1
+      f2 = f1
+      x1 = b - g * (b - a)
+      f1 = f(x1)
+    } else {
+      a = x1
+      x1 = x2
+      f1 = f2
+      x2 = a + g * (b - a)
+      f2 = f(x2)
+    }
+  }
+  return f1 >= f2 ? { value: f1, at: x1 } : { value: f2, at: x2 }
+}
+
+/**
+ * Roll a train of axle loads across the beam in both directions.
+ * @param {{ L: number, E: number, I: number, supports: object[] }} model as for solveBeam, without loads
+ * @param {{ P: number, offset: number }[]} axles loads (down +) and offsets from the first axle, from parseAxles
+ * @param {{ n?: number, base?: ReturnType<typeof solveBeam> }} [options]
+ *   n: evenly spaced stations, fewer than for plotting as each one costs a solution per axle;
+ *   base: a static solution of the same beam added at every position, such as the combined load cases
+ * @returns {{
+ *   ok: boolean, message?: string, x?: number[],
+ *   Mmax?: number[], Mmin?: number[], Vmax?: number[], Vmin?: number[],
+ *   moment?: { max: TrainPeak, min: TrainPeak }, shear?: { max: TrainPeak, min: TrainPeak },
+ *   reactions?: { index: number, type: string, x: number, max: TrainPeak, min: TrainPeak }[],
+ * }}
+ *   Mmax ... Vmin: envelopes at the stations x, V taken just either side of each station; TrainPeak is
+ *   { value, x, axles }, with x the section (for reactions the support) and axles the x of every
+ *   axle, in the order entered, at the governing position
+ */
+export function movingLoadTrain(model, axles, { n = 101, base } = {}) {
+  const free = unloaded(model)
+  const check = solveBeam(free)
+  if (!check.ok) return check
+  if (axles.length === 0) return { ok: false, message: 'Add at least one axle' }
+  if (base && !base.ok) return base
+  const { L } = check
+  const eps = L * 1e-6
+
+  const supportXs = model.supports.filter((s) => s.type !== SupportType.Free).map((s) => s.x)
+  const x = stations(L, supportXs, n)
+  const zero = () => 0
+  const baseShear = base ? base.shear : zero
+  const baseMoment = base ? base.moment : zero
+  const baseM = x.map(baseMoment)
+  const baseVRight = x.map((xi) => baseShear(xi + eps))
+  const baseVLeft = x.map((xi) => baseShear(xi - eps))
+  const baseR = (j) => (base ? base.reactions[j].V : 0)
+
+  // The reversed train is the same axles met in the opposite order
+  const last = axles.at(-1).offset
+  const forward = axles.map((a) => a.offset)
+  const reversed = axles.map((a) => last - a.offset)
+  const symmetric = axles.every((a, k) => a.P === axles[axles.length - 1 - k].P && Math.abs(forward[k] - reversed[axles.length - 1 - k]) <= eps)
+  const directions = symmetric ? [forward] : [forward, reversed]
+
+  const solveAt = (offsets, s) => solveBeam({
+    ...free,
+    loads: axles.flatMap((a, k) => {
+      const xa = s + offsets[k]
+      return xa >= 0 && xa <= L ? [{ type: LoadType.Point, x: xa, P: a.P }] : []
+    }),
+  })
+  const peak = () => ({ value: NaN, x: NaN, axles: [] })
+  const Mmax = x.map(() => -Infinity)
+  const Mmin = x.map(() => Infinity)
+  const Vmax = x.map(() => -Infinity)
+  const Vmin = x.map(() => Infinity)
+  const moment = { max: peak(), min: peak() }
+  const shear = { max: peak(), min: peak() }
+  const reactions = reactionSupports(model.supports).map((s) => ({ index: s.index, type: s.type, x: s.x, max: peak(), min: peak() }))
+  const track = (target, value, xs, place) => {
+    if (!(value <= target.max.value)) target.max = { value, x: xs, axles: place() }
+    if (!(value >= target.min.value)) target.min = { value, x: xs, axles: place() }
+  }
+
+  // Best moment position for each sign: [offsets, s] to refine afterwards
+  const best = { max: null, min: null }
+  for (const offsets of directions) {
+    const positions = [...new Set(x.flatMap((xi) => offsets.map((o) => xi - o)))].sort((p, q) => p - q)
+    for (const s of positions) {
+      const beam = solveAt(offsets, s)
+      const place = () => axles.map((_, k) => s + offsets[k])
+      x.forEach((xi, i) => {
+        const M = beam.moment(xi) + baseM[i]
+        // V just either side of the station, each with the axles on the station moved across the section
+        const onStation = axles.reduce((sum, a, k) => (Math.abs(s + offsets[k] - xi) <= eps / 2 ? sum + a.P : sum), 0)
+        const shears = []
+        if (xi < L) {
+          const V = beam.shear(xi + eps) + baseVRight[i]
+          shears.push(V, V + onStation)
+        }
+        if (xi > 0) {
+          const V = beam.shear(xi - eps) + baseVLeft[i]
+          shears.push(V, V - onStation)
+        }
+        Mmax[i] = Math.max(Mmax[i], M)
+        Mmin[i] = Math.min(Mmin[i], M)
+        Vmax[i] = Math.max(Vmax[i], ...shears)
+        Vmin[i] = Math.min(Vmin[i], ...shears)
+        if (!(M <= moment.max.value)) best.max = [offsets, s]
+        if (!(M >= moment.min.value)) best.min = [offsets, s]
+        track(moment, M, xi, place)
+        for (const value of shears) track(shear, value, xi, place)
+      })
+      for (const r of reactions) track(r, beam.reactions[r.index].V + baseR(r.index), r.x, place)
+    }
+  }
+
+  // Moment extremes lie under an axle, at a support or, with a base load, between them
+  const extremeMoment = (offsets, s, sign) => {
+    const beam = solveAt(offsets, s)
+    const candidates = [...x, ...offsets.map((o) => s + o).filter((xa) => xa >= 0 && xa <= L)]
+    return candidates.reduce((b, xi) => {
+      const M = sign * (beam.moment(xi) + baseMoment(xi))
+      return M > b.value ? { value: M, x: xi } : b
+    }, { value: -Infinity, x: NaN })
+  }
+  const h = L / (n - 1)
+  for (const [key, sign] of [['max', 1], ['min', -1]]) {
+    if (!best[key]) continue
+    const [offsets, s0] = best[key]
+    const refined = goldenMax((s) => extremeMoment(offsets, s, sign).value, s0 - h, s0 + h)
+    if (refined.value > sign * moment[key].value) {
+      const at = extremeMoment(offsets, refined.at, sign)
+      moment[key] = { value: sign * at.value, x: at.x, axles: axles.map((_, k) => refined.at + offsets[k]) }
+    }
+  }
+
+  return { ok: true, x, Mmax, Mmin, Vmax, Vmin, moment, shear, reactions }
+}
+
+export default {
+  InfluenceQuantity,
+  InfluenceQuantityLabels,
+  defaultMovingInputs,
+  parseAxles,
+  reactionSupports,
+  influenceLine,
+  movingLoadTrain,
+}
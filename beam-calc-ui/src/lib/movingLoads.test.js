@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { LoadType, SupportType, solveBeam } from './beamCalc'
+import { InfluenceQuantity, defaultMovingInputs, influenceLine, movingLoadTrain, parseAxles, reactionSupports } from './movingLoads'
+
+const L = 10
+const simple = {
+  L,
+  E: 200e9,
+  I: 8e-5,
+  supports: [{ type: SupportType.Pin, x: 0 }, { type: SupportType.Roller, x: L }],
+}
+
+describe('influenceLine', () => {
+  it('moment at a section of a simple span peaks at a(L − a)/L under the section', () => {
+    const line = influenceLine(simple, { quantity: InfluenceQuantity.Moment, at: 4 })
+    expect(line.ok).toBe(true)
+    expectClose(line.max.value, (4 * 6) / L)
+    expectClose(line.max.x, 4)
+  })
+
+  it('reaction of a simple span falls linearly from 1 to 0', () => {
+    const line = influenceLine(simple, { quantity: InfluenceQuantity.Reaction, at: 0 })
+    expectClose(line.value[0], 1)
+    expect(Math.abs(line.value.at(-1))).toBeLessThan(1e-9)
+    const mid = line.x.indexOf(L / 2)
+    expectClose(line.value[mid], 0.5)
+  })
+
+  it('shear at a section jumps by the unit load', () => {
+    const line = influenceLine(simple, { quantity: InfluenceQuantity.Shear, at: 4 })
+    expectClose(line.max.value, 0.6, 1e-5)
+    expectClose(line.min.value, -0.4, 1e-5)
+  })
+})
+
+describe('movingLoadTrain', () => {
+  const { axles } = parseAxles([{ P: '10000', spacing: '' }, { P: '10000', spacing: '2' }])
+
+  it('two equal axles: absolute maximum moment with the span centre midway between an axle and the resultant', () => {
+    const train = movingLoadTrain(simple, axles)
+    expect(train.ok).toBe(true)
+    // Axles at 4.5 and 6.5 m: R = 9000 N at the left, M = 9000 × 4.5 under the first axle
+    expectClose(train.moment.max.value, 40500, 1e-6)
+    expectClose(train.moment.max.x, 4.5, 1e-4)
+  })
+
+  it('two equal axles: largest shear and reaction with one axle over the support', () => {
+    const train = movingLoadTrain(simple, axles)
+    expectClose(train.shear.max.value, 18000, 1e-6)
+    const [left] = train.reactions
+    expectClose(left.max.value, 18000, 1e-6)
+    expect(left.min.value).toBeCloseTo(0, 6)
+  })
+
+  it('adds a static solution to the envelopes', () => {
+    const w = 2000
+    const base = solveBeam({ ...simple, loads: [{ type: LoadType.UDL, x1: 0, x2: L, w }] })
+    const live = movingLoadTrain(simple, axles)
+    const combined = movingLoadTrain(simple, axles, { base })
+    const mid = combined.x.indexOf(L / 2)
+    expectClose(combined.Mmax[mid], live.Mmax[mid] + (w * L * L) / 8)
+  })
+})
+
+describe('parseAxles', () => {
+  it('accumulates the spacings into offsets from the first axle', () => {
+    expect(parseAxles(defaultMovingInputs.axles)).toEqual({ ok: true, axles: [{ P: 10000, offset: 0 }, { P: 10000, offset: 1.5 }], length: 1.5 })
+  })
+
+  it('rejects a blank load or a missing spacing', () => {
+    expect(parseAxles([]).ok).toBe(false)
+    expect(parseAxles([{ P: '', spacing: '' }]).ok).toBe(false)
+    expect(parseAxles([{ P: '1', spacing: '' }, { P: '1', spacing: '' }]).ok).toBe(false)
+  })
+})
+
+describe('reactionSupports', () => {
+  it('keeps the supports that carry a reaction, with their index', () => {
+    const supports = [{ type: SupportType.Free, x: 0 }, { type: SupportType.Fixed, x: L }]
+    expect(reactionSupports(supports)).toEqual([{ type: SupportType.Fixed, x: L, index: 1 }])
+  })
+})
@@ -0,0 +1,16 @@
+/**
+ * Helpers for the row editors (RowsEditor, BeamModelEditor), whose rows are plain objects of raw
+ * input strings keyed by `id`.
+ */
+
+let nextId = 1
+
+/**
+ * Unique key for a new editor row.
+ * @returns {string}
+ */
+export function newRowId() {
+  return `row-${Date.now().toString(36)}-${nextId++}`
+}
+
+export default { newRowId }
@@ -0,0 +1,64 @@
+/**
+ * Form state shared by the pages that edit a cross-section: default raw strings for every
+ * `SectionSpecs` parameter, polygon vertices and built-up strips, and their numeric conversion.
+ */
+import { SectionSpecs, SectionType } from './curvedBeam'
+
+/** Default section dimensions (m) for every SectionSpecs param key. */
+export const defaultDims = {
+  b: '0.02', t: '0.02', bInner: '0.01', bOuter: '0.03', d: '0.04', di: '0.03',
+  R1: '0.04', t1: '0.01', b1: '0.03', R2: '0.05', t2: '0.015', b2: '0.02',
+  tw: '0.004', tf: '0.005', bfi: '0.03', tfi: '0.006', bfo: '0.015', tfo: '0.005', bf: '0.03', tb: '0.005', tl: '0.004',
+}
+
+/** Default polygon: a tapered, hook-like outline (y radial from ri, z across). */
+export const defaultVertices = [
+  { id: 'v1', y: '0', z: '-0.012' },
+  { id: 'v2', y: '0', z: '0.012' },
+  { id: 'v3', y: '0.03', z: '0.008' },
+  { id: 'v4', y: '0.04', z: '0' },
+  { id: 'v5', y: '0.03', z: '-0.008' },
+]
+
+/** Default built-up section: welded inner flange, web and outer flange. */
+export const defaultStrips = [
+  { id: 's1', R: '0.05', t: '0.01', bInner: '0.06', bOuter: '' },
+  { id: 's2', R: '0.06', t: '0.05', bInner: '0.01', bOuter: '' },
+  { id: 's3', R: '0.11', t: '0.01', bInner: '0.04', bOuter: '' },
+]
+
+function numberOrNaN(x) {
+  if (x === '' || x === null || x === undefined) return NaN
+  const n = Number(x)
+  return Number.isFinite(n) ? n : NaN
+}
+
+/**
+ * Section dimensions from saved inputs. Older saves kept each dimension at the top level
+ * (with the circle diameter as `diam`); newer ones keep them under `dims`.
+ * @param {object} saved
+ * @returns {object} only the keys present as strings
+ */
+export function savedDims(saved) {
+  const source = saved.dims && typeof saved.dims === 'object' ? saved.dims : { ...saved, d: saved.diam }
+  return Object.fromEntries(Object.keys(defaultDims).filter((key) => typeof source[key] === 'string').map((key) => [key, source[key]]))
+}
+
+/**
+ * Numeric section parameters for the calculators; blanks become NaN and are reported by validation.
+ * @param {string} shape
+ * @param {{ dims: object, vertices: object[], strips: object[] }} inputs raw form strings
+ * @returns {object}
+ */
+export function toSectionParams(shape, { dims, vertices, strips }) {
+  const spec = SectionSpecs[shape]
+  if (!spec) return {}
+  const p = Object.fromEntries(spec.params.map((def) => [def.key, numberOrNaN(dims[def.key])]))
+  if (shape === SectionType.Polygon) p.vertices = vertices.map((v) => ({ y: numberOrNaN(v.y), z: numberOrNaN(v.z) }))
+  if (shape === SectionType.Composite) {
+    p.strips = strips.map((st) => ({ R: numberOrNaN(st.R), t: numberOrNaN(st.t), bInner: numberOrNaN(st.bInner), bOuter: numberOrNaN(st.bOuter) }))
+  }
+  return p
+}
+
+export default { defaultDims, defaultVertices, defaultStrips, savedDims, toSectionParams }
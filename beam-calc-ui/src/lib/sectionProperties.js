@@ -0,0 +1,254 @@
+/**
+ * Plane section properties for straight-beam design, for every shape in `SectionSpecs`.
+ *
+ * Coordinates follow `sectionOutline`: y is the depth measured down from the top face (the
+ * curved beam's inner surface), z runs across the width. Properties are integrated exactly over
+ * the outline polygons with Green's theorem; circles use a fine polygon (relative error < 1e-4).
+ * Bending "about x" means about the horizontal centroidal axis (neutral axis across the width).
+ * Shear stress through the depth follows from the same clipped integrals: Q(y) of the area above
+ * depth y and the chord width b(y).
+ */
+import { sectionOutline, validateParams } from './curvedBeam'
+
+const CIRCLE_POINTS = 720
+
+/**
+ * Signed integrals of 1, y, z, y², z² and yz over a closed loop of [y, z] points.
+ * Counter-clockwise loops (in the z–y plane) give positive area.
+ */
+function loopIntegrals(loop) {
+  let A = 0, Qy = 0, Qz = 0, Iyy = 0, Izz = 0, Iyz = 0
+  for (let i = 0; i < loop.length; i++) {
+    const [y0, z0] = loop[i]
+    const [y1, z1] = loop[(i + 1) % loop.length]
+    const cross = z0 * y1 - z1 * y0
+    A += cross / 2
+    Qy += ((y0 + y1) * cross) / 6
+    Qz += ((z0 + z1) * cross) / 6
+    Iyy += ((y0 * y0 + y0 * y1 + y1 * y1) * cross) / 12
+    Izz += ((z0 * z0 + z0 * z1 + z1 * z1) * cross) / 12
+    Iyz += ((z0 * y1 + 2 * z0 * y0 + 2 * z1 * y1 + z1 * y0) * cross) / 24
+  }
+  return { A, Qy, Qz, Iyy, Izz, Iyz }
+}
+
+/**
+ * Integrals over solids minus holes. Each loop is normalised to positive area, so vertex
+ * order does not matter; overlapping solids count twice, as in the curved-beam width sum.
+ */
+function regionIntegrals(solids, holes) {
+  const total = { A: 0, Qy: 0, Qz: 0, Iyy: 0, Izz: 0, Iyz: 0 }
+  const add = (loop, sign) => {
+    const g = loopIntegrals(loop)
+    const s = sign * Math.sign(g.A)
+    for (const key of Object.keys(total)) total[key] += s * g[key]
+  }
+  solids.forEach((loop) => add(loop, 1))
+  holes.forEach((loop) => add(loop, -1))
+  return total
+}
+
+/** Part of a loop with coordinate `axis` (0 = y, 1 = z) not above `cut` (Sutherland–Hodgman). */
+function clipLoop(loop, axis, cut) {
+  const out = []
+  for (let i = 0; i < loop.length; i++) {
+    const p = loop[i]
+    const q = loop[(i + 1) % loop.length]
+    const pIn = p[axis] <= cut
+    const qIn = q[axis] <= cut
+    if (pIn) out.push(p)
+    if (pIn !== qIn) {
+      const f = (cut - p[axis]) / (q[axis] - p[axis])
+      out.push([p[0] + f * (q[0] - p[0]), p[1] + f * (q[1] - p[1])])
+    }
+  }
+  return out
+}
+
+/** Total length of the chords cut from a loop of [y, z] points by the line at depth y. */
+function loopWidthAt(loop, y) {
+  const zs = []
+  for (let i = 0; i < loop.length; i++) {
+    const [y0, z0] = loop[i]
+    const [y1, z1] = loop[(i + 1) % loop.length]
+    if ((y0 <= y) !== (y1 <= y)) zs.push(z0 + ((y - y0) / (y1 - y0)) * (z1 - z0))
+  }
+  zs.sort((p, q) => p - q)
+  let width = 0
+  for (let i = 0; i + 1 < zs.length; i += 2) width += zs[i + 1] - zs[i]
+  return width
+}
+
+/**
+ * Plastic section modulus about the axis normal to `axis`: the equal-area axis is found by
+ * bisection, then Z = ∫|u − u_p| dA summed over both halves.
+ */
+function plasticModulus(solids, holes, axis, lo, hi, whole) {
+  const below = (cut) => regionIntegrals(
+    solids.map((loop) => clipLoop(loop, axis, cut)),
+    holes.map((loop) => clipLoop(loop, axis, cut)),
+  )
+  let a = lo
+  let b = hi
+  for (let i = 0; i < 100 && b - a > 1e-12 * (hi - lo); i++) {
+    const mid = (a + b) / 2
+    if (below(mid).A < whole.A / 2) a = mid
+    else b = mid
+  }
+  const up = (a + b) / 2
+  const part = below(up)
+  const Q = axis === 0 ? 'Qy' : 'Qz'
+  const Z = (up * part.A - part[Q]) + (whole[Q] - part[Q] - up * (whole.A - part.A))
+  return { Z, axis: up }
+}
+
+/**
+ * Section properties of a cross-section.
+ * @param {string} shape one of `SectionType`
+ * @param {object} params numeric parameters as for `computeCurvedBeam`
+ * @returns {{
+ *   ok: boolean, message?: string,
+ *   A?: number, ybar?: number, zbar?: number, depth?: number, width?: number,
+ *   Ix?: number, Iy?: number, Ixy?: number,
+ *   cTop?: number, cBottom?: number, cSide?: number,
+ *   SxTop?: number, SxBottom?: number, Sy?: number,
+ *   Zx?: number, Zy?: number, yPlastic?: number, zPlastic?: number,
+ *   shapeFactorX?: number, shapeFactorY?: number, rx?: number, ry?: number,
+ * }}
+ *   ybar and yPlastic from the top face; Ix about the horizontal and Iy about the vertical centroidal axis;
+ *   cTop/cBottom distances from the centroid to the extreme top/bottom fibres; shape factors Z / S_min.
+ */
+export function computeSectionProperties(shape, params) {
+  const check = validateParams(shape, params)
+  if (!check.ok) return check
+  const outline = sectionOutline(shape, params, CIRCLE_POINTS)
+  if (!outline) return { ok: false, message: 'Invalid section' }
+  const { solids, holes } = outline
+
+  const g = regionIntegrals(solids, holes)
+  if (!(g.A > 0)) return { ok: false, message: 'Section area must be > 0' }
+  const ybar = g.Qy / g.A
+  const zbar = g.Qz / g.A
+  const Ix = g.Iyy - g.A * ybar * ybar
+  const Iy = g.Izz - g.A * zbar * zbar
+  const Ixy = g.Iyz - g.A * ybar * zbar
+
+  const ys = solids.flat().map(([y]) => y)
+  const zs = solids.flat().map(([, z]) => z)
+  const yMin = Math.min(...ys)
+  const yMax = Math.max(...ys)
+  const zMin = Math.min(...zs)
+  const zMax = Math.max(...zs)
+  const cTop = ybar - yMin
+  const cBottom = yMax - ybar
+  const cSide = Math.max(zMax - zbar, zbar - zMin)
+
+  const SxTop = Ix / cTop
+  const SxBottom = Ix / cBottom
+  const Sy = Iy / cSide
+  const px = plasticModulus(solids, holes, 0, yMin, yMax, g)
+  const py = plasticModulus(solids, holes, 1, zMin, zMax, g)
+
+  return {
+    ok: true,
+    A: g.A,
+    ybar,
+    zbar,
+    depth: yMax - yMin,
+    width: zMax - zMin,
+    Ix,
+    Iy,
+    Ixy,
+    cTop,
+    cBottom,
+    cSide,
+    SxTop,
+    SxBottom,
+    Sy,
+    Zx: px.Z,
+    Zy: py.Z,
+    yPlastic: px.axis,
+    zPlastic: py.axis,
+    shapeFactorX: px.Z / Math.min(SxTop, SxBottom),
+    shapeFactorY: py.Z / Sy,
+    rx: Math.sqrt(Ix / g.A),
+    ry: Math.sqrt(Iy / g.A),
+  }
+}
+
+/**
+ * Shear stress through the depth of a straight beam, τ(y) = V Q(y) / (I b(y)), where Q is the first
+ * moment about the centroidal axis of the area above depth y and b the width cut there. Where the
+ * width steps (flange to web) τ is given on both sides, and the shear flow q = V Q / I there is what
+ * the welds or bolts joining the parts carry per unit length.
+ * @param {string} shape one of `SectionType`
+ * @param {object} params numeric parameters as for `computeCurvedBeam`
+ * @param {number} V shear force (N)
+ * @param {number} [n] sample depths, besides the centroid and the steps in width
+ * @returns {{
+ *   ok: boolean, message?: string, V?: number, A?: number, I?: number, ybar?: number, depth?: number, tauAvg?: number,
+ *   points?: { y: number, b: number, Q: number, tau: number }[],
+ *   max?: { value: number, y: number },
+ *   joints?: { y: number, bAbove: number, bBelow: number, Q: number, q: number, tauAbove: number, tauBelow: number }[],
+ * }}
+ *   y from the top face (as ybar), points ordered down the depth with both sides of each step;
+ *   max: largest |τ| and its depth; joints: the steps in width with the shear flow q (N/m)
+ */
+export function shearStressProfile(shape, params, V, n = 201) {
+  if (!Number.isFinite(V)) return { ok: false, message: 'Shear force V must be a number' }
+  const check = validateParams(shape, params)
+  if (!check.ok) return check
+  const outline = sectionOutline(shape, params, CIRCLE_POINTS)
+  if (!outline) return { ok: false, message: 'Invalid section' }
+  const { solids, holes } = outline
+
+  const g = regionIntegrals(solids, holes)
+  if (!(g.A > 0)) return { ok: false, message: 'Section area must be > 0' }
+  const ybar = g.Qy / g.A
+  const I = g.Iyy - g.A * ybar * ybar
+  const ys = solids.flat().map(([y]) => y)
+  const yMin = Math.min(...ys)
+  const yMax = Math.max(...ys)
+  const depth = yMax - yMin
+
+  const widthAt = (y) => solids.reduce((sum, loop) => sum + loopWidthAt(loop, y), 0) - holes.reduce((sum, loop) => sum + loopWidthAt(loop, y), 0)
+  const firstMoment = (y) => {
+    const above = regionIntegrals(solids.map((loop) => clipLoop(loop, 0, y)), holes.map((loop) => clipLoop(loop, 0, y)))
+    return ybar * above.A - above.Qy
+  }
+  const tauOf = (Q, b) => (b > 0 ? (V * Q) / (I * b) : 0)
+  const grid = Array.from({ length: n }, (_, i) => yMin + (i / (n - 1)) * depth)
+
+  // Steps in width: depths of horizontal edges where the width just above and just below differ
+  const delta = 1e-9 * depth
+  const level = [...solids, ...holes].flatMap((loop) => loop.filter(([y], i) => y === loop[(i + 1) % loop.length][0]).map(([y]) => y))
+  const widest = Math.max(...grid.map((y) => widthAt(y)))
+  const joints = [...new Set(level)]
+    .filter((y) => y > yMin + delta && y < yMax - delta)
+    .sort((p, q) => p - q)
+    .filter((y, i, list) => i === 0 || y - list[i - 1] > delta) // parts meeting at a rounded depth
+    .map((y) => ({ y, bAbove: widthAt(y - delta), bBelow: widthAt(y + delta) }))
+    .filter((j) => Math.abs(j.bAbove - j.bBelow) > 1e-6 * widest)
+    .map((j) => {
+      const Q = firstMoment(j.y)
+      return { ...j, Q, q: (V * Q) / I, tauAbove: tauOf(Q, j.bAbove), tauBelow: tauOf(Q, j.bBelow) }
+    })
+
+  const points = []
+  for (const y of [...new Set([...grid, ybar, ...joints.map((j) => j.y)])].sort((p, q) => p - q)) {
+    const joint = joints.find((j) => j.y === y)
+    if (joint) {
+      points.push({ y, b: joint.bAbove, Q: joint.Q, tau: joint.tauAbove }, { y, b: joint.bBelow, Q: joint.Q, tau: joint.tauBelow })
+      continue
+    }
+    // The faces have no area beyond them; elsewhere the width is the chord at y
+    const Q = y === yMin || y === yMax ? 0 : firstMoment(y)
+    const b = widthAt(y === yMax ? y - delta : y)
+    points.push({ y, b, Q, tau: tauOf(Q, b) })
+  }
+  const max = points.reduce((best, p) => (Math.abs(p.tau) > Math.abs(best.value) ? { value: p.tau, y: p.y } : best), { value: 0, y: ybar })
+
+  return { ok: true, V, A: g.A, I, ybar, depth, tauAvg: V / g.A, points, max, joints }
+}
+
+export default { computeSectionProperties, shearStressProfile }
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest'
+import { expectClose } from '../test/utils'
+import { SectionType } from './curvedBeam'
+import { computeSectionProperties, shearStressProfile } from './sectionProperties'
+
+const V = 10000
+
+describe('computeSectionProperties', () => {
+  it('rectangle: A = bh, I = bh³/12, Z = bh²/4 and a shape factor of 1.5', () => {
+    const b = 0.1
+    const t = 0.2
+    const props = computeSectionProperties(SectionType.Rectangular, { b, t })
+    expect(props.ok).toBe(true)
+    expectClose(props.A, b * t)
+    expectClose(props.ybar, t / 2)
+    expectClose(props.Ix, (b * t ** 3) / 12)
+    expectClose(props.Iy, (t * b ** 3) / 12)
+    expectClose(props.SxTop, (b * t * t) / 6)
+    expectClose(props.Zx, (b * t * t) / 4)
+    expectClose(props.shapeFactorX, 1.5)
+  })
+
+  it('solid circle: A = πd²/4, I = πd⁴/64 and a shape factor of 16/3π', () => {
+    const d = 0.1
+    const props = computeSectionProperties(SectionType.Circular, { d })
+    expectClose(props.A, (Math.PI * d * d) / 4, 1e-4)
+    expectClose(props.Ix, (Math.PI * d ** 4) / 64, 1e-4)
+    expectClose(props.shapeFactorX, 16 / (3 * Math.PI), 1e-4)
+  })
+
+  it('rejects invalid dimensions', () => {
+    expect(computeSectionProperties(SectionType.Rectangular, { b: -1, t: 0.2 }).ok).toBe(false)
+  })
+})
+
+describe('shearStressProfile', () => {
+  it('rectangle: τmax = 1.5 V/A at the centroid', () => {
+    const b = 0.1
+    const t = 0.2
+    const profile = shearStressProfile(SectionType.Rectangular, { b, t }, V)
+    expectClose(profile.tauAvg, V / (b * t))
+    expectClose(profile.max.value, (1.5 * V) / (b * t))
+    expectClose(profile.max.y, t / 2)
+    expect(profile.joints).toEqual([])
+  })
+
+  it('solid circle: τmax = 4V/3A', () => {
+    const d = 0.1
+    const profile = shearStressProfile(SectionType.Circular, { d }, V)
+    expectClose(profile.max.value, (4 * V) / (3 * profile.A), 1e-3)
+  })
+
+  it('I-section: shear flow V Q / I where the flanges meet the web', () => {
+    const bf = 0.1
+    const tf = 0.01
+    const tw = 0.006
+    const t = 0.2
+    const profile = shearStressProfile(SectionType.ISection, { bfi: bf, tfi: tf, bfo: bf, tfo: tf, tw, t }, V)
+    const I = (bf * t ** 3) / 12 - ((bf - tw) * (t - 2 * tf) ** 3) / 12
+    const Q = bf * tf * ((t - tf) / 2)
+    expectClose(profile.I, I)
+    expect(profile.joints.map((j) => j.y)).toEqual([tf, t - tf])
+    const [top] = profile.joints
+    expectClose(top.Q, Q)
+    expectClose(top.q, (V * Q) / I)
+    expectClose(top.tauAbove, (V * Q) / (I * bf))
+    expectClose(top.tauBelow, (V * Q) / (I * tw))
+  })
+})
@@ -0,0 +1,98 @@
+/**
+ * Page state in the URL query string, so an analysis can be shared as a link.
+ *
+ * A link carries `v` (the page's state version) and `s` (the state as base64url-encoded JSON).
+ * Decoding never throws: malformed links are reported and ignored, older versions are upgraded
+ * through the page's migrations, and pages type-check every field they read, so anything
+ * missing or unexpected falls back to the page defaults.
+ */
+
+function toBase64Url(text) {
+  let binary = ''
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(encoded) {
+  const b64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4))
+  return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)))
+}
+
+/**
+ * Query string for a page state.
+ * @param {number} version current state version of the page
+ * @param {object} state plain JSON-serialisable object
+ * @returns {string} e.g. `v=1&s=eyJ...`
+ */
+export function encodeState(version, state) {
+  return new URLSearchParams({ v: String(version), s: toBase64Url(JSON.stringify(state)) }).toString()
+}
+
+/**
+ * Read a page state from a query string.
+ * @param {URLSearchParams | string} search
+ * @param {{ version: number, migrations?: Record<number, (state: object) => object> }} schema
+ *   migrations[n] upgrades a version-n state to version n + 1
+ * @returns {{ state: object | null, message?: string }} state is null when the link has none or cannot be used
+ */
+export function decodeState(search, { version, migrations = {} }) {
+  const params = typeof search === 'string' ? new URLSearchParams(search) : search
+  const encoded = params.get('s')
+  if (!encoded) return { state: null }
+
+  let state
+  try {
+    state = JSON.parse(fromBase64Url(encoded))
+  } catch {
+    return { state: null, message: 'The link is damaged and could not be read, so it was ignored.' }
+  }
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return { state: null, message: 'The link does not contain an analysis, so it was ignored.' }
+  }
+
+  let from = Number.parseInt(params.get('v') ?? '1', 10)
+  if (!Number.isFinite(from) || from < 1) from = 1
+  if (from > version) {
+    return { state, message: 'The link was made by a newer version of this app; some inputs may have been ignored.' }
+  }
+  for (; from < version; from++) {
+    const migrate = migrations[from]
+    if (!migrate) return { state, message: `The link uses an older format (v${from}); some inputs may have been ignored.` }
+    state = migrate(state)
+  }
+  return { state }
+}
+
+/**
+ * Editor rows from decoded state: keeps object rows, converts the listed fields to strings and
+ * assigns fresh ids (links do not carry them).
+ * @param {unknown} value
+ * @param {string[]} keys
+ * @param {string} prefix id prefix, unique per list
+ * @returns {object[] | null} null when value is not an array
+ */
+export function rowsFrom(value, keys, prefix) {
+  if (!Array.isArray(value)) return null
+  return value
+    .filter((row) => row && typeof row === 'object')
+    .map((row, i) => {
+      const out = { id: `${prefix}${i + 1}` }
+      for (const key of keys) {
+        if (typeof row[key] === 'string') out[key] = row[key]
+        else if (typeof row[key] === 'number' && Number.isFinite(row[key])) out[key] = String(row[key])
+      }
+      return out
+    })
+}
+
+/**
+ * Editor rows without their ids, to keep links short.
+ * @param {object[]} rows
+ * @returns {object[]}
+ */
+export function withoutIds(rows) {
+  return rows.map((row) => Object.fromEntries(Object.entries(row).filter(([key]) => key !== 'id')))
+}
+
+export default { encodeState, decodeState, rowsFrom, withoutIds }
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import { decodeState, encodeState, rowsFrom, withoutIds } from './urlState'
+
+const schema = { version: 1 }
+
+describe('encodeState / decodeState', () => {
+  it('round-trips a state, including non-ASCII text, through a URL-safe query', () => {
+    const state = { shape: 'rectangular', params: { b: '0.02', t: '0.05' }, note: 'σ ≤ 250 MPa, 45°' }
+    const query = encodeState(1, state)
+    expect(query).toMatch(/^v=1&s=[A-Za-z0-9_-]+$/)
+    expect(decodeState(query, schema)).toEqual({ state })
+    expect(decodeState(new URLSearchParams(query), schema)).toEqual({ state })
+  })
+
+  it('returns no state and no message for a link without one', () => {
+    expect(decodeState('', schema)).toEqual({ state: null })
+  })
+
+  it('reports malformed base64 and malformed JSON', () => {
+    expect(decodeState('v=1&s=%%%', schema)).toMatchObject({ state: null, message: expect.stringMatching(/damaged/) })
+    const notJson = btoa('{"shape":').replace(/=+$/, '')
+    expect(decodeState(`v=1&s=${notJson}`, schema)).toMatchObject({ state: null, message: expect.stringMatching(/damaged/) })
+  })
+
+  it('rejects JSON that is not an object', () => {
+    const query = encodeState(1, [1, 2, 3])
+    expect(decodeState(query, schema)).toMatchObject({ state: null, message: expect.stringMatching(/does not contain/) })
+  })
+})
+
+describe('state version', () => {
+  const state = { a: 1 }
+
+  it('runs the migrations from the link version up to the current one', () => {
+    const migrations = { 1: (s) => ({ ...s, b: 2 }), 2: (s) => ({ ...s, c: 3 }) }
+    expect(decodeState(encodeState(1, state), { version: 3, migrations })).toEqual({ state: { a: 1, b: 2, c: 3 } })
+  })
+
+  it('treats a missing or invalid version as v1', () => {
+    const s = new URLSearchParams(encodeState(1, state)).get('s')
+    const migrations = { 1: (x) => ({ ...x, b: 2 }) }
+    expect(decodeState(`s=${s}`, { version: 2, migrations }).state).toEqual({ a: 1, b: 2 })
+    expect(decodeState(`v=zero&s=${s}`, { version: 2, migrations }).state).toEqual({ a: 1, b: 2 })
+  })
+
+  it('keeps the state but warns when a migration is missing or the link is newer', () => {
+    const older = decodeState(encodeState(1, state), { version: 2 })
+    expect(older.state).toEqual(state)
+    expect(older.message).toMatch(/older format \(v1\)/)
+    const newer = decodeState(encodeState(5, state), { version: 2 })
+    expect(newer.state).toEqual(state)
+    expect(newer.message).toMatch(/newer version/)
+  })
+})
+
+describe('rowsFrom', () => {
+  it('keeps object rows, stringifies finite numbers and assigns fresh ids', () => {
+    const rows = rowsFrom([{ x: 1.5, P: '-1000', extra: 'dropped' }, null, 'row', { x: Infinity, P: {} }], ['x', 'P'], 'p')
+    expect(rows).toEqual([{ id: 'p1', x: '1.5', P: '-1000' }, { id: 'p2' }])
+  })
+
+  it('returns null when the value is not a list', () => {
+    expect(rowsFrom({ x: 1 }, ['x'], 'p')).toBeNull()
+    expect(rowsFrom(undefined, ['x'], 'p')).toBeNull()
+  })
+
+  it('inverts withoutIds', () => {
+    const rows = [{ id: 's1', type: 'pin', x: '0' }, { id: 's2', type: 'roller', x: '6' }]
+    expect(rowsFrom(withoutIds(rows), ['type', 'x'], 's')).toEqual(rows)
+  })
+})
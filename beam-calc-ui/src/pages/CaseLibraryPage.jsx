@@ -0,0 +1,159 @@
+import { useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import ContentCopyIcon from '@mui/icons-material/ContentCopy'
+import DeleteIcon from '@mui/icons-material/Delete'
+import DownloadIcon from '@mui/icons-material/Download'
+import EditIcon from '@mui/icons-material/Edit'
+import UploadIcon from '@mui/icons-material/Upload'
+import {
+  CasePageSpecs,
+  deleteCase,
+  duplicateCase,
+  exportCases,
+  importCases,
+  loadCases,
+  renameCase,
+  saveCases,
+} from '../lib/caseLibrary'
+import { encodeState } from '../lib/urlState'
+import { downloadFile } from '../lib/dataExport'
+
+/**
+ * CaseLibraryPage
+ * Lists the named cases saved from the curved- and straight-beam pages: open, rename, duplicate,
+ * delete, and export/import them as a versioned JSON file.
+ */
+export default function CaseLibraryPage() {
+  const navigate = useNavigate()
+  const fileInput = useRef(null)
+  const [cases, setCases] = useState(loadCases)
+  const [editing, setEditing] = useState(null) // { id, name } while renaming
+  const [status, setStatus] = useState(null)
+
+  const update = (list) => {
+    setCases(list)
+    const result = saveCases(list)
+    if (!result.ok) setStatus(result)
+  }
+
+  const open = (c) => navigate(`${CasePageSpecs[c.page].path}?${encodeState(c.version, c.inputs)}`)
+
+  const commitRename = () => {
+    update(renameCase(cases, editing.id, editing.name))
+    setEditing(null)
+  }
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const result = importCases(cases, await file.text())
+    if (result.ok) update(result.cases)
+    setStatus(result)
+  }
+
+  return (
+    <Box sx={{ maxWidth: 1200, mx: 'auto', p: 2 }}>
+      <Card>
+        <CardHeader
+          title="Case Library"
+          action={(
+            <Box sx={{ display: 'flex', gap: 1, mt: 1, mr: 1 }}>
+              <Button startIcon={<UploadIcon />} onClick={() => fileInput.current?.click()} size="small">Import</Button>
+              <Button
+                startIcon={<DownloadIcon />}
+                onClick={() => downloadFile(`beam-cases-${new Date().toISOString().slice(0, 10)}.json`, exportCases(cases), 'application/json')}
+                disabled={cases.length === 0}
+                size="small"
+              >
+                Export all
+              </Button>
+              <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={importFile} />
+            </Box>
+          )}
+        />
+        <CardContent>
+          {status && <Typography color={status.ok ? 'success.main' : 'error'} sx={{ mb: 1 }}>{status.message}</Typography>}
+          {cases.length === 0 ? (
+            <Typography variant="body2">
+              No saved cases yet. Use “Save case” on the curved- or straight-beam page, or import a file exported from here.
+            </Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Analysis</TableCell>
+                  <TableCell>Saved</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {cases.map((c) => (
+                  <TableRow key={c.id} hover>
+                    <TableCell>
+                      {editing?.id === c.id ? (
+                        <TextField
+                          autoFocus
+                          value={editing.name}
+                          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          onBlur={commitRename}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') commitRename()
+                            if (e.key === 'Escape') setEditing(null)
+                          }}
+                          size="small"
+                        />
+                      ) : (
+                        <Button onClick={() => open(c)} size="small" sx={{ textTransform: 'none' }}>{c.name}</Button>
+                      )}
+                    </TableCell>
+                    <TableCell>{CasePageSpecs[c.page].label}</TableCell>
+                    <TableCell>{c.savedAt ? new Date(c.savedAt).toLocaleString() : '-'}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Rename">
+                        <IconButton aria-label="Rename case" onClick={() => setEditing({ id: c.id, name: c.name })} size="small">
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Duplicate">
+                        <IconButton aria-label="Duplicate case" onClick={() => update(duplicateCase(cases, c.id))} size="small">
+                          <ContentCopyIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton aria-label="Delete case" onClick={() => update(deleteCase(cases, c.id))} size="small">
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: 1 }}>
+            Cases are kept in this browser. Export them to a JSON file to keep them with your drawings; older exports and the
+            single-case snapshot of earlier versions are upgraded on import.
+          </Typography>
+        </CardContent>
+      </Card>
+    </Box>
+  )
+}
@@ -1,19 +1,47 @@
 import { useMemo, useState, useEffect } from 'react'
-import { Box, Card, CardContent, CardHeader, Grid, MenuItem, TextField, Typography } from '@mui/material'
+import { useSearchParams } from 'react-router-dom'
+import { Box, Button, Card, CardContent, CardHeader, Grid, MenuItem, TextField, Typography } from '@mui/material'
+import DescriptionIcon from '@mui/icons-material/Description'
 import { Line } from 'react-chartjs-2'
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
   Title,
   Tooltip,
   Legend,
 } from 'chart.js'
-import { SectionType, computeCurvedBeam } from '../lib/curvedBeam'
-
-ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
+import { SectionType, SectionSpecs, LeverArmRef, IntegrationMethodLabels, computeCurvedBeam, curvatureCorrection } from '../lib/curvedBeam'
+import { defaultDims, defaultStrips, defaultVertices, savedDims, toSectionParams } from '../lib/sectionInputs'
+import SectionInputs from '../components/SectionInputs'
+import SectionDiagram from '../components/SectionDiagram'
+import CurvedBeamElevation from '../components/CurvedBeamElevation'
+import MaterialInputs from '../components/MaterialInputs'
+import StrengthCheckItems from '../components/StrengthCheckItems'
+import { Criterion, allowableStresses, checkStrength, findMaterial } from '../lib/materials'
+import { decodeState, encodeState, rowsFrom, withoutIds } from '../lib/urlState'
+import ShareLinkButton from '../components/ShareLinkButton'
+import SaveCaseButton from '../components/SaveCaseButton'
+import { CasePage } from '../lib/caseLibrary'
+import ReportDialog from '../components/ReportDialog'
+import CurvedBeamReport from '../components/CurvedBeamReport'
+import ExportMenu from '../components/ExportMenu'
+import { rectangularBenchmark } from '../lib/curvedElasticity'
+import { benchmarkScalars, curvedBeamExport, strengthScalars } from '../lib/dataExport'
+import CurvedBeamSweep from '../components/CurvedBeamSweep'
+import CurvedBeamDesign from '../components/CurvedBeamDesign'
+import CurvedBeamDeflection from '../components/CurvedBeamDeflection'
+import CurvedBeamBenchmark from '../components/CurvedBeamBenchmark'
+import CurvedBeamArc from '../components/CurvedBeamArc'
+import { EndSupport, computeArc, defaultArcInputs, parseArcLoads } from '../lib/curvedArc'
+import { ArcSupport, defaultDeflectionInputs } from '../lib/curvedDeflection'
+import { SweepMode, defaultSweepInputs, sectionKey } from '../lib/curvedBeamSweep'
+import { defaultDesignInputs } from '../lib/curvedBeamDesign'
+
+ChartJS.register(CategoryScale, LinearScale, LogarithmicScale, PointElement, LineElement, Title, Tooltip, Legend)
 
 /**
  * Coerce user input to a finite number or NaN.
@@ -50,121 +78,23 @@ function loadInputs() {
 function saveInputs(obj) {
   try {
     localStorage.setItem('curved.inputs', JSON.stringify(obj))
-  } catch {}
-}
-
-// Inline geometry diagram for cross-sections
-/**
- * Render a simplified cross-section profile b(y) vs y as an SVG.
- * Shows inner/outer surfaces, centroid (ȳ) and neutral axis (y_n) when available.
- * Note: This is a schematic for learning/inspection; not to scale in absolute units.
- * @param {{ shape: string, params: object, ri: number, result?: { yn: number, ybar: number } }} props
- */
-function SectionDiagram({ shape, params, result }) {
-  // Build width function b(y) and thickness t
-  let t = NaN
-  let bfn = () => 0
-  if (shape === SectionType.Rectangular) {
-    const b = Number(params?.b)
-    t = Number(params?.t)
-    bfn = () => b
-  } else if (shape === SectionType.Trapezoidal || shape === SectionType.Triangular) {
-    const bInner = Number(params?.bInner)
-    const bOuter = Number(params?.bOuter)
-    t = Number(params?.t)
-    const slope = (bOuter - bInner) / t
-    bfn = (y) => Math.max(0, bInner + slope * y)
-  } else if (shape === SectionType.Circular) {
-    const d = Number(params?.d)
-    const a = d / 2
-    t = d
-    bfn = (y) => 2 * Math.sqrt(Math.max(0, a * a - (y - a) * (y - a)))
-  } else if (shape === SectionType.TSection) {
-    const R1 = Number(params?.R1)
-    const t1 = Number(params?.t1)
-    const b1 = Number(params?.b1)
-    const R2 = Number(params?.R2)
-    const t2 = Number(params?.t2)
-    const b2 = Number(params?.b2)
-    const riLocal = Math.min(R1, R2)
-    const roLocal = Math.max(R1 + t1, R2 + t2)
-    t = roLocal - riLocal
-    bfn = (y) => {
-      const r = riLocal + y
-      let w = 0
-      if (r >= R1 && r <= R1 + t1) w += b1
-      if (r >= R2 && r <= R2 + t2) w += b2
-      return w
-    }
+  } catch {
+    // Storage unavailable (private mode or quota); inputs simply are not persisted
   }
-
-  if (!(t > 0)) return <Typography variant="body2">Invalid geometry</Typography>
-
-  // Sample profile
-  const N = 80
-  const ys = Array.from({ length: N }, (_, i) => (i / (N - 1)) * t)
-  const widths = ys.map((yy) => Math.max(0, bfn(yy)))
-  const maxB = Math.max(1e-9, ...widths)
-
-  // SVG dims
-  const W = 320
-  const H = 180
-  const padX = 24
-  const padY = 16
-  const innerW = W - 2 * padX
-  const innerH = H - 2 * padY
-
-  const scaleX = innerW / maxB
-  const scaleY = innerH / t
-
-  const yToSvg = (y) => padY + y * scaleY
-  const xLeft = (y) => W / 2 - (bfn(y) * scaleX) / 2
-  const xRight = (y) => W / 2 + (bfn(y) * scaleX) / 2
-
-  // Build polygon path (right edge down, left edge up)
-  const right = ys.map((yy) => `${xRight(yy)},${yToSvg(yy)}`).join(' ')
-  const left = ys
-    .slice()
-    .reverse()
-    .map((yy) => `${xLeft(yy)},${yToSvg(yy)}`)
-    .join(' ')
-  const polygonPoints = `${right} ${left}`
-
-  const yn = Number(result?.yn) // from inner surface
-  const ybar = Number(result?.ybar)
-
-  return (
-    <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`}>
-      {/* Outline */}
-      <polygon points={polygonPoints} fill="#e8f0fe" stroke="#1a73e8" strokeWidth="1" />
-
-      {/* Inner/Outer lines */}
-      <text x={padX} y={Math.max(12, yToSvg(0) - 6)} fontSize="10" fill="#333" textAnchor="start" style={{ paintOrder: 'stroke', stroke: '#fff', strokeWidth: 3 }}>inner (y=0)</text>
-      <text x={padX} y={Math.min(H - 6, yToSvg(t) + 12)} fontSize="10" fill="#333" textAnchor="start" style={{ paintOrder: 'stroke', stroke: '#fff', strokeWidth: 3 }}>outer (y=t)</text>
-
-      {/* Centroid and neutral axis */}
-      {Number.isFinite(ybar) && (
-        <>
-          <text x={padX + 2} y={yToSvg(ybar) - 4} fontSize="10" textAnchor="start" fill="#2e7d32" style={{ paintOrder: 'stroke', stroke: '#fff', strokeWidth: 3 }}>centroid ȳ</text>
-        </>
-      )}
-      {Number.isFinite(yn) && (
-        <>
-          <text x={padX + 2} y={yToSvg(yn) - 4} fontSize="10" textAnchor="start" fill="#b71c1c" style={{ paintOrder: 'stroke', stroke: '#fff', strokeWidth: 3 }}>neutral axis y_n</text>
-        </>
-      )}
-
-      {/* Title removed to reduce clutter; card header provides context */}
-    </svg>
-  )
 }
 
+/** Version of the state carried in shared links; add a migration when the layout changes. */
+const LINK_VERSION = 1
+
 /**
  * CurvedBeamPage
- * - Left: Inputs card (section, geometry, loads).  
- * - Right (top): Key Results card (A, Rc, R, stresses, etc.).  
- * - Right (bottom): Diagrams card with geometry profile, stress plot, and moment diagram.
- * Behavior: If P and d are both valid, uses M = P·d; otherwise uses the M field.
+ * - Left: Inputs card (section, geometry, loads, material).
+ * - Right (top): Key Results card (A, Rc, R, stresses, etc.).
+ * - Right: Diagrams card (geometry profile, to-scale elevation, σ(r) and σ_r(r), moment diagram).
+ * - Right: arc model (N, V and M along a supported arc; its M(ψ) replaces the moment diagram when it has loads).
+ * - Right: exact elasticity benchmark (rectangular sections only).
+ * - Right: design for allowable stress, curved-member deflection and parametric sweep.
+ * If P and d are both valid, P acts as an eccentric load (axial + shear + bending); otherwise the M field acts alone.
  */
 export default function CurvedBeamPage() {
   const [shape, setShape] = useState(SectionType.Rectangular)
@@ -174,90 +104,194 @@ export default function CurvedBeamPage() {
   const [M, setM] = useState('1000') // N·m (optional; P and d override if both provided)
   const [P, setP] = useState('') // N
   const [d, setD] = useState('') // m
+  const [dRef, setDRef] = useState(LeverArmRef.Centroid)
+  const [angle, setAngle] = useState('0') // degrees
 
-  // Rect/trap/tri params
-  const [b, setB] = useState('0.02')
-  const [t, setT] = useState('0.02')
-  const [bInner, setBInner] = useState('0.01')
-  const [bOuter, setBOuter] = useState('0.03')
+  // Section dimensions keyed by SectionSpecs param key; shapes share keys such as t and b
+  const [dims, setDims] = useState(defaultDims)
+  const setDim = (key, value) => setDims((prev) => ({ ...prev, [key]: value }))
 
-  // Circular
-  const [diam, setDiam] = useState('0.04')
+  // Polygon outline (hook-like default)
+  const [vertices, setVertices] = useState(defaultVertices)
 
-  // T-section
-  const [R1, setR1] = useState('0.04')
-  const [t1, setT1] = useState('0.01')
-  const [b1, setB1] = useState('0.03')
-  const [R2, setR2] = useState('0.05')
-  const [t2, setT2] = useState('0.015')
-  const [b2, setB2] = useState('0.02')
+  // Built-up strips
+  const [strips, setStrips] = useState(defaultStrips)
 
-  // Load saved inputs once
+  // Material and strength criterion
+  const [materialInputs, setMaterialInputs] = useState({ materialId: '', criterion: Criterion.Yield, requiredFos: '1.5' })
+
+  // Arc model: supports and point loads along the member
+  const [arcInputs, setArcInputs] = useState(defaultArcInputs)
+
+  // Deflection of a curved member built from the section
+  const [deflectionInputs, setDeflectionInputs] = useState(defaultDeflectionInputs)
+
+  // Inverse design: the dimension to size, its bounds and the allowable stresses
+  const [designInputs, setDesignInputs] = useState(defaultDesignInputs)
+
+  // Parametric sweep: one input or two, and their ranges
+  const [sweepInputs, setSweepInputs] = useState(defaultSweepInputs)
+
+  // Shared link state and any problem reading it
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [linkMessage, setLinkMessage] = useState('')
+  const [reportOpen, setReportOpen] = useState(false)
+
+  // Load saved inputs once; a shared link overrides the local snapshot
   useEffect(() => {
-    const saved = loadInputs()
+    const link = decodeState(searchParams, { version: LINK_VERSION })
+    if (link.message) setLinkMessage(link.message)
+    const saved = { ...loadInputs(), ...link.state }
     if (saved && typeof saved === 'object') {
-      if (saved.shape) setShape(saved.shape)
+      if (saved.shape && SectionSpecs[saved.shape]) setShape(saved.shape)
       if (typeof saved.ri === 'string') setRi(saved.ri)
       if (typeof saved.M === 'string') setM(saved.M)
       if (typeof saved.P === 'string') setP(saved.P)
       if (typeof saved.d === 'string') setD(saved.d)
-      if (typeof saved.b === 'string') setB(saved.b)
-      if (typeof saved.t === 'string') setT(saved.t)
-      if (typeof saved.bInner === 'string') setBInner(saved.bInner)
-      if (typeof saved.bOuter === 'string') setBOuter(saved.bOuter)
-      if (typeof saved.diam === 'string') setDiam(saved.diam)
-      if (typeof saved.R1 === 'string') setR1(saved.R1)
-      if (typeof saved.t1 === 'string') setT1(saved.t1)
-      if (typeof saved.b1 === 'string') setB1(saved.b1)
-      if (typeof saved.R2 === 'string') setR2(saved.R2)
-      if (typeof saved.t2 === 'string') setT2(saved.t2)
-      if (typeof saved.b2 === 'string') setB2(saved.b2)
+      if (typeof saved.dRef === 'string') setDRef(saved.dRef)
+      if (typeof saved.angle === 'string') setAngle(saved.angle)
+      setDims((prev) => ({ ...prev, ...savedDims(saved) }))
+      const savedVertices = rowsFrom(saved.vertices, ['y', 'z'], 'v')
+      if (savedVertices) setVertices(savedVertices)
+      const savedStrips = rowsFrom(saved.strips, ['R', 't', 'bInner', 'bOuter'], 's')
+      if (savedStrips) setStrips(savedStrips)
+      if (saved.arc && typeof saved.arc === 'object') {
+        const { alpha, left, right, loads } = saved.arc
+        const supports = Object.values(EndSupport)
+        setArcInputs((prev) => ({
+          alpha: typeof alpha === 'string' ? alpha : prev.alpha,
+          left: supports.includes(left) ? left : prev.left,
+          right: supports.includes(right) ? right : prev.right,
+          loads: rowsFrom(loads, ['at', 'Fx', 'Fy', 'M'], 'l') || prev.loads,
+        }))
+      }
+      if (saved.deflection && typeof saved.deflection === 'object') {
+        const { support } = saved.deflection
+        const fields = ['alpha', 'Fx', 'Fy', 'M', 'E', 'nu'].filter((key) => typeof saved.deflection[key] === 'string')
+        setDeflectionInputs((prev) => ({
+          ...prev,
+          ...Object.fromEntries(fields.map((key) => [key, saved.deflection[key]])),
+          support: Object.values(ArcSupport).includes(support) ? support : prev.support,
+        }))
+      }
+      if (saved.design && typeof saved.design === 'object') {
+        const fields = Object.keys(defaultDesignInputs).filter((key) => typeof saved.design[key] === 'string')
+        setDesignInputs((prev) => ({ ...prev, ...Object.fromEntries(fields.map((key) => [key, saved.design[key]])) }))
+      }
+      if (saved.sweep && typeof saved.sweep === 'object') {
+        const { mode, x, y } = saved.sweep
+        const axis = (value, prev) => (value && typeof value === 'object'
+          ? { ...prev, ...Object.fromEntries(['id', 'from', 'to', 'steps'].filter((key) => typeof value[key] === 'string').map((key) => [key, value[key]])) }
+          : prev)
+        setSweepInputs((prev) => ({
+          mode: Object.values(SweepMode).includes(mode) ? mode : prev.mode,
+          x: axis(x, prev.x),
+          y: axis(y, prev.y),
+        }))
+      }
+      if (saved.material && typeof saved.material === 'object') {
+        const { materialId, criterion, requiredFos } = saved.material
+        setMaterialInputs((prev) => ({
+          materialId: typeof materialId === 'string' ? materialId : prev.materialId,
+          criterion: Object.values(Criterion).includes(criterion) ? criterion : prev.criterion,
+          requiredFos: typeof requiredFos === 'string' ? requiredFos : prev.requiredFos,
+        }))
+      }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
   // Save on changes
   useEffect(() => {
-    saveInputs({ shape, ri, M, P, d, b, t, bInner, bOuter, diam, R1, t1, b1, R2, t2, b2 })
-  }, [shape, ri, M, P, d, b, t, bInner, bOuter, diam, R1, t1, b1, R2, t2, b2])
-
-  const params = useMemo(() => {
-    switch (shape) {
-      case SectionType.Rectangular:
-        return { b: numberOrNaN(b), t: numberOrNaN(t) }
-      case SectionType.Trapezoidal:
-        return { bInner: numberOrNaN(bInner), bOuter: numberOrNaN(bOuter), t: numberOrNaN(t) }
-      case SectionType.Triangular:
-        return { bInner: numberOrNaN(bInner), bOuter: numberOrNaN(bOuter), t: numberOrNaN(t) }
-      case SectionType.Circular:
-        return { d: numberOrNaN(diam) }
-      case SectionType.TSection:
-        return { R1: numberOrNaN(R1), t1: numberOrNaN(t1), b1: numberOrNaN(b1), R2: numberOrNaN(R2), t2: numberOrNaN(t2), b2: numberOrNaN(b2) }
-      default:
-        return {}
-    }
-  }, [shape, b, t, bInner, bOuter, diam, R1, t1, b1, R2, t2, b2])
-
-  const result = useMemo(() => {
-    return computeCurvedBeam({
+    saveInputs({
+      shape, ri, M, P, d, dRef, angle, dims, vertices, strips,
+      material: materialInputs, arc: arcInputs, deflection: deflectionInputs, design: designInputs, sweep: sweepInputs,
+    })
+  }, [shape, ri, M, P, d, dRef, angle, dims, vertices, strips, materialInputs, arcInputs, deflectionInputs, designInputs, sweepInputs])
+
+  // Keep the address bar in sync so the page can be shared; only the current shape's inputs are encoded
+  const linkState = {
+    shape,
+    ri,
+    M,
+    P,
+    d,
+    dRef,
+    angle,
+    dims: Object.fromEntries((SectionSpecs[shape]?.params || []).map((def) => [def.key, dims[def.key]])),
+    ...(shape === SectionType.Polygon ? { vertices: withoutIds(vertices) } : {}),
+    ...(shape === SectionType.Composite ? { strips: withoutIds(strips) } : {}),
+    material: materialInputs,
+    arc: { ...arcInputs, loads: withoutIds(arcInputs.loads) },
+    deflection: deflectionInputs,
+    design: designInputs,
+    sweep: sweepInputs,
+  }
+  const linkQuery = encodeState(LINK_VERSION, linkState)
+  useEffect(() => {
+    if (searchParams.toString() !== linkQuery) setSearchParams(linkQuery, { replace: true })
+  }, [linkQuery, searchParams, setSearchParams])
+
+  const params = useMemo(() => toSectionParams(shape, { dims, vertices, strips }), [shape, dims, vertices, strips])
+
+  // T-section and built-up parts carry their own radii, so ri does not apply
+  const usesAbsoluteRadii = shape === SectionType.TSection || shape === SectionType.Composite
+
+  /** Numeric analysis input, shared by the result and the parametric sweep. */
+  const analysisInput = useMemo(() => ({
+    shape,
+    ri: numberOrNaN(ri),
+    M: numberOrNaN(M),
+    P: numberOrNaN(P),
+    d: numberOrNaN(d),
+    dRef,
+    angle: numberOrNaN(angle),
+    params,
+    samples: 201,
+  }), [shape, ri, M, P, d, dRef, angle, params])
+
+  const result = useMemo(() => computeCurvedBeam(analysisInput), [analysisInput])
+
+  /** N, V and M along the arc from its supports and point loads. */
+  const arc = useMemo(
+    () => computeArc({
       shape,
-      ri: numberOrNaN(ri),
-      M: numberOrNaN(M),
-      P: numberOrNaN(P),
-      d: numberOrNaN(d),
       params,
-      samples: 201,
-    })
-  }, [shape, ri, M, P, d, params])
-
-  /** Compute display moment, preferring P·d when available (avoids conflicting inputs). */
-  const Mdisplay = useMemo(() => {
-    const pp = numberOrNaN(P)
-    const dd = numberOrNaN(d)
-    if (Number.isFinite(pp) && Number.isFinite(dd)) return pp * dd
-    const m = numberOrNaN(M)
-    return Number.isFinite(m) ? m : NaN
-  }, [M, P, d])
+      ri: numberOrNaN(ri),
+      alpha: numberOrNaN(arcInputs.alpha),
+      left: arcInputs.left,
+      right: arcInputs.right,
+      loads: parseArcLoads(arcInputs.loads),
+    }),
+    [shape, params, ri, arcInputs],
+  )
+  const arcMoments = arc.ok && arcInputs.loads.length > 0
+
+  /** Moment used by the analysis: from P and d when both are given, otherwise the M field. */
+  const Mdisplay = result.ok ? result.M : numberOrNaN(M)
+
+  /** Strength check on the combined extreme-fibre stresses (σ(r) is monotonic, so the fibres govern). */
+  const material = findMaterial(materialInputs.materialId)
+  const strength = result.ok && material
+    ? checkStrength(
+        material,
+        { tension: Math.max(0, result.maxTension.value), compression: Math.max(0, -result.maxCompression.value) },
+        { criterion: materialInputs.criterion, requiredFos: numberOrNaN(materialInputs.requiredFos) },
+      )
+    : null
+  const allowables = material
+    ? allowableStresses(material, { criterion: materialInputs.criterion, requiredFos: numberOrNaN(materialInputs.requiredFos) })
+    : null
+
+  /** Exact elasticity check, for rectangular sections only. */
+  const benchmark = shape === SectionType.Rectangular && result.ok ? rectangularBenchmark(result, shape, params) : null
+
+  /** Write a size found by the design solver back into the inputs. */
+  const applyDesign = (id, value) => {
+    const key = sectionKey(id)
+    if (key) setDim(key, value)
+    else setRi(value)
+  }
 
   // Stress chart data
   const stressLabels = result.ok ? result.r.map((rr) => rr.toFixed(4)) : []
@@ -267,27 +301,49 @@ export default function CurvedBeamPage() {
         labels: stressLabels,
         datasets: [
           {
-            label: 'σ(r) [Pa] (tension +, compression −)',
+            label: 'σ(r) combined [Pa] (tension +, compression −)',
             data: result.sigma,
             borderColor: 'rgba(54, 162, 235, 1)',
             backgroundColor: 'rgba(54, 162, 235, 0.2)',
             tension: 0.1,
             pointRadius: 0,
           },
+          ...(result.N !== 0
+            ? [{
+                label: 'σ bending only [Pa]',
+                data: result.sigmaBending,
+                borderColor: 'rgba(153, 102, 255, 1)',
+                backgroundColor: 'rgba(153, 102, 255, 0.2)',
+                borderDash: [6, 4],
+                tension: 0.1,
+                pointRadius: 0,
+              }]
+            : []),
+          {
+            label: 'σ_r radial [Pa]',
+            data: result.sigmaRadial,
+            borderColor: 'rgba(255, 159, 64, 1)',
+            backgroundColor: 'rgba(255, 159, 64, 0.2)',
+            borderDash: [2, 2],
+            tension: 0.1,
+            pointRadius: 0,
+          },
         ],
       }
     : { labels: [], datasets: [] }
 
-  // Bending moment diagram (constant along arc for pure bending)
+  // Bending moment diagram: M(ψ) from the arc model when it has loads, otherwise constant (pure bending)
   const Nbm = 50
   const bmLabels = Array.from({ length: Nbm }, (_, i) => (i / (Nbm - 1)).toFixed(2))
-  const bmValues = Array.from({ length: Nbm }, () => (Number.isFinite(Mdisplay) ? Mdisplay : NaN))
-  /** Constant bending-moment diagram along the arc for pure bending. */
+  const bmValues = arcMoments
+    ? arc.points.map((p) => ({ x: p.psi, y: p.M }))
+    : Array.from({ length: Nbm }, () => (Number.isFinite(Mdisplay) ? Mdisplay : NaN))
+  /** Bending-moment diagram along the arc. */
   const bmData = {
-    labels: bmLabels,
+    labels: arcMoments ? undefined : bmLabels,
     datasets: [
       {
-        label: 'Bending Moment M (N·m) along arc (s/L)',
+        label: arcMoments ? 'Bending Moment M (N·m) along arc (ψ)' : 'Bending Moment M (N·m) along arc (s/L)',
         data: bmValues,
         borderColor: 'rgba(255, 159, 64, 1)',
         backgroundColor: 'rgba(255, 159, 64, 0.2)',
@@ -297,6 +353,45 @@ export default function CurvedBeamPage() {
     ],
   }
 
+  /** K_i and K_o over a range of R_c/h for the current section (log-spaced ratios). */
+  const correction = useMemo(() => {
+    const ratios = Array.from({ length: 60 }, (_, i) => 0.55 * Math.pow(12 / 0.55, i / 59))
+    return curvatureCorrection(shape, params, ratios)
+  }, [shape, params])
+
+  const correctionData = correction.ok
+    ? {
+        datasets: [
+          {
+            label: 'K_i (inner)',
+            data: correction.points.map((pt) => ({ x: pt.ratio, y: pt.Ki })),
+            borderColor: 'rgba(255, 99, 132, 1)',
+            backgroundColor: 'rgba(255, 99, 132, 0.2)',
+            tension: 0.1,
+            pointRadius: 0,
+          },
+          {
+            label: 'K_o (outer)',
+            data: correction.points.map((pt) => ({ x: pt.ratio, y: pt.Ko })),
+            borderColor: 'rgba(54, 162, 235, 1)',
+            backgroundColor: 'rgba(54, 162, 235, 0.2)',
+            tension: 0.1,
+            pointRadius: 0,
+          },
+          ...(result.ok
+            ? [{
+                label: 'Current section',
+                data: [{ x: result.RcOverH, y: result.Ki }, { x: result.RcOverH, y: result.Ko }],
+                borderColor: 'rgba(0, 0, 0, 0.8)',
+                backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                showLine: false,
+                pointRadius: 4,
+              }]
+            : []),
+        ],
+      }
+    : { datasets: [] }
+
   /** Reusable Chart.js options with responsive layout and labeled axes. */
   const chartOptions = {
     responsive: true,
@@ -312,55 +407,96 @@ export default function CurvedBeamPage() {
     },
   }
 
+  /** σ(r) and σ_r(r) chart, shown on the page and in the report. */
+  const stressChart = (
+    <Box sx={{ height: 220 }}>
+      <Line
+        options={{
+          ...chartOptions,
+          plugins: { ...chartOptions.plugins, title: { display: true, text: 'Circumferential σ(r) and radial σ_r(r)' } },
+          scales: { x: { title: { display: true, text: 'Radius r (m)' } }, y: { title: { display: true, text: 'σ (Pa)' } } },
+        }}
+        data={stressData}
+      />
+    </Box>
+  )
+
+  /** Moment diagram along the arc. */
+  const momentChart = (
+    <Box sx={{ height: 160 }}>
+      <Line
+        options={{
+          ...chartOptions,
+          plugins: { ...chartOptions.plugins, title: { display: true, text: arcMoments ? 'Bending Moment along arc (arc model)' : 'Bending Moment along arc (pure bending)' } },
+          scales: {
+            x: arcMoments
+              ? { type: 'linear', min: 0, max: arc.alpha, title: { display: true, text: 'ψ from the left end (deg)' } }
+              : { title: { display: true, text: 'Normalized arc coordinate s/L' } },
+            y: { title: { display: true, text: 'M (N·m)' } },
+          },
+        }}
+        data={bmData}
+      />
+    </Box>
+  )
+
+  /** K_i/K_o against R_c/h. */
+  const correctionChart = (
+    <Box sx={{ height: 220 }}>
+      <Line
+        options={{
+          ...chartOptions,
+          plugins: { ...chartOptions.plugins, title: { display: true, text: 'Curvature correction K = σ_curved / σ_straight' } },
+          scales: {
+            x: { type: 'logarithmic', title: { display: true, text: 'R_c / h' } },
+            y: { title: { display: true, text: 'K' } },
+          },
+        }}
+        data={correctionData}
+      />
+    </Box>
+  )
+
   return (
     <Box sx={{ maxWidth: 1200, mx: 'auto', p: 2 }}>
       <Grid container spacing={2}>
         <Grid item xs={12} md={4}>
           <Card>
-            <CardHeader title="Inputs" />
+            <CardHeader
+              title="Inputs"
+              action={(
+                <Box sx={{ display: 'flex' }}>
+                  <SaveCaseButton page={CasePage.Curved} version={LINK_VERSION} inputs={linkState} />
+                  <ShareLinkButton />
+                </Box>
+              )}
+            />
             <CardContent>
               <Box sx={{ display: 'grid', gap: 2 }}>
-                <TextField select label="Cross-section" value={shape} onChange={(e) => setShape(e.target.value)} size="small">
-                  <MenuItem value={SectionType.Rectangular}>Rectangular</MenuItem>
-                  <MenuItem value={SectionType.Trapezoidal}>Trapezoidal</MenuItem>
-                  <MenuItem value={SectionType.Triangular}>Triangular</MenuItem>
-                  <MenuItem value={SectionType.Circular}>Circular (solid)</MenuItem>
-                  <MenuItem value={SectionType.TSection}>T-section</MenuItem>
-                </TextField>
-                <TextField label="Inner radius ri (m)" value={ri} onChange={(e) => setRi(e.target.value)} size="small" />
+                {linkMessage && <Typography variant="body2" color="warning.main">{linkMessage}</Typography>}
+                <SectionInputs
+                  shape={shape}
+                  onShapeChange={setShape}
+                  dims={dims}
+                  onDimChange={setDim}
+                  vertices={vertices}
+                  onVerticesChange={setVertices}
+                  strips={strips}
+                  onStripsChange={setStrips}
+                  params={params}
+                >
+                  <TextField label="Inner radius ri (m)" value={ri} onChange={(e) => setRi(e.target.value)} size="small" disabled={usesAbsoluteRadii} helperText={usesAbsoluteRadii ? 'Set by the radii of the section parts' : undefined} />
+                </SectionInputs>
                 <TextField label="Bending moment M (N·m)" value={M} onChange={(e) => setM(e.target.value)} size="small" helperText="If P and d are both provided, they override M" />
-                <TextField label="Force P (N)" value={P} onChange={(e) => setP(e.target.value)} size="small" />
+                <TextField label="Force P (N, tension +)" value={P} onChange={(e) => setP(e.target.value)} size="small" />
                 <TextField label="Lever arm d (m)" value={d} onChange={(e) => setD(e.target.value)} size="small" />
+                <TextField select label="Lever arm measured from" value={dRef} onChange={(e) => setDRef(e.target.value)} size="small">
+                  <MenuItem value={LeverArmRef.Centroid}>Centroid of section</MenuItem>
+                  <MenuItem value={LeverArmRef.Center}>Center of curvature</MenuItem>
+                </TextField>
+                <TextField label="Section angle θ (deg)" value={angle} onChange={(e) => setAngle(e.target.value)} size="small" helperText="0° = section normal to P; N = P cos θ, V = P sin θ" />
 
-                {shape === SectionType.Rectangular && (
-                  <>
-                    <TextField label="Width b (m)" value={b} onChange={(e) => setB(e.target.value)} size="small" />
-                    <TextField label="Thickness t (m)" value={t} onChange={(e) => setT(e.target.value)} size="small" />
-                  </>
-                )}
-
-                {(shape === SectionType.Trapezoidal || shape === SectionType.Triangular) && (
-                  <>
-                    <TextField label="Inner width b_inner (m)" value={bInner} onChange={(e) => setBInner(e.target.value)} size="small" />
-                    <TextField label="Outer width b_outer (m)" value={bOuter} onChange={(e) => setBOuter(e.target.value)} size="small" />
-                    <TextField label="Thickness t (m)" value={t} onChange={(e) => setT(e.target.value)} size="small" />
-                  </>
-                )}
-
-                {shape === SectionType.Circular && (
-                  <TextField label="Diameter d (m)" value={diam} onChange={(e) => setDiam(e.target.value)} size="small" />
-                )}
-
-                {shape === SectionType.TSection && (
-                  <>
-                    <TextField label="Rect 1 inner R1 (m)" value={R1} onChange={(e) => setR1(e.target.value)} size="small" />
-                    <TextField label="Rect 1 thickness t1 (m)" value={t1} onChange={(e) => setT1(e.target.value)} size="small" />
-                    <TextField label="Rect 1 width b1 (m)" value={b1} onChange={(e) => setB1(e.target.value)} size="small" />
-                    <TextField label="Rect 2 inner R2 (m)" value={R2} onChange={(e) => setR2(e.target.value)} size="small" />
-                    <TextField label="Rect 2 thickness t2 (m)" value={t2} onChange={(e) => setT2(e.target.value)} size="small" />
-                    <TextField label="Rect 2 width b2 (m)" value={b2} onChange={(e) => setB2(e.target.value)} size="small" />
-                  </>
-                )}
+                <MaterialInputs value={materialInputs} onChange={setMaterialInputs} />
               </Box>
             </CardContent>
           </Card>
@@ -368,23 +504,57 @@ export default function CurvedBeamPage() {
 
         <Grid item xs={12} md={8}>
           <Card sx={{ mb: 2 }}>
-            <CardHeader title="Key Results" />
+            <CardHeader
+              title="Key Results"
+              action={(
+                <Box sx={{ display: 'flex', mr: 1 }}>
+                  <ExportMenu
+                    filename="curved-beam"
+                    build={() => (result.ok ? curvedBeamExport(result, [...strengthScalars(strength), ...benchmarkScalars(benchmark)]) : null)}
+                  />
+                  <Button startIcon={<DescriptionIcon />} onClick={() => setReportOpen(true)} size="small" sx={{ mt: 1 }}>Report</Button>
+                </Box>
+              )}
+            />
             <CardContent>
               {result.ok ? (
-                <ul>
-                  <li>M (used) = {fmt(Mdisplay)} N·m</li>
-                  <li>A = {fmt(result.A)} m²</li>
-                  <li>ȳ (from inner) = {fmt(result.ybar)} m</li>
-                  <li>y_n (from inner) = {fmt(result.yn)} m</li>
-                  <li>R_c (centroid radius) = {fmt(result.Rc)} m</li>
-                  <li>R (neutral-axis radius) = {fmt(result.R)} m</li>
-                  <li>R_i = {fmt(result.rInner)} m, R_o = {fmt(result.rOuter)} m</li>
-                  <li>e = {fmt(result.e)} m</li>
-                  <li>σ_inner = {fmt(result.sigmaInner)} Pa</li>
-                  <li>σ_outer = {fmt(result.sigmaOuter)} Pa</li>
-                  <li>Max tension = {fmt(result.maxTension?.value)} Pa @ {result.maxTension?.side}</li>
-                  <li>Max compression = {fmt(result.maxCompression?.value)} Pa @ {result.maxCompression?.side}</li>
-                </ul>
+                <>
+                  <ul>
+                    <li>N = {fmt(result.N)} N, V = {fmt(result.V)} N, M (about centroid) = {fmt(Mdisplay)} N·m</li>
+                    <li>A = {fmt(result.A)} m²</li>
+                    <li>ȳ (from inner) = {fmt(result.ybar)} m</li>
+                    <li>y_n (from inner) = {fmt(result.yn)} m</li>
+                    <li>R_c (centroid radius) = {fmt(result.Rc)} m</li>
+                    <li>R (neutral-axis radius) = {fmt(result.R)} m</li>
+                    <li>R_i = {fmt(result.rInner)} m, R_o = {fmt(result.rOuter)} m</li>
+                    <li>e = {fmt(result.e)} m</li>
+                    <li>Axial σ = N/A = {fmt(result.sigmaAxial)} Pa</li>
+                    <li>Bending σ_inner = {fmt(result.sigmaBendingInner)} Pa, σ_outer = {fmt(result.sigmaBendingOuter)} Pa</li>
+                    <li>Combined σ_inner = <strong>{fmt(result.sigmaInner)}</strong> Pa, σ_outer = <strong>{fmt(result.sigmaOuter)}</strong> Pa</li>
+                    <li>
+                      Straight beam (Mc/I, I = {fmt(result.I)} m⁴): σ_inner = {fmt(result.sigmaStraightInner)} Pa, σ_outer = {fmt(result.sigmaStraightOuter)} Pa
+                    </li>
+                    <li>
+                      Curvature factors at R_c/h = {fmt(result.RcOverH)}: K_i = <strong>{fmt(result.Ki)}</strong>, K_o = <strong>{fmt(result.Ko)}</strong>;
+                      ignoring curvature errs by {fmt(result.straightErrorInner)}% (inner), {fmt(result.straightErrorOuter)}% (outer)
+                    </li>
+                    <li>Shear τ_avg = V/A = {fmt(result.tauAvg)} Pa, τ at centroid ≈ VQ/(Ib) = {fmt(result.tauCentroid)} Pa</li>
+                    <li>
+                      Radial σ_r peak = <strong>{fmt(result.radialPeak.value)}</strong> Pa at r = {fmt(result.radialPeak.atR)} m,
+                      {' '}{fmt(result.radialRatio * 100)}% of the peak circumferential σ
+                    </li>
+                    <li>Max tension = {fmt(result.maxTension?.value)} Pa @ {result.maxTension?.side}</li>
+                    <li>Max compression = {fmt(result.maxCompression?.value)} Pa @ {result.maxCompression?.side}</li>
+                    <li>
+                      Section integrals by {IntegrationMethodLabels[result.errors.method]}: estimated error in e ±{fmt(result.errors.e)} m,
+                      {' '}σ_inner ±{fmt(result.errors.sigmaInner)} Pa, σ_outer ±{fmt(result.errors.sigmaOuter)} Pa
+                    </li>
+                    <StrengthCheckItems check={strength} material={material} />
+                  </ul>
+                  {result.warnings.map((w) => (
+                    <Typography key={w} variant="body2" color="warning.main">{w}</Typography>
+                  ))}
+                </>
               ) : (
                 <Typography color="error">{result.message}</Typography>
               )}
@@ -396,36 +566,85 @@ export default function CurvedBeamPage() {
             <CardContent>
               <Box sx={{ display: 'grid', gap: 2 }}>
                 <Box sx={{ display: 'flex', justifyContent: 'center' }}>
-                  <SectionDiagram shape={shape} params={{ b, t, bInner, bOuter, d: diam, R1, t1, b1, R2, t2, b2 }} ri={numberOrNaN(ri)} result={result.ok ? result : undefined} />
+                  <SectionDiagram shape={shape} params={params} result={result.ok ? result : undefined} />
                 </Box>
                 <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: -1 }}>
-                  Cross-section profile b(y) vs y (inner at y=0, outer at y=t). Centroid ȳ and neutral axis y_n shown when available.
+                  Cross-section outline, inner surface (y=0) at the top and outer (y=t) at the bottom; width and depth scaled separately. Centroid ȳ and neutral axis y_n shown when available.
+                </Typography>
+                {result.ok && (
+                  <>
+                    <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+                      <CurvedBeamElevation result={result} />
+                    </Box>
+                    <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: -1 }}>
+                      Elevation to scale about the centre of curvature O, shaded by σ(r) through the depth; hover for the stress at a radius.
+                    </Typography>
+                  </>
+                )}
+                {stressChart}
+                {momentChart}
+                {correctionChart}
+                <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: -1 }}>
+                  {Number.isFinite(correction.thresholdRatio)
+                    ? `For this section, straight-beam flexure is within 5% of Winkler–Bach once R_c/h ≥ ${correction.thresholdRatio.toPrecision(3)}.`
+                    : 'Straight-beam flexure errs by 5% or more over the whole plotted range; use curved-beam theory.'}
                 </Typography>
-                <Box sx={{ height: 220 }}>
-                  <Line
-                    options={{
-                      ...chartOptions,
-                      plugins: { ...chartOptions.plugins, title: { display: true, text: 'Stress distribution σ(r)' } },
-                      scales: { x: { title: { display: true, text: 'Radius r (m)' } }, y: { title: { display: true, text: 'σ (Pa)' } } },
-                    }}
-                    data={stressData}
-                  />
-                </Box>
-                <Box sx={{ height: 160 }}>
-                  <Line
-                    options={{
-                      ...chartOptions,
-                      plugins: { ...chartOptions.plugins, title: { display: true, text: 'Bending Moment along arc (pure bending)' } },
-                      scales: { x: { title: { display: true, text: 'Normalized arc coordinate s/L' } }, y: { title: { display: true, text: 'M (N·m)' } } },
-                    }}
-                    data={bmData}
-                  />
-                </Box>
               </Box>
             </CardContent>
           </Card>
+
+          <Card sx={{ mt: 2 }}>
+            <CardHeader title="Internal forces along the arc" />
+            <CardContent>
+              <CurvedBeamArc value={arcInputs} onChange={setArcInputs} result={arc} />
+            </CardContent>
+          </Card>
+
+          {benchmark && (
+            <Card sx={{ mt: 2 }}>
+              <CardHeader title="Exact elasticity benchmark" />
+              <CardContent>
+                <CurvedBeamBenchmark benchmark={benchmark} />
+              </CardContent>
+            </Card>
+          )}
+
+          <Card sx={{ mt: 2 }}>
+            <CardHeader title="Design for allowable stress" />
+            <CardContent>
+              <CurvedBeamDesign value={designInputs} onChange={setDesignInputs} input={analysisInput} allowables={allowables} onApply={applyDesign} />
+            </CardContent>
+          </Card>
+
+          <Card sx={{ mt: 2 }}>
+            <CardHeader title="Deflection of a curved member" />
+            <CardContent>
+              <CurvedBeamDeflection value={deflectionInputs} onChange={setDeflectionInputs} input={analysisInput} material={material} />
+            </CardContent>
+          </Card>
+
+          <Card sx={{ mt: 2 }}>
+            <CardHeader title="Parametric sweep" />
+            <CardContent>
+              <CurvedBeamSweep value={sweepInputs} onChange={setSweepInputs} input={analysisInput} />
+            </CardContent>
+          </Card>
         </Grid>
       </Grid>
+      {reportOpen && (
+        <ReportDialog open onClose={() => setReportOpen(false)} title="Curved beam calculation (Winkler–Bach)">
+          <CurvedBeamReport
+            shape={shape}
+            params={params}
+            inputs={{ ri: numberOrNaN(ri), M: numberOrNaN(M), P: numberOrNaN(P), d: numberOrNaN(d), dRef, angle: numberOrNaN(angle) }}
+            result={result}
+            material={material}
+            strength={strength}
+            benchmark={benchmark}
+            charts={<>{stressChart}{momentChart}{correctionChart}</>}
+          />
+        </ReportDialog>
+      )}
     </Box>
   )
 }
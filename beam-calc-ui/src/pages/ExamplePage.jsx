@@ -1,79 +1,488 @@
-import { useMemo, useState } from 'react'
-import { maxMomentUDL, maxDeflectionUDL, maxMomentPointMid, toNumber } from '../lib/beamCalc'
+import { useEffect, useMemo, useState } from 'react'
+import { Link as RouterLink, useLocation, useSearchParams } from 'react-router-dom'
+import { solveLoadCases, superpose, checkDeflection, sampleBeam, peakAbs, toNumber, LoadSpecs, SupportSpecs, SupportType, LoadType } from '../lib/beamCalc'
 import BeamCharts from '../components/BeamCharts'
+import BeamModelEditor from '../components/BeamModelEditor'
+import BeamMovingLoads from '../components/BeamMovingLoads'
+import BeamShearStress from '../components/BeamShearStress'
+import MaterialInputs from '../components/MaterialInputs'
+import StrengthCheckItems from '../components/StrengthCheckItems'
+import { Criterion, checkStrength, findMaterial } from '../lib/materials'
+import { decodeState, encodeState, rowsFrom, withoutIds } from '../lib/urlState'
+import ShareLinkButton from '../components/ShareLinkButton'
+import SaveCaseButton from '../components/SaveCaseButton'
+import { CasePage } from '../lib/caseLibrary'
+import ReportDialog from '../components/ReportDialog'
+import StraightBeamReport from '../components/StraightBeamReport'
+import ExportMenu from '../components/ExportMenu'
+import { straightBeamExport, strengthScalars } from '../lib/dataExport'
+import { SectionSpecs, SectionType } from '../lib/curvedBeam'
+import { defaultDims, defaultStrips, defaultVertices, savedDims, toSectionParams } from '../lib/sectionInputs'
+import { shearStressProfile } from '../lib/sectionProperties'
+import { InfluenceQuantity, defaultMovingInputs, influenceLine, movingLoadTrain, parseAxles, reactionSupports } from '../lib/movingLoads'
 import Grid from '@mui/material/Grid'
-import { Box, Card, CardContent, CardHeader, TextField, Typography } from '@mui/material'
+import { Box, Button, Card, CardContent, CardHeader, Checkbox, FormControlLabel, Link, MenuItem, TextField, Typography } from '@mui/material'
+import DescriptionIcon from '@mui/icons-material/Description'
 
 function formatNumber(v) {
   if (!Number.isFinite(v)) return '-'
   return Number(v).toPrecision(6)
 }
 
+/**
+ * Convert editor rows (raw strings) into numeric supports/loads for `solveBeam`.
+ * Only the fields declared in `LoadSpecs` are converted; blanks become NaN and are reported by the solver.
+ */
+function toSupports(rows) {
+  return rows.map((row) => ({
+    type: row.type,
+    x: toNumber(row.x, NaN),
+    settlement: row.settlement === undefined || row.settlement === '' ? 0 : toNumber(row.settlement, NaN),
+  }))
+}
+function toLoads(rows) {
+  return rows.map((row) => {
+    const load = { type: row.type, case: row.case?.trim() || 'Default' }
+    for (const def of LoadSpecs[row.type]?.params || []) load[def.key] = toNumber(row[def.key], NaN)
+    return load
+  })
+}
+
+const defaultSupports = [
+  { id: 's1', type: SupportType.Pin, x: '0' },
+  { id: 's2', type: SupportType.Roller, x: '5' },
+]
+/**
+ * Common support layouts, laid out over the current span.
+ * Continuous presets use equal spans.
+ */
+const supportPresets = {
+  simple: { label: 'Simply supported', build: () => [[SupportType.Pin, 0], [SupportType.Roller, 1]] },
+  cantilever: { label: 'Cantilever', build: () => [[SupportType.Fixed, 0], [SupportType.Free, 1]] },
+  propped: { label: 'Propped cantilever', build: () => [[SupportType.Fixed, 0], [SupportType.Roller, 1]] },
+  fixedFixed: { label: 'Fixed–fixed', build: () => [[SupportType.Fixed, 0], [SupportType.Fixed, 1]] },
+  continuous2: { label: 'Continuous, 2 spans', build: () => continuous(2) },
+  continuous3: { label: 'Continuous, 3 spans', build: () => continuous(3) },
+  continuous4: { label: 'Continuous, 4 spans', build: () => continuous(4) },
+}
+function continuous(spans) {
+  return Array.from({ length: spans + 1 }, (_, i) => [i === 0 ? SupportType.Pin : SupportType.Roller, i / spans])
+}
+
+const defaultLoads = [
+  { id: 'l1', type: LoadType.UDL, case: 'UDL', x1: '0', x2: '5', w: '10' },
+  { id: 'l2', type: LoadType.Point, case: 'Point', x: '2.5', P: '1000' },
+]
+
+/** Span/deflection ratios offered for the serviceability check. */
+const deflectionLimits = [
+  { key: '240', label: 'L/240' },
+  { key: '360', label: 'L/360' },
+  { key: 'custom', label: 'Custom L/n' },
+]
+
+/** Version of the state carried in shared links; add a migration when the layout changes. */
+const LINK_VERSION = 1
+
+/** Shear-stress section: a solid rectangle with the default I of 8e-6 m⁴ and depth of 0.1 m. */
+const defaultShearDims = { ...defaultDims, b: '0.096', t: '0.1' }
+
+const loadParamKeys = [...new Set(Object.values(LoadSpecs).flatMap((spec) => spec.params.map((def) => def.key)))]
+
+/**
+ * Initial inputs: page defaults, overridden field by field by a shared link and then by a section
+ * sent from the section properties page. Malformed fields keep their defaults.
+ * @param {URLSearchParams} searchParams
+ * @param {{ I?: number, cTop?: number, cBottom?: number, shape?: string, dims?: object, vertices?: object[], strips?: object[] } | undefined} section
+ */
+function initialInputs(searchParams, section) {
+  const { state, message } = decodeState(searchParams, { version: LINK_VERSION })
+  const s = state || {}
+  const str = (value, fallback) => (typeof value === 'string' ? value : fallback)
+  const num = (value, fallback) => (Number.isFinite(value) ? String(value) : fallback)
+  const material = s.material && typeof s.material === 'object' ? s.material : {}
+  const shear = s.shear && typeof s.shear === 'object' ? s.shear : {}
+  const moving = s.moving && typeof s.moving === 'object' ? s.moving : {}
+  // The section sent from the section properties page replaces the linked one as a whole
+  const shearSection = SectionSpecs[section?.shape] ? section : shear
+  return {
+    message,
+    L: str(s.L, '5'),
+    E: str(s.E, '2e11'),
+    I: num(section?.I, str(s.I, '8e-6')),
+    supports: rowsFrom(s.supports, ['type', 'x', 'settlement'], 's')?.filter((row) => SupportSpecs[row.type]) ?? defaultSupports,
+    loads: rowsFrom(s.loads, ['type', 'case', ...loadParamKeys], 'l')?.filter((row) => LoadSpecs[row.type]) ?? defaultLoads,
+    excludedCases: Array.isArray(s.excludedCases) ? s.excludedCases.filter((name) => typeof name === 'string') : [],
+    limitKey: deflectionLimits.some((lim) => lim.key === s.limitKey) ? s.limitKey : '360',
+    customRatio: str(s.customRatio, '500'),
+    materialInputs: {
+      materialId: str(material.materialId, ''),
+      criterion: Object.values(Criterion).includes(material.criterion) ? material.criterion : Criterion.Yield,
+      requiredFos: str(material.requiredFos, '1.5'),
+    },
+    cTop: num(section?.cTop, str(s.cTop, '0.05')),
+    cBottom: num(section?.cBottom, str(s.cBottom, '0.05')),
+    shearInputs: {
+      shape: SectionSpecs[shearSection.shape] ? shearSection.shape : SectionType.Rectangular,
+      dims: { ...defaultShearDims, ...savedDims({ dims: shearSection.dims }) },
+      vertices: rowsFrom(shearSection.vertices, ['y', 'z'], 'v') ?? defaultVertices,
+      strips: rowsFrom(shearSection.strips, ['R', 't', 'bInner', 'bOuter'], 's') ?? defaultStrips,
+      x: str(shear.x, ''),
+      connector: str(shear.connector, ''),
+    },
+    movingInputs: {
+      quantity: Object.values(InfluenceQuantity).includes(moving.quantity) ? moving.quantity : defaultMovingInputs.quantity,
+      support: str(moving.support, defaultMovingInputs.support),
+      at: str(moving.at, defaultMovingInputs.at),
+      axles: rowsFrom(moving.axles, ['P', 'spacing'], 'a') ?? defaultMovingInputs.axles,
+      withStatic: typeof moving.withStatic === 'boolean' ? moving.withStatic : defaultMovingInputs.withStatic,
+    },
+  }
+}
+
 export default function ExamplePage() {
-  const [w, setW] = useState('10')
-  const [L, setL] = useState('5')
-  const [E, setE] = useState('2e11')
-  const [I, setI] = useState('8e-6')
-  const [P, setP] = useState('1000')
+  const location = useLocation()
+  const [searchParams, setSearchParams] = useSearchParams()
+  // Section sent from the section properties page ("Use in straight beam"); kept after the URL is rewritten
+  const [section] = useState(() => location.state?.section)
+  const [initial] = useState(() => initialInputs(searchParams, section))
+  const [L, setL] = useState(initial.L)
+  const [E, setE] = useState(initial.E)
+  const [I, setI] = useState(initial.I)
+  const [supports, setSupports] = useState(initial.supports)
+  const [loads, setLoads] = useState(initial.loads)
+  const [excludedCases, setExcludedCases] = useState(initial.excludedCases)
+  const [limitKey, setLimitKey] = useState(initial.limitKey)
+  const [customRatio, setCustomRatio] = useState(initial.customRatio)
+  const [materialInputs, setMaterialInputs] = useState(initial.materialInputs)
+  const [cTop, setCTop] = useState(initial.cTop)
+  const [cBottom, setCBottom] = useState(initial.cBottom)
+  const [shearInputs, setShearInputs] = useState(initial.shearInputs)
+  const [movingInputs, setMovingInputs] = useState(initial.movingInputs)
+  const [reportOpen, setReportOpen] = useState(false)
+
+  // Keep the address bar in sync so the analysis can be shared; only the current shape's section inputs are kept
+  const shearLink = {
+    shape: shearInputs.shape,
+    dims: Object.fromEntries(SectionSpecs[shearInputs.shape].params.map((def) => [def.key, shearInputs.dims[def.key]])),
+    ...(shearInputs.shape === SectionType.Polygon && { vertices: withoutIds(shearInputs.vertices) }),
+    ...(shearInputs.shape === SectionType.Composite && { strips: withoutIds(shearInputs.strips) }),
+    x: shearInputs.x,
+    connector: shearInputs.connector,
+  }
+  const linkState = {
+    L, E, I, supports: withoutIds(supports), loads: withoutIds(loads), excludedCases, limitKey, customRatio, material: materialInputs, cTop, cBottom,
+    shear: shearLink,
+    moving: { ...movingInputs, axles: withoutIds(movingInputs.axles) },
+  }
+  const linkQuery = encodeState(LINK_VERSION, linkState)
+  useEffect(() => {
+    if (searchParams.toString() !== linkQuery) setSearchParams(linkQuery, { replace: true })
+  }, [linkQuery, searchParams, setSearchParams])
+
+  const applyPreset = (key) => {
+    const span = Number.isFinite(toNumber(L, NaN)) ? toNumber(L, NaN) : 0
+    setSupports(supportPresets[key].build().map(([type, f], i) => ({ id: `${key}-${i}`, type, x: String(f * span) })))
+  }
 
-  const wNum = useMemo(() => toNumber(w, NaN), [w])
   const LNum = useMemo(() => toNumber(L, NaN), [L])
   const ENum = useMemo(() => toNumber(E, NaN), [E])
   const INum = useMemo(() => toNumber(I, NaN), [I])
-  const PNum = useMemo(() => toNumber(P, NaN), [P])
 
-  const results = useMemo(() => {
-    const M_udl = maxMomentUDL(wNum, LNum)
-    const defl_udl = maxDeflectionUDL(wNum, LNum, ENum, INum)
-    const M_point = maxMomentPointMid(PNum, LNum)
-    return { M_udl, defl_udl, M_point }
-  }, [wNum, LNum, ENum, INum, PNum])
+  const solved = useMemo(
+    () => solveLoadCases({ L: LNum, E: ENum, I: INum, supports: toSupports(supports), loads: toLoads(loads) }),
+    [LNum, ENum, INum, supports, loads],
+  )
+
+  /** Superpose the load cases ticked for combination. */
+  const beam = useMemo(() => {
+    if (!solved.ok) return solved
+    const included = solved.cases.filter((c) => !excludedCases.includes(c.name))
+    if (included.length === 0) return { ok: false, message: 'Select at least one load case to combine' }
+    return superpose(included.map((c) => c.beam))
+  }, [solved, excludedCases])
+
+  const chartCases = useMemo(() => {
+    if (!beam.ok) return []
+    const list = solved.cases.map((c) => ({ label: c.name, beam: c.beam }))
+    return list.length > 1 ? [...list, { label: 'Combined', beam }] : list
+  }, [solved, beam])
+
+  const peaks = useMemo(() => {
+    if (!beam.ok) return null
+    const s = sampleBeam(beam)
+    return {
+      V: peakAbs(s.x, s.V),
+      M: peakAbs(s.x, s.M),
+      v: peakAbs(s.x, s.v),
+      sagging: Math.max(0, ...s.M),
+      hogging: Math.max(0, ...s.M.map((m) => -m)),
+    }
+  }, [beam])
 
-  const canPlot = Number.isFinite(LNum) && Number.isFinite(wNum) && Number.isFinite(PNum)
+  /**
+   * Peak bending stresses M c / I at the extreme fibres: sagging moments put the bottom fibre in
+   * tension and the top in compression, hogging moments the reverse.
+   */
+  const fibreStress = useMemo(() => {
+    if (!peaks) return null
+    const ct = toNumber(cTop, NaN)
+    const cb = toNumber(cBottom, NaN)
+    if (!(ct >= 0 && cb >= 0 && ct + cb > 0)) return { ok: false, message: 'Fibre distances must be ≥ 0' }
+    return {
+      ok: true,
+      tension: Math.max(peaks.sagging * cb, peaks.hogging * ct) / INum,
+      compression: Math.max(peaks.sagging * ct, peaks.hogging * cb) / INum,
+    }
+  }, [peaks, cTop, cBottom, INum])
+
+  const shearParams = useMemo(() => toSectionParams(shearInputs.shape, shearInputs), [shearInputs])
+
+  /** τ(y) = VQ/(Ib) at the chosen x, or where |V| peaks when x is blank. */
+  const shearStress = useMemo(() => {
+    if (!peaks) return null
+    const atPeak = shearInputs.x.trim() === ''
+    const x = atPeak ? peaks.V.x : toNumber(shearInputs.x, NaN)
+    if (!(x >= 0 && x <= LNum)) return { ok: false, message: `Section position x must lie on the beam (0 to ${LNum} m)` }
+    const profile = shearStressProfile(shearInputs.shape, shearParams, atPeak ? peaks.V.value : beam.shear(x))
+    return profile.ok ? { ...profile, x } : profile
+  }, [peaks, beam, LNum, shearInputs.shape, shearInputs.x, shearParams])
+
+  // Influence lines and the load train need the supports only; the static loads enter the train as its base
+  const model = useMemo(() => ({ L: LNum, E: ENum, I: INum, supports: toSupports(supports) }), [LNum, ENum, INum, supports])
+  const influence = useMemo(() => {
+    if (!solved.ok) return null
+    const { quantity } = movingInputs
+    const at = quantity === InfluenceQuantity.Reaction ? Number(movingInputs.support) : movingInputs.at.trim() === '' ? NaN : toNumber(movingInputs.at, NaN)
+    return influenceLine(model, { quantity, at })
+  }, [solved.ok, model, movingInputs])
+  const axles = useMemo(() => parseAxles(movingInputs.axles), [movingInputs.axles])
+  const train = useMemo(() => {
+    if (!beam.ok || movingInputs.axles.length === 0) return null
+    if (!axles.ok) return axles
+    return movingLoadTrain(model, axles.axles, { base: movingInputs.withStatic ? beam : undefined })
+  }, [beam, model, axles, movingInputs.axles.length, movingInputs.withStatic])
+
+  const material = findMaterial(materialInputs.materialId)
+  const strength = useMemo(() => {
+    if (!fibreStress || !material) return null
+    if (!fibreStress.ok) return fibreStress
+    return checkStrength(material, fibreStress, { criterion: materialInputs.criterion, requiredFos: toNumber(materialInputs.requiredFos, NaN) })
+  }, [fibreStress, material, materialInputs])
+
+  const ratio = limitKey === 'custom' ? toNumber(customRatio, NaN) : Number(limitKey)
+  const serviceability = useMemo(() => (beam.ok ? checkDeflection(beam, ratio) : null), [beam, ratio])
+
+  /** Export of the diagrams for every case plus the peaks and checks shown under Key Results. */
+  const exportData = () => {
+    if (!beam.ok) return null
+    const extra = [
+      { name: 'Load cases combined', value: solved.cases.map((c) => c.name).filter((name) => !excludedCases.includes(name)).join(' + ') },
+      { name: 'Max |V|', value: peaks.V.value, unit: 'N' },
+      { name: 'x at max |V|', value: peaks.V.x, unit: 'm' },
+      { name: 'Max |M|', value: peaks.M.value, unit: 'N·m' },
+      { name: 'x at max |M|', value: peaks.M.x, unit: 'm' },
+      { name: 'Max |v|', value: peaks.v.value, unit: 'm' },
+      { name: 'x at max |v|', value: peaks.v.x, unit: 'm' },
+    ]
+    if (fibreStress?.ok) {
+      extra.push(
+        { name: 'Peak tension σ_t', value: fibreStress.tension, unit: 'Pa' },
+        { name: 'Peak compression σ_c', value: fibreStress.compression, unit: 'Pa' },
+      )
+    }
+    if (shearStress?.ok) {
+      extra.push(
+        { name: 'Shear stress section x', value: shearStress.x, unit: 'm' },
+        { name: 'Max shear stress VQ/(Ib)', value: shearStress.max.value, unit: 'Pa' },
+        { name: 'Depth of max shear stress', value: shearStress.max.y, unit: 'm' },
+      )
+      shearStress.joints.forEach((j) => extra.push({ name: `Shear flow at y = ${formatNumber(j.y)} m`, value: j.q, unit: 'N/m' }))
+    }
+    if (train?.ok) {
+      extra.push(
+        { name: 'Moving load max M', value: train.moment.max.value, unit: 'N·m' },
+        { name: 'x at moving load max M', value: train.moment.max.x, unit: 'm' },
+        { name: 'Moving load min M', value: train.moment.min.value, unit: 'N·m' },
+        { name: 'x at moving load min M', value: train.moment.min.x, unit: 'm' },
+        { name: 'Moving load max V', value: train.shear.max.value, unit: 'N' },
+        { name: 'Moving load min V', value: train.shear.min.value, unit: 'N' },
+      )
+      train.reactions.forEach((r) => extra.push({ name: `Moving load max R, ${SupportSpecs[r.type].label} at x = ${r.x} m`, value: r.max.value, unit: 'N' }))
+    }
+    if (serviceability?.ok) {
+      serviceability.spans.forEach((sp) => extra.push({ name: `Deflection utilisation, span ${sp.from}–${sp.to} m`, value: sp.utilisation, unit: '' }))
+    }
+    return straightBeamExport(chartCases, beam, [...extra, ...strengthScalars(strength)], train?.ok ? train : null)
+  }
+
+  const toggleCase = (name) => setExcludedCases((prev) => (prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name]))
 
   return (
     <Box sx={{ maxWidth: 1200, mx: 'auto', p: 2 }}>
       <Grid container spacing={2}>
         <Grid item xs={12} md={4}>
           <Card>
-            <CardHeader title="Inputs" />
+            <CardHeader
+              title="Inputs"
+              action={(
+                <Box sx={{ display: 'flex' }}>
+                  <SaveCaseButton page={CasePage.Straight} version={LINK_VERSION} inputs={linkState} />
+                  <ShareLinkButton />
+                </Box>
+              )}
+            />
             <CardContent>
               <Box sx={{ display: 'grid', gap: 2 }}>
-                <TextField label="Uniform load w (N/m)" value={w} onChange={(e) => setW(e.target.value)} size="small" />
+                {initial.message && <Typography variant="body2" color="warning.main">{initial.message}</Typography>}
                 <TextField label="Span L (m)" value={L} onChange={(e) => setL(e.target.value)} size="small" />
                 <TextField label="Young's Modulus E (Pa)" value={E} onChange={(e) => setE(e.target.value)} size="small" />
-                <TextField label="Second moment I (m^4)" value={I} onChange={(e) => setI(e.target.value)} size="small" />
-                <TextField label="Point load P (N)" value={P} onChange={(e) => setP(e.target.value)} size="small" />
+                <TextField
+                  label="Second moment I (m^4)"
+                  value={I}
+                  onChange={(e) => setI(e.target.value)}
+                  size="small"
+                  helperText={section ? `From section properties: ${section.label}` : <Link component={RouterLink} to="/section">Calculate from a section</Link>}
+                />
+                <TextField label="Top fibre distance c_top (m)" value={cTop} onChange={(e) => setCTop(e.target.value)} size="small" />
+                <TextField label="Bottom fibre distance c_bottom (m)" value={cBottom} onChange={(e) => setCBottom(e.target.value)} size="small" />
+                <MaterialInputs value={materialInputs} onChange={setMaterialInputs} onSelectMaterial={(m) => setE(String(m.E))} />
+                <TextField select label="Support preset" value="" onChange={(e) => applyPreset(e.target.value)} size="small" helperText="Replaces the supports below">
+                  {Object.entries(supportPresets).map(([key, preset]) => (
+                    <MenuItem key={key} value={key}>{preset.label}</MenuItem>
+                  ))}
+                </TextField>
+                <BeamModelEditor supports={supports} loads={loads} onSupportsChange={setSupports} onLoadsChange={setLoads} />
+                <TextField select label="Deflection limit" value={limitKey} onChange={(e) => setLimitKey(e.target.value)} size="small">
+                  {deflectionLimits.map((lim) => (
+                    <MenuItem key={lim.key} value={lim.key}>{lim.label}</MenuItem>
+                  ))}
+                </TextField>
+                {limitKey === 'custom' && (
+                  <TextField label="Limit ratio n (span / n)" value={customRatio} onChange={(e) => setCustomRatio(e.target.value)} size="small" />
+                )}
               </Box>
             </CardContent>
           </Card>
         </Grid>
         <Grid item xs={12} md={8}>
           <Card sx={{ mb: 2 }}>
-            <CardHeader title="Key Results" />
+            <CardHeader
+              title="Key Results"
+              action={(
+                <Box sx={{ display: 'flex', mr: 1 }}>
+                  <ExportMenu filename="straight-beam" build={exportData} />
+                  <Button startIcon={<DescriptionIcon />} onClick={() => setReportOpen(true)} size="small" sx={{ mt: 1 }}>Report</Button>
+                </Box>
+              )}
+            />
             <CardContent>
-              <ul>
-                <li>Max bending moment (UDL): <strong>{formatNumber(results.M_udl)}</strong> N·m</li>
-                <li>Max deflection (UDL): <strong>{formatNumber(results.defl_udl)}</strong> m</li>
-                <li>Max bending moment (Point load at mid): <strong>{formatNumber(results.M_point)}</strong> N·m</li>
-              </ul>
-              <Typography variant="caption" sx={{ color: 'text.secondary' }}>
-                Formulas: M_udl = w L^2 / 8; δ_udl = 5 w L^4 / (384 E I); M_point(mid) = P L / 4
-              </Typography>
+              {solved.ok && solved.cases.length > 1 && (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 1 }}>
+                  <Typography variant="body2">Combine:</Typography>
+                  {solved.cases.map((c) => (
+                    <FormControlLabel
+                      key={c.name}
+                      control={<Checkbox size="small" checked={!excludedCases.includes(c.name)} onChange={() => toggleCase(c.name)} />}
+                      label={c.name}
+                    />
+                  ))}
+                </Box>
+              )}
+              {beam.ok ? (
+                <>
+                  <ul>
+                    <li>
+                      {beam.indeterminacy > 0 ? `Statically indeterminate to degree ${beam.indeterminacy}` : 'Statically determinate'}
+                    </li>
+                    {beam.reactions.filter((r) => SupportSpecs[r.type].restrains).map((r, i) => (
+                      <li key={i}>
+                        {SupportSpecs[r.type].label} @ x = {formatNumber(r.x)} m: R = <strong>{formatNumber(r.V)}</strong> N
+                        {r.type === SupportType.Fixed && <>, M = <strong>{formatNumber(r.M)}</strong> N·m</>}
+                      </li>
+                    ))}
+                    <li>Max |shear|: <strong>{formatNumber(peaks.V.value)}</strong> N @ x = {formatNumber(peaks.V.x)} m</li>
+                    <li>Max |bending moment|: <strong>{formatNumber(peaks.M.value)}</strong> N·m @ x = {formatNumber(peaks.M.x)} m</li>
+                    <li>Max |deflection|: <strong>{formatNumber(peaks.v.value)}</strong> m @ x = {formatNumber(peaks.v.x)} m</li>
+                    {serviceability?.ok && serviceability.spans.map((sp, i) => (
+                      <li key={`span-${i}`}>
+                        Span {formatNumber(sp.from)}–{formatNumber(sp.to)} m: |v| = {formatNumber(Math.abs(sp.peak.value))} m vs limit {formatNumber(sp.limit)} m
+                        {' '}(utilisation {formatNumber(sp.utilisation)}){' '}
+                        <Typography component="span" color={sp.pass ? 'success.main' : 'error'} sx={{ fontWeight: 600 }}>
+                          {sp.pass ? 'OK' : 'FAILS'}
+                        </Typography>
+                      </li>
+                    ))}
+                    {fibreStress?.ok && (
+                      <li>Max bending stress M·c/I: tension <strong>{formatNumber(fibreStress.tension)}</strong> Pa, compression <strong>{formatNumber(fibreStress.compression)}</strong> Pa</li>
+                    )}
+                    <StrengthCheckItems check={strength} material={material} />
+                  </ul>
+                  {serviceability && !serviceability.ok && <Typography color="error">{serviceability.message}</Typography>}
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Loads and settlements down +, couples clockwise +; reactions up +, reaction moments counterclockwise +; M sagging +; deflection up +.
+                    Overhangs are checked against twice their length.
+                  </Typography>
+                </>
+              ) : (
+                <Typography color="error">{beam.message}</Typography>
+              )}
             </CardContent>
           </Card>
           <Card>
             <CardHeader title="Diagrams" />
             <CardContent>
-              {canPlot ? (
-                <BeamCharts L={LNum} w={wNum} P={PNum} />
+              {beam.ok ? (
+                <BeamCharts cases={chartCases} envelope={train?.ok ? train : null} />
               ) : (
-                <Typography variant="body2">Enter valid numeric values for w, L, and P to show diagrams.</Typography>
+                <Typography variant="body2">Enter a valid span, supports and loads to show diagrams.</Typography>
               )}
             </CardContent>
           </Card>
+          <Card sx={{ mt: 2 }}>
+            <CardHeader title="Shear stress" />
+            <CardContent>
+              <BeamShearStress value={shearInputs} onChange={setShearInputs} params={shearParams} result={shearStress} I={INum} />
+            </CardContent>
+          </Card>
+          <Card sx={{ mt: 2 }}>
+            <CardHeader title="Moving loads and influence lines" />
+            <CardContent>
+              <BeamMovingLoads
+                value={movingInputs}
+                onChange={setMovingInputs}
+                supports={reactionSupports(model.supports)}
+                influence={influence}
+                train={train}
+              />
+            </CardContent>
+          </Card>
         </Grid>
       </Grid>
+      {reportOpen && (
+        <ReportDialog open onClose={() => setReportOpen(false)} title="Straight beam calculation">
+          <StraightBeamReport
+            inputs={{
+              L: LNum,
+              E: ENum,
+              I: INum,
+              supports: toSupports(supports),
+              loads: toLoads(loads),
+              ratio,
+              cTop: toNumber(cTop, NaN),
+              cBottom: toNumber(cBottom, NaN),
+            }}
+            cases={solved.ok ? solved.cases.map((c) => c.name).filter((name) => !excludedCases.includes(name)) : []}
+            beam={beam}
+            peaks={peaks}
+            serviceability={serviceability}
+            fibreStress={fibreStress}
+            strength={strength}
+            material={material}
+            chartCases={chartCases}
+          />
+        </ReportDialog>
+      )}
     </Box>
   )
 }
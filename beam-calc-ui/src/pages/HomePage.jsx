@@ -23,20 +23,39 @@ export default function HomePage() {
               time-consuming and error-prone; this app streamlines the workflow and adds interactive visual understanding.
             </Typography>
             <Typography variant="body1">
-              You can analyze multiple cross-sections (rectangular, trapezoidal, triangular, solid circular, and T-section), input geometry
-              and loads (either a direct bending moment M or a force-lever pair P·d), and obtain key results: cross-sectional area A,
+              You can analyze multiple cross-sections (rectangular, trapezoidal, triangular, solid circular, hollow tube and box, I, inverted-T, channel, T-section, and arbitrary polygon outlines), input geometry
+              and loads (either a direct bending moment M or an eccentric force P at lever arm d), and obtain key results: cross-sectional area A,
               centroid radius R_c, neutral-axis radius R, eccentricity e, inner/outer fiber stresses, and full stress distribution σ(r).
+              Pick a material from the built-in library (or define your own) to get a factor of safety against yield or an allowable
+              stress, with separate tension and compression limits for brittle materials such as cast iron.
+              The section properties calculator gives A, centroid, I_x, I_y, elastic and plastic moduli and radii of gyration for the
+              same shapes, and can send I, the fibre distances and the section itself straight to the straight-beam analysis.
+              There the shear stress τ = VQ/(Ib) is plotted through the depth at any x, with its maximum and the shear flow at
+              flange–web joints for weld or bolt spacing.
+              Influence lines of the reactions and of V and M at any section come from a unit load moved across the beam, and
+              a train of axle loads, such as crane wheels, can be rolled across it for the absolute maximum moment and shear, the
+              governing load positions and the V and M envelopes.
+              Closed rings and chain links under a diametral pull are solved by Castigliano's theorem for M, N and V around the
+              ring, the change in diameter and the Winkler–Bach stresses at the critical sections.
+              The same energy method gives the end deflection and rotation of curved cantilevers and simply supported arcs (quarter
+              circles, semicircles and hooks), split into bending, axial and shear parts.
+              The radial stress σ_r through the depth follows from equilibrium and is flagged when it approaches the
+              circumferential stress, as in the thin webs of I-section hooks.
+              An arc model with fixed, pinned, roller or free ends and point loads gives N, V and M along the member (redundant
+              reactions by least work) and the stresses at the critical angle.
               The app also plots stress vs radius and a bending-moment diagram along the arc. Results and diagrams are designed for
               education and quick verification – units are user-defined but must be consistent to keep σ(r) dimensionally correct.
             </Typography>
             <Typography variant="body1">
-              Scope and assumptions: pure bending only (no axial/torsion/shear), linearly elastic material (no plasticity), closed-form
+              Scope and assumptions: bending with an optional eccentric load P whose direct axial stress N/A is superposed and whose
+              transverse shear is estimated on angled sections (no torsion), linearly elastic material (no plasticity), closed-form
               neutral-axis expressions where available and robust numerical integration otherwise. The interface includes a schematic
               section diagram with centroid and neutral axis for clarity.
             </Typography>
             <Box sx={{ display: 'flex', gap: 2, pt: 1 }}>
               <Button component={RouterLink} to="/curved" variant="contained">Start Curved Beam Analysis</Button>
               <Button component={RouterLink} to="/example" variant="outlined">Open Straight Beam Example</Button>
+              <Button component={RouterLink} to="/section" variant="outlined">Section Properties</Button>
             </Box>
           </CardContent>
         </Card>
@@ -0,0 +1,216 @@
+import { useMemo, useState, useEffect } from 'react'
+import { Box, Card, CardContent, CardHeader, Grid, TextField, Typography } from '@mui/material'
+import { Line } from 'react-chartjs-2'
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js'
+import { SectionType, SectionSpecs } from '../lib/curvedBeam'
+import { computeRing } from '../lib/curvedRing'
+import { defaultDims, defaultStrips, defaultVertices, savedDims, toSectionParams } from '../lib/sectionInputs'
+import { Criterion, checkStrength, findMaterial } from '../lib/materials'
+import { rowsFrom } from '../lib/urlState'
+import { ringExport, strengthScalars } from '../lib/dataExport'
+import SectionInputs from '../components/SectionInputs'
+import MaterialInputs from '../components/MaterialInputs'
+import StrengthCheckItems from '../components/StrengthCheckItems'
+import CurvedBeamElevation from '../components/CurvedBeamElevation'
+import ExportMenu from '../components/ExportMenu'
+
+ChartJS.register(LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
+
+function numberOrNaN(x) {
+  if (x === '' || x === null || x === undefined) return NaN
+  const n = Number(x)
+  return Number.isFinite(n) ? n : NaN
+}
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(6) : '-'
+}
+
+function loadInputs() {
+  try {
+    const s = localStorage.getItem('ring.inputs')
+    return s ? JSON.parse(s) : {}
+  } catch {
+    return {}
+  }
+}
+function saveInputs(obj) {
+  try {
+    localStorage.setItem('ring.inputs', JSON.stringify(obj))
+  } catch {
+    // Storage unavailable (private mode or quota); inputs simply are not persisted
+  }
+}
+
+function lineSet(label, color, data) {
+  return { label, data, borderColor: `rgba(${color}, 1)`, backgroundColor: `rgba(${color}, 0.2)`, tension: 0, pointRadius: 0 }
+}
+
+/**
+ * RingPage
+ * - Left: Inputs card (section, inner radius, straight length, load, material).
+ * - Right (top): Key Results card (moments, critical section, fibre stresses, diameter changes).
+ * - Right (bottom): Diagrams card with M, N and V along the quarter and the stress through the critical section.
+ * A closed ring (L = 0) or chain link (L > 0) pulled apart by P at the crowns of its curved ends.
+ */
+export default function RingPage() {
+  const [shape, setShape] = useState(SectionType.Circular)
+  const [ri, setRi] = useState('0.02') // m
+  const [L, setL] = useState('0.05') // m
+  const [P, setP] = useState('10000') // N
+  const [E, setE] = useState('2e11') // Pa
+  const [nu, setNu] = useState('0.3')
+  const [dims, setDims] = useState(defaultDims)
+  const setDim = (key, value) => setDims((prev) => ({ ...prev, [key]: value }))
+  const [vertices, setVertices] = useState(defaultVertices)
+  const [strips, setStrips] = useState(defaultStrips)
+  const [materialInputs, setMaterialInputs] = useState({ materialId: '', criterion: Criterion.Yield, requiredFos: '1.5' })
+
+  // Load saved inputs once
+  useEffect(() => {
+    const saved = loadInputs()
+    if (saved.shape && SectionSpecs[saved.shape]) setShape(saved.shape)
+    for (const [key, set] of [['ri', setRi], ['L', setL], ['P', setP], ['E', setE], ['nu', setNu]]) {
+      if (typeof saved[key] === 'string') set(saved[key])
+    }
+    setDims((prev) => ({ ...prev, ...savedDims(saved) }))
+    const savedVertices = rowsFrom(saved.vertices, ['y', 'z'], 'v')
+    if (savedVertices) setVertices(savedVertices)
+    const savedStrips = rowsFrom(saved.strips, ['R', 't', 'bInner', 'bOuter'], 's')
+    if (savedStrips) setStrips(savedStrips)
+    if (saved.material && typeof saved.material === 'object') setMaterialInputs((prev) => ({ ...prev, ...saved.material }))
+  }, [])
+
+  useEffect(() => {
+    saveInputs({ shape, ri, L, P, E, nu, dims, vertices, strips, material: materialInputs })
+  }, [shape, ri, L, P, E, nu, dims, vertices, strips, materialInputs])
+
+  const params = useMemo(() => toSectionParams(shape, { dims, vertices, strips }), [shape, dims, vertices, strips])
+  const usesAbsoluteRadii = shape === SectionType.TSection || shape === SectionType.Composite
+
+  const result = useMemo(
+    () => computeRing({ shape, params, ri: numberOrNaN(ri), L: numberOrNaN(L), P: numberOrNaN(P), E: numberOrNaN(E), nu: numberOrNaN(nu) }),
+    [shape, params, ri, L, P, E, nu],
+  )
+
+  /** Strength check on the largest tension and compression over the candidate sections. */
+  const material = findMaterial(materialInputs.materialId)
+  const strength = result.ok && material
+    ? checkStrength(
+        material,
+        {
+          tension: Math.max(0, ...result.sections.flatMap((s) => [s.sigmaInner, s.sigmaOuter])),
+          compression: Math.max(0, ...result.sections.flatMap((s) => [-s.sigmaInner, -s.sigmaOuter])),
+        },
+        { criterion: materialInputs.criterion, requiredFos: numberOrNaN(materialInputs.requiredFos) },
+      )
+    : null
+
+  const exportData = () => (result.ok ? ringExport(result, strengthScalars(strength)) : null)
+
+  const chartOptions = (title, yTitle) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'top' }, tooltip: { mode: 'index', intersect: false }, title: { display: true, text: title } },
+    interaction: { mode: 'index', intersect: false },
+    scales: {
+      x: { type: 'linear', title: { display: true, text: 'Distance s from the section across the load (m)' } },
+      y: { title: { display: true, text: yTitle } },
+    },
+  })
+  const along = (key) => (result.ok ? result.points.map((p) => ({ x: p.s, y: p[key] })) : [])
+  const momentData = { datasets: [lineSet('M [N·m]', '255, 99, 132', along('M'))] }
+  const forceData = { datasets: [lineSet('N [N]', '54, 162, 235', along('N')), lineSet('V [N]', '75, 192, 192', along('V'))] }
+
+  return (
+    <Box sx={{ maxWidth: 1200, mx: 'auto', p: 2 }}>
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={4}>
+          <Card>
+            <CardHeader title="Inputs" />
+            <CardContent>
+              <Box sx={{ display: 'grid', gap: 2 }}>
+                <SectionInputs
+                  shape={shape}
+                  onShapeChange={setShape}
+                  dims={dims}
+                  onDimChange={setDim}
+                  vertices={vertices}
+                  onVerticesChange={setVertices}
+                  strips={strips}
+                  onStripsChange={setStrips}
+                  params={params}
+                >
+                  <TextField label="Inner radius of the ends ri (m)" value={ri} onChange={(e) => setRi(e.target.value)} size="small" disabled={usesAbsoluteRadii} helperText={usesAbsoluteRadii ? 'Set by the radii of the section parts' : undefined} />
+                </SectionInputs>
+                <TextField label="Straight length L (m)" value={L} onChange={(e) => setL(e.target.value)} size="small" helperText="Length of each straight side; 0 for a closed ring" />
+                <TextField label="Load P (N, tension +)" value={P} onChange={(e) => setP(e.target.value)} size="small" helperText="Pulls the crowns of the curved ends apart" />
+                <TextField label="Young's Modulus E (Pa)" value={E} onChange={(e) => setE(e.target.value)} size="small" />
+                <TextField label="Poisson's ratio ν" value={nu} onChange={(e) => setNu(e.target.value)} size="small" />
+                <MaterialInputs value={materialInputs} onChange={setMaterialInputs} onSelectMaterial={(m) => setE(String(m.E))} />
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={8}>
+          <Card sx={{ mb: 2 }}>
+            <CardHeader
+              title="Key Results"
+              action={<Box sx={{ display: 'flex', mr: 1 }}><ExportMenu filename="ring" build={exportData} /></Box>}
+            />
+            <CardContent>
+              {result.ok ? (
+                <ul>
+                  <li>R (centroidal radius of the ends) = {fmt(result.R)} m, A = {fmt(result.A)} m², e = {fmt(result.e)} m</li>
+                  <li>M_0 (across the load{result.L > 0 ? ', along the straight sides' : ''}) = <strong>{fmt(result.M0)}</strong> N·m</li>
+                  <li>M under the load = <strong>{fmt(result.Mload)}</strong> N·m, with N = 0 and V = P/2 = {fmt(result.P / 2)} N</li>
+                  {result.sections.map((s) => (
+                    <li key={s.label}>
+                      {s.label}{s.straight ? ' (Mc/I)' : ''}: σ_inner = {fmt(s.sigmaInner)} Pa, σ_outer = {fmt(s.sigmaOuter)} Pa
+                    </li>
+                  ))}
+                  <li>
+                    Critical section: <strong>{result.critical.label}</strong>, peak |σ| ={' '}
+                    <strong>{fmt(Math.max(Math.abs(result.critical.sigmaInner), Math.abs(result.critical.sigmaOuter)))}</strong> Pa
+                  </li>
+                  <li>
+                    Change in diameter along the load = <strong>{fmt(result.deltaLoad)}</strong> m, across the load ={' '}
+                    <strong>{fmt(result.deltaAcross)}</strong> m (shear form factor {fmt(result.shearFactor)})
+                  </li>
+                  <StrengthCheckItems check={strength} material={material} />
+                </ul>
+              ) : (
+                <Typography color="error">{result.message}</Typography>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader title="Diagrams" />
+            <CardContent>
+              <Box sx={{ display: 'grid', gap: 2 }}>
+                <Box sx={{ height: 220 }}><Line options={chartOptions('Bending moment along the quarter', 'M (N·m)')} data={momentData} /></Box>
+                <Box sx={{ height: 220 }}><Line options={chartOptions('Normal and shear force along the quarter', 'Force (N)')} data={forceData} /></Box>
+                <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: -1 }}>
+                  s runs from the section across the load{result.ok && result.L > 0 ? `, along the straight side to s = L/2 = ${fmt(result.L / 2)} m, then` : ''} around
+                  the curved end to the load; the other three quarters are mirror images. M is positive with tension at the inner fibre.
+                </Typography>
+                {result.ok && !result.critical.straight && result.critical.result.ok && (
+                  <>
+                    <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+                      <CurvedBeamElevation result={result.critical.result} />
+                    </Box>
+                    <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: -1 }}>
+                      Winkler–Bach stress through the depth at the critical section ({result.critical.label}), to scale about the centre of the curved end.
+                    </Typography>
+                  </>
+                )}
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Box>
+  )
+}
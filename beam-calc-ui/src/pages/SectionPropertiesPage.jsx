@@ -0,0 +1,136 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Box, Button, Card, CardContent, CardHeader, Grid, Typography } from '@mui/material'
+import { SectionSpecs, SectionType } from '../lib/curvedBeam'
+import { computeSectionProperties } from '../lib/sectionProperties'
+import { defaultDims, defaultStrips, defaultVertices, savedDims, toSectionParams } from '../lib/sectionInputs'
+import SectionInputs from '../components/SectionInputs'
+import SectionDiagram from '../components/SectionDiagram'
+
+function fmt(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(6) : '-'
+}
+
+function loadInputs() {
+  try {
+    const s = localStorage.getItem('section.inputs')
+    const saved = s ? JSON.parse(s) : {}
+    return saved && typeof saved === 'object' ? saved : {}
+  } catch {
+    return {}
+  }
+}
+function saveInputs(obj) {
+  try {
+    localStorage.setItem('section.inputs', JSON.stringify(obj))
+  } catch {
+    // Storage unavailable; inputs simply are not persisted
+  }
+}
+
+/**
+ * SectionPropertiesPage
+ * - Left: shape and dimensions (same shapes and fields as the curved-beam page).
+ * - Right: area, centroid, second moments, elastic and plastic moduli, radii of gyration and a sketch.
+ * "Use in straight beam" opens the straight-beam page with I_x, the fibre distances and the section for
+ * its shear stresses filled in.
+ */
+export default function SectionPropertiesPage() {
+  const navigate = useNavigate()
+  const [saved] = useState(loadInputs)
+  const [shape, setShape] = useState(() => (SectionSpecs[saved.shape] ? saved.shape : SectionType.Rectangular))
+  const [dims, setDims] = useState(() => ({ ...defaultDims, ...savedDims(saved) }))
+  const [vertices, setVertices] = useState(() => (Array.isArray(saved.vertices) ? saved.vertices : defaultVertices))
+  const [strips, setStrips] = useState(() => (Array.isArray(saved.strips) ? saved.strips : defaultStrips))
+  const setDim = (key, value) => setDims((prev) => ({ ...prev, [key]: value }))
+
+  useEffect(() => {
+    saveInputs({ shape, dims, vertices, strips })
+  }, [shape, dims, vertices, strips])
+
+  const params = useMemo(() => toSectionParams(shape, { dims, vertices, strips }), [shape, dims, vertices, strips])
+  const props = useMemo(() => computeSectionProperties(shape, params), [shape, params])
+
+  const sendToStraightBeam = () => {
+    navigate('/example', {
+      state: {
+        section: { label: SectionSpecs[shape].label, I: props.Ix, cTop: props.cTop, cBottom: props.cBottom, shape, dims, vertices, strips },
+      },
+    })
+  }
+
+  return (
+    <Box sx={{ maxWidth: 1200, mx: 'auto', p: 2 }}>
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={4}>
+          <Card>
+            <CardHeader title="Section" />
+            <CardContent>
+              <Box sx={{ display: 'grid', gap: 2 }}>
+                <SectionInputs
+                  shape={shape}
+                  onShapeChange={setShape}
+                  dims={dims}
+                  onDimChange={setDim}
+                  vertices={vertices}
+                  onVerticesChange={setVertices}
+                  strips={strips}
+                  onStripsChange={setStrips}
+                  params={params}
+                />
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                  The inner (y = 0) face of the curved-beam shapes is the top of the straight beam; radii only position the parts.
+                </Typography>
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={8}>
+          <Card sx={{ mb: 2 }}>
+            <CardHeader
+              title="Section Properties"
+              action={(
+                <Button variant="contained" size="small" onClick={sendToStraightBeam} disabled={!props.ok} sx={{ mt: 1, mr: 1 }}>
+                  Use in straight beam
+                </Button>
+              )}
+            />
+            <CardContent>
+              {props.ok ? (
+                <>
+                  <ul>
+                    <li>Area A = <strong>{fmt(props.A)}</strong> m²</li>
+                    <li>Depth = {fmt(props.depth)} m, width = {fmt(props.width)} m</li>
+                    <li>Centroid ȳ (from top) = {fmt(props.ybar)} m, z̄ = {fmt(props.zbar)} m</li>
+                    <li>I_x (horizontal centroidal axis) = <strong>{fmt(props.Ix)}</strong> m⁴</li>
+                    <li>I_y (vertical centroidal axis) = {fmt(props.Iy)} m⁴</li>
+                    {Math.abs(props.Ixy) > 1e-9 * Math.max(props.Ix, props.Iy) && (
+                      <li>I_xy = {fmt(props.Ixy)} m⁴ (unsymmetric section: principal axes are inclined)</li>
+                    )}
+                    <li>Extreme fibres: c_top = {fmt(props.cTop)} m, c_bottom = {fmt(props.cBottom)} m, c_side = {fmt(props.cSide)} m</li>
+                    <li>Elastic moduli S_x,top = {fmt(props.SxTop)} m³, S_x,bottom = {fmt(props.SxBottom)} m³, S_y = {fmt(props.Sy)} m³</li>
+                    <li>Plastic moduli Z_x = {fmt(props.Zx)} m³ (PNA at y = {fmt(props.yPlastic)} m), Z_y = {fmt(props.Zy)} m³</li>
+                    <li>Shape factors Z/S: {fmt(props.shapeFactorX)} about x, {fmt(props.shapeFactorY)} about y</li>
+                    <li>Radii of gyration r_x = {fmt(props.rx)} m, r_y = {fmt(props.ry)} m</li>
+                  </ul>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Built-up strips that overlap are counted twice, as in the curved-beam analysis.
+                  </Typography>
+                </>
+              ) : (
+                <Typography color="error">{props.message}</Typography>
+              )}
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader title="Sketch" />
+            <CardContent>
+              <SectionDiagram shape={shape} params={params} result={props.ok ? { ybar: props.ybar } : undefined} />
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Box>
+  )
+}
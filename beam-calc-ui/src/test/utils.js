@@ -0,0 +1,15 @@
+/**
+ * Helpers shared by the specs.
+ */
+import { expect } from 'vitest'
+
+/**
+ * Relative comparison against a closed form. The checked values range from micrometres to
+ * megapascals, so a fixed number of decimal places would not do.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} [rel] allowed error as a fraction of |expected|
+ */
+export function expectClose(actual, expected, rel = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(rel * Math.abs(expected))
+}